@@ -10,6 +10,13 @@
 
 import dbService from './supabase-client.js';
 import adminVersionControlUI from './admin-version-control-ui.js';
+import draftsPanel from './drafts-panel.js';
+import contentSync from './content-sync.js';
+import richTextToolbar, { sanitizeHtml, isRichTextElement } from './rich-text.js';
+import { html } from './safe-html.js';
+import { TEAM_PLACEHOLDER_IMAGE as PLACEHOLDER_IMAGE, teamMemberHtml } from './page-templates.js';
+import { IMAGE_SIZES, parseImageVariants } from './responsive-images.js';
+import { loadSignedImage, setImageVariants } from './image-pipeline.js';
 
 class AboutAdminManager {
     constructor() {
@@ -122,10 +129,11 @@ class AboutAdminManager {
                 return;
             }
             
-            // Store both current and original copies
-            this.teamMembers = teamMembers;
-            this.originalTeamMembers = JSON.parse(JSON.stringify(teamMembers)); // Deep copy
-            console.log(`✅ Loaded ${teamMembers.length} team members from database`);
+            // Store both current and original copies (admins see saved drafts in place of live rows)
+            const rows = draftsPanel.mergeDraftRows('team_member', teamMembers);
+            this.teamMembers = rows;
+            this.originalTeamMembers = JSON.parse(JSON.stringify(rows)); // Deep copy
+            console.log(`✅ Loaded ${rows.length} team members from database`);
             
             // Clear any pending changes
             this.clearPendingChanges();
@@ -139,6 +147,30 @@ class AboutAdminManager {
         }
     }
 
+    /**
+     * Apply a team member row pushed by content-sync.js (visitors only)
+     */
+    async applyRemoteChange(row) {
+        if (this.isLoading || this.hasUnsavedChanges) {
+            return;
+        }
+
+        const index = this.teamMembers.findIndex(member => String(member.id) === String(row.id));
+        if (row.is_active === false) {
+            if (index === -1) return;
+            this.teamMembers.splice(index, 1);
+        } else if (index === -1) {
+            this.teamMembers.push(row);
+        } else {
+            this.teamMembers[index] = row;
+        }
+
+        this.teamMembers.sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+        this.originalTeamMembers = JSON.parse(JSON.stringify(this.teamMembers)); // Deep copy
+        console.log(`📡 Team member updated: ${row.name || row.id}`);
+        await this.renderTeamMembers();
+    }
+
     /**
      * Clear all pending changes
      */
@@ -224,34 +256,28 @@ class AboutAdminManager {
      * Create a team member HTML element
      */
     async createTeamMemberElement(member) {
-        const memberDiv = document.createElement('div');
-        memberDiv.className = 'team-member';
-        memberDiv.dataset.memberId = member.id;
-        memberDiv.setAttribute('data-aos', 'fade-up');
-        memberDiv.setAttribute('data-aos-delay', `${member.sort_order * 100}`);
-        
         console.log(`CREATING ELEMENT for ${member.name}:`);
         console.log(`  - DB image_url: ${member.image_url}`);
         console.log(`  - DB image_filename: ${member.image_filename}`);
 
         // Check if member is marked for deletion
         const isMarkedForDeletion = this.pendingChanges.deleted.has(member.id);
-        if (isMarkedForDeletion) {
-            memberDiv.classList.add('pending-deletion');
-        }
         
         // Get proper image URL. If it's from our private bucket, we need to generate a signed URL for it.
-        let imageUrl = member.image_url || 'https://via.placeholder.com/300x300/e0e0e0/999999?text=No+Image';
+        let imageUrl = member.image_url || PLACEHOLDER_IMAGE;
+        let imageVariants = parseImageVariants(member.image_variants);
         if (member.image_filename) {
             console.log(`  - Attempting to get signed URL for bucket path: '${member.image_filename}'`);
             try {
-                // Always generate a fresh signed URL on page load for private images
-                const signedUrl = await this.dbService.getFileUrl('wolf-property-images', member.image_filename, true);
-                if (signedUrl) {
-                    imageUrl = signedUrl;
+                // Always generate fresh signed URLs on page load for private images (one request with the resized variants)
+                const variantPaths = imageVariants.filter(variant => variant.path).map(variant => variant.path);
+                const { signedUrls } = await this.dbService.getSignedUrls('wolf-property-images', [member.image_filename, ...variantPaths]);
+                if (signedUrls[member.image_filename]) {
+                    imageUrl = signedUrls[member.image_filename];
+                    imageVariants = imageVariants.map(variant => ({ ...variant, url: signedUrls[variant.path] || variant.url }));
                     console.log(`  - SUCCESS: Generated signed URL:`, imageUrl);
                 } else {
-                    console.warn(`  - FAILED: getFileUrl returned null or undefined for '${member.image_filename}'`);
+                    console.warn(`  - FAILED: no signed URL returned for '${member.image_filename}'`);
                 }
             } catch (error) {
                 console.error(`  - ERROR: Could not get signed URL for image: ${member.image_filename}`, error);
@@ -263,7 +289,7 @@ class AboutAdminManager {
         let pendingBadge = '';
         
         if (isMarkedForDeletion) {
-            pendingBadge = `
+            pendingBadge = html`
                 <div class="pending-badge pending-deleted">
                     <span>🗑️ MARKED FOR DELETION</span>
                     <small>This member will be permanently deleted when you save changes</small>
@@ -271,7 +297,7 @@ class AboutAdminManager {
                 </div>
             `;
         } else if (member.isNew) {
-            pendingBadge = `
+            pendingBadge = html`
                 <div class="pending-badge pending-new">
                     <span>📝 NEW - Not Saved</span>
                     <small>This member will disappear if you refresh without saving</small>
@@ -279,36 +305,26 @@ class AboutAdminManager {
                 </div>
             `;
         } else if (isPending) {
-            pendingBadge = `
+            pendingBadge = html`
                 <div class="pending-badge pending-modified">
                     <span>✏️ Modified - Not Saved</span>
                 </div>
             `;
         }
 
-        memberDiv.innerHTML = `
-            ${pendingBadge}
-            <div class="team-member-image ${member.isNew ? 'pending-new-border' : ''}">
-                <img src="${imageUrl}" alt="${member.name}" data-member-id="${member.id}" onerror="this.onerror=null;this.src='https://via.placeholder.com/300x300/e0e0e0/999999?text=Load+Error';">
-                <div class="image-overlay"></div>
-            </div>
-            <div class="team-member-info">
-                <h3 data-member-id="${member.id}" data-field="name">${member.name}</h3>
-                <p class="position" data-member-id="${member.id}" data-field="position">${member.position}</p>
-                <div class="team-member-bio">
-                    <p data-member-id="${member.id}" data-field="bio">${member.bio || ''}</p>
-                    ${member.bio_paragraph_2 ? `<p data-member-id="${member.id}" data-field="bio_paragraph_2">${member.bio_paragraph_2}</p>` : ''}
-                </div>
-                <div class="social-links">
-                    <a href="${member.linkedin_url || '#'}" class="social-link">LinkedIn</a>
-                    <a href="${member.email ? `mailto:${member.email}` : '#'}" class="social-link">Email</a>
-                </div>
-            </div>
-        `;
+        // Same markup as the pre-rendered about page (build-static.mjs)
+        const template = document.createElement('template');
+        template.innerHTML = teamMemberHtml(member, { imageUrl, imageVariants, pendingBadge }).toString().trim();
+        const memberDiv = template.content.firstElementChild;
+        if (isMarkedForDeletion) {
+            memberDiv.classList.add('pending-deletion');
+        }
         
-        // Add admin functionality if in admin mode
+        // Add admin functionality if in admin mode and the role allows it
         if (document.body.classList.contains('admin-mode')) {
-            this.makeTeamMemberEditable(memberDiv);
+            if (this.dbService.hasPermission('edit')) {
+                this.makeTeamMemberEditable(memberDiv);
+            }
             this.addDeleteButton(memberDiv, member);
         }
         
@@ -382,12 +398,14 @@ class AboutAdminManager {
                             Click on team member images to assign from bucket. Click text to edit. Changes are held until you save.
                         </p>
                         <div class="about-admin-buttons">
+                            ${this.dbService.hasPermission('edit') ? `
                             <button id="add-team-member-btn" class="btn btn-primary" style="background-color: #27ae60; margin-right: 10px;">
                                 ➕ Add Team Member
-                            </button>
+                            </button>` : ''}
+                            ${this.dbService.hasPermission('delete') ? `
                             <button id="cleanup-duplicates-btn" class="btn btn-secondary" style="background-color: #e74c3c; margin-right: 10px;">
                                 🧹 Fix Duplicates
-                            </button>
+                            </button>` : ''}
                             <!-- Save button removed - using universal version control save button -->
                         </div>
                         <div id="changes-status" style="margin-top: 10px; font-size: 12px; color: rgba(255, 255, 255, 0.6);">
@@ -461,7 +479,7 @@ class AboutAdminManager {
         element.style.transition = 'all 0.3s ease';
         
         // Store original content
-        element.dataset.originalContent = element.innerHTML;
+        element.dataset.originalContent = isRichTextElement(element) ? sanitizeHtml(element.innerHTML) : element.innerHTML;
 
         element.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -482,27 +500,38 @@ class AboutAdminManager {
     }
 
     /**
-     * Edit a text element
+     * Edit a text element. Bios are rich text: they get the formatting toolbar,
+     * Enter adds lines / list items, and the markup is sanitized before it is tracked.
      */
     editElement(element, memberId) {
         if (element.contentEditable === 'true') return;
 
+        const isRich = isRichTextElement(element);
         element.contentEditable = true;
         element.style.border = '2px solid #3498db';
         element.style.backgroundColor = 'rgba(52, 152, 219, 0.1)';
         element.focus();
 
-        // Select all text
-        const range = document.createRange();
-        range.selectNodeContents(element);
-        const selection = window.getSelection();
-        selection.removeAllRanges();
-        selection.addRange(range);
+        if (isRich) {
+            richTextToolbar.show(element);
+        } else {
+            // Select all text
+            const range = document.createRange();
+            range.selectNodeContents(element);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
 
         const finishEditing = () => {
             element.contentEditable = false;
             element.style.border = '1px dashed rgba(52, 152, 219, 0.3)';
             element.style.backgroundColor = 'transparent';
+
+            if (isRich) {
+                richTextToolbar.hide();
+                element.innerHTML = sanitizeHtml(element.innerHTML);
+            }
             
             // Check if content changed
             const originalContent = element.dataset.originalContent;
@@ -519,9 +548,15 @@ class AboutAdminManager {
             this.showFieldLengthWarning(element, memberId);
         });
 
-        element.addEventListener('blur', finishEditing, { once: true });
+        // Focus moving to the toolbar (or its link prompt) doesn't end editing
+        const handleBlur = (e) => {
+            if (isRich && richTextToolbar.contains(e.relatedTarget)) return;
+            element.removeEventListener('blur', handleBlur);
+            finishEditing();
+        };
+        element.addEventListener('blur', handleBlur);
         element.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
+            if (e.key === 'Enter' && !e.shiftKey && !isRich) {
                 e.preventDefault();
                 element.blur();
             } else if (e.key === 'Escape') {
@@ -847,16 +882,16 @@ class AboutAdminManager {
         this.currentTeamMemberId = memberId;
         
         // Use the global image browser with a callback
-        window.adminImageManager.showImageBrowser(({ publicUrl, signedUrl, filename }) => {
+        window.adminImageManager.showImageBrowser(({ publicUrl, signedUrl, filename, variants }) => {
             console.log('✅ Image selected from global browser:', { publicUrl, signedUrl, filename });
-            this.assignImageToTeamMember(publicUrl, signedUrl, filename);
+            this.assignImageToTeamMember(publicUrl, signedUrl, filename, variants || []);
         });
     }
 
     /**
      * Assign selected image to team member
      */
-    async assignImageToTeamMember(publicUrl, signedUrl, filename) {
+    async assignImageToTeamMember(publicUrl, signedUrl, filename, variants = []) {
         if (!this.currentImageSelector || !this.currentTeamMemberId) return;
 
         console.log('🖼️ ASSIGNING IMAGE...');
@@ -884,7 +919,8 @@ class AboutAdminManager {
 
             const changes = {
                 image_url: publicUrl, // Keep the full public URL for potential direct use
-                image_filename: bucketPath // **CRITICAL FIX**: Save the bucket path, not just the filename
+                image_filename: bucketPath, // **CRITICAL FIX**: Save the bucket path, not just the filename
+                image_variants: variants
             };
 
             // Track the change as pending
@@ -893,10 +929,15 @@ class AboutAdminManager {
             // Update the member data locally
             member.image_url = publicUrl;
             member.image_filename = bucketPath;
+            member.image_variants = variants;
             
             // Update the UI with the temporary signed URL for immediate display
             this.currentImageSelector.src = signedUrl;
             this.currentImageSelector.alt = member.name;
+            setImageVariants(this.currentImageSelector, variants, IMAGE_SIZES.teamMember);
+            if (variants.length > 0) {
+                loadSignedImage(this.currentImageSelector, bucketPath, variants);
+            }
             
             // Visual feedback
             this.currentImageSelector.style.border = '3px solid #f39c12';
@@ -972,6 +1013,11 @@ class AboutAdminManager {
      * Add new team member (pending)
      */
     async addTeamMember() {
+        if (!this.dbService.hasPermission('edit')) {
+            alert(this.dbService.checkPermission('edit'));
+            return;
+        }
+        
         console.log('➕ Adding new team member (pending)');
         
         try {
@@ -987,6 +1033,7 @@ class AboutAdminManager {
                 bio_paragraph_2: 'You can add multiple paragraphs to describe their professional achievements and personal interests.',
                 image_url: 'https://via.placeholder.com/300x300/e0e0e0/999999?text=Click+to+Add+Photo',
                 image_filename: null,
+                image_variants: [],
                 linkedin_url: '#',
                 email: '#',
                 sort_order: this.teamMembers.length + 1,
@@ -1043,8 +1090,8 @@ class AboutAdminManager {
      * Add delete button to a team member element
      */
     addDeleteButton(memberElement, member) {
-        // Don't add delete button if member is already marked for deletion
-        if (this.pendingChanges.deleted.has(member.id)) {
+        // Don't add delete button if the role cannot delete or member is already marked for deletion
+        if (!this.dbService.hasPermission('delete') || this.pendingChanges.deleted.has(member.id)) {
             return;
         }
 
@@ -1067,6 +1114,11 @@ class AboutAdminManager {
      * Mark a team member for deletion
      */
     markMemberForDeletion(memberId) {
+        if (!this.dbService.hasPermission('delete')) {
+            alert(this.dbService.checkPermission('delete'));
+            return;
+        }
+        
         console.log('🗑️ Marking member for deletion:', memberId);
         
         const member = this.teamMembers.find(m => m.id === memberId);
@@ -1377,13 +1429,7 @@ class AboutAdminManager {
                 const [keepInstance, ...duplicateInstances] = instances;
                 
                 for (const duplicate of duplicateInstances) {
-                    const { error: deactivateError } = await this.dbService.supabase
-                        .from('team_members')
-                        .update({ 
-                            is_active: false, 
-                            updated_at: new Date().toISOString() 
-                        })
-                        .eq('id', duplicate.id);
+                    const { error: deactivateError } = await this.dbService.deleteTeamMember(duplicate.id);
                         
                     if (deactivateError) {
                         console.error(`❌ Error deactivating duplicate ${name}:`, deactivateError);
@@ -1517,6 +1563,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Changed team members are pushed instead of reloading the whole list
+    contentSync.onChange('team_members', { column: 'page_name', value: 'about.html' }, (row) => {
+        aboutAdminManager.applyRemoteChange(row);
+    });
+
     // Prevent accidental loss of unsaved changes
     window.addEventListener('beforeunload', (e) => {
         if (aboutAdminManager.hasUnsavedChanges) {
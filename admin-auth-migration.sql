@@ -0,0 +1,117 @@
+-- Admin Authentication Migration for Wolf Property Management
+-- Run this script in your Supabase SQL Editor to replace plaintext admin passwords
+-- with bcrypt hashes, add admin roles and server-verified session tokens
+
+-- pgcrypto provides crypt()/gen_salt('bf') for bcrypt and digest() for token hashing
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- 1. Roles: owner, editor, leasing_agent, viewer
+-- Existing admins keep full access; new accounts default to read-only
+ALTER TABLE admin_users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'owner';
+ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'viewer';
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users
+    ADD CONSTRAINT admin_users_role_check CHECK (role IN ('owner', 'editor', 'leasing_agent', 'viewer'));
+
+-- 2. Hash any password still stored in plaintext (bcrypt hashes start with $2)
+UPDATE admin_users
+SET password_hash = crypt(password_hash, gen_salt('bf', 10))
+WHERE password_hash NOT LIKE '$2%';
+
+-- 3. Session tokens (only a SHA-256 of the token is stored)
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    admin_user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(admin_user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
+
+-- 4. Sign in: verifies the bcrypt hash and issues a 12 hour session token
+CREATE OR REPLACE FUNCTION admin_sign_in(p_email TEXT, p_password TEXT)
+RETURNS TABLE (session_token TEXT, expires_at TIMESTAMP WITH TIME ZONE, id UUID, email VARCHAR, role VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+    v_user admin_users%ROWTYPE;
+    v_token TEXT;
+    v_expires TIMESTAMP WITH TIME ZONE := NOW() + INTERVAL '12 hours';
+BEGIN
+    SELECT * INTO v_user
+    FROM admin_users u
+    WHERE lower(u.email) = lower(p_email) AND u.is_active = true;
+
+    IF NOT FOUND OR v_user.password_hash <> crypt(p_password, v_user.password_hash) THEN
+        RETURN; -- Empty result means invalid credentials
+    END IF;
+
+    v_token := encode(gen_random_bytes(32), 'hex');
+
+    INSERT INTO admin_sessions (admin_user_id, token_hash, expires_at)
+    VALUES (v_user.id, encode(digest(v_token, 'sha256'), 'hex'), v_expires);
+
+    UPDATE admin_users SET last_login = NOW() WHERE admin_users.id = v_user.id;
+
+    RETURN QUERY SELECT v_token, v_expires, v_user.id, v_user.email, v_user.role;
+END;
+$$;
+
+-- 5. Validate: returns the user for a live session, nothing for expired/revoked tokens
+CREATE OR REPLACE FUNCTION admin_validate_session(p_token TEXT)
+RETURNS TABLE (expires_at TIMESTAMP WITH TIME ZONE, id UUID, email VARCHAR, role VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+    UPDATE admin_sessions s
+    SET last_seen_at = NOW()
+    WHERE s.token_hash = encode(digest(p_token, 'sha256'), 'hex')
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW();
+
+    RETURN QUERY
+    SELECT s.expires_at, u.id, u.email, u.role
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.admin_user_id
+    WHERE s.token_hash = encode(digest(p_token, 'sha256'), 'hex')
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW()
+      AND u.is_active = true;
+END;
+$$;
+
+-- 6. Sign out: revokes the session token
+CREATE OR REPLACE FUNCTION admin_sign_out(p_token TEXT)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE admin_sessions
+    SET revoked_at = NOW()
+    WHERE token_hash = encode(digest(p_token, 'sha256'), 'hex') AND revoked_at IS NULL;
+$$;
+
+-- 7. Lock down direct access: the browser only talks to the functions above
+REVOKE ALL ON admin_sessions FROM anon, authenticated;
+REVOKE SELECT, INSERT, UPDATE, DELETE ON admin_users FROM anon, authenticated;
+GRANT SELECT (id, email, role, is_active, created_at, last_login) ON admin_users TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_sign_in(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_validate_session(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_sign_out(TEXT) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Admin authentication migration completed successfully!' as status;
+SELECT email, role, is_active, password_hash LIKE '$2%' as is_hashed FROM admin_users;
@@ -0,0 +1,281 @@
+-- Admin User Management for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after admin-auth-migration.sql
+-- to enable inviting, deactivating and resetting admins from the admin panel
+
+-- 1. Invite / reset state on admin_users
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS invited_by UUID REFERENCES admin_users(id);
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS must_reset_password BOOLEAN DEFAULT false;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS setup_token_hash VARCHAR(64);
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS setup_token_expires_at TIMESTAMP WITH TIME ZONE;
+
+GRANT SELECT (invited_by, must_reset_password) ON admin_users TO anon, authenticated;
+
+-- 2. Record of every user-management action and who performed it
+CREATE TABLE IF NOT EXISTS admin_user_actions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    target_user_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL, -- invite, change_role, deactivate, reactivate, force_reset, password_set
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_user_actions_target ON admin_user_actions(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_user_actions_created ON admin_user_actions(created_at);
+
+REVOKE ALL ON admin_user_actions FROM anon, authenticated;
+
+-- 3. Resolve a session token to an owner, or raise
+CREATE OR REPLACE FUNCTION admin_require_owner(p_token TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+BEGIN
+    SELECT * INTO v_actor FROM admin_validate_session(p_token);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'SESSION_EXPIRED';
+    END IF;
+    IF v_actor.role <> 'owner' THEN
+        RAISE EXCEPTION 'PERMISSION_DENIED';
+    END IF;
+
+    RETURN v_actor.id;
+END;
+$$;
+
+-- Issues a one-time setup link token (valid 7 days) and stores only its hash
+CREATE OR REPLACE FUNCTION admin_issue_setup_token(p_user_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_token TEXT := encode(gen_random_bytes(32), 'hex');
+BEGIN
+    UPDATE admin_users
+    SET setup_token_hash = encode(digest(v_token, 'sha256'), 'hex'),
+        setup_token_expires_at = NOW() + INTERVAL '7 days'
+    WHERE id = p_user_id;
+
+    RETURN v_token;
+END;
+$$;
+
+-- 4. List admins with their last action
+CREATE OR REPLACE FUNCTION admin_list_users(p_token TEXT)
+RETURNS TABLE (
+    id UUID, email VARCHAR, role VARCHAR, is_active BOOLEAN, last_login TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE, invited_by_email VARCHAR, must_reset_password BOOLEAN,
+    setup_pending BOOLEAN, last_action VARCHAR, last_action_by VARCHAR, last_action_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+    PERFORM admin_require_owner(p_token);
+
+    RETURN QUERY
+    SELECT u.id, u.email, u.role, u.is_active, u.last_login, u.created_at,
+           inviter.email, u.must_reset_password,
+           u.setup_token_hash IS NOT NULL AND u.setup_token_expires_at > NOW(),
+           last_action.action, last_action.actor_email, last_action.created_at
+    FROM admin_users u
+    LEFT JOIN admin_users inviter ON inviter.id = u.invited_by
+    LEFT JOIN LATERAL (
+        SELECT a.action, actor.email AS actor_email, a.created_at
+        FROM admin_user_actions a
+        LEFT JOIN admin_users actor ON actor.id = a.actor_id
+        WHERE a.target_user_id = u.id
+        ORDER BY a.created_at DESC
+        LIMIT 1
+    ) last_action ON true
+    ORDER BY u.created_at;
+END;
+$$;
+
+-- 5. Invite: creates the account without a usable password and returns a setup token
+CREATE OR REPLACE FUNCTION admin_invite_user(p_token TEXT, p_email TEXT, p_role TEXT)
+RETURNS TABLE (id UUID, setup_token TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+    v_actor_id UUID := admin_require_owner(p_token);
+    v_user_id UUID;
+BEGIN
+    IF EXISTS (SELECT 1 FROM admin_users WHERE lower(email) = lower(p_email)) THEN
+        RAISE EXCEPTION 'EMAIL_EXISTS';
+    END IF;
+
+    INSERT INTO admin_users (email, password_hash, role, is_active, invited_by, must_reset_password)
+    VALUES (lower(p_email), crypt(encode(gen_random_bytes(32), 'hex'), gen_salt('bf', 10)), p_role, true, v_actor_id, true)
+    RETURNING admin_users.id INTO v_user_id;
+
+    INSERT INTO admin_user_actions (actor_id, target_user_id, action, details)
+    VALUES (v_actor_id, v_user_id, 'invite', jsonb_build_object('email', lower(p_email), 'role', p_role));
+
+    RETURN QUERY SELECT v_user_id, admin_issue_setup_token(v_user_id);
+END;
+$$;
+
+-- 6. Change role and/or active state (owners cannot lock themselves out)
+CREATE OR REPLACE FUNCTION admin_update_user(p_token TEXT, p_user_id UUID, p_role TEXT DEFAULT NULL, p_is_active BOOLEAN DEFAULT NULL)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor_id UUID := admin_require_owner(p_token);
+    v_user admin_users%ROWTYPE;
+BEGIN
+    SELECT * INTO v_user FROM admin_users WHERE id = p_user_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'USER_NOT_FOUND';
+    END IF;
+
+    IF p_user_id = v_actor_id AND ((p_role IS NOT NULL AND p_role <> 'owner') OR p_is_active = false) THEN
+        RAISE EXCEPTION 'CANNOT_CHANGE_SELF';
+    END IF;
+
+    IF p_role IS NOT NULL AND p_role <> v_user.role THEN
+        UPDATE admin_users SET role = p_role WHERE id = p_user_id;
+        INSERT INTO admin_user_actions (actor_id, target_user_id, action, details)
+        VALUES (v_actor_id, p_user_id, 'change_role', jsonb_build_object('from', v_user.role, 'to', p_role));
+    END IF;
+
+    IF p_is_active IS NOT NULL AND p_is_active <> v_user.is_active THEN
+        UPDATE admin_users SET is_active = p_is_active WHERE id = p_user_id;
+
+        -- Deactivation ends every open session immediately
+        IF NOT p_is_active THEN
+            UPDATE admin_sessions SET revoked_at = NOW()
+            WHERE admin_user_id = p_user_id AND revoked_at IS NULL;
+        END IF;
+
+        INSERT INTO admin_user_actions (actor_id, target_user_id, action)
+        VALUES (v_actor_id, p_user_id, CASE WHEN p_is_active THEN 'reactivate' ELSE 'deactivate' END);
+    END IF;
+END;
+$$;
+
+-- 7. Force reset: revokes sessions, blocks sign in and returns a new setup token
+CREATE OR REPLACE FUNCTION admin_force_password_reset(p_token TEXT, p_user_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor_id UUID := admin_require_owner(p_token);
+BEGIN
+    UPDATE admin_users SET must_reset_password = true WHERE id = p_user_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'USER_NOT_FOUND';
+    END IF;
+
+    UPDATE admin_sessions SET revoked_at = NOW()
+    WHERE admin_user_id = p_user_id AND revoked_at IS NULL;
+
+    INSERT INTO admin_user_actions (actor_id, target_user_id, action)
+    VALUES (v_actor_id, p_user_id, 'force_reset');
+
+    RETURN admin_issue_setup_token(p_user_id);
+END;
+$$;
+
+-- 8. Accept an invite or finish a reset with the token from the setup link
+CREATE OR REPLACE FUNCTION admin_complete_password_setup(p_setup_token TEXT, p_password TEXT)
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_user admin_users%ROWTYPE;
+BEGIN
+    IF length(coalesce(p_password, '')) < 8 THEN
+        RAISE EXCEPTION 'PASSWORD_TOO_SHORT';
+    END IF;
+
+    SELECT * INTO v_user FROM admin_users
+    WHERE setup_token_hash = encode(digest(p_setup_token, 'sha256'), 'hex')
+      AND setup_token_expires_at > NOW()
+      AND is_active = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'SETUP_LINK_INVALID';
+    END IF;
+
+    UPDATE admin_users
+    SET password_hash = crypt(p_password, gen_salt('bf', 10)),
+        must_reset_password = false,
+        setup_token_hash = NULL,
+        setup_token_expires_at = NULL
+    WHERE id = v_user.id;
+
+    INSERT INTO admin_user_actions (actor_id, target_user_id, action)
+    VALUES (v_user.id, v_user.id, 'password_set');
+
+    RETURN v_user.email;
+END;
+$$;
+
+-- 9. Sign in now refuses accounts waiting on a password reset
+CREATE OR REPLACE FUNCTION admin_sign_in(p_email TEXT, p_password TEXT)
+RETURNS TABLE (session_token TEXT, expires_at TIMESTAMP WITH TIME ZONE, id UUID, email VARCHAR, role VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+    v_user admin_users%ROWTYPE;
+    v_token TEXT;
+    v_expires TIMESTAMP WITH TIME ZONE := NOW() + INTERVAL '12 hours';
+BEGIN
+    SELECT * INTO v_user
+    FROM admin_users u
+    WHERE lower(u.email) = lower(p_email) AND u.is_active = true;
+
+    IF NOT FOUND OR v_user.password_hash <> crypt(p_password, v_user.password_hash) THEN
+        RETURN; -- Empty result means invalid credentials
+    END IF;
+
+    IF v_user.must_reset_password THEN
+        RAISE EXCEPTION 'PASSWORD_RESET_REQUIRED';
+    END IF;
+
+    v_token := encode(gen_random_bytes(32), 'hex');
+
+    INSERT INTO admin_sessions (admin_user_id, token_hash, expires_at)
+    VALUES (v_user.id, encode(digest(v_token, 'sha256'), 'hex'), v_expires);
+
+    UPDATE admin_users SET last_login = NOW() WHERE admin_users.id = v_user.id;
+
+    RETURN QUERY SELECT v_token, v_expires, v_user.id, v_user.email, v_user.role;
+END;
+$$;
+
+-- Internal helpers are not callable from the browser
+REVOKE EXECUTE ON FUNCTION admin_require_owner(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION admin_issue_setup_token(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_list_users(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_invite_user(TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_update_user(TEXT, UUID, TEXT, BOOLEAN) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_force_password_reset(TEXT, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_complete_password_setup(TEXT, TEXT) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Admin user management installed successfully!' as status;
+SELECT email, role, is_active, last_login FROM admin_users ORDER BY created_at;
@@ -0,0 +1,441 @@
+/**
+ * Admin Users Panel
+ * Owner-only management of the admin_users table including:
+ * - Inviting admins by email with a one-time setup link
+ * - Assigning roles
+ * - Deactivating / reactivating accounts
+ * - Forcing a password reset
+ * Also handles the ?admin_setup=<token> link invited or reset admins open to set a password.
+ */
+
+import dbService from './supabase-client.js';
+import { ROLE_PERMISSIONS } from './supabase-config.js';
+import { escapeHtml } from './safe-html.js';
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    editor: 'Editor',
+    leasing_agent: 'Leasing agent',
+    viewer: 'Viewer'
+};
+
+const ACTION_LABELS = {
+    invite: 'Invited',
+    change_role: 'Role changed',
+    deactivate: 'Deactivated',
+    reactivate: 'Reactivated',
+    force_reset: 'Password reset forced',
+    password_set: 'Password set'
+};
+
+class AdminUsersPanel {
+    constructor() {
+        this.dbService = dbService;
+        this.isInitialized = false;
+        this.users = [];
+        this.modal = null;
+    }
+
+    /**
+     * Add the panel button for owners
+     */
+    initialize() {
+        if (this.isInitialized || !this.dbService.hasPermission('manage_users')) {
+            return;
+        }
+
+        console.log('👤 Initializing Admin Users Panel...');
+        this.addAdminControls();
+        this.isInitialized = true;
+    }
+
+    cleanup() {
+        const controls = document.getElementById('admin-users-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.closePanel();
+        this.isInitialized = false;
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('admin-users-controls')) {
+            return;
+        }
+
+        const controls = document.createElement('div');
+        controls.id = 'admin-users-controls';
+        controls.className = 'admin-users-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>👤 Admin Users</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    Invite admins, assign roles and manage access.
+                </p>
+                <button id="open-admin-users-btn" class="btn btn-primary" style="background-color: #8e44ad;">
+                    👤 Manage Admin Users
+                </button>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        document.getElementById('open-admin-users-btn').addEventListener('click', () => {
+            this.showPanel();
+        });
+    }
+
+    /**
+     * Open the admin users modal
+     */
+    async showPanel() {
+        this.closePanel();
+
+        const modal = document.createElement('div');
+        modal.className = 'admin-users-modal';
+        modal.innerHTML = `
+            <div class="admin-users-content">
+                <div class="applications-inbox-header">
+                    <h3>👤 Admin Users</h3>
+                    <button type="button" class="applications-inbox-close" aria-label="Close admin users">&times;</button>
+                </div>
+                <form class="admin-users-invite" novalidate>
+                    <input type="email" name="email" placeholder="new.admin@example.com" aria-label="Email to invite" required>
+                    <select name="role" aria-label="Role">
+                        ${this.renderRoleOptions('viewer')}
+                    </select>
+                    <button type="submit" class="btn btn-primary">✉️ Invite</button>
+                </form>
+                <div class="admin-users-link" hidden></div>
+                <div class="admin-users-body">
+                    <p>Loading admin users...</p>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.applications-inbox-close').addEventListener('click', () => this.closePanel());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closePanel();
+        });
+        modal.querySelector('.admin-users-invite').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleInvite(e.target);
+        });
+
+        const body = modal.querySelector('.admin-users-body');
+        body.addEventListener('change', (e) => {
+            if (e.target.classList.contains('admin-user-role-select')) {
+                this.handleRoleChange(e.target);
+            }
+        });
+        body.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-admin-action]');
+            if (button) {
+                this.handleAction(button);
+            }
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        await this.loadUsers();
+    }
+
+    closePanel() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    renderRoleOptions(selectedRole) {
+        return Object.keys(ROLE_PERMISSIONS).map(role => `
+            <option value="${role}" ${role === selectedRole ? 'selected' : ''}>${ROLE_LABELS[role] || role}</option>
+        `).join('');
+    }
+
+    async loadUsers() {
+        const body = this.modal && this.modal.querySelector('.admin-users-body');
+        if (!body) return;
+
+        const { users, error } = await this.dbService.getAdminUsers();
+        if (error) {
+            body.innerHTML = `<p style="color: #e74c3c;">Error loading admin users: ${escapeHtml(error)}</p>`;
+            return;
+        }
+
+        this.users = users;
+        this.renderUsers(body);
+    }
+
+    renderUsers(body) {
+        const currentUserId = this.dbService.getCurrentUser()?.id;
+
+        body.innerHTML = `
+            <table class="admin-users-table">
+                <thead>
+                    <tr>
+                        <th>Email</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                        <th>Last login</th>
+                        <th>Last change</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.users.map(user => this.renderUserRow(user, user.id === currentUserId)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderUserRow(user, isCurrentUser) {
+        let status = user.is_active ? 'Active' : 'Deactivated';
+        if (user.is_active && user.must_reset_password) {
+            const kind = user.last_login ? 'Reset' : 'Invite';
+            status = user.setup_pending ? `${kind} pending` : `${kind} link expired`;
+        }
+
+        const lastChange = user.last_action
+            ? `${ACTION_LABELS[user.last_action] || user.last_action} by ${escapeHtml(user.last_action_by || 'unknown')}<br><small>${new Date(user.last_action_at).toLocaleString()}</small>`
+            : '—';
+
+        return `
+            <tr class="${user.is_active ? '' : 'admin-user-inactive'}">
+                <td>${escapeHtml(user.email)}${isCurrentUser ? ' <small>(you)</small>' : ''}</td>
+                <td>
+                    <select class="admin-user-role-select" data-user-id="${escapeHtml(user.id)}" aria-label="Role for ${escapeHtml(user.email)}" ${isCurrentUser ? 'disabled' : ''}>
+                        ${this.renderRoleOptions(user.role)}
+                    </select>
+                </td>
+                <td><span class="admin-user-status">${status}</span></td>
+                <td>${user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'}</td>
+                <td>${lastChange}</td>
+                <td class="admin-user-actions">
+                    ${isCurrentUser ? '' : `
+                        <button type="button" class="btn-image-manager" data-admin-action="${user.is_active ? 'deactivate' : 'reactivate'}" data-user-id="${escapeHtml(user.id)}">
+                            ${user.is_active ? '⛔ Deactivate' : '✅ Reactivate'}
+                        </button>
+                        ${user.is_active ? `
+                            <button type="button" class="btn-image-manager" data-admin-action="reset" data-user-id="${escapeHtml(user.id)}">🔑 Force reset</button>
+                        ` : ''}
+                    `}
+                </td>
+            </tr>
+        `;
+    }
+
+    getSetupUrl(setupToken) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('admin_setup', setupToken);
+        return url.toString();
+    }
+
+    /**
+     * Show the one-time setup link; only its hash is stored so it cannot be shown again
+     */
+    showSetupLink(email, setupToken, intro) {
+        const linkElement = this.modal && this.modal.querySelector('.admin-users-link');
+        if (!linkElement) return;
+
+        const setupUrl = this.getSetupUrl(setupToken);
+        linkElement.hidden = false;
+        linkElement.innerHTML = `
+            <p>${escapeHtml(intro)} Send this link to <strong>${escapeHtml(email)}</strong> (valid for 7 days, shown only once):</p>
+            <input type="text" readonly value="${escapeHtml(setupUrl)}" aria-label="Setup link">
+            <button type="button" class="btn-image-manager admin-users-copy-link">📋 Copy</button>
+        `;
+        linkElement.querySelector('.admin-users-copy-link').addEventListener('click', (e) => {
+            navigator.clipboard.writeText(setupUrl).then(() => {
+                e.target.textContent = '✅ Copied!';
+            });
+        });
+        linkElement.querySelector('input').select();
+    }
+
+    async handleInvite(form) {
+        const email = form.email.value.trim();
+        if (!form.email.checkValidity() || !email) {
+            alert('Please enter a valid email address.');
+            return;
+        }
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        const { setupToken, error } = await this.dbService.inviteAdminUser(email, form.role.value);
+        submitBtn.disabled = false;
+
+        if (error) {
+            alert(`Failed to invite admin: ${error}`);
+            return;
+        }
+
+        form.reset();
+        this.showSetupLink(email, setupToken, 'Invite created.');
+        await this.loadUsers();
+    }
+
+    async handleRoleChange(select) {
+        const user = this.users.find(u => u.id === select.dataset.userId);
+        if (!user) return;
+
+        select.disabled = true;
+        const { error } = await this.dbService.updateAdminUser(user.id, { role: select.value });
+        select.disabled = false;
+
+        if (error) {
+            alert(`Failed to change role: ${error}`);
+            select.value = user.role;
+            return;
+        }
+
+        await this.loadUsers();
+    }
+
+    async handleAction(button) {
+        const user = this.users.find(u => u.id === button.dataset.userId);
+        if (!user) return;
+
+        const action = button.dataset.adminAction;
+        button.disabled = true;
+
+        if (action === 'reset') {
+            if (!confirm(`Force a password reset for ${user.email}?\n\nThey will be signed out everywhere and can only log in again after setting a new password from the link.`)) {
+                button.disabled = false;
+                return;
+            }
+
+            const { setupToken, error } = await this.dbService.forceAdminPasswordReset(user.id);
+            if (error) {
+                alert(`Failed to reset password: ${error}`);
+                button.disabled = false;
+                return;
+            }
+            this.showSetupLink(user.email, setupToken, 'Password reset forced.');
+        } else {
+            const isActive = action === 'reactivate';
+            if (!isActive && !confirm(`Deactivate ${user.email}? They will be signed out immediately.`)) {
+                button.disabled = false;
+                return;
+            }
+
+            const { error } = await this.dbService.updateAdminUser(user.id, { isActive });
+            if (error) {
+                alert(`Failed to ${action} admin: ${error}`);
+                button.disabled = false;
+                return;
+            }
+        }
+
+        await this.loadUsers();
+    }
+
+    /**
+     * Password form for invite and reset links (?admin_setup=<token>)
+     */
+    showPasswordSetup(setupToken) {
+        const modal = document.createElement('div');
+        modal.className = 'admin-users-modal';
+        modal.innerHTML = `
+            <div class="admin-users-content admin-password-setup">
+                <h3>🔑 Set Your Admin Password</h3>
+                <form novalidate>
+                    <input type="password" name="password" placeholder="New password (8+ characters)" autocomplete="new-password" minlength="8" required>
+                    <input type="password" name="confirm" placeholder="Confirm password" autocomplete="new-password" required>
+                    <p class="application-message" role="alert"></p>
+                    <button type="submit" class="btn btn-primary">Set Password</button>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        const message = modal.querySelector('.application-message');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            if (form.password.value.length < 8) {
+                message.className = 'application-message error';
+                message.textContent = 'Passwords must be at least 8 characters.';
+                return;
+            }
+            if (form.password.value !== form.confirm.value) {
+                message.className = 'application-message error';
+                message.textContent = 'Passwords do not match.';
+                return;
+            }
+
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            const { email, error } = await this.dbService.completeAdminPasswordSetup(setupToken, form.password.value);
+            submitBtn.disabled = false;
+
+            if (error) {
+                message.className = 'application-message error';
+                message.textContent = error;
+                return;
+            }
+
+            // Drop the token from the address bar and hand over to the normal login
+            const url = new URL(window.location.href);
+            url.searchParams.delete('admin_setup');
+            history.replaceState(history.state, '', url);
+            modal.remove();
+
+            const adminModal = document.getElementById('admin-modal');
+            const usernameInput = document.getElementById('username');
+            if (adminModal && usernameInput) {
+                usernameInput.value = email;
+                adminModal.style.display = 'block';
+            }
+            alert('✅ Password set. You can now log in.');
+        });
+
+        document.body.appendChild(modal);
+        form.password.focus();
+    }
+}
+
+// Create global instance
+const adminUsersPanel = new AdminUsersPanel();
+
+// Make globally available for debugging and integration
+window.adminUsersPanel = adminUsersPanel;
+
+// Auto-initialize when an owner logs in
+document.addEventListener('DOMContentLoaded', () => {
+    const setupToken = new URLSearchParams(window.location.search).get('admin_setup');
+    if (setupToken) {
+        adminUsersPanel.showPasswordSetup(setupToken);
+    }
+
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    adminUsersPanel.initialize();
+                } else {
+                    adminUsersPanel.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        adminUsersPanel.initialize();
+    }
+});
+
+export default adminUsersPanel;
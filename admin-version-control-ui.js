@@ -10,6 +10,14 @@
  */
 
 import optimizedVersionControlManager from './version-control-manager.js';
+import dbService from './supabase-client.js';
+import { escapeHtml } from './safe-html.js';
+
+const DIFF_STATUS_LABELS = {
+    added: '➕ Added',
+    removed: '🗑️ Removed',
+    changed: '✏️ Changed'
+};
 
 class OptimizedVersionControlUI {
     constructor() {
@@ -21,6 +29,7 @@ class OptimizedVersionControlUI {
         // UI state
         this.isRestoring = false;
         this.lastRestoreTime = 0;
+        this.historyVersions = [];
         
         console.log('🎛️ Optimized Version Control UI created');
     }
@@ -96,6 +105,10 @@ class OptimizedVersionControlUI {
      * Create the optimized UI HTML
      */
     createUIHTML() {
+        // Only show the actions the signed-in role is allowed to perform
+        const canSave = dbService.hasPermission('save');
+        const canDelete = dbService.hasPermission('delete');
+        
         return `
             <div class="optimized-version-section">
                 <div class="version-header">
@@ -126,18 +139,20 @@ class OptimizedVersionControlUI {
                 </div>
                 
                 <div class="version-actions">
+                    ${canSave ? `
                     <button id="optimized-save-btn" class="btn btn-primary optimized-save-btn" disabled>
-                        💾 Save Changes
-                    </button>
+                        💾 Save Draft
+                    </button>` : ''}
                     <button id="optimized-history-btn" class="btn btn-secondary">
                         📚 Quick History
                     </button>
                     <button id="performance-details-btn" class="btn btn-secondary btn-small">
                         📊 Performance
                     </button>
+                    ${canDelete ? `
                     <button id="clear-all-versions-btn" class="btn btn-danger btn-small">
                         🗑️ Clear All Versions
-                    </button>
+                    </button>` : ''}
                 </div>
                 
                 <div class="batch-indicator" id="batch-indicator" style="display: none;">
@@ -170,9 +185,9 @@ class OptimizedVersionControlUI {
             
             if (hasChanges) {
                 const totalChanges = stats.pendingChanges + (stats.hasUnsavedChanges ? 1 : 0);
-                saveButton.textContent = `💾 Save Changes (${totalChanges})`;
+                saveButton.textContent = `💾 Save Draft (${totalChanges})`;
             } else {
-                saveButton.textContent = '💾 Save Changes';
+                saveButton.textContent = '💾 Save Draft';
             }
         }
         
@@ -268,11 +283,15 @@ class OptimizedVersionControlUI {
     }
 
     /**
-     * Handle save changes with GitHub-style version control
+     * Save pending edits as drafts; they go live from the drafts panel
      */
     async handleSaveChanges() {
         const saveButton = document.getElementById('optimized-save-btn');
         if (!saveButton || saveButton.disabled) return;
+        if (!dbService.hasPermission('save')) {
+            this.showErrorMessage(dbService.checkPermission('save'));
+            return;
+        }
 
         // Show loading state
         const originalText = saveButton.textContent;
@@ -281,64 +300,51 @@ class OptimizedVersionControlUI {
 
         const startTime = Date.now();
 
-try {
-    // 1. Save logo changes first (if any pending)
-    if (window.saveLogoChanges) {
-        console.log('💾 Saving logo changes...');
-        const logoSaveResult = await window.saveLogoChanges();
-        if (!logoSaveResult) {
-            throw new Error('Failed to save logo changes');
-        }
-    }
-
-    // 2. Get description from user
-    const description = this.promptForDescription();
-    
-    // 3. Handle team member changes with GitHub-style approach
-    // Pass pending team member changes to version control instead of saving them first
-    let pendingTeamChanges = null;
-    if (window.aboutAdminManager && window.aboutAdminManager.hasUnsavedChanges) {
-        console.log('📋 Getting pending team member changes for version control...');
-        pendingTeamChanges = window.aboutAdminManager.getPendingChangesForVersionControl();
-    }
-    
-    // 4. Handle rental listing changes with GitHub-style approach
-    let pendingRentalChanges = null;
-    if (window.rentalsAdminManager && window.rentalsAdminManager.hasUnsavedChanges) {
-        console.log('🏠 Getting pending rental listing changes for version control...');
-        pendingRentalChanges = window.rentalsAdminManager.getPendingChangesForVersionControl();
-    }
-    
-    // 5. Save changes with GitHub-style logic (version control handles everything)
-    const result = await this.versionManager.saveChangesGitHubStyle(description, pendingTeamChanges, pendingRentalChanges);
-    
-            
-            if (result.success) {
-                const saveTime = Date.now() - startTime;
-                this.showSuccessMessage(
-                    `✅ Version ${result.version} saved in ${saveTime}ms! (${result.changeCount} changes)`
-                );
-                
-                // Clear team manager pending changes since version control handled them
-                if (window.aboutAdminManager && pendingTeamChanges) {
-                    console.log('🔄 Clearing team manager pending changes...');
-                    window.aboutAdminManager.clearPendingChanges();
-                    // DON'T refresh - let about admin manager handle its own state
-                    // Removed: await window.aboutAdminManager.loadTeamMembersFromDatabase();
-                }
-                
-                // Clear rental manager pending changes since version control handled them
-                if (window.rentalsAdminManager && pendingRentalChanges) {
-                    console.log('🔄 Clearing rental manager pending changes...');
-                    window.rentalsAdminManager.clearPendingChanges();
-                    // DON'T refresh - let rentals admin manager handle its own state
-                    // Removed: await window.rentalsAdminManager.loadRentalListingsFromDatabase();
+        try {
+            // 1. Save logo changes first (if any pending)
+            if (window.saveLogoChanges) {
+                console.log('💾 Saving logo changes...');
+                const logoSaveResult = await window.saveLogoChanges();
+                if (!logoSaveResult) {
+                    throw new Error('Failed to save logo changes');
                 }
-                
-            } else {
+            }
+
+            // 2. Collect pending team member and rental listing changes
+            let pendingTeamChanges = null;
+            if (window.aboutAdminManager && window.aboutAdminManager.hasUnsavedChanges) {
+                console.log('📋 Getting pending team member changes for drafts...');
+                pendingTeamChanges = window.aboutAdminManager.getPendingChangesForVersionControl();
+            }
+
+            let pendingRentalChanges = null;
+            if (window.rentalsAdminManager && window.rentalsAdminManager.hasUnsavedChanges) {
+                console.log('🏠 Getting pending rental listing changes for drafts...');
+                pendingRentalChanges = window.rentalsAdminManager.getPendingChangesForVersionControl();
+            }
+
+            // 3. Stage everything as drafts; versions are created when drafts are published
+            const result = await this.versionManager.saveDrafts(pendingTeamChanges, pendingRentalChanges);
+
+            // Managers reload so their lists show the saved drafts instead of pending edits
+            if (window.aboutAdminManager && pendingTeamChanges) {
+                window.aboutAdminManager.clearPendingChanges();
+            }
+            if (window.rentalsAdminManager && pendingRentalChanges) {
+                window.rentalsAdminManager.clearPendingChanges();
+            }
+            if (window.draftsPanel) {
+                await window.draftsPanel.loadDrafts();
+            }
+
+            if (!result.success) {
                 throw new Error(result.error);
             }
-            
+
+            const saveTime = Date.now() - startTime;
+            this.showSuccessMessage(
+                `✅ Saved ${result.count} draft${result.count === 1 ? '' : 's'} in ${saveTime}ms. Publish them from 📝 Review Drafts.`
+            );
         } catch (error) {
             console.error('❌ Save failed:', error);
             this.showErrorMessage(`Save failed: ${error.message}`);
@@ -371,6 +377,8 @@ try {
      * Create optimized history modal
      */
     createHistoryModal(versions) {
+        this.historyVersions = versions.filter(version => version.version_type !== 'current');
+
         const modal = document.createElement('div');
         modal.className = 'optimized-history-modal';
         modal.innerHTML = `
@@ -424,6 +432,20 @@ try {
             });
         });
 
+        // Compare buttons (version vs. live by default)
+        modal.querySelectorAll('.optimized-compare-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.showCompareModal(parseInt(btn.getAttribute('data-version')), null);
+            });
+        });
+
+        // Partial restore buttons
+        modal.querySelectorAll('.optimized-partial-restore-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.showPartialRestoreModal(parseInt(btn.getAttribute('data-version')), modal);
+            });
+        });
+
         return modal;
     }
 
@@ -455,18 +477,241 @@ try {
                     </div>
                 </div>
                 <div class="version-actions">
+                    ${version.version_type !== 'current' ? `
+                    <button class="optimized-compare-btn" data-version="${version.version_number}">
+                        🔍 Compare
+                    </button>` : ''}
+                    ${dbService.hasPermission('restore') && version.version_type !== 'current' ? `
+                    <button class="optimized-compare-btn optimized-partial-restore-btn" data-version="${version.version_number}">
+                        🎯 Partial Restore
+                    </button>` : ''}
+                    ${dbService.hasPermission('restore') ? `
                     <button class="optimized-restore-btn btn-primary" data-version="${version.version_number}">
                         ${isCached ? '⚡ Instant Restore' : '🔧 Restore'}
-                    </button>
+                    </button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show a side-by-side diff of two versions, or a version against the live state (toVersion null)
+     */
+    showCompareModal(fromVersion, toVersion = null) {
+        document.querySelectorAll('.version-compare-modal').forEach(existing => existing.remove());
+
+        const versionOptions = (selected) => this.historyVersions.map(version => `
+            <option value="${version.version_number}" ${version.version_number === selected ? 'selected' : ''}>
+                v${version.version_number} – ${escapeHtml(version.description || 'No description')}
+            </option>
+        `).join('');
+
+        const modal = document.createElement('div');
+        modal.className = 'optimized-history-modal version-compare-modal';
+        modal.innerHTML = `
+            <div class="optimized-history-content version-compare-content">
+                <div class="history-header">
+                    <h3>🔍 Compare Versions</h3>
+                    <button class="history-close">&times;</button>
+                </div>
+                <div class="version-compare-controls">
+                    <select class="version-compare-from" aria-label="Compare from version">
+                        ${versionOptions(fromVersion)}
+                    </select>
+                    <span>→</span>
+                    <select class="version-compare-to" aria-label="Compare to version">
+                        <option value="live" ${toVersion === null ? 'selected' : ''}>Live (current content)</option>
+                        ${versionOptions(toVersion)}
+                    </select>
+                </div>
+                <div class="history-body version-compare-body">
+                    <p>Loading comparison...</p>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.history-close').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+
+        const fromSelect = modal.querySelector('.version-compare-from');
+        const toSelect = modal.querySelector('.version-compare-to');
+        const loadComparison = () => this.loadComparison(
+            modal,
+            parseInt(fromSelect.value),
+            toSelect.value === 'live' ? null : parseInt(toSelect.value)
+        );
+        fromSelect.addEventListener('change', loadComparison);
+        toSelect.addEventListener('change', loadComparison);
+
+        document.body.appendChild(modal);
+        loadComparison();
+    }
+
+    async loadComparison(modal, fromVersion, toVersion) {
+        const body = modal.querySelector('.version-compare-body');
+        body.innerHTML = '<p>Loading comparison...</p>';
+
+        const result = await this.versionManager.compareVersions(fromVersion, toVersion);
+        if (!modal.isConnected) return;
+
+        if (result.error) {
+            body.innerHTML = `<p class="version-compare-empty">❌ ${escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        body.innerHTML = this.renderComparison(result);
+    }
+
+    renderComparison({ fromLabel, toLabel, groups }, selectable = false) {
+        if (groups.length === 0) {
+            return `<p class="version-compare-empty">✅ No differences between ${fromLabel} and ${toLabel}.</p>`;
+        }
+
+        const renderSide = (parts, hiddenType, markType, tag) => parts
+            .filter(part => part.type !== hiddenType)
+            .map(part => part.type === markType
+                ? `<${tag}>${escapeHtml(part.text)}</${tag}>`
+                : escapeHtml(part.text))
+            .join('') || '<span class="version-compare-blank">(empty)</span>';
+
+        return groups.map(group => `
+            <section class="version-compare-group">
+                <h4>${escapeHtml(group.page)} · ${escapeHtml(group.entity)}</h4>
+                ${group.note ? `<p class="version-compare-empty">${escapeHtml(group.note)}</p>` : ''}
+                ${group.items.map(item => `
+                    <div class="version-compare-item status-${item.status}">
+                        <div class="version-compare-item-header">
+                            ${selectable ? this.renderRestoreCheckbox(group, item) : `<strong>${escapeHtml(item.label)}</strong>`}
+                            <span>${DIFF_STATUS_LABELS[item.status]}</span>
+                        </div>
+                        ${item.fields.map(field => `
+                            ${field.name !== 'content' ? `<div class="version-compare-field">${escapeHtml(field.name)}</div>` : ''}
+                            <div class="version-compare-sides">
+                                <div class="version-compare-side" data-label="${fromLabel}">${renderSide(field.parts, 'insert', 'delete', 'del')}</div>
+                                <div class="version-compare-side" data-label="${toLabel}">${renderSide(field.parts, 'delete', 'insert', 'ins')}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </section>
+        `).join('');
+    }
+
+    /**
+     * Checkbox for one diff item in the partial restore dialog (version on the left, live on the right)
+     */
+    renderRestoreCheckbox(group, item) {
+        // Elements that only exist live have nothing to go back to
+        if (group.type === 'content' && item.status === 'added') {
+            return `<strong>${escapeHtml(item.label)}</strong> <small>(not in this version)</small>`;
+        }
+
+        const hint = item.status === 'added' ? ' <small>(will be removed)</small>' : '';
+        return `
+            <label class="version-restore-pick">
+                <input type="checkbox" data-type="${group.type}" data-key="${escapeHtml(item.key)}">
+                <strong>${escapeHtml(item.label)}</strong>${hint}
+            </label>
+        `;
+    }
+
+    /**
+     * Pick individual elements, team members or listings from a version and restore only those
+     */
+    async showPartialRestoreModal(versionNumber, historyModal) {
+        document.querySelectorAll('.version-compare-modal').forEach(existing => existing.remove());
+
+        const modal = document.createElement('div');
+        modal.className = 'optimized-history-modal version-compare-modal';
+        modal.innerHTML = `
+            <div class="optimized-history-content version-compare-content">
+                <div class="history-header">
+                    <h3>🎯 Partial Restore from v${versionNumber}</h3>
+                    <button class="history-close">&times;</button>
+                </div>
+                <p class="version-compare-controls">
+                    Pick what to bring back from v${versionNumber}. The current state is saved as a new version first, so this can be undone.
+                </p>
+                <div class="history-body version-compare-body">
+                    <p>Loading differences...</p>
+                </div>
+                <div class="version-compare-footer">
+                    <button class="optimized-restore-btn" disabled>🎯 Restore selected</button>
                 </div>
             </div>
         `;
+
+        modal.querySelector('.history-close').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+
+        const body = modal.querySelector('.version-compare-body');
+        const restoreBtn = modal.querySelector('.version-compare-footer .optimized-restore-btn');
+        const getSelection = () => {
+            const selection = { content: [], team_member: [], rental_listing: [] };
+            body.querySelectorAll('.version-restore-pick input:checked').forEach(input => {
+                selection[input.dataset.type].push(input.dataset.key);
+            });
+            return selection;
+        };
+
+        body.addEventListener('change', () => {
+            const count = body.querySelectorAll('.version-restore-pick input:checked').length;
+            restoreBtn.disabled = count === 0;
+            restoreBtn.textContent = count > 0 ? `🎯 Restore ${count} selected` : '🎯 Restore selected';
+        });
+
+        restoreBtn.addEventListener('click', async () => {
+            restoreBtn.disabled = true;
+            restoreBtn.textContent = '⏳ Restoring...';
+            this.isRestoring = true;
+            this.updateUI();
+
+            const result = await this.versionManager.restoreSelected(versionNumber, getSelection());
+
+            this.isRestoring = false;
+            this.updateUI();
+
+            if (result.version) {
+                this.showSuccessMessage(`✅ Restored ${result.restoredCount} items from v${versionNumber}. Restore v${result.version} to undo.`);
+            }
+            if (result.error) {
+                this.showErrorMessage(`Partial restore: ${result.error}`);
+            }
+            if (result.version) {
+                modal.remove();
+                if (historyModal) historyModal.remove();
+            } else {
+                restoreBtn.disabled = false;
+                restoreBtn.textContent = '🎯 Restore selected';
+            }
+        });
+
+        document.body.appendChild(modal);
+
+        const result = await this.versionManager.compareVersions(versionNumber, null);
+        if (!modal.isConnected) return;
+
+        if (result.error) {
+            body.innerHTML = `<p class="version-compare-empty">❌ ${escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        body.innerHTML = this.renderComparison(result, true);
     }
 
     /**
      * Handle fast restoration with progress tracking
      */
     async handleFastRestore(versionNumber, button) {
+        if (!dbService.hasPermission('restore')) {
+            this.showErrorMessage(dbService.checkPermission('restore'));
+            return;
+        }
+        
         const originalText = button.textContent;
         button.textContent = '⏳ Restoring...';
         button.disabled = true;
@@ -651,6 +896,11 @@ try {
      * Handle clear all versions request
      */
     async handleClearAllVersions() {
+        if (!dbService.hasPermission('delete')) {
+            this.showErrorMessage(dbService.checkPermission('delete'));
+            return;
+        }
+        
         // Confirm action with user
         const confirmed = confirm(
             '⚠️ Clear All Versions?\n\n' +
@@ -762,7 +1012,7 @@ try {
         toast.className = `optimized-toast toast-${type}`;
         toast.innerHTML = `
             <div class="toast-content">
-                ${message}
+                ${escapeHtml(message)}
                 <button class="toast-close">&times;</button>
             </div>
         `;
@@ -0,0 +1,117 @@
+-- Audit Log Table for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after admin-users-management.sql
+-- to record who changed what across content, team members, rentals and media
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id UUID, -- No foreign key: ON DELETE actions would have to rewrite history
+    actor_email VARCHAR(255) NOT NULL, -- Kept even if the admin account is later removed
+    action VARCHAR(50) NOT NULL, -- create, update, delete, save, restore, upload
+    entity_type VARCHAR(50) NOT NULL, -- page_content, team_member, rental_listing, rental_application, media, version
+    entity_id VARCHAR(255),
+    page_name VARCHAR(100),
+    summary TEXT,
+    before_data JSONB,
+    after_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Create indexes for the admin view filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+
+-- Append-only: rows can never be changed or removed, not even by the table owner
+CREATE OR REPLACE FUNCTION audit_log_block_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_no_update_delete ON audit_log;
+CREATE TRIGGER audit_log_no_update_delete
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_block_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_block_changes();
+
+-- The browser never touches the table directly
+REVOKE ALL ON audit_log FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE audit_log_id_seq FROM anon, authenticated;
+
+-- Write an entry; the actor comes from the session token, not from the caller
+CREATE OR REPLACE FUNCTION audit_log_write(
+    p_token TEXT,
+    p_action TEXT,
+    p_entity_type TEXT,
+    p_entity_id TEXT DEFAULT NULL,
+    p_page_name TEXT DEFAULT NULL,
+    p_summary TEXT DEFAULT NULL,
+    p_before JSONB DEFAULT NULL,
+    p_after JSONB DEFAULT NULL
+)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_id BIGINT;
+BEGIN
+    SELECT * INTO v_actor FROM admin_validate_session(p_token);
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'SESSION_EXPIRED';
+    END IF;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+    VALUES (v_actor.id, v_actor.email, p_action, p_entity_type, p_entity_id, p_page_name, p_summary, p_before, p_after)
+    RETURNING id INTO v_id;
+
+    RETURN v_id;
+END;
+$$;
+
+-- Read entries for the admin view (owners only), newest first
+CREATE OR REPLACE FUNCTION audit_log_list(
+    p_token TEXT,
+    p_actor_id UUID DEFAULT NULL,
+    p_entity_type TEXT DEFAULT NULL,
+    p_entity_id TEXT DEFAULT NULL,
+    p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_limit INTEGER DEFAULT 500
+)
+RETURNS SETOF audit_log
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_owner(p_token);
+
+    RETURN QUERY
+    SELECT *
+    FROM audit_log a
+    WHERE (p_actor_id IS NULL OR a.actor_id = p_actor_id)
+      AND (p_entity_type IS NULL OR a.entity_type = p_entity_type)
+      AND (p_entity_id IS NULL OR a.entity_id = p_entity_id)
+      AND (p_from IS NULL OR a.created_at >= p_from)
+      AND (p_to IS NULL OR a.created_at < p_to)
+    ORDER BY a.created_at DESC
+    LIMIT LEAST(COALESCE(p_limit, 500), 5000);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION audit_log_write(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION audit_log_list(TEXT, UUID, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, INTEGER) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Audit log table created successfully!' as status;
+SELECT COUNT(*) as audit_entries FROM audit_log;
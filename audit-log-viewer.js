@@ -0,0 +1,327 @@
+/**
+ * Audit Log Viewer
+ * Owner-only view of the append-only audit_log table including:
+ * - Filtering by admin user, entity type / id and date range
+ * - Before / after payloads per entry
+ * - CSV export of the filtered entries
+ */
+
+import dbService from './supabase-client.js';
+import { escapeHtml } from './safe-html.js';
+import { toCsv, downloadFile } from './csv.js';
+
+const ENTITY_LABELS = {
+    page_content: 'Page content',
+    team_member: 'Team member',
+    rental_listing: 'Rental listing',
+    rental_application: 'Rental application',
+    lead: 'Lead',
+    media: 'Media',
+    version: 'Version',
+    draft: 'Draft',
+    listing_feeds: 'Listing feeds'
+};
+
+const ACTION_LABELS = {
+    create: '➕ Created',
+    update: '✏️ Updated',
+    delete: '🗑️ Deleted',
+    save: '💾 Saved',
+    restore: '🔄 Restored',
+    upload: '📤 Uploaded',
+    publish: '🚀 Published',
+    unpublish: '⏹️ Unpublished',
+    rekey: '🔑 Re-keyed'
+};
+
+const CSV_COLUMNS = ['created_at', 'actor_email', 'action', 'entity_type', 'entity_id', 'page_name', 'summary', 'before_data', 'after_data'];
+
+class AuditLogViewer {
+    constructor() {
+        this.dbService = dbService;
+        this.isInitialized = false;
+        this.entries = [];
+        this.filters = { actorId: '', entityType: '', entityId: '', from: '', to: '' };
+        this.modal = null;
+    }
+
+    /**
+     * Add the audit log button for owners
+     */
+    initialize() {
+        if (this.isInitialized || !this.dbService.hasPermission('view_audit_log')) {
+            return;
+        }
+
+        console.log('📜 Initializing Audit Log Viewer...');
+        this.addAdminControls();
+        this.isInitialized = true;
+    }
+
+    cleanup() {
+        const controls = document.getElementById('audit-log-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.closeViewer();
+        this.isInitialized = false;
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('audit-log-controls')) {
+            return;
+        }
+
+        const controls = document.createElement('div');
+        controls.id = 'audit-log-controls';
+        controls.className = 'audit-log-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>📜 Audit Log</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    See who changed what across content, team and rentals.
+                </p>
+                <button id="open-audit-log-btn" class="btn btn-primary" style="background-color: #16a085;">
+                    📜 View Audit Log
+                </button>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        document.getElementById('open-audit-log-btn').addEventListener('click', () => {
+            this.showViewer();
+        });
+    }
+
+    /**
+     * Open the audit log modal
+     */
+    async showViewer() {
+        this.closeViewer();
+
+        const modal = document.createElement('div');
+        modal.className = 'admin-users-modal';
+        modal.innerHTML = `
+            <div class="admin-users-content audit-log-content">
+                <div class="applications-inbox-header">
+                    <h3>📜 Audit Log</h3>
+                    <button type="button" class="applications-inbox-close" aria-label="Close audit log">&times;</button>
+                </div>
+                <form class="applications-inbox-filters audit-log-filters">
+                    <select name="actorId" aria-label="Filter by admin user">
+                        <option value="">All users</option>
+                    </select>
+                    <select name="entityType" aria-label="Filter by entity type">
+                        <option value="">All entities</option>
+                        ${Object.entries(ENTITY_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                    </select>
+                    <input type="text" name="entityId" placeholder="Entity ID" aria-label="Filter by entity ID">
+                    <label>From <input type="date" name="from"></label>
+                    <label>To <input type="date" name="to"></label>
+                    <button type="submit" class="btn-image-manager">🔍 Apply</button>
+                    <button type="button" class="btn-image-manager" id="audit-log-export-btn">⬇️ Export CSV</button>
+                </form>
+                <div class="audit-log-body">
+                    <p>Loading audit log...</p>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.applications-inbox-close').addEventListener('click', () => this.closeViewer());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeViewer();
+        });
+
+        const form = modal.querySelector('.audit-log-filters');
+        Object.entries(this.filters).forEach(([name, value]) => {
+            form.elements[name].value = value;
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            Object.keys(this.filters).forEach(name => {
+                this.filters[name] = form.elements[name].value.trim();
+            });
+            this.loadEntries();
+        });
+        modal.querySelector('#audit-log-export-btn').addEventListener('click', () => this.exportCsv());
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        await this.populateUserFilter();
+        await this.loadEntries();
+    }
+
+    closeViewer() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    async populateUserFilter() {
+        const select = this.modal && this.modal.querySelector('select[name="actorId"]');
+        if (!select) return;
+
+        const { users, error } = await this.dbService.getAdminUsers();
+        if (error) {
+            console.warn('⚠️ Could not load admin users for audit log filter:', error);
+            return;
+        }
+
+        users.forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = user.email;
+            select.appendChild(option);
+        });
+        select.value = this.filters.actorId;
+    }
+
+    /**
+     * Date inputs are local days; "to" includes the whole selected day
+     */
+    getQueryFilters() {
+        const toIso = (dateValue, addDays = 0) => {
+            const date = new Date(`${dateValue}T00:00:00`);
+            date.setDate(date.getDate() + addDays);
+            return date.toISOString();
+        };
+
+        return {
+            actorId: this.filters.actorId,
+            entityType: this.filters.entityType,
+            entityId: this.filters.entityId,
+            from: this.filters.from ? toIso(this.filters.from) : null,
+            to: this.filters.to ? toIso(this.filters.to, 1) : null,
+            limit: 5000
+        };
+    }
+
+    async loadEntries() {
+        const body = this.modal && this.modal.querySelector('.audit-log-body');
+        if (!body) return;
+
+        body.innerHTML = '<p>Loading audit log...</p>';
+
+        const { entries, error } = await this.dbService.getAuditLog(this.getQueryFilters());
+        if (error) {
+            body.innerHTML = `<p style="color: #e74c3c;">Error loading audit log: ${escapeHtml(error)}</p>`;
+            return;
+        }
+
+        this.entries = entries;
+        this.renderEntries(body);
+    }
+
+    renderEntries(body) {
+        if (this.entries.length === 0) {
+            body.innerHTML = '<p class="applications-empty">No audit entries match these filters.</p>';
+            return;
+        }
+
+        body.innerHTML = `
+            <p class="audit-log-count">${this.entries.length} ${this.entries.length === 1 ? 'entry' : 'entries'}</p>
+            <table class="admin-users-table audit-log-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>User</th>
+                        <th>Action</th>
+                        <th>Entity</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.entries.map(entry => this.renderEntry(entry)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderEntry(entry) {
+        const hasPayload = entry.before_data !== null || entry.after_data !== null;
+        const formatPayload = (payload) => payload === null ? '—' : escapeHtml(JSON.stringify(payload, null, 2));
+
+        return `
+            <tr>
+                <td>${new Date(entry.created_at).toLocaleString()}</td>
+                <td>${escapeHtml(entry.actor_email)}</td>
+                <td>${ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</td>
+                <td>
+                    ${escapeHtml(ENTITY_LABELS[entry.entity_type] || entry.entity_type)}
+                    ${entry.entity_id ? `<br><small>${escapeHtml(entry.entity_id)}</small>` : ''}
+                </td>
+                <td>
+                    ${escapeHtml(entry.summary || '')}
+                    ${entry.page_name ? `<br><small>${escapeHtml(entry.page_name)}</small>` : ''}
+                    ${hasPayload ? `
+                        <details class="audit-log-payload">
+                            <summary>Before / after</summary>
+                            <div class="audit-log-payload-grid">
+                                <div><h5>Before</h5><pre>${formatPayload(entry.before_data)}</pre></div>
+                                <div><h5>After</h5><pre>${formatPayload(entry.after_data)}</pre></div>
+                            </div>
+                        </details>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Download the currently filtered entries as CSV
+     */
+    exportCsv() {
+        if (this.entries.length === 0) {
+            alert('There are no audit entries to export.');
+            return;
+        }
+
+        downloadFile(
+            toCsv(CSV_COLUMNS, this.entries),
+            `audit-log-${new Date().toISOString().slice(0, 10)}.csv`,
+            'text/csv;charset=utf-8'
+        );
+
+        console.log(`📜 Exported ${this.entries.length} audit entries to CSV`);
+    }
+}
+
+// Create global instance
+const auditLogViewer = new AuditLogViewer();
+
+// Make globally available for debugging and integration
+window.auditLogViewer = auditLogViewer;
+
+// Auto-initialize when an owner logs in
+document.addEventListener('DOMContentLoaded', () => {
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    auditLogViewer.initialize();
+                } else {
+                    auditLogViewer.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        auditLogViewer.initialize();
+    }
+});
+
+export default auditLogViewer;
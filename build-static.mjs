@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * Wolf Property Management - Static Build
+ *
+ * Renders every page with the live Supabase content baked into the HTML, so visitors and
+ * search engines get the real text before any script runs:
+ * - website_content rows applied to their content keys (CONTENT_MAPPING)
+ * - team_members on about.html
+ * - rental_listings in the rentals grid and the recently leased showcase, plus one page
+ *   per listed rental under listings/
+ * - Title, description, canonical and social tags plus JSON-LD structured data on every page,
+ *   and a sitemap.xml and robots.txt for the site
+ * The page scripts still run on top of the pre-rendered pages and update anything that
+ * changed after the build (and everything in admin mode).
+ *
+ * Usage:
+ *   npm run build                    (writes dist/)
+ *   node build-static.mjs --out public
+ *
+ * Reads with the anon key from supabase-config.js; SUPABASE_URL and SUPABASE_ANON_KEY
+ * override it (e.g. for a staging project). SITE_URL overrides SEO_CONFIG.siteUrl.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { createClient } from '@supabase/supabase-js';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Pages to render; other root files are copied as they are
+const PAGES = ['index.html', 'about.html', 'rentals.html', 'contact.html'];
+
+// Node scripts and repo files that don't belong on the site
+const EXCLUDED_FILES = ['setup-database.js', 'deploy-changes.js', 'update-image-urls.js', 'build-static.mjs'];
+// Test, debug and one-off fix scripts: not copied, and their <script> tags are dropped from the pages
+const EXCLUDED_PATTERNS = [/^test-.*\.js$/, /^debug-.*\.js$/, /^emergency-fix\.js$/];
+const COPIED_EXTENSIONS = ['.js', '.css', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico'];
+
+function getOutputDir() {
+    const flagIndex = process.argv.indexOf('--out');
+    const outDir = path.resolve(ROOT_DIR, flagIndex > -1 ? process.argv[flagIndex + 1] || '' : 'dist');
+
+    // The output folder is emptied first: never let that be the project itself
+    if (outDir === ROOT_DIR || !outDir.startsWith(`${ROOT_DIR}${path.sep}`)) {
+        console.error(`❌ Output folder must be inside the project: ${outDir}`);
+        process.exit(1);
+    }
+    return outDir;
+}
+
+/**
+ * The shared browser modules (templates, sanitizer, content keys) expect a DOM; give them one
+ */
+function installDomGlobals() {
+    const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>');
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.Node = window.Node;
+}
+
+async function fetchRows(supabase, table, query) {
+    const { data, error } = await query(supabase.from(table).select('*'));
+    if (error) {
+        throw new Error(`Could not load ${table}: ${error.message}`);
+    }
+    console.log(`📚 ${table}: ${data.length} rows`);
+    return data;
+}
+
+async function loadDatabaseContent(config) {
+    // No sessions: with the DOM globals installed the client would otherwise start browser token refreshes
+    const supabase = createClient(process.env.SUPABASE_URL || config.url, process.env.SUPABASE_ANON_KEY || config.anonKey, {
+        auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+    });
+
+    const [contentRows, teamMembers, rentalListings] = await Promise.all([
+        fetchRows(supabase, 'website_content', query => query
+            .eq('is_active', true)
+            .order('updated_at', { ascending: false })),
+        fetchRows(supabase, 'team_members', query => query
+            .eq('page_name', 'about.html')
+            .eq('is_active', true)
+            .order('sort_order')),
+        fetchRows(supabase, 'rental_listings', query => query
+            .eq('is_active', true)
+            .order('sort_order', { ascending: true }))
+    ]);
+
+    // Latest row per page and element, as loadContentFromDatabase() picks them
+    const contentByPage = {};
+    contentRows.forEach(row => {
+        if (row.content_text === null) return;
+        const pageContent = contentByPage[row.page_name] = contentByPage[row.page_name] || {};
+        if (!pageContent[row.element_id]) {
+            pageContent[row.element_id] = row;
+        }
+    });
+
+    return { contentByPage, teamMembers, rentalListings };
+}
+
+function isExcludedFile(file) {
+    return EXCLUDED_FILES.includes(file) || EXCLUDED_PATTERNS.some(pattern => pattern.test(file));
+}
+
+function readPage(pageName) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT_DIR, pageName), 'utf8'));
+    // Excluded scripts aren't copied, so their tags would only 404 on the built site
+    dom.window.document.querySelectorAll('script[src]').forEach(script => {
+        if (isExcludedFile(path.basename(script.getAttribute('src')))) {
+            script.remove();
+        }
+    });
+    return dom;
+}
+
+function writePage(dom, outDir, fileName) {
+    const filePath = path.join(outDir, fileName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, dom.serialize());
+    dom.window.close();
+}
+
+/**
+ * Apply the page's website_content rows to their content keys. Rows saved under legacy
+ * text-derived IDs are left to the runtime loader, which can still match them.
+ * @returns {{ applied: number, skipped: string[] }}
+ */
+function applyPageContent(document, pageName, pageContent, modules) {
+    modules.annotateContentKeys(document, pageName);
+    const keyedElements = new Map(
+        Array.from(document.querySelectorAll('[data-content-key]')).map(element => [element.dataset.contentKey, element])
+    );
+
+    let applied = 0;
+    const skipped = [];
+    Object.values(pageContent || {}).forEach(row => {
+        // Metadata rows are written into the head by applyPageSeo()
+        if (modules.isSeoKey(row.element_id)) return;
+
+        const element = keyedElements.get(row.element_id);
+        if (element) {
+            modules.setElementContent(element, row.content_text, row.content_type);
+            applied++;
+        } else {
+            skipped.push(row.element_id);
+        }
+    });
+
+    return { applied, skipped };
+}
+
+/**
+ * Head metadata and structured data for a page, or for a listing page when a listing is given
+ */
+function applyPageSeo(document, pageName, pageContent, modules, listing = null) {
+    const overrides = Object.fromEntries(Object.values(pageContent || {}).map(row => [row.element_id, row.content_text]));
+    const meta = listing
+        ? modules.resolveListingMeta(listing, { siteUrl: modules.siteUrl })
+        : modules.resolvePageMeta(pageName, overrides, modules.siteUrl);
+
+    modules.applyPageMeta(document, meta);
+    modules.setJsonLd(document, 'business', modules.businessJsonLd(modules.siteUrl));
+    if (listing) {
+        modules.setJsonLd(document, 'listing', modules.listingJsonLd(listing, { siteUrl: modules.siteUrl }));
+    }
+}
+
+function renderTeamMembers(document, teamMembers, modules) {
+    const sectionHeader = document.querySelector('.team-members .container .section-header');
+    if (!sectionHeader) return;
+
+    // Same insertion as AboutAdminManager.renderTeamMembers(), so the order doesn't change on load
+    teamMembers.forEach(member => {
+        sectionHeader.insertAdjacentHTML('afterend', modules.teamMemberHtml(member).toString());
+    });
+    console.log(`   ✅ ${teamMembers.length} team members`);
+}
+
+/**
+ * Listed rentals in the default "most recent" order of the search panel
+ */
+function getVisibleListings(rentalListings, modules) {
+    const time = (value) => new Date(value).getTime() || 0;
+    return rentalListings
+        .filter(listing => modules.isPubliclyListed(listing))
+        .sort((a, b) => (time(b.created_at) - time(a.created_at)) || ((a.sort_order || 0) - (b.sort_order || 0)));
+}
+
+function renderListingsGrid(document, rentalListings, modules) {
+    const listings = getVisibleListings(rentalListings, modules);
+    const container = document.getElementById('listings-container');
+    if (!container) return;
+
+    const sampleListing = container.querySelector('[data-listing-id="sample"]');
+    if (sampleListing) {
+        sampleListing.remove();
+    }
+    container.insertAdjacentHTML('beforeend', listings.map(listing => modules.listingCardHtml(listing)).join(''));
+
+    const noListings = document.getElementById('no-listings');
+    if (noListings) {
+        noListings.style.display = listings.length === 0 ? 'block' : 'none';
+    }
+
+    const recentlyLeased = modules.getRecentlyLeased(rentalListings);
+    const leasedSection = document.getElementById('recently-leased');
+    const leasedContainer = document.getElementById('recently-leased-container');
+    if (leasedSection && leasedContainer) {
+        leasedSection.hidden = recentlyLeased.length === 0;
+        leasedContainer.innerHTML = recentlyLeased.map(listing => modules.leasedCardHtml(listing)).join('');
+    }
+
+    console.log(`   ✅ ${listings.length} listings, ${recentlyLeased.length} recently leased`);
+}
+
+/**
+ * One page per listed rental: rentals.html opened on the listing's detail view.
+ * <base> keeps the page's relative links and scripts pointing at the site root.
+ */
+function renderListingPages(outDir, pageContent, rentalListings, modules) {
+    const listings = getVisibleListings(rentalListings, modules);
+
+    listings.forEach(listing => {
+        const dom = readPage('rentals.html');
+        const { document } = dom.window;
+        applyPageContent(document, 'rentals.html', pageContent, modules);
+
+        const base = document.createElement('base');
+        base.href = '../';
+        document.head.prepend(base);
+        applyPageSeo(document, 'rentals.html', pageContent, modules, listing);
+        document.documentElement.dataset.prerendered = modules.builtAt;
+        document.body.dataset.listingPage = String(listing.id);
+        document.body.classList.add('listing-detail-mode');
+
+        const sampleListing = document.querySelector('#listings-container [data-listing-id="sample"]');
+        if (sampleListing) {
+            sampleListing.remove();
+        }
+
+        const detail = document.getElementById('listing-detail');
+        detail.hidden = false;
+        detail.innerHTML = modules.listingDetailHtml(listing);
+
+        writePage(dom, outDir, modules.getListingPagePath(listing));
+    });
+
+    console.log(`🏠 Rendered ${listings.length} listing pages into ${modules.LISTING_PAGES_DIR}/`);
+}
+
+/**
+ * sitemap.xml with every rendered page and listing page, and a robots.txt pointing at it
+ */
+function writeSitemap(outDir, contentByPage, rentalListings, modules) {
+    const latest = (rows) => rows.map(row => row.updated_at).filter(Boolean).sort().pop() || modules.builtAt;
+    const entries = [
+        ...PAGES.map(pageName => ({
+            url: modules.getPageUrl(pageName, modules.siteUrl),
+            lastModified: latest(Object.values(contentByPage[pageName] || {}))
+        })),
+        ...getVisibleListings(rentalListings, modules).map(listing => ({
+            url: modules.getListingUrl(listing, modules.siteUrl),
+            lastModified: listing.updated_at || modules.builtAt
+        }))
+    ];
+
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), modules.sitemapXml(entries));
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), modules.robotsTxt(modules.siteUrl));
+    console.log(`🗺️ sitemap.xml with ${entries.length} URLs and robots.txt`);
+}
+
+function copyStaticFiles(outDir) {
+    const files = fs.readdirSync(ROOT_DIR).filter(file =>
+        COPIED_EXTENSIONS.includes(path.extname(file)) &&
+        !isExcludedFile(file) &&
+        fs.statSync(path.join(ROOT_DIR, file)).isFile()
+    );
+    files.forEach(file => fs.copyFileSync(path.join(ROOT_DIR, file), path.join(outDir, file)));
+    console.log(`📁 Copied ${files.length} scripts, styles and images`);
+}
+
+async function build() {
+    const outDir = getOutputDir();
+    console.log(`🏗️ Building static site into ${path.relative(ROOT_DIR, outDir)}/`);
+
+    installDomGlobals();
+    const [{ SUPABASE_CONFIG, SEO_CONFIG }, contentKeys, richText, listingStatus, templates, seo] = await Promise.all([
+        import('./supabase-config.js'),
+        import('./content-keys.js'),
+        import('./rich-text.js'),
+        import('./listing-status.js'),
+        import('./page-templates.js'),
+        import('./seo.js')
+    ]);
+    const modules = {
+        ...contentKeys,
+        ...richText,
+        ...listingStatus,
+        ...templates,
+        ...seo,
+        siteUrl: process.env.SITE_URL || SEO_CONFIG.siteUrl,
+        builtAt: new Date().toISOString()
+    };
+
+    const { contentByPage, teamMembers, rentalListings } = await loadDatabaseContent(SUPABASE_CONFIG);
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    copyStaticFiles(outDir);
+
+    PAGES.forEach(pageName => {
+        console.log(`📝 ${pageName}`);
+        const dom = readPage(pageName);
+        const { document } = dom.window;
+
+        const { applied, skipped } = applyPageContent(document, pageName, contentByPage[pageName], modules);
+        console.log(`   ✅ ${applied} content items${skipped.length ? `, ${skipped.length} left to the runtime loader (${skipped.join(', ')})` : ''}`);
+        if (pageName === 'about.html') {
+            renderTeamMembers(document, teamMembers, modules);
+        }
+        if (pageName === 'rentals.html') {
+            renderListingsGrid(document, rentalListings, modules);
+        }
+        applyPageSeo(document, pageName, contentByPage[pageName], modules);
+
+        // Lets the page scripts know the database content is already in place
+        document.documentElement.dataset.prerendered = modules.builtAt;
+        writePage(dom, outDir, pageName);
+    });
+
+    renderListingPages(outDir, contentByPage['rentals.html'], rentalListings, modules);
+    writeSitemap(outDir, contentByPage, rentalListings, modules);
+
+    window.close();
+    console.log(`🎉 Static build complete: ${path.relative(ROOT_DIR, outDir)}/`);
+}
+
+build().catch(error => {
+    console.error('💥 Static build failed:', error.message);
+    process.exit(1);
+});
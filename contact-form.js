@@ -0,0 +1,121 @@
+/**
+ * Contact Form
+ * Inquiry form on the contact page including:
+ * - Inquiry types from LEAD_CONFIG (contact.html?inquiry=<type> preselects one)
+ * - Honeypot field and a short resubmit cooldown (leads_submit rate limits server-side)
+ * - Submission to the leads table for the admin lead inbox
+ */
+
+import dbService from './supabase-client.js';
+import { LEAD_CONFIG } from './supabase-config.js';
+
+const COOLDOWN_STORAGE_KEY = 'contact_form_last_submit';
+const COOLDOWN_MS = 60 * 1000;
+
+class ContactForm {
+    constructor() {
+        this.form = null;
+        this.isSubmitting = false;
+    }
+
+    initialize() {
+        this.form = document.getElementById('inquiry-form');
+        if (!this.form) return;
+
+        const typeSelect = this.form.elements.inquiryType;
+        Object.entries(LEAD_CONFIG.inquiryTypes).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+
+        const requestedType = new URLSearchParams(window.location.search).get('inquiry');
+        if (requestedType && LEAD_CONFIG.inquiryTypes[requestedType]) {
+            typeSelect.value = requestedType;
+        }
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        console.log('✉️ Contact form ready');
+    }
+
+    showMessage(text, type) {
+        const message = this.form.querySelector('.application-message');
+        message.textContent = text;
+        message.className = `application-message ${type}`;
+    }
+
+    /**
+     * Returns an error message, or null when the form can be sent
+     */
+    validate(values) {
+        if (!values.inquiryType) return 'Please choose what your inquiry is about.';
+        if (!values.name) return 'Please enter your name.';
+        if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(values.email)) return 'Please enter a valid email address.';
+        if (!values.message) return 'Please enter a message.';
+        return null;
+    }
+
+    async submit() {
+        if (this.isSubmitting) return;
+
+        const elements = this.form.elements;
+        const values = {
+            inquiryType: elements.inquiryType.value,
+            name: elements.name.value.trim(),
+            email: elements.email.value.trim(),
+            phone: elements.phone.value.trim(),
+            propertyAddress: elements.propertyAddress.value.trim(),
+            message: elements.message.value.trim(),
+            honeypot: elements.website.value
+        };
+
+        const validationError = this.validate(values);
+        if (validationError) {
+            this.showMessage(validationError, 'error');
+            return;
+        }
+
+        const lastSubmit = parseInt(localStorage.getItem(COOLDOWN_STORAGE_KEY) || '0');
+        if (Date.now() - lastSubmit < COOLDOWN_MS) {
+            this.showMessage('Your message was just sent. Please wait a minute before sending another.', 'error');
+            return;
+        }
+
+        this.isSubmitting = true;
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Sending...';
+
+        const { error } = await dbService.submitLead(values);
+
+        this.isSubmitting = false;
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Send Message';
+
+        if (error) {
+            this.showMessage(`Could not send your message: ${error}`, 'error');
+            return;
+        }
+
+        localStorage.setItem(COOLDOWN_STORAGE_KEY, String(Date.now()));
+        this.form.reset();
+        this.showMessage('Thank you! Your message has been sent and our team will get back to you within 1 business day.', 'success');
+    }
+}
+
+// Create global instance
+const contactForm = new ContactForm();
+
+// Make globally available for debugging and integration
+window.contactForm = contactForm;
+
+document.addEventListener('DOMContentLoaded', () => {
+    contactForm.initialize();
+});
+
+export default contactForm;
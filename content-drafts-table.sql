@@ -0,0 +1,444 @@
+-- Content Drafts and Scheduled Publishing for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after audit-log-table.sql
+-- so saved changes are staged as drafts and only go live when published
+
+CREATE TABLE IF NOT EXISTS content_drafts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    page_name VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL CHECK (entity_type IN ('page_content', 'team_member', 'rental_listing')),
+    entity_id VARCHAR(255) NOT NULL, -- element_id, row id, or temp_... for rows that don't exist yet
+    operation VARCHAR(20) NOT NULL DEFAULT 'upsert' CHECK (operation IN ('upsert', 'delete')),
+    label TEXT,
+    payload JSONB, -- {"content": "..."} for page content, the full row for team members / listings
+    previous_payload JSONB, -- Live value replaced on publish, put back on unpublish
+    published_entity_id VARCHAR(255), -- Row id once published (differs from entity_id for temp_ rows)
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'scheduled', 'published', 'unpublished', 'discarded')),
+    publish_at TIMESTAMP WITH TIME ZONE,
+    unpublish_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID,
+    created_by_email VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One open draft per element / row; saving again updates it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_drafts_open
+    ON content_drafts(page_name, entity_type, entity_id)
+    WHERE status IN ('draft', 'scheduled');
+CREATE INDEX IF NOT EXISTS idx_content_drafts_status ON content_drafts(status, publish_at);
+
+-- Drafts are admin-only; the browser goes through the functions below
+REVOKE ALL ON content_drafts FROM anon, authenticated;
+
+-- Returns the signed-in admin when their role is in p_roles
+CREATE OR REPLACE FUNCTION admin_require_role(p_token TEXT, p_roles TEXT[], OUT actor_id UUID, OUT actor_email VARCHAR)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+BEGIN
+    SELECT * INTO v_actor FROM admin_validate_session(p_token);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'SESSION_EXPIRED';
+    END IF;
+    IF NOT (v_actor.role = ANY (p_roles)) THEN
+        RAISE EXCEPTION 'PERMISSION_DENIED';
+    END IF;
+
+    actor_id := v_actor.id;
+    actor_email := v_actor.email;
+END;
+$$;
+
+-- Insert (p_id NULL) or update a team_members / rental_listings row from a JSON payload.
+-- Only keys that are real columns are written, so table defaults still apply on insert.
+CREATE OR REPLACE FUNCTION content_drafts_write_row(p_table TEXT, p_id UUID, p_payload JSONB)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_columns TEXT;
+    v_values TEXT;
+    v_id UUID;
+BEGIN
+    IF p_table NOT IN ('team_members', 'rental_listings') THEN
+        RAISE EXCEPTION 'UNSUPPORTED_TABLE';
+    END IF;
+
+    SELECT string_agg(quote_ident(c.column_name), ', '),
+           string_agg('r.' || quote_ident(c.column_name), ', ')
+    INTO v_columns, v_values
+    FROM information_schema.columns c
+    WHERE c.table_schema = 'public'
+      AND c.table_name = p_table
+      AND c.column_name NOT IN ('id', 'created_at')
+      AND p_payload ? c.column_name;
+
+    IF v_columns IS NULL THEN
+        RETURN p_id;
+    END IF;
+
+    IF p_id IS NULL THEN
+        EXECUTE format(
+            'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) r RETURNING id',
+            p_table, v_columns, v_values, p_table
+        ) INTO v_id USING p_payload;
+    ELSE
+        EXECUTE format(
+            'UPDATE %I t SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1) r) WHERE t.id = $2 RETURNING t.id',
+            p_table, v_columns, v_values, p_table
+        ) INTO v_id USING p_payload, p_id;
+    END IF;
+
+    RETURN v_id;
+END;
+$$;
+
+-- Make one open draft live and remember what it replaced
+CREATE OR REPLACE FUNCTION content_drafts_apply(p_draft_id UUID, p_actor_id UUID, p_actor_email TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_draft content_drafts%ROWTYPE;
+    v_table TEXT;
+    v_row_id UUID;
+    v_content_id UUID;
+    v_previous JSONB;
+BEGIN
+    SELECT * INTO v_draft
+    FROM content_drafts
+    WHERE id = p_draft_id AND status IN ('draft', 'scheduled')
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF v_draft.entity_type = 'page_content' THEN
+        -- payload->>'content_type' is 'html' for rich-text elements (sanitized by the editor)
+        SELECT wc.id, jsonb_build_object('content', wc.content_text, 'content_type', wc.content_type)
+        INTO v_content_id, v_previous
+        FROM website_content wc
+        WHERE wc.page_name = v_draft.page_name AND wc.element_id = v_draft.entity_id AND wc.is_active = true
+        ORDER BY wc.updated_at DESC
+        LIMIT 1;
+
+        IF v_content_id IS NOT NULL THEN
+            UPDATE website_content
+            SET content_text = v_draft.payload->>'content',
+                content_type = COALESCE(v_draft.payload->>'content_type', 'text'),
+                updated_at = NOW()
+            WHERE id = v_content_id;
+        ELSE
+            INSERT INTO website_content (page_name, element_id, content_text, content_type, is_active)
+            VALUES (v_draft.page_name, v_draft.entity_id, v_draft.payload->>'content',
+                    COALESCE(v_draft.payload->>'content_type', 'text'), true);
+        END IF;
+    ELSE
+        v_table := CASE v_draft.entity_type WHEN 'team_member' THEN 'team_members' ELSE 'rental_listings' END;
+
+        IF v_draft.entity_id LIKE 'temp\_%' THEN
+            -- New row; a delete draft for a row that never went live has nothing to do
+            IF v_draft.operation = 'upsert' THEN
+                v_row_id := content_drafts_write_row(
+                    v_table, NULL,
+                    (v_draft.payload - 'id') || jsonb_build_object('is_active', true, 'updated_at', NOW())
+                );
+            END IF;
+        ELSE
+            v_row_id := v_draft.entity_id::UUID;
+            EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE t.id = $1', v_table)
+            INTO v_previous USING v_row_id;
+
+            IF v_draft.operation = 'delete' THEN
+                PERFORM content_drafts_write_row(v_table, v_row_id, jsonb_build_object('is_active', false, 'updated_at', NOW()));
+            ELSE
+                PERFORM content_drafts_write_row(v_table, v_row_id, v_draft.payload || jsonb_build_object('updated_at', NOW()));
+            END IF;
+        END IF;
+    END IF;
+
+    UPDATE content_drafts
+    SET status = 'published',
+        previous_payload = v_previous,
+        published_entity_id = COALESCE(v_row_id::TEXT, entity_id),
+        published_at = NOW(),
+        updated_at = NOW()
+    WHERE id = v_draft.id;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+    VALUES (p_actor_id, p_actor_email, 'publish', v_draft.entity_type, COALESCE(v_row_id::TEXT, v_draft.entity_id),
+            v_draft.page_name, 'Published draft ' || COALESCE(v_draft.label, v_draft.entity_id), v_previous, v_draft.payload);
+END;
+$$;
+
+-- Take a published draft back down: restore what it replaced, or hide what it added
+CREATE OR REPLACE FUNCTION content_drafts_revert(p_draft_id UUID, p_actor_id UUID, p_actor_email TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_draft content_drafts%ROWTYPE;
+    v_table TEXT;
+BEGIN
+    SELECT * INTO v_draft
+    FROM content_drafts
+    WHERE id = p_draft_id AND status = 'published'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF v_draft.entity_type = 'page_content' THEN
+        IF v_draft.previous_payload IS NULL THEN
+            UPDATE website_content
+            SET is_active = false, updated_at = NOW()
+            WHERE page_name = v_draft.page_name AND element_id = v_draft.entity_id AND is_active = true;
+        ELSE
+            UPDATE website_content
+            SET content_text = v_draft.previous_payload->>'content',
+                content_type = COALESCE(v_draft.previous_payload->>'content_type', 'text'),
+                updated_at = NOW()
+            WHERE page_name = v_draft.page_name AND element_id = v_draft.entity_id AND is_active = true;
+        END IF;
+    ELSIF v_draft.published_entity_id IS NOT NULL AND v_draft.published_entity_id NOT LIKE 'temp\_%' THEN
+        v_table := CASE v_draft.entity_type WHEN 'team_member' THEN 'team_members' ELSE 'rental_listings' END;
+
+        IF v_draft.previous_payload IS NULL THEN
+            PERFORM content_drafts_write_row(v_table, v_draft.published_entity_id::UUID,
+                jsonb_build_object('is_active', false, 'updated_at', NOW()));
+        ELSE
+            PERFORM content_drafts_write_row(v_table, v_draft.published_entity_id::UUID,
+                v_draft.previous_payload || jsonb_build_object('updated_at', NOW()));
+        END IF;
+    END IF;
+
+    UPDATE content_drafts
+    SET status = 'unpublished', updated_at = NOW()
+    WHERE id = v_draft.id;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+    VALUES (p_actor_id, p_actor_email, 'unpublish', v_draft.entity_type, v_draft.published_entity_id,
+            v_draft.page_name, 'Unpublished ' || COALESCE(v_draft.label, v_draft.entity_id), v_draft.payload, v_draft.previous_payload);
+END;
+$$;
+
+-- Create or update the open draft for an element / row
+CREATE OR REPLACE FUNCTION content_drafts_save(
+    p_token TEXT,
+    p_page_name TEXT,
+    p_entity_type TEXT,
+    p_entity_id TEXT,
+    p_operation TEXT,
+    p_label TEXT,
+    p_payload JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_id UUID;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    UPDATE content_drafts d
+    SET operation = p_operation, label = p_label, payload = p_payload, updated_at = NOW()
+    WHERE d.page_name = p_page_name
+      AND d.entity_type = p_entity_type
+      AND d.entity_id = p_entity_id
+      AND d.status IN ('draft', 'scheduled')
+    RETURNING d.id INTO v_id;
+
+    IF v_id IS NULL THEN
+        INSERT INTO content_drafts (page_name, entity_type, entity_id, operation, label, payload, created_by, created_by_email)
+        VALUES (p_page_name, p_entity_type, p_entity_id, p_operation, p_label, p_payload, v_actor.actor_id, v_actor.actor_email)
+        RETURNING id INTO v_id;
+    END IF;
+
+    RETURN v_id;
+END;
+$$;
+
+-- Open drafts for a page (all pages when p_page_name is NULL), plus live drafts still waiting to unpublish
+CREATE OR REPLACE FUNCTION content_drafts_list(p_token TEXT, p_page_name TEXT DEFAULT NULL)
+RETURNS SETOF content_drafts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent', 'viewer']);
+
+    RETURN QUERY
+    SELECT *
+    FROM content_drafts d
+    WHERE (p_page_name IS NULL OR d.page_name = p_page_name)
+      AND (d.status IN ('draft', 'scheduled')
+           OR (d.status = 'published' AND d.unpublish_at IS NOT NULL))
+    ORDER BY d.created_at;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION content_drafts_discard(p_token TEXT, p_ids UUID[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    UPDATE content_drafts
+    SET status = 'discarded', updated_at = NOW()
+    WHERE id = ANY (p_ids) AND status IN ('draft', 'scheduled');
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+-- Set or clear the publish / unpublish times; a draft with a publish time becomes 'scheduled'
+CREATE OR REPLACE FUNCTION content_drafts_schedule(
+    p_token TEXT,
+    p_id UUID,
+    p_publish_at TIMESTAMP WITH TIME ZONE,
+    p_unpublish_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor']);
+
+    IF p_publish_at IS NOT NULL AND p_unpublish_at IS NOT NULL AND p_unpublish_at <= p_publish_at THEN
+        RAISE EXCEPTION 'INVALID_SCHEDULE';
+    END IF;
+
+    UPDATE content_drafts
+    SET publish_at = CASE WHEN status = 'published' THEN publish_at ELSE p_publish_at END,
+        unpublish_at = p_unpublish_at,
+        status = CASE
+            WHEN status = 'published' THEN status
+            WHEN p_publish_at IS NULL THEN 'draft'
+            ELSE 'scheduled'
+        END,
+        updated_at = NOW()
+    WHERE id = p_id AND status IN ('draft', 'scheduled', 'published');
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'DRAFT_NOT_FOUND';
+    END IF;
+END;
+$$;
+
+-- Publish now
+CREATE OR REPLACE FUNCTION content_drafts_publish(p_token TEXT, p_ids UUID[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_draft_id UUID;
+    v_count INTEGER := 0;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor']);
+
+    FOR v_draft_id IN
+        SELECT id FROM content_drafts
+        WHERE id = ANY (p_ids) AND status IN ('draft', 'scheduled')
+        ORDER BY created_at
+    LOOP
+        PERFORM content_drafts_apply(v_draft_id, v_actor.actor_id, v_actor.actor_email);
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$;
+
+-- Run everything that is due. Only executes schedules admins already set. Run by the pg_cron
+-- job below (as the database owner); nobody else may call it directly.
+CREATE OR REPLACE FUNCTION publish_due_drafts()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_draft_id UUID;
+    v_count INTEGER := 0;
+BEGIN
+    FOR v_draft_id IN
+        SELECT id FROM content_drafts
+        WHERE status = 'scheduled' AND publish_at <= NOW()
+        ORDER BY publish_at
+    LOOP
+        PERFORM content_drafts_apply(v_draft_id, NULL, 'scheduler');
+        v_count := v_count + 1;
+    END LOOP;
+
+    FOR v_draft_id IN
+        SELECT id FROM content_drafts
+        WHERE status = 'published' AND unpublish_at <= NOW()
+        ORDER BY unpublish_at
+    LOOP
+        PERFORM content_drafts_revert(v_draft_id, NULL, 'scheduler');
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$;
+
+-- The same for an admin session, which runs anything overdue when it starts
+CREATE OR REPLACE FUNCTION content_drafts_publish_due(p_token TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor']);
+    RETURN publish_due_drafts();
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_require_role(TEXT, TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION content_drafts_write_row(TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION content_drafts_apply(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION content_drafts_revert(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_drafts_save(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_drafts_list(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_drafts_discard(TEXT, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_drafts_schedule(TEXT, UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_drafts_publish(TEXT, UUID[]) TO anon, authenticated;
+REVOKE EXECUTE ON FUNCTION publish_due_drafts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_drafts_publish_due(TEXT) TO anon, authenticated;
+
+-- Scheduled publishing: enable the pg_cron extension (Database > Extensions), then run once
+-- SELECT cron.schedule('publish-due-drafts', '* * * * *', 'SELECT publish_due_drafts()');
+
+-- Verify setup
+SELECT 'Content drafts installed successfully!' as status;
+SELECT status, COUNT(*) FROM content_drafts GROUP BY status;
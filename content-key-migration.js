@@ -0,0 +1,183 @@
+/**
+ * Content Key Migration
+ * One-time re-keying of website_content rows saved under text-derived element IDs:
+ * - Loads each CONTENT_MAPPING page's HTML and annotates its content keys
+ * - Matches every legacy element_id to the key whose element would have generated it
+ * - Reports rows that could not be matched; re-keys the rest through content_keys_apply
+ *
+ * Usage (browser console, signed in as an owner, after content-keys-migration.sql):
+ *   await contentKeyMigration.run()                 // dry run, prints the report
+ *   await contentKeyMigration.run({ apply: true })  // re-key the matched rows
+ */
+
+import dbService from './supabase-client.js';
+import { CONTENT_MAPPING } from './supabase-config.js';
+import { annotateContentKeys, legacyElementId } from './content-keys.js';
+import { isSeoKey } from './seo.js';
+
+class ContentKeyMigration {
+    constructor() {
+        this.dbService = dbService;
+    }
+
+    /**
+     * Scan every mapped page and optionally re-key the rows that matched
+     * @param {Object} options - { apply: boolean }
+     * @returns {Promise<Object[]>} one report per page
+     */
+    async run({ apply = false } = {}) {
+        if (apply) {
+            const permissionError = this.dbService.checkPermission('migrate_content');
+            if (permissionError) {
+                console.error(`❌ ${permissionError}`);
+                return [];
+            }
+        }
+
+        console.log(`🔑 ${apply ? 'Re-keying' : 'Scanning (dry run)'} content rows...`);
+        const reports = [];
+
+        for (const pageName of Object.keys(CONTENT_MAPPING)) {
+            const report = await this.scanPage(pageName);
+            reports.push(report);
+            this.printReport(report);
+
+            if (apply && !report.error && Object.keys(report.aliases).length > 0) {
+                const { count, error } = await this.dbService.applyContentKeys(pageName, report.aliases);
+                report.applied = error ? 0 : count;
+                if (error) {
+                    report.error = error;
+                    console.error(`❌ Could not re-key ${pageName}: ${error}`);
+                }
+            }
+        }
+
+        const unmatched = reports.reduce((total, report) => total + report.unmatched.length, 0);
+        console.log(`🔑 Done. ${unmatched} legacy element IDs could not be matched${apply ? '' : '; run({ apply: true }) to re-key the rest'}.`);
+        return reports;
+    }
+
+    /**
+     * Work out which content key each legacy element_id on a page belongs to
+     */
+    async scanPage(pageName) {
+        const report = { pageName, aliases: {}, unmatched: [], missingKeys: [], applied: 0, error: null };
+
+        let doc;
+        try {
+            const response = await fetch(pageName, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        } catch (error) {
+            report.error = `Could not load ${pageName}: ${error.message}`;
+            return report;
+        }
+
+        const { data: rows, error } = await this.dbService.supabase
+            .from('website_content')
+            .select('element_id, content_text, updated_at')
+            .eq('page_name', pageName)
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            report.error = error.message;
+            return report;
+        }
+
+        const { missing } = annotateContentKeys(doc, pageName);
+        report.missingKeys = missing;
+
+        const keys = Object.keys(CONTENT_MAPPING[pageName]);
+        const keyedElements = Array.from(doc.querySelectorAll('[data-content-key]'));
+        const legacyRows = new Map(); // element_id -> rows, newest first
+        // seo-* rows are page metadata with no element to match
+        rows.filter(row => !keys.includes(row.element_id) && !isSeoKey(row.element_id)).forEach(row => {
+            if (!legacyRows.has(row.element_id)) legacyRows.set(row.element_id, []);
+            legacyRows.get(row.element_id).push(row);
+        });
+
+        if (legacyRows.size === 0) {
+            return report;
+        }
+
+        // IDs generated from the markup's own text are the strongest evidence; IDs generated
+        // from text that was saved on this page later cover elements whose ID drifted after edits
+        const staticCandidates = this.buildCandidates(keyedElements, element => [element.textContent]);
+        const savedTexts = [...new Set(rows.map(row => row.content_text).filter(Boolean))];
+        const savedCandidates = this.buildCandidates(keyedElements, () => savedTexts);
+
+        legacyRows.forEach((elementRows, elementId) => {
+            const matches = staticCandidates.get(elementId) || savedCandidates.get(elementId) || new Set();
+
+            if (matches.size === 1) {
+                report.aliases[elementId] = [...matches][0];
+                return;
+            }
+
+            report.unmatched.push({
+                element_id: elementId,
+                rows: elementRows.length,
+                latest_text: (elementRows[0].content_text || '').substring(0, 60),
+                reason: matches.size > 1 ? `ambiguous: ${[...matches].join(', ')}` : 'no mapped element'
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * Legacy ID -> set of content keys whose element generates it for one of the given texts
+     */
+    buildCandidates(keyedElements, textsFor) {
+        const candidates = new Map();
+
+        keyedElements.forEach(element => {
+            const classNames = Array.from(element.classList);
+            // Scroll-animated elements were often already visible when admin mode made them editable
+            const classVariants = classNames.includes('animate-on-scroll')
+                ? [classNames, [...classNames, 'is-visible']]
+                : [classNames];
+
+            textsFor(element).forEach(text => {
+                classVariants.forEach(variant => {
+                    const id = legacyElementId(element, text, variant);
+                    if (!candidates.has(id)) candidates.set(id, new Set());
+                    candidates.get(id).add(element.dataset.contentKey);
+                });
+            });
+        });
+
+        return candidates;
+    }
+
+    printReport(report) {
+        if (report.error) {
+            console.error(`❌ ${report.pageName}: ${report.error}`);
+            return;
+        }
+
+        const matchedCount = Object.keys(report.aliases).length;
+        console.log(`📄 ${report.pageName}: ${matchedCount} legacy IDs matched, ${report.unmatched.length} unmatched`);
+
+        if (matchedCount > 0) {
+            console.table(Object.entries(report.aliases).map(([legacyId, contentKey]) => ({ legacy_element_id: legacyId, content_key: contentKey })));
+        }
+        if (report.unmatched.length > 0) {
+            console.warn(`⚠️ Rows left under their legacy ID on ${report.pageName}:`);
+            console.table(report.unmatched);
+        }
+        if (report.missingKeys.length > 0) {
+            console.log(`ℹ️ Keys with no element in ${report.pageName}'s markup: ${report.missingKeys.join(', ')}`);
+        }
+    }
+}
+
+// Create global instance
+const contentKeyMigration = new ContentKeyMigration();
+
+// Make globally available for the console
+window.contentKeyMigration = contentKeyMigration;
+
+export default contentKeyMigration;
@@ -0,0 +1,102 @@
+-- Stable Content Keys for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after content-drafts-table.sql, then run
+-- contentKeyMigration.run() from the browser console (content-key-migration.js) as an owner
+-- to re-key website_content rows saved under text-derived element IDs
+
+-- Legacy element ID -> content key, kept so old version snapshots can still be restored
+CREATE TABLE IF NOT EXISTS content_key_aliases (
+    page_name VARCHAR(100) NOT NULL,
+    legacy_element_id VARCHAR(255) NOT NULL,
+    content_key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (page_name, legacy_element_id)
+);
+
+-- Anyone may read the aliases (restores translate with them); only content_keys_apply writes them
+REVOKE ALL ON content_key_aliases FROM anon, authenticated;
+GRANT SELECT ON content_key_aliases TO anon, authenticated;
+
+-- Re-key one page. p_aliases is {"<legacy element_id>": "<content key>", ...}.
+-- Rows are copied under the key with their original timestamps and the legacy rows removed,
+-- so the newest row per element still wins when the page loads. A version number the key
+-- already uses is moved past the highest version of either ID to keep UNIQUE(page_name, element_id, version).
+CREATE OR REPLACE FUNCTION content_keys_apply(p_token TEXT, p_page_name TEXT, p_aliases JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_alias RECORD;
+    v_max_version INTEGER;
+    v_rows INTEGER;
+    v_total INTEGER := 0;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner']);
+
+    FOR v_alias IN SELECT key AS legacy_id, value AS content_key FROM jsonb_each_text(p_aliases) LOOP
+        IF v_alias.legacy_id = v_alias.content_key THEN
+            CONTINUE;
+        END IF;
+
+        SELECT COALESCE(MAX(version), 0) INTO v_max_version
+        FROM website_content
+        WHERE page_name = p_page_name AND element_id IN (v_alias.legacy_id, v_alias.content_key);
+
+        INSERT INTO website_content (page_name, element_id, content_text, content_type, version, is_active, created_at, updated_at)
+        SELECT legacy.page_name, v_alias.content_key, legacy.content_text, legacy.content_type,
+               CASE WHEN EXISTS (
+                        SELECT 1 FROM website_content keyed
+                        WHERE keyed.page_name = p_page_name
+                          AND keyed.element_id = v_alias.content_key
+                          AND keyed.version = legacy.version
+                    )
+                    THEN v_max_version + ROW_NUMBER() OVER (ORDER BY legacy.updated_at, legacy.id)
+                    ELSE legacy.version
+               END,
+               legacy.is_active, legacy.created_at, legacy.updated_at
+        FROM website_content legacy
+        WHERE legacy.page_name = p_page_name AND legacy.element_id = v_alias.legacy_id;
+
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+
+        DELETE FROM website_content
+        WHERE page_name = p_page_name AND element_id = v_alias.legacy_id;
+
+        -- Open drafts follow their element; when both IDs have one, the key's draft is kept
+        UPDATE content_drafts
+        SET entity_id = v_alias.content_key, updated_at = NOW()
+        WHERE page_name = p_page_name AND entity_type = 'page_content'
+          AND entity_id = v_alias.legacy_id AND status IN ('draft', 'scheduled')
+          AND NOT EXISTS (
+              SELECT 1 FROM content_drafts other
+              WHERE other.page_name = p_page_name AND other.entity_type = 'page_content'
+                AND other.entity_id = v_alias.content_key AND other.status IN ('draft', 'scheduled')
+          );
+
+        UPDATE content_drafts
+        SET status = 'discarded', updated_at = NOW()
+        WHERE page_name = p_page_name AND entity_type = 'page_content'
+          AND entity_id = v_alias.legacy_id AND status IN ('draft', 'scheduled');
+
+        INSERT INTO content_key_aliases (page_name, legacy_element_id, content_key)
+        VALUES (p_page_name, v_alias.legacy_id, v_alias.content_key)
+        ON CONFLICT (page_name, legacy_element_id) DO UPDATE SET content_key = EXCLUDED.content_key;
+
+        v_total := v_total + v_rows;
+    END LOOP;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, after_data)
+    VALUES (v_actor.actor_id, v_actor.actor_email, 'rekey', 'page_content', NULL, p_page_name,
+            'Re-keyed ' || v_total || ' content rows to stable content keys', p_aliases);
+
+    RETURN v_total;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION content_keys_apply(TEXT, TEXT, JSONB) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Content key aliases table created successfully!' as status;
+SELECT page_name, COUNT(*) AS aliases FROM content_key_aliases GROUP BY page_name;
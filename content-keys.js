@@ -0,0 +1,80 @@
+/**
+ * Content Keys
+ * Stable IDs for editable text, driven from CONTENT_MAPPING:
+ * - annotateContentKeys() marks each mapped element with data-content-key (keys written in the HTML win)
+ *   and data-content-type="html" for rich-text entries
+ * - legacyElementId() is the old text-derived ID, kept to find rows saved before keys existed
+ */
+
+import { CONTENT_MAPPING } from './supabase-config.js';
+
+/**
+ * Mark the elements mapped for a page with their stable key
+ * @param {Document|Element} root - The live document, or a parsed copy of a page
+ * @param {string} pageName - CONTENT_MAPPING page, e.g. 'index.html'
+ * @returns {{ annotated: string[], missing: string[] }} keys found / not present in the markup
+ */
+function annotateContentKeys(root, pageName) {
+    const mapping = CONTENT_MAPPING[pageName] || {};
+    const annotated = [];
+    const missing = [];
+
+    Object.entries(mapping).forEach(([key, { selector, type }]) => {
+        let element = root.querySelector(`[data-content-key="${key}"]`);
+
+        if (!element) {
+            element = root.querySelector(selector);
+            // Don't move a key onto an element that already has a different one
+            if (element && element.dataset.contentKey) {
+                element = null;
+            }
+        }
+
+        if (!element) {
+            missing.push(key);
+            return;
+        }
+
+        element.dataset.contentKey = key;
+        element.setAttribute('data-editable-id', key);
+        if (type === 'html') {
+            element.dataset.contentType = 'html';
+        }
+        annotated.push(key);
+    });
+
+    return { annotated, missing };
+}
+
+/**
+ * The ID script.js generated before content keys: tag, classes, the first 20 characters
+ * of the text and the position among matching siblings
+ * @param {Element} element
+ * @param {string} [text] - Text to derive the ID from instead of the element's current text
+ * @param {string[]} [classNames] - Classes the element had at the time (e.g. with is-visible added)
+ */
+function legacyElementId(element, text = element.textContent, classNames = Array.from(element.classList)) {
+    const signatureText = text.trim().substring(0, 20).toLowerCase();
+    const tagName = element.tagName.toLowerCase();
+    const classList = classNames.join('-');
+
+    // Create a unique signature
+    let signature = `${tagName}`;
+    if (classList) signature += `-${classList}`;
+    if (signatureText) signature += `-${signatureText.replace(/[^a-zA-Z0-9]/g, '')}`;
+
+    // Add position info for uniqueness
+    const parent = element.parentElement;
+    if (parent) {
+        const siblings = Array.from(parent.children).filter(child =>
+            child.tagName === element.tagName &&
+            child.classList.toString() === element.classList.toString()
+        );
+        const index = siblings.indexOf(element);
+        if (index > 0) signature += `-${index}`;
+    }
+
+    return `editable-${signature}`.replace(/[^a-zA-Z0-9-]/g, '');
+}
+
+export { annotateContentKeys, legacyElementId };
@@ -0,0 +1,222 @@
+/**
+ * Content Sync
+ * Keeps visitors' pages current without re-fetching whole pages:
+ * - Changed website_content / team_members / rental_listings rows are pushed over a Supabase realtime channel
+ * - When the socket is unavailable, polls every 30 seconds for rows newer than an updated_at watermark
+ * - Admin mode is skipped (admins see drafts); script.js reloads content on logout
+ */
+
+import dbService from './supabase-client.js';
+
+const POLL_INTERVAL_MS = 30000;
+const SOCKET_DOWN_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
+class ContentSync {
+    constructor() {
+        this.dbService = dbService;
+        this.currentPage = window.location.pathname.split('/').pop() || 'index.html';
+        this.subscriptions = new Map(); // table -> { filter, callbacks }
+        this.watermarks = new Map(); // table -> latest updated_at seen
+        this.channel = null;
+        this.mode = 'idle'; // 'realtime' or 'polling' once connected
+        this.pollTimer = null;
+        this.connectTimer = null;
+        this.isPolling = false;
+    }
+
+    /**
+     * Register for changed rows of a table. Modules register from their DOMContentLoaded
+     * handlers; the channel is (re)built once they have all run.
+     * @param {string} table - website_content, team_members or rental_listings
+     * @param {Object|null} filter - Optional { column, value } equality filter applied server-side
+     * @param {Function} callback - Called with (row, eventType)
+     */
+    onChange(table, filter, callback) {
+        if (!this.subscriptions.has(table)) {
+            this.subscriptions.set(table, { filter, callbacks: [] });
+        }
+        this.subscriptions.get(table).callbacks.push(callback);
+
+        clearTimeout(this.connectTimer);
+        this.connectTimer = setTimeout(() => this.connect(), 0);
+    }
+
+    async connect() {
+        this.disconnect();
+        await this.initializeWatermarks();
+
+        if (typeof WebSocket === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        const channel = this.dbService.supabase.channel(`content-sync:${this.currentPage}`);
+        this.subscriptions.forEach(({ filter }, table) => {
+            channel.on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table,
+                ...(filter ? { filter: `${filter.column}=eq.${filter.value}` } : {})
+            }, (payload) => this.handleRealtimeChange(table, payload));
+        });
+
+        channel.subscribe((status) => {
+            if (status === 'SUBSCRIBED') {
+                console.log('📡 Realtime content updates connected');
+                this.stopPolling();
+                this.mode = 'realtime';
+                // Catch up on anything changed before the channel was ready or while it was down
+                this.poll();
+            } else if (SOCKET_DOWN_STATUSES.includes(status) && this.mode !== 'polling') {
+                console.warn(`⚠️ Realtime channel ${status}, falling back to polling`);
+                this.startPolling();
+            }
+        });
+
+        this.channel = channel;
+    }
+
+    disconnect() {
+        if (this.channel) {
+            this.dbService.supabase.removeChannel(this.channel);
+            this.channel = null;
+        }
+        this.stopPolling();
+        this.mode = 'idle';
+    }
+
+    applyFilter(query, filter) {
+        return filter ? query.eq(filter.column, filter.value) : query;
+    }
+
+    /**
+     * Start each table's watermark at its newest row so polling only returns later changes
+     */
+    async initializeWatermarks() {
+        const pending = [...this.subscriptions.entries()]
+            .filter(([table]) => !this.watermarks.has(table))
+            .map(async ([table, { filter }]) => {
+                const query = this.dbService.supabase
+                    .from(table)
+                    .select('updated_at')
+                    .order('updated_at', { ascending: false })
+                    .limit(1);
+                const { data, error } = await this.applyFilter(query, filter);
+                if (error) {
+                    console.warn(`⚠️ Could not read ${table} watermark:`, error.message);
+                    return;
+                }
+                this.watermarks.set(table, data && data[0] ? data[0].updated_at : null);
+            });
+
+        await Promise.all(pending);
+    }
+
+    advanceWatermark(table, updatedAt) {
+        if (!updatedAt) return;
+        const current = this.watermarks.get(table);
+        if (!current || new Date(updatedAt) > new Date(current)) {
+            this.watermarks.set(table, updatedAt);
+        }
+    }
+
+    handleRealtimeChange(table, payload) {
+        // Deletes only carry the primary key; rows are normally soft-deleted through is_active instead
+        const row = payload.eventType === 'DELETE'
+            ? { ...payload.old, is_active: false }
+            : payload.new;
+
+        this.advanceWatermark(table, row.updated_at);
+        this.deliver(table, row, payload.eventType);
+    }
+
+    deliver(table, row, eventType) {
+        // Admins are looking at drafts; live changes would overwrite them
+        if (document.body.classList.contains('admin-mode') ||
+            document.body.classList.contains('preview-as-visitor')) {
+            return;
+        }
+
+        const subscription = this.subscriptions.get(table);
+        if (!subscription) return;
+
+        subscription.callbacks.forEach(callback => {
+            try {
+                callback(row, eventType);
+            } catch (error) {
+                console.error(`❌ Error applying ${table} change:`, error);
+            }
+        });
+    }
+
+    startPolling() {
+        this.stopPolling();
+        this.mode = 'polling';
+        this.pollTimer = setInterval(() => {
+            if (!document.hidden) {
+                this.poll();
+            }
+        }, POLL_INTERVAL_MS);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Fetch only rows changed since each table's watermark
+     */
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            for (const [table, { filter }] of this.subscriptions) {
+                let query = this.dbService.supabase
+                    .from(table)
+                    .select('*')
+                    .order('updated_at', { ascending: true });
+
+                const watermark = this.watermarks.get(table);
+                if (watermark) {
+                    query = query.gt('updated_at', watermark);
+                }
+
+                const { data, error } = await this.applyFilter(query, filter);
+                if (error) {
+                    console.warn(`⚠️ Could not poll ${table}:`, error.message);
+                    continue;
+                }
+
+                (data || []).forEach(row => {
+                    this.advanceWatermark(table, row.updated_at);
+                    this.deliver(table, row, 'UPDATE');
+                });
+
+                if (data && data.length > 0) {
+                    console.log(`🔄 Applied ${data.length} changed ${table} rows`);
+                }
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+}
+
+// Create global instance
+const contentSync = new ContentSync();
+
+// Make globally available for debugging and integration
+window.contentSync = contentSync;
+
+// A polling tab that comes back into view catches up right away instead of waiting for the next tick
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && contentSync.mode === 'polling') {
+        contentSync.poll();
+    }
+});
+
+export default contentSync;
@@ -0,0 +1,110 @@
+/**
+ * CSV
+ * Shared helpers for the admin exports and imports including:
+ * - Formula-safe quoting of exported fields
+ * - An RFC 4180 parser (quoted fields, embedded commas / quotes / new lines)
+ * - Downloading generated files
+ */
+
+/**
+ * Quote a CSV field; leading =, +, - and @ are prefixed so spreadsheets don't run them as formulas
+ */
+function toCsvField(value) {
+    let text = value === null || value === undefined
+        ? ''
+        : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build a CSV document from objects
+ * @param {string[]} columns - Header row and the keys read from each object
+ * @param {Object[]} rows
+ */
+function toCsv(columns, rows) {
+    return [
+        columns.map(toCsvField).join(','),
+        ...rows.map(row => columns.map(column => toCsvField(row[column])).join(','))
+    ].join('\r\n');
+}
+
+/**
+ * Parse CSV text into rows of fields. Fields written by toCsvField() get their
+ * formula-guard apostrophe removed again, so exports round-trip.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const source = String(text ?? '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let wasQuoted = false;
+
+    const endField = () => {
+        row.push(wasQuoted && /^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field);
+        field = '';
+        wasQuoted = false;
+    };
+    const endRow = () => {
+        endField();
+        // Skip blank lines
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+            wasQuoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Offer generated text as a file download
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+export { toCsvField, toCsv, parseCsv, downloadFile };
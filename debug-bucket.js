@@ -25,8 +25,8 @@ const BUCKET_CONFIGS = {
 
 class BucketDebugger {
     constructor() {
+        // Privileged storage access goes through the admin-api Edge Function (dbService)
         this.anonClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
-        this.serviceClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceRoleKey);
     }
 
     /**
@@ -48,17 +48,15 @@ class BucketDebugger {
                 console.log('✅ Anon key can list files:', anonData?.length || 0, 'files found');
             }
 
-            // Test with service role key
-            console.log('🔑 Testing with service role key...');
-            const { data: serviceData, error: serviceError } = await this.serviceClient.storage
-                .from(bucketName)
-                .list('', { limit: 1 });
+            // Test through the admin-api Edge Function (needs an admin session)
+            console.log('🔑 Testing through admin-api...');
+            const { files, error: apiError } = await dbService.listBucketFiles(bucketName);
             
-            if (serviceError) {
-                console.error('❌ Service role access failed:', serviceError.message);
+            if (apiError) {
+                console.error('❌ admin-api access failed:', apiError);
                 return false;
             } else {
-                console.log('✅ Service role can list files:', serviceData?.length || 0, 'files found');
+                console.log('✅ admin-api can list files:', files.length, 'files found');
                 return true;
             }
         } catch (error) {
@@ -75,42 +73,22 @@ class BucketDebugger {
         
         // Create a test file
         const testContent = `Test upload to ${bucketName} at ${new Date().toISOString()}`;
-        const testFile = new Blob([testContent], { type: 'text/plain' });
-        
-        // Sanitize filename like the main upload function
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const fileName = `test-${timestamp}.txt`;
-        const filePath = subfolder ? `${subfolder}/${fileName}` : fileName;
-        
-        console.log(`📁 Upload path: ${filePath}`);
+        const testFile = new File([testContent], 'test-upload.txt', { type: 'text/plain' });
 
         try {
-            // Test upload with service role
-            const { data, error } = await this.serviceClient.storage
-                .from(bucketName)
-                .upload(filePath, testFile, {
-                    cacheControl: '3600',
-                    upsert: false
-                });
+            // Test upload through admin-api
+            const result = await dbService.uploadToBucket(testFile, bucketName, subfolder);
 
-            if (error) {
-                console.error('❌ Upload failed:', error);
+            if (result.error) {
+                console.error('❌ Upload failed:', result.error);
                 return false;
             }
 
-            console.log('✅ Upload successful:', data);
-
-            // Test getting public URL
-            const { data: urlData } = this.serviceClient.storage
-                .from(bucketName)
-                .getPublicUrl(filePath);
-
-            console.log('🔗 Public URL:', urlData.publicUrl);
+            console.log('✅ Upload successful:', result.filePath);
+            console.log('🔗 Public URL:', result.url);
 
             // Test cleanup - remove the test file
-            await this.serviceClient.storage
-                .from(bucketName)
-                .remove([filePath]);
+            await dbService.deleteFromBucket(bucketName, result.filePath);
             
             console.log('🧹 Test file cleaned up');
             return true;
@@ -10,6 +10,9 @@
  * 1. Save changes in the admin interface
  * 2. Run this script: node deploy-changes.js
  * 3. Commit and push the updated files to GitHub
+ *
+ * Superseded by the static build (npm run build / build-static.mjs), which renders every
+ * page from the database instead of a localStorage export.
  */
 
 const fs = require('fs');
@@ -0,0 +1,475 @@
+/**
+ * Drafts Panel
+ * Admin-only staging layer on top of the live site including:
+ * - Showing saved drafts in place of live content while in admin mode
+ * - "Preview as visitor" without the admin tools
+ * - Publishing drafts now, discarding them, or scheduling publish / unpublish times
+ */
+
+import dbService from './supabase-client.js';
+import optimizedVersionControlManager from './version-control-manager.js';
+import { htmlToText } from './rich-text.js';
+import { escapeHtml } from './safe-html.js';
+
+const ENTITY_LABELS = {
+    page_content: '📝 Page text',
+    team_member: '👥 Team member',
+    rental_listing: '🏠 Rental listing'
+};
+
+/**
+ * Value for a datetime-local input in the admin's timezone
+ */
+function toLocalInputValue(isoString) {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+class DraftsPanel {
+    constructor() {
+        this.dbService = dbService;
+        this.versionManager = optimizedVersionControlManager;
+        this.isInitialized = false;
+        this.isPreviewing = false;
+        this.currentPage = window.location.pathname.split('/').pop() || 'index.html';
+        this.drafts = [];
+        this.modal = null;
+    }
+
+    /**
+     * Load drafts for this page and show them in place of live content
+     */
+    async initialize() {
+        if (this.isInitialized || !this.dbService.isAuthenticated()) {
+            return;
+        }
+
+        console.log('📝 Initializing Drafts Panel...');
+        this.isInitialized = true;
+        this.addAdminControls();
+
+        // Catch up on schedules that came due since the last pg_cron run; changed rows reach the page through content-sync
+        await this.dbService.publishDueDrafts();
+        await this.loadDrafts();
+    }
+
+    cleanup() {
+        const controls = document.getElementById('drafts-admin-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.closeModal();
+        this.isInitialized = false;
+
+        // Previewing keeps the drafts on screen; logging out drops them
+        if (!this.isPreviewing) {
+            this.drafts = [];
+        }
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('drafts-admin-controls')) {
+            return;
+        }
+
+        const controls = document.createElement('div');
+        controls.id = 'drafts-admin-controls';
+        controls.className = 'drafts-admin-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>📝 Drafts & Publishing</h4>
+                <p id="drafts-summary" style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    Loading drafts...
+                </p>
+                <button id="open-drafts-btn" class="btn btn-primary" style="background-color: #d35400;">
+                    📝 Review Drafts
+                </button>
+                <button id="preview-as-visitor-btn" class="btn btn-secondary">
+                    👁️ Preview as visitor
+                </button>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        document.getElementById('open-drafts-btn').addEventListener('click', () => this.showModal());
+        document.getElementById('preview-as-visitor-btn').addEventListener('click', () => this.startPreview());
+    }
+
+    getOpenDrafts() {
+        return this.drafts.filter(draft => draft.status === 'draft' || draft.status === 'scheduled');
+    }
+
+    async loadDrafts() {
+        const { drafts, error } = await this.dbService.getDrafts(this.currentPage);
+        if (error) {
+            console.warn('⚠️ Could not load drafts:', error);
+            this.updateSummary(error);
+            return;
+        }
+
+        this.drafts = drafts;
+        this.updateSummary();
+        this.applyContentDrafts();
+
+        // Team members and listings are rendered by their admin managers; reload so they merge drafts in
+        const openDrafts = this.getOpenDrafts();
+        if (openDrafts.some(draft => draft.entity_type === 'team_member') && window.aboutAdminManager) {
+            await window.aboutAdminManager.loadTeamMembersFromDatabase();
+        }
+        if (openDrafts.some(draft => draft.entity_type === 'rental_listing') && window.rentalsAdminManager) {
+            await window.rentalsAdminManager.loadRentalListingsFromDatabase();
+        }
+    }
+
+    updateSummary(error = null) {
+        const summary = document.getElementById('drafts-summary');
+        if (!summary) return;
+
+        if (error) {
+            summary.textContent = `Drafts unavailable: ${error}`;
+            return;
+        }
+
+        const openDrafts = this.getOpenDrafts();
+        const scheduled = openDrafts.filter(draft => draft.status === 'scheduled').length;
+        summary.textContent = openDrafts.length === 0
+            ? 'No unpublished changes on this page.'
+            : `${openDrafts.length} unpublished change${openDrafts.length === 1 ? '' : 's'}${scheduled > 0 ? ` (${scheduled} scheduled)` : ''}. Visitors still see the live version.`;
+    }
+
+    /**
+     * Put draft text into the editable elements (script.js owns element lookup and originals)
+     */
+    applyContentDrafts() {
+        if (typeof window.setEditableContent !== 'function') return;
+
+        this.getOpenDrafts()
+            .filter(draft => draft.entity_type === 'page_content' && draft.payload)
+            .forEach(draft => {
+                const element = window.setEditableContent(draft.entity_id, draft.payload.content, draft.payload.content_type);
+                if (element && !this.isPreviewing) {
+                    element.classList.add('has-draft');
+                }
+            });
+    }
+
+    /**
+     * Merge open drafts into rows loaded from the live table. Visitors have no drafts loaded, so rows pass through.
+     * @param {string} entityType - 'team_member' or 'rental_listing'
+     */
+    mergeDraftRows(entityType, rows) {
+        const drafts = this.getOpenDrafts().filter(draft => draft.entity_type === entityType);
+        if (drafts.length === 0) {
+            return rows;
+        }
+
+        const merged = new Map(rows.map(row => [String(row.id), row]));
+        drafts.forEach(draft => {
+            if (draft.operation === 'delete') {
+                merged.delete(draft.entity_id);
+            } else if (draft.payload) {
+                merged.set(draft.entity_id, { ...draft.payload, id: draft.entity_id });
+            }
+        });
+
+        return [...merged.values()].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+    }
+
+    /**
+     * Hide the admin tools and show the page as visitors will see it once the drafts are published
+     */
+    startPreview() {
+        const hasUnsaved = this.versionManager.hasChanges() ||
+            (window.aboutAdminManager && window.aboutAdminManager.hasUnsavedChanges) ||
+            (window.rentalsAdminManager && window.rentalsAdminManager.hasUnsavedChanges);
+        if (hasUnsaved) {
+            alert('Save your changes as a draft before previewing.');
+            return;
+        }
+
+        this.isPreviewing = true;
+        document.querySelectorAll('.has-draft').forEach(element => element.classList.remove('has-draft'));
+
+        const bar = document.createElement('div');
+        bar.id = 'visitor-preview-bar';
+        bar.className = 'visitor-preview-bar';
+        bar.innerHTML = `
+            <span>👁️ Previewing as a visitor — drafts included, not yet live</span>
+            <button type="button" class="btn btn-primary">Exit preview</button>
+        `;
+        bar.querySelector('button').addEventListener('click', () => this.exitPreview());
+        document.body.appendChild(bar);
+
+        // Admin managers tear down their controls when admin-mode goes away
+        document.body.classList.add('preview-as-visitor');
+        document.body.classList.remove('admin-mode');
+    }
+
+    exitPreview() {
+        this.isPreviewing = false;
+
+        const bar = document.getElementById('visitor-preview-bar');
+        if (bar) {
+            bar.remove();
+        }
+        document.body.classList.remove('preview-as-visitor');
+
+        // The session may have expired while previewing
+        if (this.dbService.isAuthenticated()) {
+            document.body.classList.add('admin-mode');
+        }
+    }
+
+    async showModal() {
+        this.closeModal();
+
+        const modal = document.createElement('div');
+        modal.className = 'admin-users-modal';
+        modal.innerHTML = `
+            <div class="admin-users-content drafts-content">
+                <div class="applications-inbox-header">
+                    <h3>📝 Drafts for ${escapeHtml(this.currentPage)}</h3>
+                    <button type="button" class="applications-inbox-close" aria-label="Close drafts">&times;</button>
+                </div>
+                <div class="drafts-body">
+                    <p>Loading drafts...</p>
+                </div>
+                <div class="drafts-footer">
+                    ${this.dbService.hasPermission('save') ? '<button type="button" class="btn-image-manager" data-drafts-action="discard">🗑️ Discard selected</button>' : ''}
+                    ${this.dbService.hasPermission('publish') ? '<button type="button" class="btn btn-primary" data-drafts-action="publish">🚀 Publish selected</button>' : ''}
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.applications-inbox-close').addEventListener('click', () => this.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeModal();
+
+            const button = e.target.closest('[data-drafts-action]');
+            if (button) {
+                this.handleAction(button);
+            }
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        await this.loadDrafts();
+        this.renderDrafts();
+    }
+
+    closeModal() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    renderDrafts() {
+        const body = this.modal && this.modal.querySelector('.drafts-body');
+        if (!body) return;
+
+        const openDrafts = this.getOpenDrafts();
+        const pendingUnpublish = this.drafts.filter(draft => draft.status === 'published');
+
+        if (openDrafts.length === 0 && pendingUnpublish.length === 0) {
+            body.innerHTML = '<p class="applications-empty">No drafts on this page. Edits you save land here before going live.</p>';
+            return;
+        }
+
+        body.innerHTML = `
+            ${openDrafts.length > 0 ? `
+                <label class="drafts-select-all"><input type="checkbox" data-drafts-select-all> Select all</label>
+                ${openDrafts.map(draft => this.renderDraft(draft)).join('')}
+            ` : ''}
+            ${pendingUnpublish.length > 0 ? `
+                <h4>Live, scheduled to come down</h4>
+                ${pendingUnpublish.map(draft => this.renderDraft(draft)).join('')}
+            ` : ''}
+        `;
+
+        const selectAll = body.querySelector('[data-drafts-select-all]');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                body.querySelectorAll('.draft-select').forEach(checkbox => {
+                    checkbox.checked = selectAll.checked;
+                });
+            });
+        }
+    }
+
+    renderDraft(draft) {
+        const canPublish = this.dbService.hasPermission('publish');
+        const isLive = draft.status === 'published';
+        const availableDate = draft.entity_type === 'rental_listing' && draft.payload
+            ? Date.parse(draft.payload.available_date)
+            : NaN;
+
+        let status = draft.operation === 'delete' ? '🗑️ Removal draft' : '📝 Draft';
+        if (draft.status === 'scheduled') {
+            status = `⏰ Publishes ${new Date(draft.publish_at).toLocaleString()}`;
+        } else if (isLive) {
+            status = `✅ Live since ${new Date(draft.published_at).toLocaleString()}`;
+        }
+        if (draft.unpublish_at) {
+            status += ` · comes down ${new Date(draft.unpublish_at).toLocaleString()}`;
+        }
+
+        return `
+            <div class="draft-item" data-draft-id="${escapeHtml(draft.id)}">
+                <div class="draft-item-header">
+                    ${isLive ? '' : `<input type="checkbox" class="draft-select" value="${escapeHtml(draft.id)}" aria-label="Select draft">`}
+                    <span class="draft-entity">${ENTITY_LABELS[draft.entity_type] || escapeHtml(draft.entity_type)}</span>
+                    <strong>${escapeHtml(draft.label || draft.entity_id)}</strong>
+                    <span class="draft-status">${escapeHtml(status)}</span>
+                </div>
+                ${draft.entity_type === 'page_content' && draft.payload ? `
+                    <p class="draft-preview">${escapeHtml(draft.payload.content_type === 'html' ? htmlToText(draft.payload.content) : draft.payload.content)}</p>
+                ` : ''}
+                <div class="draft-meta">Saved by ${escapeHtml(draft.created_by_email || 'unknown')} · ${new Date(draft.updated_at).toLocaleString()}</div>
+                ${canPublish ? `
+                    <div class="draft-schedule">
+                        ${isLive ? '' : `
+                            <label>Publish at <input type="datetime-local" name="publish_at" value="${toLocalInputValue(draft.publish_at)}"></label>
+                        `}
+                        <label>Unpublish at <input type="datetime-local" name="unpublish_at" value="${toLocalInputValue(draft.unpublish_at)}"></label>
+                        ${!isLive && !Number.isNaN(availableDate) ? `
+                            <button type="button" class="btn-image-manager" data-drafts-action="use-available-date" data-available-date="${new Date(availableDate).toISOString()}">📅 On available date</button>
+                        ` : ''}
+                        <button type="button" class="btn-image-manager" data-drafts-action="schedule">⏰ Save schedule</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    getSelectedIds() {
+        return [...this.modal.querySelectorAll('.draft-select:checked')].map(checkbox => checkbox.value);
+    }
+
+    async handleAction(button) {
+        const action = button.dataset.draftsAction;
+        const item = button.closest('.draft-item');
+
+        if (action === 'use-available-date') {
+            item.querySelector('input[name="publish_at"]').value = toLocalInputValue(button.dataset.availableDate);
+            return;
+        }
+
+        if (action === 'schedule') {
+            const publishInput = item.querySelector('input[name="publish_at"]');
+            const unpublishInput = item.querySelector('input[name="unpublish_at"]');
+            const draft = this.drafts.find(d => d.id === item.dataset.draftId);
+
+            // datetime-local values are local time; send them with the offset applied
+            const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+            button.disabled = true;
+            const { error } = await this.dbService.scheduleDraft(
+                item.dataset.draftId,
+                publishInput ? toIso(publishInput.value) : draft.publish_at,
+                toIso(unpublishInput.value)
+            );
+            button.disabled = false;
+
+            if (error) {
+                alert(`Failed to schedule draft: ${error}`);
+                return;
+            }
+            await this.loadDrafts();
+            this.renderDrafts();
+            return;
+        }
+
+        const draftIds = this.getSelectedIds();
+        if (draftIds.length === 0) {
+            alert('Select at least one draft.');
+            return;
+        }
+
+        button.disabled = true;
+
+        if (action === 'discard') {
+            if (!confirm(`Discard ${draftIds.length} draft${draftIds.length === 1 ? '' : 's'}? This cannot be undone.`)) {
+                button.disabled = false;
+                return;
+            }
+
+            const { error } = await this.dbService.discardDrafts(draftIds);
+            if (error) {
+                alert(`Failed to discard drafts: ${error}`);
+            } else {
+                // Live content comes back from the database
+                window.location.reload();
+                return;
+            }
+        } else if (action === 'publish') {
+            const description = prompt(
+                'Version Description (optional):\n\n' +
+                'The current live page is saved as a version before publishing.'
+            );
+            if (description === null) {
+                button.disabled = false;
+                return;
+            }
+
+            const result = await this.versionManager.publishDrafts(draftIds, description);
+            if (!result.success) {
+                alert(`Publish failed: ${result.error}`);
+            } else {
+                document.querySelectorAll('.has-draft').forEach(element => element.classList.remove('has-draft'));
+                alert(`🚀 Published ${result.count} change${result.count === 1 ? '' : 's'}. Restore v${result.version} to roll back.`);
+            }
+        }
+
+        button.disabled = false;
+        await this.loadDrafts();
+        this.renderDrafts();
+    }
+}
+
+// Create global instance
+const draftsPanel = new DraftsPanel();
+
+// Make globally available for debugging and integration
+window.draftsPanel = draftsPanel;
+
+// Auto-initialize when admin logs in
+document.addEventListener('DOMContentLoaded', () => {
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    draftsPanel.initialize();
+                } else {
+                    draftsPanel.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Draft text has to be re-applied whenever live content is (re)loaded
+    document.addEventListener('contentLoaded', () => {
+        if (draftsPanel.drafts.length > 0) {
+            draftsPanel.applyContentDrafts();
+        }
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        draftsPanel.initialize();
+    }
+});
+
+export default draftsPanel;
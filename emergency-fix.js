@@ -3,58 +3,54 @@
  * Quick fixes and tests for immediate resolution
  */
 
-import { createClient } from 'https://cdn.skypack.dev/@supabase/supabase-js';
-import { SUPABASE_CONFIG } from './supabase-config.js';
+import dbService from './supabase-client.js';
 
 console.log('🚨 Emergency Fix loaded');
 
 class EmergencyFix {
     constructor() {
-        this.serviceClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceRoleKey);
-        this.anonClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey);
+        // Storage access needs an admin session; it goes through the admin-api Edge Function
+        this.dbService = dbService;
     }
 
     /**
-     * Quick test of service role key
+     * Quick test that the admin-api Edge Function is deployed and accepts this session
      */
-    async testServiceRoleKey() {
-        console.log('🔑 Testing service role key...');
+    async testAdminApi() {
+        console.log('🔑 Testing admin-api...');
         
         try {
-            // Try listing buckets
-            const { data, error } = await this.serviceClient.storage.listBuckets();
+            const { data, error } = await this.dbService.invokeAdminApi({ action: 'list', bucket: 'figures', path: '' });
             
             if (error) {
-                console.error('❌ Service role key test failed:', error);
+                console.error('❌ admin-api test failed:', error);
                 return false;
             }
             
-            console.log('✅ Service role key works. Available buckets:', data?.map(b => b.name));
+            console.log('✅ admin-api works. Files in figures:', data.files?.length || 0);
             return true;
         } catch (error) {
-            console.error('💥 Service role key test error:', error);
+            console.error('💥 admin-api test error:', error);
             return false;
         }
     }
 
     /**
-     * Test specific bucket with service role
+     * Test specific bucket through admin-api
      */
-    async testBucketWithServiceRole(bucketName) {
-        console.log(`🪣 Testing bucket "${bucketName}" with service role...`);
+    async testBucket(bucketName) {
+        console.log(`🪣 Testing bucket "${bucketName}" through admin-api...`);
         
         try {
             // Test listing files
-            const { data, error } = await this.serviceClient.storage
-                .from(bucketName)
-                .list('', { limit: 5 });
+            const { files, error } = await this.dbService.listBucketFiles(bucketName, '', 5);
             
             if (error) {
                 console.error(`❌ Bucket "${bucketName}" test failed:`, error);
                 return false;
             }
             
-            console.log(`✅ Bucket "${bucketName}" accessible. Files found:`, data?.length || 0);
+            console.log(`✅ Bucket "${bucketName}" accessible. Files found:`, files.length);
             return true;
         } catch (error) {
             console.error(`💥 Bucket "${bucketName}" test error:`, error);
@@ -71,37 +67,23 @@ class EmergencyFix {
         try {
             // Create simple test file
             const testContent = `Emergency test ${Date.now()}`;
-            const testFile = new Blob([testContent], { type: 'text/plain' });
+            const testFile = new File([testContent], `emergency-test-${Date.now()}.txt`, { type: 'text/plain' });
             
-            // Use very simple filename
-            const fileName = `emergency-test-${Date.now()}.txt`;
-            const filePath = `uploaded/${fileName}`;
+            console.log(`📤 Uploading to: ${bucketName}/uploaded`);
             
-            console.log(`📤 Uploading to: ${bucketName}/${filePath}`);
+            // Upload through admin-api
+            const result = await this.dbService.uploadToBucket(testFile, bucketName, 'uploaded');
             
-            // Upload with service role
-            const { data, error } = await this.serviceClient.storage
-                .from(bucketName)
-                .upload(filePath, testFile);
-            
-            if (error) {
-                console.error('❌ Emergency upload failed:', error);
+            if (result.error) {
+                console.error('❌ Emergency upload failed:', result.error);
                 return false;
             }
             
-            console.log('✅ Emergency upload successful:', data);
-            
-            // Get public URL
-            const { data: urlData } = this.serviceClient.storage
-                .from(bucketName)
-                .getPublicUrl(filePath);
-            
-            console.log('🔗 Public URL:', urlData.publicUrl);
+            console.log('✅ Emergency upload successful:', result.filePath);
+            console.log('🔗 Public URL:', result.url);
             
             // Clean up
-            await this.serviceClient.storage
-                .from(bucketName)
-                .remove([filePath]);
+            await this.dbService.deleteFromBucket(bucketName, result.filePath);
             
             console.log('🧹 Test file removed');
             return true;
@@ -131,39 +113,28 @@ class EmergencyFix {
         console.log('🔧 Quick fix upload starting...');
         
         try {
-            // Sanitize filename
+            // Sanitize filename (admin-api adds the timestamp)
             const sanitized = this.sanitizeFileName(file.name);
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
-            const fileName = `${timestamp}-${sanitized}`;
-            const filePath = `${subfolder}/${fileName}`;
             
             console.log(`Original: "${file.name}"`);
             console.log(`Sanitized: "${sanitized}"`);
-            console.log(`Final path: "${filePath}"`);
             
             // Upload
-            const { data, error } = await this.serviceClient.storage
-                .from(bucketName)
-                .upload(filePath, file);
+            const result = await this.dbService.uploadToBucket(new File([file], sanitized, { type: file.type }), bucketName, subfolder);
             
-            if (error) {
-                console.error('❌ Quick fix upload failed:', error);
-                return { success: false, error: error.message };
+            if (result.error) {
+                console.error('❌ Quick fix upload failed:', result.error);
+                return { success: false, error: result.error };
             }
             
-            // Get public URL
-            const { data: urlData } = this.serviceClient.storage
-                .from(bucketName)
-                .getPublicUrl(filePath);
-            
             console.log('✅ Quick fix upload successful!');
-            console.log('🔗 URL:', urlData.publicUrl);
+            console.log('🔗 URL:', result.url);
             
             return {
                 success: true,
-                url: urlData.publicUrl,
-                fileName: fileName,
-                filePath: filePath
+                url: result.url,
+                fileName: result.fileName,
+                filePath: result.filePath
             };
             
         } catch (error) {
@@ -179,18 +150,18 @@ class EmergencyFix {
         console.log('🚨 Running emergency tests...');
         
         const results = {
-            serviceRoleKey: false,
+            adminApi: false,
             figuresBucket: false,
             propertyBucket: false,
             emergencyUpload: false
         };
         
-        // Test service role key
-        results.serviceRoleKey = await this.testServiceRoleKey();
+        // Test the Edge Function
+        results.adminApi = await this.testAdminApi();
         
         // Test buckets
-        results.figuresBucket = await this.testBucketWithServiceRole('figures');
-        results.propertyBucket = await this.testBucketWithServiceRole('wolf-property-images');
+        results.figuresBucket = await this.testBucket('figures');
+        results.propertyBucket = await this.testBucket('wolf-property-images');
         
         // Emergency upload test
         if (results.figuresBucket) {
@@ -217,8 +188,8 @@ window.emergencyFix = {
     test: () => emergencyFix.runEmergencyTests(),
     upload: (file, bucket, subfolder) => emergencyFix.quickFixUpload(file, bucket, subfolder),
     sanitize: (filename) => emergencyFix.sanitizeFileName(filename),
-    testBucket: (bucket) => emergencyFix.testBucketWithServiceRole(bucket),
-    testKey: () => emergencyFix.testServiceRoleKey()
+    testBucket: (bucket) => emergencyFix.testBucket(bucket),
+    testApi: () => emergencyFix.testAdminApi()
 };
 
 console.log('🛠️ Emergency fix functions:');
@@ -226,7 +197,7 @@ console.log('  emergencyFix.test() - Run all tests');
 console.log('  emergencyFix.upload(file, bucket, subfolder) - Quick upload');
 console.log('  emergencyFix.sanitize(filename) - Test filename sanitization');
 console.log('  emergencyFix.testBucket(bucketName) - Test specific bucket');
-console.log('  emergencyFix.testKey() - Test service role key');
+console.log('  emergencyFix.testApi() - Test the admin-api Edge Function');
 
 // Auto-run tests if we're in admin mode
 document.addEventListener('DOMContentLoaded', () => {
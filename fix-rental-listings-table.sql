@@ -16,13 +16,21 @@ CREATE TABLE rental_listings (
     square_feet INTEGER,
     bedrooms INTEGER,
     bathrooms DECIMAL(3, 1),
+    property_type VARCHAR(100) DEFAULT 'House',
     description TEXT,
     appliances TEXT,
     pet_policy TEXT,
+    features TEXT,
+    utilities_included TEXT,
+    parking_info TEXT,
     available_date VARCHAR(50),
     primary_image_url TEXT,
     primary_image_filename VARCHAR(255),
+    additional_images JSONB DEFAULT '[]'::jsonb,
+    virtual_tour_url TEXT,
     neighborhood VARCHAR(100),
+    latitude DECIMAL(9, 6),
+    longitude DECIMAL(9, 6),
     sort_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
     is_featured BOOLEAN DEFAULT false,
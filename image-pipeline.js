@@ -0,0 +1,194 @@
+/**
+ * Image Pipeline
+ * Browser side of image uploads and display including:
+ * - Re-encoding photos before upload, which drops EXIF/GPS metadata and applies the camera rotation
+ * - Resized AVIF/WebP variants at IMAGE_WIDTHS, stored under _variants/ next to the original
+ * - Signing an image and its variants in one request for the private bucket
+ * - Updating a rendered <picture> when an admin assigns a different image
+ */
+
+import dbService from './supabase-client.js';
+import { IMAGE_WIDTHS, IMAGE_FORMATS, parseImageVariants, variantSrcset } from './responsive-images.js';
+
+// Photos the browser can decode and re-encode; GIFs (animation) and SVGs are uploaded as they are
+const REENCODE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+// Originals wider than this are scaled down; nothing on the site shows them larger
+const MAX_ORIGINAL_WIDTH = 2560;
+
+const QUALITY = {
+    'image/jpeg': 0.9,
+    'image/webp': 0.82,
+    'image/avif': 0.6
+};
+
+const IMAGE_BUCKET = 'wolf-property-images';
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * Draw the image at a width and encode it; null when the browser cannot encode the type
+ * (toBlob falls back to PNG, e.g. for AVIF in Firefox and Safari)
+ */
+async function encodeImage(bitmap, width, type) {
+    const height = Math.round(bitmap.height * (width / bitmap.width));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    const blob = await canvasToBlob(canvas, type, QUALITY[type]);
+    return blob && blob.type === type ? blob : null;
+}
+
+/**
+ * Re-encode a photo without its metadata and make its resized variants
+ * @param {File} file
+ * @returns {Promise<{ original: File, variants: { blob: Blob, width: number, type: string }[] }>}
+ */
+async function prepareImage(file) {
+    if (!REENCODE_TYPES.includes(file.type)) {
+        return { original: file, variants: [] };
+    }
+
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    try {
+        const type = file.type === 'image/jpg' ? 'image/jpeg' : file.type;
+        const originalWidth = Math.min(bitmap.width, MAX_ORIGINAL_WIDTH);
+        const originalBlob = await encodeImage(bitmap, originalWidth, type);
+        if (!originalBlob) {
+            throw new Error(`Could not re-encode ${file.name}`);
+        }
+
+        const variants = [];
+        for (const width of IMAGE_WIDTHS.filter(width => width < bitmap.width)) {
+            for (const variantType of Object.keys(IMAGE_FORMATS)) {
+                const blob = await encodeImage(bitmap, width, variantType);
+                if (blob) {
+                    variants.push({ blob, width, type: variantType });
+                }
+            }
+        }
+
+        return {
+            original: new File([originalBlob], file.name, { type, lastModified: file.lastModified }),
+            variants
+        };
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Upload a photo without its metadata, then its resized variants
+ * @param {File} file
+ * @param {string} bucketName
+ * @param {string} [subfolder]
+ * @param {string} [altText]
+ * @param {string} [folder] - Media library folder
+ * @returns {Promise<{ fileName: string, filePath: string, url: string, variants: Object[] }>}
+ */
+async function uploadImage(file, bucketName, subfolder = '', altText = '', folder = '') {
+    const { original, variants } = await prepareImage(file);
+
+    const result = await dbService.uploadToBucket(original, bucketName, subfolder, altText, folder);
+    if (result.error) {
+        throw new Error(result.error);
+    }
+
+    // A missing variant only costs bytes: the page falls back to the original
+    const uploaded = [];
+    for (const variant of variants) {
+        const { url, filePath, error } = await dbService.uploadImageVariant(variant.blob, bucketName, result.filePath, variant.width);
+        if (error) {
+            console.warn(`⚠️ Could not upload ${variant.width}w ${variant.type} variant of ${result.filePath}:`, error);
+            continue;
+        }
+        uploaded.push({ path: filePath, url, width: variant.width, type: variant.type });
+    }
+
+    console.log(`🖼️ Uploaded ${result.filePath} with ${uploaded.length} variants (${(original.size / 1024).toFixed(0)} KB original, was ${(file.size / 1024).toFixed(0)} KB)`);
+
+    return {
+        fileName: result.fileName,
+        filePath: result.filePath,
+        url: result.url,
+        variants: uploaded
+    };
+}
+
+/**
+ * The <source> elements of the <picture> around an image
+ */
+function getPictureSources(img) {
+    const picture = img && img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    return picture ? Array.from(picture.querySelectorAll('source')) : [];
+}
+
+/**
+ * Point an image and its variant sources at signed URLs (the image bucket is private).
+ * One sign request covers the original and every variant.
+ * @param {HTMLImageElement} img
+ * @param {string} filename - Bucket path of the original
+ * @param {*} [variants] - Stored variants of the image
+ * @returns {Promise<string|null>} Signed URL of the original
+ */
+async function loadSignedImage(img, filename, variants) {
+    const stored = parseImageVariants(variants).filter(variant => variant.path);
+    const { signedUrls, error } = await dbService.getSignedUrls(IMAGE_BUCKET, [filename, ...stored.map(variant => variant.path)]);
+    if (error) {
+        console.warn(`Could not load signed URL for image: ${filename}`, error);
+        return null;
+    }
+
+    const signedUrl = signedUrls[filename] || null;
+    if (img && signedUrl) {
+        img.src = signedUrl;
+    }
+
+    getPictureSources(img).forEach(source => {
+        const srcset = variantSrcset(stored, source.type, variant => signedUrls[variant.path] || variant.url);
+        if (srcset) {
+            source.srcset = srcset;
+        }
+    });
+
+    return signedUrl;
+}
+
+/**
+ * Replace the sources of a rendered <picture> after an admin assigns a different image
+ * @param {HTMLImageElement} img
+ * @param {*} variants - Variants of the new image
+ * @param {string} sizes - One of IMAGE_SIZES
+ */
+function setImageVariants(img, variants, sizes) {
+    if (!img) return;
+
+    // A stock photo's srcset would keep showing the old image
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+    getPictureSources(img).forEach(source => source.remove());
+
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    if (!picture) return;
+
+    const stored = parseImageVariants(variants);
+    Object.keys(IMAGE_FORMATS).forEach(type => {
+        const srcset = variantSrcset(stored, type);
+        if (!srcset) return;
+
+        const source = document.createElement('source');
+        source.type = type;
+        source.srcset = srcset;
+        source.sizes = sizes;
+        picture.insertBefore(source, img);
+    });
+}
+
+export { prepareImage, uploadImage, loadSignedImage, setImageVariants };
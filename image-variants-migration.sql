@@ -0,0 +1,12 @@
+-- Image Variants Migration
+-- Run this script in your Supabase SQL Editor to store the resized WebP/AVIF copies
+-- the admin image upload makes of each photo (see image-pipeline.js)
+
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS primary_image_variants JSONB DEFAULT '[]'::jsonb; -- [{ "path": ..., "url": ..., "width": 960, "type": "image/webp" }]
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS image_variants JSONB DEFAULT '[]'::jsonb;
+
+-- Verify the migration
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'rental_listings' AND column_name = 'primary_image_variants')
+   OR (table_name = 'team_members' AND column_name = 'image_variants');
@@ -0,0 +1,347 @@
+/**
+ * Leads Admin
+ * Lead inbox for contact form inquiries including:
+ * - Filtering by status, inquiry type and assigned team member
+ * - Status workflow (new, contacted, in progress, converted, closed)
+ * - Assignment to a team member, notes and follow-up dates
+ */
+
+import dbService from './supabase-client.js';
+import { LEAD_CONFIG } from './supabase-config.js';
+import { escapeHtml } from './safe-html.js';
+
+const STATUS_LABELS = {
+    new: '🆕 New',
+    contacted: '📞 Contacted',
+    in_progress: '🔄 In progress',
+    converted: '✅ Converted',
+    closed: '📁 Closed'
+};
+
+/**
+ * Today as YYYY-MM-DD in the admin's timezone, comparable with follow_up_date
+ */
+function todayString() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+class LeadsAdmin {
+    constructor() {
+        this.dbService = dbService;
+        this.isInitialized = false;
+        this.leads = [];
+        this.teamMembers = [];
+        this.filters = { status: '', inquiryType: '', assignedTo: '' };
+        this.modal = null;
+    }
+
+    /**
+     * Initialize the lead inbox controls
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        // Leads contain visitor contact details; only roles that follow up see the inbox
+        if (!this.dbService.hasPermission('manage_leads')) {
+            return;
+        }
+
+        console.log('✉️ Initializing Leads Admin...');
+        this.addAdminControls();
+        this.isInitialized = true;
+        await this.refreshCounts();
+    }
+
+    cleanup() {
+        const controls = document.getElementById('leads-admin-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.closeInbox();
+        this.isInitialized = false;
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('leads-admin-controls')) {
+            return;
+        }
+
+        const controls = document.createElement('div');
+        controls.id = 'leads-admin-controls';
+        controls.className = 'leads-admin-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>✉️ Leads</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    Follow up on contact form inquiries.
+                </p>
+                <button id="open-leads-inbox-btn" class="btn btn-primary" style="background-color: #8e44ad;">
+                    ✉️ Open Lead Inbox <span id="leads-new-count"></span>
+                </button>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        document.getElementById('open-leads-inbox-btn').addEventListener('click', () => {
+            this.showInbox();
+        });
+    }
+
+    /**
+     * Show how many leads are new or due for follow-up on the inbox button
+     */
+    async refreshCounts() {
+        const { leads, error } = await this.dbService.getLeads();
+        const countElement = document.getElementById('leads-new-count');
+        if (!countElement || error) return;
+
+        const today = todayString();
+        const newCount = leads.filter(lead => lead.status === 'new').length;
+        const dueCount = leads.filter(lead => this.isFollowUpDue(lead, today)).length;
+        const parts = [];
+        if (newCount > 0) parts.push(`${newCount} new`);
+        if (dueCount > 0) parts.push(`${dueCount} due`);
+        countElement.textContent = parts.length > 0 ? `(${parts.join(', ')})` : '';
+    }
+
+    isFollowUpDue(lead, today = todayString()) {
+        return Boolean(lead.follow_up_date) && lead.follow_up_date <= today &&
+            !['converted', 'closed'].includes(lead.status);
+    }
+
+    /**
+     * Open the inbox modal
+     */
+    async showInbox() {
+        this.closeInbox();
+
+        const modal = document.createElement('div');
+        modal.className = 'applications-inbox-modal';
+        modal.innerHTML = `
+            <div class="applications-inbox-content">
+                <div class="applications-inbox-header">
+                    <h3>✉️ Lead Inbox</h3>
+                    <button type="button" class="applications-inbox-close" aria-label="Close inbox">&times;</button>
+                </div>
+                <div class="applications-inbox-filters">
+                    <select id="leads-filter-status" aria-label="Filter by status">
+                        <option value="">All statuses</option>
+                        ${LEAD_CONFIG.statuses.map(status => `<option value="${status}">${STATUS_LABELS[status] || status}</option>`).join('')}
+                    </select>
+                    <select id="leads-filter-type" aria-label="Filter by inquiry type">
+                        <option value="">All inquiry types</option>
+                        ${Object.entries(LEAD_CONFIG.inquiryTypes).map(([type, label]) => `<option value="${type}">${escapeHtml(label)}</option>`).join('')}
+                    </select>
+                    <select id="leads-filter-assigned" aria-label="Filter by assigned team member">
+                        <option value="">Anyone</option>
+                    </select>
+                    <button type="button" class="btn-image-manager" id="leads-refresh-btn">🔄 Refresh</button>
+                </div>
+                <div class="applications-inbox-body">
+                    <p>Loading leads...</p>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.applications-inbox-close').addEventListener('click', () => this.closeInbox());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeInbox();
+        });
+
+        const filterInputs = {
+            status: modal.querySelector('#leads-filter-status'),
+            inquiryType: modal.querySelector('#leads-filter-type'),
+            assignedTo: modal.querySelector('#leads-filter-assigned')
+        };
+        Object.entries(filterInputs).forEach(([name, select]) => {
+            select.addEventListener('change', () => {
+                this.filters[name] = select.value;
+                this.loadLeads();
+            });
+        });
+        modal.querySelector('#leads-refresh-btn').addEventListener('click', () => this.loadLeads());
+
+        modal.querySelector('.applications-inbox-body').addEventListener('submit', (e) => {
+            if (e.target.classList.contains('lead-update-form')) {
+                e.preventDefault();
+                this.saveLead(e.target);
+            }
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        await this.loadTeamMembers();
+        filterInputs.assignedTo.innerHTML += this.teamMembers
+            .map(member => `<option value="${escapeHtml(member.id)}">${escapeHtml(member.name)}</option>`)
+            .join('');
+        Object.entries(filterInputs).forEach(([name, select]) => {
+            select.value = this.filters[name];
+        });
+
+        await this.loadLeads();
+    }
+
+    closeInbox() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    async loadTeamMembers() {
+        const { teamMembers, error } = await this.dbService.getTeamMembers('about.html');
+        if (error) {
+            console.warn('⚠️ Could not load team members for lead assignment:', error);
+        }
+        this.teamMembers = teamMembers || [];
+    }
+
+    async loadLeads() {
+        const body = this.modal && this.modal.querySelector('.applications-inbox-body');
+        if (!body) return;
+
+        body.innerHTML = '<p>Loading leads...</p>';
+
+        const { leads, error } = await this.dbService.getLeads(this.filters);
+        if (error) {
+            body.innerHTML = `<p style="color: #e74c3c;">Error loading leads: ${escapeHtml(error)}</p>`;
+            return;
+        }
+
+        this.leads = leads;
+        this.renderLeads(body);
+    }
+
+    renderLeads(body) {
+        if (this.leads.length === 0) {
+            body.innerHTML = '<p class="applications-empty">No leads match these filters.</p>';
+            return;
+        }
+
+        const today = todayString();
+        body.innerHTML = this.leads.map(lead => this.renderLead(lead, today)).join('');
+    }
+
+    renderLead(lead, today) {
+        const received = new Date(lead.created_at).toLocaleString();
+        const isDue = this.isFollowUpDue(lead, today);
+
+        return `
+            <details class="application-item lead-item status-${escapeHtml(lead.status)}">
+                <summary>
+                    <span class="application-item-name">${escapeHtml(lead.name)}</span>
+                    <span class="application-item-meta">
+                        ${escapeHtml(LEAD_CONFIG.inquiryTypes[lead.inquiry_type] || lead.inquiry_type)} · Received ${escapeHtml(received)}
+                        ${lead.assigned_name ? ` · 👤 ${escapeHtml(lead.assigned_name)}` : ''}
+                    </span>
+                    <span class="lead-status-badge">${STATUS_LABELS[lead.status] || escapeHtml(lead.status)}</span>
+                    ${lead.follow_up_date ? `
+                        <span class="lead-follow-up-badge ${isDue ? 'due' : ''}">📅 ${escapeHtml(lead.follow_up_date)}</span>
+                    ` : ''}
+                </summary>
+                <div class="application-item-details">
+                    <div class="application-section">
+                        <h5>Inquiry</h5>
+                        <dl>
+                            <dt>Email</dt><dd><a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a></dd>
+                            ${lead.phone ? `<dt>Phone</dt><dd><a href="tel:${escapeHtml(lead.phone)}">${escapeHtml(lead.phone)}</a></dd>` : ''}
+                            ${lead.property_address ? `<dt>Property</dt><dd>${escapeHtml(lead.property_address)}</dd>` : ''}
+                        </dl>
+                        <p class="lead-message">${escapeHtml(lead.message)}</p>
+                    </div>
+                    <form class="application-section lead-update-form" data-lead-id="${escapeHtml(lead.id)}">
+                        <h5>Follow-up</h5>
+                        <label>Status
+                            <select name="status">
+                                ${LEAD_CONFIG.statuses.map(status => `
+                                    <option value="${status}" ${status === lead.status ? 'selected' : ''}>${STATUS_LABELS[status] || status}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>Assigned to
+                            <select name="assignedTo">
+                                <option value="">Unassigned</option>
+                                ${this.teamMembers.map(member => `
+                                    <option value="${escapeHtml(member.id)}" ${member.id === lead.assigned_to ? 'selected' : ''}>${escapeHtml(member.name)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <label>Follow-up date
+                            <input type="date" name="followUpDate" value="${escapeHtml(lead.follow_up_date || '')}">
+                        </label>
+                        <label>Notes
+                            <textarea name="notes" rows="3">${escapeHtml(lead.notes || '')}</textarea>
+                        </label>
+                        <button type="submit" class="btn-image-manager">💾 Save</button>
+                    </form>
+                </div>
+            </details>
+        `;
+    }
+
+    async saveLead(form) {
+        const leadId = form.dataset.leadId;
+        const button = form.querySelector('button[type="submit"]');
+        const updates = {
+            status: form.elements.status.value,
+            assignedTo: form.elements.assignedTo.value,
+            notes: form.elements.notes.value.trim(),
+            followUpDate: form.elements.followUpDate.value
+        };
+
+        button.disabled = true;
+        const { error } = await this.dbService.updateLead(leadId, updates);
+        button.disabled = false;
+
+        if (error) {
+            alert(`Failed to update lead: ${error}`);
+            return;
+        }
+
+        // Reload so the summary, filters and badges reflect the change
+        await this.loadLeads();
+        this.refreshCounts();
+    }
+}
+
+// Create global instance
+const leadsAdmin = new LeadsAdmin();
+
+// Make globally available for debugging and integration
+window.leadsAdmin = leadsAdmin;
+
+// Auto-initialize when admin logs in
+document.addEventListener('DOMContentLoaded', () => {
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    leadsAdmin.initialize();
+                } else {
+                    leadsAdmin.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        leadsAdmin.initialize();
+    }
+});
+
+export default leadsAdmin;
@@ -0,0 +1,186 @@
+-- Leads Table for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after content-drafts-table.sql (for admin_require_role)
+-- to store contact page inquiries and power the admin lead inbox
+
+CREATE TABLE IF NOT EXISTS leads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    inquiry_type VARCHAR(20) NOT NULL CHECK (inquiry_type IN ('owner', 'tenant', 'hoa', 'commercial')),
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),
+    property_address TEXT,
+    message TEXT NOT NULL,
+
+    -- Inbox workflow
+    status VARCHAR(20) NOT NULL DEFAULT 'new'
+        CHECK (status IN ('new', 'contacted', 'in_progress', 'converted', 'closed')),
+    assigned_to UUID REFERENCES team_members(id) ON DELETE SET NULL,
+    notes TEXT,
+    follow_up_date DATE,
+
+    source_page VARCHAR(100),
+    client_hash VARCHAR(64), -- SHA-256 of the submitter's IP, only used for rate limiting
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the inbox filters and the rate limit lookups
+CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
+CREATE INDEX IF NOT EXISTS idx_leads_assigned ON leads(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_leads_follow_up ON leads(follow_up_date);
+CREATE INDEX IF NOT EXISTS idx_leads_client_recent ON leads(client_hash, created_at);
+CREATE INDEX IF NOT EXISTS idx_leads_email_recent ON leads(lower(email), created_at);
+
+-- Leads hold visitor contact details; the browser goes through the functions below
+REVOKE ALL ON leads FROM anon, authenticated;
+
+-- Public submission. A filled-in honeypot field is accepted silently but not stored,
+-- and each IP / email may submit at most 3 inquiries per 15 minutes.
+CREATE OR REPLACE FUNCTION leads_submit(
+    p_inquiry_type TEXT,
+    p_name TEXT,
+    p_email TEXT,
+    p_phone TEXT,
+    p_property_address TEXT,
+    p_message TEXT,
+    p_source_page TEXT DEFAULT NULL,
+    p_honeypot TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_headers JSON;
+    v_ip TEXT;
+    v_client_hash TEXT;
+    v_id UUID;
+BEGIN
+    IF COALESCE(p_honeypot, '') <> '' THEN
+        RETURN NULL;
+    END IF;
+
+    IF COALESCE(trim(p_name), '') = '' OR COALESCE(trim(p_message), '') = ''
+       OR p_email !~* '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN
+        RAISE EXCEPTION 'INVALID_LEAD';
+    END IF;
+
+    -- PostgREST passes the request headers. The visitor can send any X-Forwarded-For, so only
+    -- addresses set by the platform count: the CDN's connecting IP, else the last hop, which the
+    -- proxy in front of the API appends.
+    v_headers := COALESCE(NULLIF(current_setting('request.headers', true), ''), '{}')::json;
+    v_ip := trim(COALESCE(
+        NULLIF(v_headers->>'cf-connecting-ip', ''),
+        regexp_replace(COALESCE(v_headers->>'x-forwarded-for', ''), '^.*,', '')
+    ));
+    v_client_hash := CASE WHEN v_ip = '' THEN NULL ELSE encode(digest(v_ip, 'sha256'), 'hex') END;
+
+    IF (v_client_hash IS NOT NULL AND
+        (SELECT COUNT(*) FROM leads WHERE client_hash = v_client_hash AND created_at > NOW() - INTERVAL '15 minutes') >= 3)
+       OR (SELECT COUNT(*) FROM leads WHERE lower(email) = lower(trim(p_email)) AND created_at > NOW() - INTERVAL '15 minutes') >= 3 THEN
+        RAISE EXCEPTION 'RATE_LIMITED';
+    END IF;
+
+    INSERT INTO leads (inquiry_type, name, email, phone, property_address, message, source_page, client_hash)
+    VALUES (p_inquiry_type, left(trim(p_name), 255), left(trim(p_email), 255), left(NULLIF(trim(p_phone), ''), 50),
+            NULLIF(trim(p_property_address), ''), left(trim(p_message), 5000), p_source_page, v_client_hash)
+    RETURNING id INTO v_id;
+
+    RETURN v_id;
+END;
+$$;
+
+-- Inbox listing with the assigned team member's name, newest first
+CREATE OR REPLACE FUNCTION leads_list(
+    p_token TEXT,
+    p_status TEXT DEFAULT NULL,
+    p_inquiry_type TEXT DEFAULT NULL,
+    p_assigned_to UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID,
+    inquiry_type VARCHAR,
+    name VARCHAR,
+    email VARCHAR,
+    phone VARCHAR,
+    property_address TEXT,
+    message TEXT,
+    status VARCHAR,
+    assigned_to UUID,
+    assigned_name VARCHAR,
+    notes TEXT,
+    follow_up_date DATE,
+    source_page VARCHAR,
+    created_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    RETURN QUERY
+    SELECT l.id, l.inquiry_type, l.name, l.email, l.phone, l.property_address, l.message,
+           l.status, l.assigned_to, t.name, l.notes, l.follow_up_date, l.source_page, l.created_at, l.updated_at
+    FROM leads l
+    LEFT JOIN team_members t ON t.id = l.assigned_to
+    WHERE (p_status IS NULL OR l.status = p_status)
+      AND (p_inquiry_type IS NULL OR l.inquiry_type = p_inquiry_type)
+      AND (p_assigned_to IS NULL OR l.assigned_to = p_assigned_to)
+    ORDER BY l.created_at DESC;
+END;
+$$;
+
+-- Update the workflow fields of one lead and record the change in the audit log
+CREATE OR REPLACE FUNCTION leads_update(
+    p_token TEXT,
+    p_id UUID,
+    p_status TEXT,
+    p_assigned_to UUID,
+    p_notes TEXT,
+    p_follow_up_date DATE
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_before leads;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    SELECT * INTO v_before FROM leads WHERE id = p_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'LEAD_NOT_FOUND';
+    END IF;
+
+    UPDATE leads
+    SET status = p_status,
+        assigned_to = p_assigned_to,
+        notes = NULLIF(p_notes, ''),
+        follow_up_date = p_follow_up_date,
+        updated_at = NOW()
+    WHERE id = p_id;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, summary, before_data, after_data)
+    VALUES (v_actor.actor_id, v_actor.actor_email, 'update', 'lead', p_id::TEXT,
+            'Lead from ' || v_before.name || ' updated',
+            jsonb_build_object('status', v_before.status, 'assigned_to', v_before.assigned_to,
+                               'notes', v_before.notes, 'follow_up_date', v_before.follow_up_date),
+            jsonb_build_object('status', p_status, 'assigned_to', p_assigned_to,
+                               'notes', NULLIF(p_notes, ''), 'follow_up_date', p_follow_up_date));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION leads_submit(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION leads_list(TEXT, TEXT, TEXT, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION leads_update(TEXT, UUID, TEXT, UUID, TEXT, DATE) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Leads table created successfully!' as status;
+SELECT status, COUNT(*) FROM leads GROUP BY status;
@@ -0,0 +1,424 @@
+/**
+ * Listing Detail
+ * Per-listing detail view for the rentals page (rentals.html?listing=<id>, or a pre-rendered
+ * listings/*.html page whose body carries data-listing-page="<id>") including:
+ * - All listing fields (description, features, appliances, pets, utilities, parking)
+ * - Swipeable lightbox gallery over primary + additional images
+ * - Embedded virtual tour
+ * Rendering is driven by RentalsAdminManager so admin inline editing reuses its pending changes.
+ */
+
+import { html, escapeHtml } from './safe-html.js';
+import { DEFAULT_LISTING_IMAGE as DEFAULT_IMAGE_URL, parseFeatures, listingDetailHtml, listingNotFoundHtml } from './page-templates.js';
+import pageMeta, { getPageUrl, getListingUrl } from './seo.js';
+import { IMAGE_SIZES, responsiveImageHtml } from './responsive-images.js';
+import { loadSignedImage } from './image-pipeline.js';
+
+const LISTING_PARAM = 'listing';
+const SWIPE_THRESHOLD = 50; // px
+
+class ListingDetailView {
+    constructor() {
+        this.listeners = [];
+        this.galleryImages = [];
+        this.lightboxIndex = 0;
+        this.lightbox = null;
+        this.lightboxKeyHandler = null;
+    }
+
+    /**
+     * Listing id requested in the URL, or null for the grid view
+     */
+    getListingIdFromUrl() {
+        return new URLSearchParams(window.location.search).get(LISTING_PARAM) || document.body.dataset.listingPage || null;
+    }
+
+    isOpen() {
+        return Boolean(this.getListingIdFromUrl());
+    }
+
+    /**
+     * Canonical URL of a listing: its pre-rendered page on a built site, the rentals route otherwise
+     */
+    getCanonicalUrl(listing) {
+        if (document.documentElement.dataset.prerendered) {
+            return getListingUrl(listing);
+        }
+        return `${getPageUrl('rentals.html')}?${LISTING_PARAM}=${encodeURIComponent(listing.id)}`;
+    }
+
+    getDetailUrl(listingId) {
+        const params = new URLSearchParams(window.location.search);
+        params.set(LISTING_PARAM, listingId);
+        return `${window.location.pathname}?${params.toString()}`;
+    }
+
+    /**
+     * Register a callback fired when the route changes between grid and detail
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => callback(this.getListingIdFromUrl()));
+    }
+
+    /**
+     * Intercept "View Details" links so the route changes without a reload
+     */
+    initialize() {
+        document.addEventListener('click', (e) => {
+            const detailsLink = e.target.closest('a.view-details-btn[data-listing-id]');
+            if (detailsLink && !e.metaKey && !e.ctrlKey && !e.shiftKey) {
+                e.preventDefault();
+                this.open(detailsLink.dataset.listingId);
+                return;
+            }
+
+            const backLink = e.target.closest('.listing-detail-back');
+            if (backLink) {
+                e.preventDefault();
+                this.close();
+            }
+        });
+    }
+
+    open(listingId) {
+        window.history.pushState({ listingId }, '', this.getDetailUrl(listingId));
+        this.notifyListeners();
+        window.scrollTo({ top: 0 });
+    }
+
+    /**
+     * Return to the grid, keeping any sort/filter parameters
+     */
+    close() {
+        // A pre-rendered listing page has no grid to return to
+        if (document.body.dataset.listingPage) {
+            window.location.href = 'rentals.html';
+            return;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        params.delete(LISTING_PARAM);
+        const query = params.toString();
+        window.history.pushState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+        this.notifyListeners();
+    }
+
+    /**
+     * Toggle between the grid and the detail container
+     */
+    setVisible(isVisible) {
+        document.body.classList.toggle('listing-detail-mode', isVisible);
+        const container = document.getElementById('listing-detail');
+        if (container) {
+            container.hidden = !isVisible;
+            if (!isVisible) {
+                container.innerHTML = '';
+            }
+        }
+        if (!isVisible) {
+            pageMeta.setListing(null);
+        }
+    }
+
+    /**
+     * Render a listing (or a not-found message) into #listing-detail
+     * @returns {HTMLElement|null} The detail root element carrying data-listing-id
+     */
+    render(listing) {
+        const container = document.getElementById('listing-detail');
+        if (!container) return null;
+
+        this.setVisible(true);
+
+        if (!listing) {
+            container.innerHTML = listingNotFoundHtml();
+            return null;
+        }
+
+        container.innerHTML = listingDetailHtml(listing, { isAdmin: document.body.classList.contains('admin-mode') });
+
+        const root = container.querySelector('.listing-detail');
+        this.updateFields(root, listing);
+        this.bindGallery(root);
+
+        // Title, social tags and RealEstateListing structured data for the open listing
+        pageMeta.setListing(listing, this.getCanonicalUrl(listing));
+
+        // Private bucket images need signed URLs
+        if (listing.primary_image_filename) {
+            this.loadSignedUrl(listing.primary_image_filename, root.querySelector('.listing-detail-hero img'), listing.primary_image_variants);
+        }
+
+        return root;
+    }
+
+    /**
+     * Refresh the fields that need more than textContent (features, gallery, tour)
+     */
+    updateFields(root, listing) {
+        if (!root) return;
+
+        const featuresElement = root.querySelector('[data-field="features"]');
+        if (featuresElement) {
+            const features = this.parseFeatures(listing.features);
+            featuresElement.innerHTML = features.length > 0
+                ? features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('')
+                : '<li>Contact us for a full feature list</li>';
+        }
+
+        ['utilities_included', 'parking_info'].forEach(field => {
+            const element = root.querySelector(`[data-field="${field}"]`);
+            if (element) {
+                element.textContent = listing[field] || 'Contact for details';
+            }
+        });
+
+        const tourUrlElement = root.querySelector('[data-field="virtual_tour_url"]');
+        if (tourUrlElement) {
+            tourUrlElement.textContent = listing.virtual_tour_url || 'Click to add a tour URL';
+        }
+
+        this.renderTour(root, listing);
+        this.renderThumbnails(root, listing);
+    }
+
+    /**
+     * features is stored as a JSON array string or a comma/newline separated list
+     */
+    parseFeatures(features) {
+        return parseFeatures(features);
+    }
+
+    /**
+     * additional_images is a JSONB array of { url, filename, alt } (plain URL strings are accepted too)
+     */
+    parseAdditionalImages(additionalImages) {
+        let images = additionalImages;
+        if (typeof images === 'string') {
+            try {
+                images = JSON.parse(images);
+            } catch (error) {
+                images = [];
+            }
+        }
+        if (!Array.isArray(images)) return [];
+
+        return images
+            .map(image => (typeof image === 'string' ? { url: image } : image))
+            .filter(image => image && (image.url || image.filename));
+    }
+
+    getGalleryImages(listing) {
+        const primary = {
+            url: listing.primary_image_url || DEFAULT_IMAGE_URL,
+            filename: listing.primary_image_filename,
+            variants: listing.primary_image_variants,
+            alt: listing.title
+        };
+        return [primary, ...this.parseAdditionalImages(listing.additional_images)];
+    }
+
+    renderThumbnails(root, listing) {
+        const thumbs = root.querySelector('.listing-detail-thumbs');
+        if (!thumbs) return;
+
+        this.galleryImages = this.getGalleryImages(listing);
+        thumbs.innerHTML = this.galleryImages.map((image, index) => `
+            <button type="button" class="listing-detail-thumb" data-gallery-index="${index}" aria-label="View photo ${index + 1}">
+                ${responsiveImageHtml({ url: image.url || DEFAULT_IMAGE_URL, variants: image.variants, alt: image.alt || `Photo ${index + 1}` }, {
+                    sizes: IMAGE_SIZES.thumbnail,
+                    attributes: html`loading="lazy"`
+                })}
+                ${index > 0 ? `<span class="remove-gallery-image-btn" data-gallery-index="${index}" title="Remove photo">×</span>` : ''}
+            </button>
+        `).join('') + `
+            <button type="button" class="listing-detail-thumb add-gallery-image-btn" data-listing-id="${escapeHtml(listing.id)}" title="Add photo">＋</button>
+        `;
+
+        thumbs.querySelectorAll('.listing-detail-thumb[data-gallery-index] img').forEach((img, index) => {
+            const image = this.galleryImages[index];
+            if (image && image.filename) {
+                this.loadSignedUrl(image.filename, img, image.variants, (signedUrl) => { image.displayUrl = signedUrl; });
+            }
+        });
+    }
+
+    /**
+     * Embed the virtual tour (https only; YouTube/Vimeo watch links are converted to embeds)
+     */
+    renderTour(root, listing) {
+        const tourContainer = root.querySelector('.listing-detail-tour');
+        const tourSection = root.querySelector('.listing-detail-tour-section');
+        if (!tourContainer) return;
+
+        const embedUrl = this.getTourEmbedUrl(listing.virtual_tour_url);
+        if (tourSection) {
+            tourSection.classList.toggle('no-tour', !embedUrl);
+        }
+
+        if (!embedUrl) {
+            tourContainer.innerHTML = '';
+            return;
+        }
+
+        const currentFrame = tourContainer.querySelector('iframe');
+        if (currentFrame && currentFrame.src === embedUrl) return;
+
+        tourContainer.innerHTML = '';
+        const iframe = document.createElement('iframe');
+        iframe.src = embedUrl;
+        iframe.title = `Virtual tour of ${listing.title || 'this property'}`;
+        iframe.loading = 'lazy';
+        iframe.allowFullscreen = true;
+        iframe.setAttribute('allow', 'fullscreen; xr-spatial-tracking; gyroscope; accelerometer');
+        iframe.setAttribute('referrerpolicy', 'no-referrer');
+        tourContainer.appendChild(iframe);
+    }
+
+    getTourEmbedUrl(tourUrl) {
+        if (!tourUrl) return null;
+
+        let url;
+        try {
+            url = new URL(tourUrl);
+        } catch (error) {
+            return null;
+        }
+        if (url.protocol !== 'https:') return null;
+
+        const host = url.hostname.replace(/^www\./, '');
+        if ((host === 'youtube.com' || host === 'm.youtube.com') && url.searchParams.get('v')) {
+            return `https://www.youtube.com/embed/${encodeURIComponent(url.searchParams.get('v'))}`;
+        }
+        if (host === 'youtu.be') {
+            return `https://www.youtube.com/embed/${encodeURIComponent(url.pathname.slice(1))}`;
+        }
+        if (host === 'vimeo.com' && /^\/\d+/.test(url.pathname)) {
+            return `https://player.vimeo.com/video${url.pathname}`;
+        }
+
+        return url.href;
+    }
+
+    async loadSignedUrl(filename, imgElement, variants, onLoaded) {
+        try {
+            const signedUrl = await loadSignedImage(imgElement, filename, variants);
+            if (signedUrl && onLoaded) {
+                onLoaded(signedUrl);
+            }
+        } catch (error) {
+            console.warn(`Could not load signed URL for image: ${filename}`, error);
+        }
+    }
+
+    /**
+     * Open the lightbox from the hero image or a thumbnail
+     */
+    bindGallery(root) {
+        root.querySelector('.listing-detail-gallery').addEventListener('click', (e) => {
+            // Admin mode uses the hero image to pick the primary photo
+            if (document.body.classList.contains('admin-mode')) return;
+
+            const trigger = e.target.closest('[data-gallery-index]');
+            if (trigger) {
+                this.openLightbox(parseInt(trigger.dataset.galleryIndex) || 0);
+            }
+        });
+    }
+
+    openLightbox(index) {
+        if (this.galleryImages.length === 0) return;
+        this.closeLightbox();
+
+        const lightbox = document.createElement('div');
+        lightbox.className = 'listing-lightbox';
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+        lightbox.setAttribute('aria-label', 'Photo gallery');
+        lightbox.innerHTML = `
+            <button type="button" class="listing-lightbox-close" aria-label="Close gallery">&times;</button>
+            <button type="button" class="listing-lightbox-nav prev" aria-label="Previous photo">‹</button>
+            <figure class="listing-lightbox-stage">
+                <img alt="">
+                <figcaption class="listing-lightbox-counter"></figcaption>
+            </figure>
+            <button type="button" class="listing-lightbox-nav next" aria-label="Next photo">›</button>
+        `;
+
+        lightbox.querySelector('.listing-lightbox-close').addEventListener('click', () => this.closeLightbox());
+        lightbox.querySelector('.prev').addEventListener('click', () => this.showLightboxImage(this.lightboxIndex - 1));
+        lightbox.querySelector('.next').addEventListener('click', () => this.showLightboxImage(this.lightboxIndex + 1));
+        lightbox.addEventListener('click', (e) => {
+            if (e.target === lightbox) this.closeLightbox();
+        });
+
+        // Swipe left/right on touch devices
+        let touchStartX = null;
+        lightbox.addEventListener('touchstart', (e) => {
+            touchStartX = e.changedTouches[0].clientX;
+        }, { passive: true });
+        lightbox.addEventListener('touchend', (e) => {
+            if (touchStartX === null) return;
+            const deltaX = e.changedTouches[0].clientX - touchStartX;
+            touchStartX = null;
+            if (Math.abs(deltaX) > SWIPE_THRESHOLD) {
+                this.showLightboxImage(this.lightboxIndex + (deltaX < 0 ? 1 : -1));
+            }
+        });
+
+        this.lightboxKeyHandler = (e) => {
+            if (e.key === 'Escape') this.closeLightbox();
+            else if (e.key === 'ArrowLeft') this.showLightboxImage(this.lightboxIndex - 1);
+            else if (e.key === 'ArrowRight') this.showLightboxImage(this.lightboxIndex + 1);
+        };
+        document.addEventListener('keydown', this.lightboxKeyHandler);
+
+        document.body.appendChild(lightbox);
+        document.body.style.overflow = 'hidden';
+        this.lightbox = lightbox;
+        this.showLightboxImage(index);
+        lightbox.querySelector('.listing-lightbox-close').focus();
+    }
+
+    showLightboxImage(index) {
+        if (!this.lightbox) return;
+
+        const count = this.galleryImages.length;
+        this.lightboxIndex = (index + count) % count;
+        const image = this.galleryImages[this.lightboxIndex];
+
+        const img = this.lightbox.querySelector('.listing-lightbox-stage img');
+        img.src = image.displayUrl || image.url || DEFAULT_IMAGE_URL;
+        img.alt = image.alt || `Photo ${this.lightboxIndex + 1}`;
+        this.lightbox.querySelector('.listing-lightbox-counter').textContent = `${this.lightboxIndex + 1} / ${count}`;
+
+        const hideNav = count < 2;
+        this.lightbox.querySelectorAll('.listing-lightbox-nav').forEach(button => {
+            button.hidden = hideNav;
+        });
+    }
+
+    closeLightbox() {
+        if (this.lightboxKeyHandler) {
+            document.removeEventListener('keydown', this.lightboxKeyHandler);
+            this.lightboxKeyHandler = null;
+        }
+        if (this.lightbox) {
+            this.lightbox.remove();
+            this.lightbox = null;
+            document.body.style.overflow = '';
+        }
+    }
+}
+
+// Create global instance
+const listingDetailView = new ListingDetailView();
+
+// Make globally available for debugging and integration
+window.listingDetailView = listingDetailView;
+
+export default listingDetailView;
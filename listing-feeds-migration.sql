@@ -0,0 +1,92 @@
+-- Listing Feeds Migration
+-- Run this script in your Supabase SQL Editor to regenerate the listing syndication feeds
+-- (portal XML, RSS, JSON Feed) whenever rental_listings rows are saved.
+-- Run it after rental-listings-status-migration.sql and after deploying the listing-feeds Edge Function.
+
+-- pg_net lets the database call the Edge Function without waiting for it
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- Where the triggers send their request; a single row, readable only by the functions below
+CREATE TABLE IF NOT EXISTS listing_feed_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    function_url TEXT NOT NULL,
+    feed_secret TEXT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE listing_feed_settings ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON listing_feed_settings FROM anon, authenticated;
+
+-- Ask the listing-feeds function to rebuild the feeds.
+-- Returns the pg_net request id, or NULL when listing_feed_settings has not been filled in yet.
+CREATE OR REPLACE FUNCTION regenerate_listing_feeds()
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_settings listing_feed_settings%ROWTYPE;
+BEGIN
+    SELECT * INTO v_settings FROM listing_feed_settings WHERE id;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN net.http_post(
+        url := v_settings.function_url,
+        body := jsonb_build_object('action', 'regenerate'),
+        headers := jsonb_build_object('Content-Type', 'application/json', 'x-feed-secret', v_settings.feed_secret)
+    );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION regenerate_listing_feeds() FROM PUBLIC, anon, authenticated;
+
+-- One request per statement that actually touched rows, so publishing several listings at once
+-- rebuilds the feeds once and page loads where advance_listing_statuses() changes nothing cost nothing
+CREATE OR REPLACE FUNCTION rental_listings_feeds_changed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM changed_rows) THEN
+        PERFORM regenerate_listing_feeds();
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+-- Transition tables need one trigger per event
+DROP TRIGGER IF EXISTS rental_listings_feeds_inserted ON rental_listings;
+CREATE TRIGGER rental_listings_feeds_inserted
+    AFTER INSERT ON rental_listings
+    REFERENCING NEW TABLE AS changed_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION rental_listings_feeds_changed();
+
+DROP TRIGGER IF EXISTS rental_listings_feeds_updated ON rental_listings;
+CREATE TRIGGER rental_listings_feeds_updated
+    AFTER UPDATE ON rental_listings
+    REFERENCING NEW TABLE AS changed_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION rental_listings_feeds_changed();
+
+DROP TRIGGER IF EXISTS rental_listings_feeds_deleted ON rental_listings;
+CREATE TRIGGER rental_listings_feeds_deleted
+    AFTER DELETE ON rental_listings
+    REFERENCING OLD TABLE AS changed_rows
+    FOR EACH STATEMENT EXECUTE FUNCTION rental_listings_feeds_changed();
+
+-- Point the triggers at your function (use the same secret as `npx supabase secrets set FEED_SECRET=...`):
+-- INSERT INTO listing_feed_settings (function_url, feed_secret)
+-- VALUES ('https://<project-ref>.supabase.co/functions/v1/listing-feeds', '<feed secret>')
+-- ON CONFLICT (id) DO UPDATE SET function_url = EXCLUDED.function_url, feed_secret = EXCLUDED.feed_secret, updated_at = NOW();
+
+-- Optional: with the pg_cron extension enabled, rebuild daily so signed photo links and
+-- "coming soon" dates stay current even when no listing is saved
+-- SELECT cron.schedule('regenerate-listing-feeds', '15 0 * * *', 'SELECT regenerate_listing_feeds()');
+
+-- Verify the migration
+SELECT tgname FROM pg_trigger WHERE tgrelid = 'rental_listings'::regclass AND tgname LIKE 'rental_listings_feeds_%';
+SELECT COUNT(*) AS feed_settings_rows FROM listing_feed_settings;
@@ -0,0 +1,139 @@
+/**
+ * Listing Status
+ * Lifecycle of a rental listing including:
+ * - The statuses (coming soon, available, application pending, leased, off-market) and their badges
+ * - "Coming soon" turning into "available" once the available date arrives
+ * - Which listings visitors see in the grid and in the recently leased showcase
+ */
+
+import { html } from './safe-html.js';
+
+const LISTING_STATUSES = {
+    coming_soon: { label: 'Coming Soon', badgeClass: 'status-coming-soon' },
+    available: { label: 'Available', badgeClass: 'status-available' },
+    application_pending: { label: 'Application Pending', badgeClass: 'status-application-pending' },
+    leased: { label: 'Leased', badgeClass: 'status-leased' },
+    off_market: { label: 'Off-Market', badgeClass: 'status-off-market' }
+};
+
+const DEFAULT_STATUS = 'available';
+
+// Statuses shown in the public listings grid and search
+const PUBLIC_STATUSES = ['coming_soon', 'available', 'application_pending'];
+
+// Statuses open to applications (rental_applications_save enforces the same list)
+const APPLICATION_STATUSES = ['available', 'application_pending'];
+
+// Leased listings stay in the "Recently Leased" showcase this long after leasing
+const RECENTLY_LEASED_DAYS = 90;
+
+/**
+ * Parse stored available dates ('8/5/25', '2025-08-05', 'Now') into a local Date
+ * @returns {Date|null} null when the listing is available now or the value is unparseable
+ */
+function parseAvailableDate(value) {
+    if (!value || /now/i.test(value)) {
+        return null;
+    }
+
+    const mmddyy = String(value).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (mmddyy) {
+        let year = parseInt(mmddyy[3]);
+        if (year < 100) {
+            year += 2000;
+        }
+        return new Date(year, parseInt(mmddyy[1]) - 1, parseInt(mmddyy[2]));
+    }
+
+    const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+    }
+
+    const parsed = new Date(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * The status to show for a listing. "Coming soon" listings whose available date has
+ * arrived show as available even before advance_listing_statuses() has updated the row.
+ */
+function getListingStatus(listing) {
+    const status = LISTING_STATUSES[listing.status] ? listing.status : DEFAULT_STATUS;
+
+    if (status === 'coming_soon') {
+        const availableDate = parseAvailableDate(listing.available_date);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (!availableDate || availableDate <= today) {
+            return 'available';
+        }
+    }
+
+    return status;
+}
+
+function getStatusLabel(status) {
+    return (LISTING_STATUSES[status] || LISTING_STATUSES[DEFAULT_STATUS]).label;
+}
+
+/**
+ * Badge markup for a listing's status. Plain "available" listings get no badge
+ * unless showAvailable is set (admin view).
+ */
+function statusBadge(listing, { showAvailable = false } = {}) {
+    const status = getListingStatus(listing);
+    if (status === 'available' && !showAvailable) {
+        return '';
+    }
+    return html`<span class="status-badge ${LISTING_STATUSES[status].badgeClass}" data-status="${status}">${getStatusLabel(status)}</span>`;
+}
+
+function isPubliclyListed(listing) {
+    return PUBLIC_STATUSES.includes(getListingStatus(listing));
+}
+
+function acceptsApplications(listing) {
+    return APPLICATION_STATUSES.includes(getListingStatus(listing));
+}
+
+/**
+ * Leased within the last RECENTLY_LEASED_DAYS (status_changed_at, falling back to updated_at)
+ */
+function isRecentlyLeased(listing) {
+    if (getListingStatus(listing) !== 'leased') {
+        return false;
+    }
+    const leasedAt = new Date(listing.status_changed_at || listing.updated_at);
+    if (isNaN(leasedAt)) {
+        return false;
+    }
+    return Date.now() - leasedAt.getTime() <= RECENTLY_LEASED_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Listings for the "Recently Leased" showcase, most recently leased first
+ */
+function getRecentlyLeased(listings, limit = 6) {
+    const leasedAt = (listing) => new Date(listing.status_changed_at || listing.updated_at).getTime() || 0;
+    return listings
+        .filter(listing => isRecentlyLeased(listing))
+        .sort((a, b) => leasedAt(b) - leasedAt(a))
+        .slice(0, limit);
+}
+
+export {
+    LISTING_STATUSES,
+    DEFAULT_STATUS,
+    PUBLIC_STATUSES,
+    APPLICATION_STATUSES,
+    RECENTLY_LEASED_DAYS,
+    parseAvailableDate,
+    getListingStatus,
+    getStatusLabel,
+    statusBadge,
+    isPubliclyListed,
+    acceptsApplications,
+    isRecentlyLeased,
+    getRecentlyLeased
+};
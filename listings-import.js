@@ -0,0 +1,739 @@
+/**
+ * Listings Import
+ * Bulk import and export of rental listings for the rentals page including:
+ * - CSV / JSON upload (or paste) with column mapping
+ * - Validation of every value against the rental_listings column types
+ * - Dry-run preview of creates and updates (matched by address) with a per-row error report
+ * - CSV / JSON export of all listings in the same format, so spreadsheets round-trip
+ * - Links to the listing portal, RSS and JSON feeds (supabase/functions/listing-feeds) and a manual rebuild
+ * Imported rows become pending changes in RentalsAdminManager; they reach the live site
+ * through Save Draft and Review Drafts like any other listing edit.
+ */
+
+import dbService from './supabase-client.js';
+import { html, escapeHtml } from './safe-html.js';
+import { toCsv, parseCsv, downloadFile } from './csv.js';
+import { LISTING_STATUSES, parseAvailableDate } from './listing-status.js';
+
+/**
+ * Importable rental_listings columns, in export order. Lengths and ranges follow the
+ * smallest column definitions (the table created from the admin page).
+ */
+const LISTING_COLUMNS = [
+    { name: 'title', label: 'Title', type: 'text', maxLength: 255, required: true },
+    { name: 'address', label: 'Address', type: 'text', maxLength: 255, required: true, aliases: ['street', 'streetaddress'] },
+    { name: 'city', label: 'City', type: 'text', maxLength: 100 },
+    { name: 'state', label: 'State', type: 'text', maxLength: 10 },
+    { name: 'zip_code', label: 'ZIP Code', type: 'text', maxLength: 20, aliases: ['zip', 'postalcode', 'postcode'] },
+    { name: 'rent_price', label: 'Rent', type: 'decimal', required: true, min: 0, max: 999999.99, decimals: 2, aliases: ['price', 'monthlyrent', 'rentprice'] },
+    { name: 'square_feet', label: 'Square Feet', type: 'integer', min: 0, aliases: ['sqft', 'size'] },
+    { name: 'bedrooms', label: 'Bedrooms', type: 'integer', min: 0, aliases: ['beds', 'bd'] },
+    { name: 'bathrooms', label: 'Bathrooms', type: 'decimal', min: 0, max: 99.9, decimals: 1, aliases: ['baths', 'ba'] },
+    { name: 'property_type', label: 'Property Type', type: 'text', maxLength: 100, aliases: ['type'] },
+    { name: 'status', label: 'Status', type: 'status' },
+    { name: 'available_date', label: 'Available Date', type: 'date', aliases: ['available', 'availability', 'availableon'] },
+    { name: 'description', label: 'Description', type: 'text' },
+    { name: 'features', label: 'Features', type: 'text' },
+    { name: 'appliances', label: 'Appliances', type: 'text' },
+    { name: 'pet_policy', label: 'Pet Policy', type: 'text', aliases: ['pets'] },
+    { name: 'utilities_included', label: 'Utilities Included', type: 'text', aliases: ['utilities'] },
+    { name: 'parking_info', label: 'Parking', type: 'text', aliases: ['parkinginfo'] },
+    { name: 'neighborhood', label: 'Neighborhood', type: 'text', maxLength: 100 },
+    { name: 'latitude', label: 'Latitude', type: 'decimal', min: -90, max: 90, decimals: 6, aliases: ['lat'] },
+    { name: 'longitude', label: 'Longitude', type: 'decimal', min: -180, max: 180, decimals: 6, aliases: ['lng', 'lon', 'long'] },
+    { name: 'primary_image_url', label: 'Image URL', type: 'url', aliases: ['image', 'photo', 'imageurl', 'photourl'] },
+    { name: 'primary_image_filename', label: 'Image Bucket Path', type: 'text', maxLength: 255 },
+    { name: 'additional_images', label: 'Additional Images', type: 'images', aliases: ['gallery', 'photos'] },
+    { name: 'virtual_tour_url', label: 'Virtual Tour URL', type: 'url', aliases: ['tour', 'virtualtour'] },
+    { name: 'is_featured', label: 'Featured', type: 'boolean', aliases: ['featured'] },
+    { name: 'sort_order', label: 'Sort Order', type: 'integer' }
+];
+
+const COLUMN_NAMES = LISTING_COLUMNS.map(column => column.name);
+
+const PREVIEW_ROW_LIMIT = 500;
+
+const FEED_LABELS = {
+    zillow: 'Listing portals (XML)',
+    rss: 'RSS',
+    json: 'JSON Feed'
+};
+
+const ACTION_LABELS = {
+    create: '➕ Create',
+    update: '✏️ Update',
+    unchanged: '— Unchanged',
+    error: '⚠️ Error'
+};
+
+function normalizeKey(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Address key used to match imported rows to existing listings
+ */
+function normalizeAddress(value) {
+    return String(value ?? '').toLowerCase().replace(/[.,#]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Convert one imported value to the column's type
+ * @returns {{ value: *, error: string|null }}
+ */
+function convertValue(column, raw) {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+    const fail = (message) => ({ value: null, error: `${column.label}: ${message}` });
+
+    switch (column.type) {
+        case 'integer':
+        case 'decimal': {
+            const number = typeof text === 'number' ? text : Number(String(text).replace(/[$,\s]/g, ''));
+            if (!Number.isFinite(number)) return fail(`"${text}" is not a number`);
+            if (column.type === 'integer' && !Number.isInteger(number)) return fail(`"${text}" is not a whole number`);
+            if (column.min !== undefined && number < column.min) return fail(`must be at least ${column.min}`);
+            if (column.max !== undefined && number > column.max) return fail(`must be at most ${column.max}`);
+            const scaled = column.decimals !== undefined ? number * 10 ** column.decimals : 0;
+            if (Math.abs(Math.round(scaled) - scaled) > 1e-6) {
+                return fail(`use at most ${column.decimals} decimal place${column.decimals === 1 ? '' : 's'}`);
+            }
+            return { value: number, error: null };
+        }
+        case 'boolean': {
+            if (typeof text === 'boolean') return { value: text, error: null };
+            const key = normalizeKey(text);
+            if (['true', 'yes', 'y', '1'].includes(key)) return { value: true, error: null };
+            if (['false', 'no', 'n', '0'].includes(key)) return { value: false, error: null };
+            return fail(`"${text}" is not yes/no`);
+        }
+        case 'date': {
+            if (/^(now|availablenow)$/.test(normalizeKey(text))) return { value: null, error: null };
+            const date = parseAvailableDate(String(text));
+            if (!date) return fail(`"${text}" is not a date (use YYYY-MM-DD or M/D/YY)`);
+            const pad = (part) => String(part).padStart(2, '0');
+            return { value: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`, error: null };
+        }
+        case 'url': {
+            const url = String(text);
+            if (!/^https?:\/\/[^\s]+$/i.test(url)) return fail(`"${url}" is not an http(s) link`);
+            return { value: url, error: null };
+        }
+        case 'status': {
+            const key = normalizeKey(text);
+            const status = Object.entries(LISTING_STATUSES)
+                .find(([name, { label }]) => normalizeKey(name) === key || normalizeKey(label) === key);
+            if (!status) return fail(`"${text}" is not one of ${Object.values(LISTING_STATUSES).map(s => s.label).join(', ')}`);
+            return { value: status[0], error: null };
+        }
+        case 'images': {
+            // A JSON array (as exported) or image links separated by |
+            let images = text;
+            if (typeof text === 'string') {
+                if (text.startsWith('[')) {
+                    try {
+                        images = JSON.parse(text);
+                    } catch (error) {
+                        return fail('is not valid JSON');
+                    }
+                } else {
+                    images = text.split('|').map(url => ({ url: url.trim(), filename: null, alt: '' }));
+                }
+            }
+            if (!Array.isArray(images)) return fail('must be a list of images');
+            const invalid = images.find(image => !image || typeof image.url !== 'string' || !/^https?:\/\//i.test(image.url.trim()));
+            if (invalid) return fail('every image needs an http(s) url');
+            return { value: images, error: null };
+        }
+        default: {
+            const value = typeof text === 'object' ? JSON.stringify(text) : String(text);
+            if (column.maxLength && value.length > column.maxLength) {
+                return fail(`longer than ${column.maxLength} characters`);
+            }
+            return { value, error: null };
+        }
+    }
+}
+
+/**
+ * Whether an imported value equals the listing's current value (so the field is left alone)
+ */
+function isSameValue(column, current, imported) {
+    if (column.name === 'address') {
+        return normalizeAddress(current) === normalizeAddress(imported);
+    }
+    if (column.type === 'date' && !isBlank(current)) {
+        current = convertValue(column, current).value;
+    }
+    const normalize = (value) => {
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value))) return String(Number(value));
+        return String(value).trim();
+    };
+    return normalize(current) === normalize(imported);
+}
+
+class ListingsImportWizard {
+    constructor() {
+        this.dbService = dbService;
+        this.isInitialized = false;
+        this.modal = null;
+        this.reset();
+    }
+
+    reset() {
+        this.fileName = '';
+        this.sourceColumns = [];
+        this.sourceRows = [];
+        this.mapping = {}; // source column -> listing column name ('' = ignore)
+        this.plan = [];
+    }
+
+    /**
+     * Add the import / export buttons for admins who can edit listings
+     */
+    initialize() {
+        if (this.isInitialized || !this.dbService.hasPermission('edit')) {
+            return;
+        }
+
+        console.log('📥 Initializing Listings Import...');
+        this.addAdminControls();
+        this.isInitialized = true;
+    }
+
+    cleanup() {
+        const controls = document.getElementById('listings-import-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.closeWizard();
+        this.isInitialized = false;
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('listings-import-controls')) {
+            return;
+        }
+
+        const feedUrls = this.dbService.getListingFeedUrls();
+        const controls = document.createElement('div');
+        controls.id = 'listings-import-controls';
+        controls.className = 'listings-import-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>📥 Import / Export Listings</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    Add or update many listings from a spreadsheet (CSV) or JSON file.
+                </p>
+                <button id="open-listings-import-btn" class="btn btn-primary" style="background-color: #8e44ad; margin-right: 10px;">
+                    📥 Import Listings
+                </button>
+                <button id="export-listings-csv-btn" class="btn-image-manager">⬇️ CSV</button>
+                <button id="export-listings-json-btn" class="btn-image-manager">⬇️ JSON</button>
+            </div>
+            <div class="rentals-admin-section">
+                <h4>📡 Listing Feeds</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    Rebuilt automatically whenever a listing is saved. Give these links to listing portals.
+                </p>
+                <div class="listing-feed-links">
+                    ${Object.entries(FEED_LABELS).map(([format, label]) => html`
+                        <a href="${feedUrls[format]}" target="_blank" rel="noopener" class="listing-feed-link">${label}</a>
+                    `).join('')}
+                </div>
+                <button id="regenerate-listing-feeds-btn" class="btn-image-manager">🔄 Rebuild Feeds</button>
+                <div id="listing-feeds-status" class="listing-feeds-status"></div>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        document.getElementById('open-listings-import-btn').addEventListener('click', () => this.showWizard());
+        document.getElementById('export-listings-csv-btn').addEventListener('click', () => this.exportListings('csv'));
+        document.getElementById('export-listings-json-btn').addEventListener('click', () => this.exportListings('json'));
+        document.getElementById('regenerate-listing-feeds-btn').addEventListener('click', () => this.regenerateFeeds());
+    }
+
+    /**
+     * Rebuild the syndication feeds now instead of waiting for the next listing save
+     */
+    async regenerateFeeds() {
+        const button = document.getElementById('regenerate-listing-feeds-btn');
+        const status = document.getElementById('listing-feeds-status');
+        button.disabled = true;
+        status.textContent = 'Rebuilding feeds...';
+
+        const { data, error } = await this.dbService.regenerateListingFeeds();
+
+        button.disabled = false;
+        status.textContent = error
+            ? `❌ ${error}`
+            : `✅ Feeds rebuilt with ${data.listings} listing${data.listings === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Download every live listing in the import format
+     * @param {'csv'|'json'} format
+     */
+    async exportListings(format) {
+        const { rentalListings, error } = await this.dbService.getRentalListings();
+        if (error) {
+            alert(`Could not load listings: ${error}`);
+            return;
+        }
+
+        const rows = rentalListings.map(listing => Object.fromEntries(
+            COLUMN_NAMES.map(name => [name, listing[name] ?? null])
+        ));
+        const fileName = `rental-listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        if (format === 'json') {
+            downloadFile(JSON.stringify(rows, null, 2), fileName, 'application/json');
+        } else {
+            downloadFile(toCsv(COLUMN_NAMES, rows), fileName, 'text/csv;charset=utf-8');
+        }
+
+        console.log(`📤 Exported ${rows.length} listings to ${format.toUpperCase()}`);
+    }
+
+    /**
+     * Open the import wizard at the file step
+     */
+    showWizard() {
+        this.closeWizard();
+        this.reset();
+
+        const modal = document.createElement('div');
+        modal.className = 'admin-users-modal';
+        modal.innerHTML = `
+            <div class="admin-users-content listings-import-content">
+                <div class="applications-inbox-header">
+                    <h3>📥 Import Listings</h3>
+                    <button type="button" class="applications-inbox-close" aria-label="Close import">&times;</button>
+                </div>
+                <ol class="listings-import-steps">
+                    <li data-step="file">1. File</li>
+                    <li data-step="mapping">2. Columns</li>
+                    <li data-step="preview">3. Preview</li>
+                </ol>
+                <div class="listings-import-body"></div>
+            </div>
+        `;
+
+        modal.querySelector('.applications-inbox-close').addEventListener('click', () => this.closeWizard());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeWizard();
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+        this.renderFileStep();
+    }
+
+    closeWizard() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    setStep(step, markup) {
+        this.modal.querySelectorAll('.listings-import-steps li').forEach(item => {
+            item.classList.toggle('active', item.dataset.step === step);
+        });
+        const body = this.modal.querySelector('.listings-import-body');
+        body.innerHTML = markup;
+        return body;
+    }
+
+    renderFileStep() {
+        const body = this.setStep('file', `
+            <form class="listings-import-file">
+                <p>Choose a CSV or JSON file. The first CSV row must hold the column names; JSON must be an array of objects.
+                   Exported files can be edited and imported again.</p>
+                <input type="file" name="file" accept=".csv,.json,text/csv,application/json">
+                <p class="listings-import-or">or paste the contents:</p>
+                <textarea name="text" rows="8" placeholder="title,address,city,rent_price,..."></textarea>
+                <p class="listings-import-error" role="alert"></p>
+                <div class="listings-import-actions">
+                    <button type="submit" class="btn btn-primary">Next: map columns →</button>
+                </div>
+            </form>
+        `);
+
+        body.querySelector('form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const file = form.elements.file.files[0];
+            const text = file ? await file.text() : form.elements.text.value;
+            this.fileName = file ? file.name : 'pasted data';
+
+            const error = this.loadSource(text, file ? file.name : '');
+            if (error) {
+                form.querySelector('.listings-import-error').textContent = error;
+                return;
+            }
+            this.renderMappingStep();
+        });
+    }
+
+    /**
+     * Parse the uploaded text into source columns and rows
+     * @returns {string|null} An error message
+     */
+    loadSource(text, fileName) {
+        if (!text || !text.trim()) {
+            return 'Choose a file or paste its contents.';
+        }
+
+        const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+        if (isJson) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                return `The JSON could not be read: ${error.message}`;
+            }
+            const rows = Array.isArray(data) ? data : data && data.listings;
+            if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+                return 'The JSON must be an array of listing objects.';
+            }
+            this.sourceColumns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+            this.sourceRows = rows;
+        } else {
+            const [header, ...lines] = parseCsv(text);
+            if (!header || lines.length === 0) {
+                return 'The CSV needs a header row and at least one listing.';
+            }
+            this.sourceColumns = header.map(column => column.trim());
+            this.sourceRows = lines.map(fields => Object.fromEntries(
+                this.sourceColumns.map((column, index) => [column, fields[index] ?? ''])
+            ));
+        }
+
+        if (this.sourceRows.length === 0) {
+            return 'No listings found.';
+        }
+
+        this.mapping = Object.fromEntries(this.sourceColumns.map(column => [column, this.guessColumn(column)]));
+        return null;
+    }
+
+    /**
+     * Listing column for a source header, by name, label or common alias
+     */
+    guessColumn(header) {
+        const key = normalizeKey(header);
+        const match = LISTING_COLUMNS.find(column =>
+            normalizeKey(column.name) === key ||
+            normalizeKey(column.label) === key ||
+            (column.aliases || []).includes(key)
+        );
+        return match ? match.name : '';
+    }
+
+    renderMappingStep() {
+        const sample = (column) => {
+            const row = this.sourceRows.find(candidate => !isBlank(candidate[column]));
+            const value = row ? row[column] : '';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+        };
+
+        const body = this.setStep('mapping', html`
+            <p>${this.sourceRows.length} row${this.sourceRows.length === 1 ? '' : 's'} in ${this.fileName}.
+               Choose the listing field for each column. Rows are matched to existing listings by address.</p>
+            <table class="admin-users-table listings-import-mapping">
+                <thead>
+                    <tr><th>Column</th><th>Example</th><th>Listing field</th></tr>
+                </thead>
+                <tbody>
+                    ${this.sourceColumns.map((column, index) => html`
+                        <tr>
+                            <td>${column}</td>
+                            <td><small>${sample(column)}</small></td>
+                            <td>
+                                <select data-source-index="${index}" aria-label="Listing field for ${column}">
+                                    <option value="">— Ignore —</option>
+                                    ${LISTING_COLUMNS.map(target => html`
+                                        <option value="${target.name}" ${this.mapping[column] === target.name ? 'selected' : ''}>${target.label}${target.required ? ' *' : ''}</option>
+                                    `)}
+                                </select>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+            <p><small>* Required for new listings. Empty cells leave existing values unchanged.</small></p>
+            <p class="listings-import-error" role="alert"></p>
+            <div class="listings-import-actions">
+                <button type="button" class="btn-image-manager" data-action="back">← Back</button>
+                <button type="button" class="btn btn-primary" data-action="preview">Preview import →</button>
+            </div>
+        `);
+
+        body.querySelector('[data-action="back"]').addEventListener('click', () => this.renderFileStep());
+        body.querySelector('[data-action="preview"]').addEventListener('click', () => {
+            body.querySelectorAll('select[data-source-index]').forEach(select => {
+                this.mapping[this.sourceColumns[select.dataset.sourceIndex]] = select.value;
+            });
+
+            const targets = Object.values(this.mapping).filter(Boolean);
+            const duplicates = targets.filter((target, index) => targets.indexOf(target) !== index);
+            const error = !targets.includes('address')
+                ? 'Map a column to Address: it is used to match existing listings.'
+                : duplicates.length > 0
+                    ? `More than one column is mapped to ${LISTING_COLUMNS.find(c => c.name === duplicates[0]).label}.`
+                    : null;
+            if (error) {
+                body.querySelector('.listings-import-error').textContent = error;
+                return;
+            }
+
+            this.plan = this.buildPlan();
+            this.renderPreviewStep();
+        });
+    }
+
+    /**
+     * Dry run: validate every row and decide whether it creates, updates or changes nothing.
+     * Nothing is written here.
+     * @returns {Array<{rowNumber, action, address, values, changes, listingId, errors}>}
+     */
+    buildPlan() {
+        const manager = window.rentalsAdminManager;
+        const existing = ((manager && manager.rentalListings) || []).filter(listing => !listing.isNew);
+        const byAddress = new Map();
+        existing.forEach(listing => {
+            const key = normalizeAddress(listing.address);
+            byAddress.set(key, [...(byAddress.get(key) || []), listing]);
+        });
+
+        const seenAddresses = new Map();
+        // Header is row 1 in a spreadsheet
+        return this.sourceRows.map((sourceRow, index) => {
+            const rowNumber = index + 2;
+            const values = {};
+            const errors = [];
+            const invalidColumns = new Set();
+
+            Object.entries(this.mapping).forEach(([sourceColumn, target]) => {
+                if (!target || isBlank(sourceRow[sourceColumn])) return;
+                const column = LISTING_COLUMNS.find(c => c.name === target);
+                const { value, error } = convertValue(column, sourceRow[sourceColumn]);
+                if (error) {
+                    errors.push(error);
+                    invalidColumns.add(target);
+                } else {
+                    values[target] = value;
+                }
+            });
+
+            const address = values.address || '';
+            const key = normalizeAddress(address);
+            const matches = key ? byAddress.get(key) || [] : [];
+
+            if (!key) {
+                errors.push('Address: missing');
+            } else if (seenAddresses.has(key)) {
+                errors.push(`Address: same as row ${seenAddresses.get(key)}`);
+            } else {
+                seenAddresses.set(key, rowNumber);
+            }
+            if (matches.length > 1) {
+                errors.push(`Address: matches ${matches.length} existing listings`);
+            }
+
+            if (matches.length === 0) {
+                LISTING_COLUMNS
+                    .filter(column => column.required && column.name !== 'address')
+                    .filter(column => values[column.name] === undefined && !invalidColumns.has(column.name))
+                    .forEach(column => errors.push(`${column.label}: required for a new listing`));
+            }
+
+            if (errors.length > 0) {
+                return { rowNumber, action: 'error', address, values, changes: {}, listingId: null, errors };
+            }
+
+            if (matches.length === 0) {
+                if (values.status === undefined) {
+                    const availableDate = parseAvailableDate(values.available_date);
+                    values.status = availableDate && availableDate > new Date() ? 'coming_soon' : 'available';
+                }
+                return { rowNumber, action: 'create', address, values, changes: values, listingId: null, errors };
+            }
+
+            const listing = matches[0];
+            const changes = Object.fromEntries(
+                Object.entries(values).filter(([name, value]) =>
+                    !isSameValue(LISTING_COLUMNS.find(column => column.name === name), listing[name], value))
+            );
+            return {
+                rowNumber,
+                action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+                address,
+                values,
+                changes,
+                listingId: listing.id,
+                listing,
+                errors
+            };
+        });
+    }
+
+    renderPreviewStep() {
+        const count = (action) => this.plan.filter(row => row.action === action).length;
+        const staged = count('create') + count('update');
+        const labelOf = (name) => LISTING_COLUMNS.find(column => column.name === name).label;
+        const show = (value) => {
+            if (value === null || value === undefined || value === '') return '—';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+        };
+
+        const describe = (row) => {
+            if (row.action === 'error') {
+                return html`<ul class="listings-import-errors">${row.errors.map(error => html`<li>${error}</li>`)}</ul>`;
+            }
+            if (row.action === 'create') {
+                return html`${row.values.title || ''} · $${Number(row.values.rent_price || 0).toLocaleString()}`;
+            }
+            if (row.action === 'unchanged') {
+                return 'Already up to date';
+            }
+            return html`<ul class="listings-import-changes">${Object.entries(row.changes).map(([name, value]) => html`
+                <li><strong>${labelOf(name)}:</strong> ${show(row.listing[name])} → ${show(value)}</li>
+            `)}</ul>`;
+        };
+
+        const shownRows = this.plan.slice(0, PREVIEW_ROW_LIMIT);
+        const body = this.setStep('preview', html`
+            <div class="listings-import-summary">
+                <span>➕ ${count('create')} to create</span>
+                <span>✏️ ${count('update')} to update</span>
+                <span>— ${count('unchanged')} unchanged</span>
+                <span class="${count('error') > 0 ? 'has-errors' : ''}">⚠️ ${count('error')} with errors (skipped)</span>
+            </div>
+            <p>Dry run: nothing has been changed yet.</p>
+            <table class="admin-users-table listings-import-preview">
+                <thead>
+                    <tr><th>Row</th><th>Action</th><th>Address</th><th>Details</th></tr>
+                </thead>
+                <tbody>
+                    ${shownRows.map(row => html`
+                        <tr class="listings-import-row-${row.action}">
+                            <td>${row.rowNumber}</td>
+                            <td>${ACTION_LABELS[row.action]}</td>
+                            <td>${row.address || '—'}</td>
+                            <td>${describe(row)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+            ${this.plan.length > shownRows.length ? html`<p><small>Showing the first ${shownRows.length} of ${this.plan.length} rows.</small></p>` : ''}
+            <div class="listings-import-actions">
+                <button type="button" class="btn-image-manager" data-action="back">← Back</button>
+                ${count('error') > 0 ? html`<button type="button" class="btn-image-manager" data-action="errors">⬇️ Error report</button>` : ''}
+                <button type="button" class="btn btn-primary" data-action="stage" ${staged === 0 ? 'disabled' : ''}>
+                    Add ${staged} change${staged === 1 ? '' : 's'} to pending changes
+                </button>
+            </div>
+        `);
+
+        body.querySelector('[data-action="back"]').addEventListener('click', () => this.renderMappingStep());
+        const errorsBtn = body.querySelector('[data-action="errors"]');
+        if (errorsBtn) {
+            errorsBtn.addEventListener('click', () => this.downloadErrorReport());
+        }
+        body.querySelector('[data-action="stage"]').addEventListener('click', () => this.stagePlan());
+    }
+
+    /**
+     * CSV of the rows that will be skipped and why
+     */
+    downloadErrorReport() {
+        const rows = this.plan
+            .filter(row => row.action === 'error')
+            .map(row => ({ row: row.rowNumber, address: row.address, errors: row.errors.join('; ') }));
+        const baseName = this.fileName.replace(/\.[^.]+$/, '') || 'import';
+        downloadFile(toCsv(['row', 'address', 'errors'], rows), `${baseName}-errors.csv`, 'text/csv;charset=utf-8');
+    }
+
+    /**
+     * Hand the valid rows to RentalsAdminManager as pending changes
+     */
+    async stagePlan() {
+        const manager = window.rentalsAdminManager;
+        if (!manager || !manager.isInitialized) {
+            alert('Listings are still loading. Try again in a moment.');
+            return;
+        }
+
+        const creates = this.plan.filter(row => row.action === 'create').map(row => row.values);
+        const updates = this.plan.filter(row => row.action === 'update')
+            .map(row => ({ id: row.listingId, changes: row.changes }));
+
+        try {
+            await manager.stageImportedListings(creates, updates);
+        } catch (error) {
+            console.error('❌ Import failed:', error);
+            alert(`Import failed: ${error.message}`);
+            return;
+        }
+
+        this.setStep('preview', `
+            <p>✅ ${escapeHtml(creates.length)} new and ${escapeHtml(updates.length)} updated listings were added to your pending changes.</p>
+            <p>Review them on the page, then click <strong>Save Draft</strong> and publish from <strong>📝 Review Drafts</strong>.</p>
+            <div class="listings-import-actions">
+                <button type="button" class="btn btn-primary" data-action="close">Done</button>
+            </div>
+        `).querySelector('[data-action="close"]').addEventListener('click', () => this.closeWizard());
+    }
+}
+
+// Create global instance
+const listingsImportWizard = new ListingsImportWizard();
+
+// Make globally available for debugging and integration
+window.listingsImportWizard = listingsImportWizard;
+
+// Auto-initialize when an admin logs in on the rentals page or a pre-rendered listing page
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.location.pathname.includes('rentals.html') && !document.body.dataset.listingPage) {
+        return;
+    }
+
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    listingsImportWizard.initialize();
+                } else {
+                    listingsImportWizard.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        listingsImportWizard.initialize();
+    }
+});
+
+export { LISTING_COLUMNS, convertValue };
+export default listingsImportWizard;
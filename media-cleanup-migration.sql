@@ -0,0 +1,155 @@
+-- Media Cleanup Migration
+-- Run this script in your Supabase SQL Editor after privileged-operations-migration.sql,
+-- image-variants-migration.sql and media-library-migration.sql. It lets the media cleanup tool
+-- (media-cleanup.js) merge duplicate images: every reference to the copies is pointed at the kept
+-- file before the copies are deleted.
+
+-- Whether a stored value refers to a file: its bucket path, or a public/signed storage URL for it
+CREATE OR REPLACE FUNCTION media_value_matches(p_value TEXT, p_bucket TEXT, p_path TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(p_value, '') <> '' AND (
+        p_value = p_path
+        OR right(split_part(p_value, '?', 1), length(p_bucket) + length(p_path) + 2) = '/' || p_bucket || '/' || p_path
+    );
+$$;
+
+-- Point every reference to p_from_paths at p_to_path: team member photos, listing primary and
+-- gallery photos, storage links in page text and media_content page elements. Inactive rows are
+-- updated too, so restoring them later does not bring back a deleted file. Each changed row is
+-- audited. Returns the number of rows changed.
+CREATE OR REPLACE FUNCTION media_references_merge(
+    p_token TEXT,
+    p_bucket TEXT,
+    p_from_paths TEXT[],
+    p_to_path TEXT,
+    p_to_url TEXT,
+    p_to_variants JSONB DEFAULT '[]'::jsonb
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_from TEXT;
+    v_rows INTEGER;
+    v_count INTEGER := 0;
+    v_summary TEXT;
+    v_link_pattern TEXT;
+    v_bucket_pattern TEXT := regexp_replace(p_bucket, '([.*+?^${}()|\[\]\\])', '\\\1', 'g');
+BEGIN
+    -- Merging is the first half of deleting the copies, so it needs the roles that may delete
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor']);
+
+    IF COALESCE(p_to_path, '') = '' OR COALESCE(array_length(p_from_paths, 1), 0) = 0 OR p_to_path = ANY(p_from_paths) THEN
+        RAISE EXCEPTION 'INVALID_PATH';
+    END IF;
+
+    FOREACH v_from IN ARRAY p_from_paths LOOP
+        v_summary := 'Replaced duplicate image ' || v_from || ' with ' || p_to_path;
+
+        WITH changed AS (
+            UPDATE team_members t
+            SET image_filename = p_to_path, image_url = p_to_url, image_variants = p_to_variants, updated_at = NOW()
+            WHERE media_value_matches(t.image_filename, p_bucket, v_from) OR media_value_matches(t.image_url, p_bucket, v_from)
+            RETURNING t.id, t.page_name
+        )
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+        SELECT v_actor.actor_id, v_actor.actor_email, 'update', 'team_member', id::TEXT, page_name, v_summary,
+               jsonb_build_object('image_filename', v_from), jsonb_build_object('image_filename', p_to_path)
+        FROM changed;
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        v_count := v_count + v_rows;
+
+        WITH changed AS (
+            UPDATE rental_listings r
+            SET primary_image_filename = p_to_path, primary_image_url = p_to_url, primary_image_variants = p_to_variants, updated_at = NOW()
+            WHERE media_value_matches(r.primary_image_filename, p_bucket, v_from) OR media_value_matches(r.primary_image_url, p_bucket, v_from)
+            RETURNING r.id
+        )
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+        SELECT v_actor.actor_id, v_actor.actor_email, 'update', 'rental_listing', id::TEXT, 'rentals.html', v_summary,
+               jsonb_build_object('primary_image_filename', v_from), jsonb_build_object('primary_image_filename', p_to_path)
+        FROM changed;
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        v_count := v_count + v_rows;
+
+        -- Gallery photos are { url, filename, alt, variants } objects or plain URLs
+        WITH changed AS (
+            UPDATE rental_listings r
+            SET additional_images = (
+                    SELECT jsonb_agg(
+                        CASE
+                            WHEN jsonb_typeof(e.img) = 'object'
+                                 AND (media_value_matches(e.img->>'filename', p_bucket, v_from) OR media_value_matches(e.img->>'url', p_bucket, v_from))
+                                THEN e.img || jsonb_build_object('filename', p_to_path, 'url', p_to_url, 'variants', p_to_variants)
+                            WHEN jsonb_typeof(e.img) = 'string' AND media_value_matches(e.img #>> '{}', p_bucket, v_from)
+                                THEN to_jsonb(p_to_url)
+                            ELSE e.img
+                        END ORDER BY e.ord)
+                    FROM jsonb_array_elements(r.additional_images) WITH ORDINALITY AS e(img, ord)
+                ),
+                updated_at = NOW()
+            WHERE jsonb_typeof(r.additional_images) = 'array'
+              AND EXISTS (
+                  SELECT 1 FROM jsonb_array_elements(r.additional_images) AS img
+                  WHERE media_value_matches(CASE WHEN jsonb_typeof(img) = 'object' THEN img->>'filename' ELSE img #>> '{}' END, p_bucket, v_from)
+                     OR media_value_matches(img->>'url', p_bucket, v_from)
+              )
+            RETURNING r.id
+        )
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+        SELECT v_actor.actor_id, v_actor.actor_email, 'update', 'rental_listing', id::TEXT, 'rentals.html', v_summary,
+               jsonb_build_object('additional_images', v_from), jsonb_build_object('additional_images', p_to_path)
+        FROM changed;
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        v_count := v_count + v_rows;
+
+        -- Links in page text become public URLs of the kept file: a signed URL's token only
+        -- covers the path it was issued for. The path must end where media-usage.js ends it,
+        -- so a link to images/a.jpg2 is not taken for images/a.jpg.
+        v_link_pattern := '/storage/v1/object/(public|sign|authenticated)/' || v_bucket_pattern || '/'
+            || regexp_replace(v_from, '([.*+?^${}()|\[\]\\])', '\\\1', 'g') || '(\?[^"''<>)[:space:]]*)?(?![^?#"''<>)[:space:]])';
+
+        WITH changed AS (
+            UPDATE website_content c
+            SET content_text = regexp_replace(c.content_text, v_link_pattern, '/storage/v1/object/public/' || p_bucket || '/' || p_to_path, 'g'),
+                updated_at = NOW()
+            WHERE c.content_text ~ v_link_pattern
+            RETURNING c.id, c.page_name, c.element_id
+        )
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+        SELECT v_actor.actor_id, v_actor.actor_email, 'update', 'page_content', element_id, page_name, v_summary,
+               jsonb_build_object('file_path', v_from), jsonb_build_object('file_path', p_to_path)
+        FROM changed;
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        v_count := v_count + v_rows;
+
+        WITH changed AS (
+            UPDATE media_content m
+            SET file_url = p_to_url, updated_at = NOW()
+            WHERE m.page_name <> 'media-library' AND media_value_matches(m.file_url, p_bucket, v_from)
+            RETURNING m.id, m.page_name, m.element_id
+        )
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+        SELECT v_actor.actor_id, v_actor.actor_email, 'update', 'media', element_id, page_name, v_summary,
+               jsonb_build_object('file_path', v_from), jsonb_build_object('file_path', p_to_path)
+        FROM changed;
+        GET DIAGNOSTICS v_rows = ROW_COUNT;
+        v_count := v_count + v_rows;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION media_references_merge(TEXT, TEXT, TEXT[], TEXT, TEXT, JSONB) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Media cleanup installed successfully!' as status;
+SELECT media_value_matches('https://example.supabase.co/storage/v1/object/public/wolf-property-images/images/a.jpg',
+                           'wolf-property-images', 'images/a.jpg') AS url_match_works;
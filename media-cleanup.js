@@ -0,0 +1,588 @@
+/**
+ * Media Cleanup
+ * Admin scan of the image bucket for files that can go including:
+ * - Orphans: files no listing, team member, page text or page element uses (media-usage.js),
+ *   and resized variants whose original is gone
+ * - Exact duplicates (same SHA-256) and near duplicates (difference hashes a few bits apart);
+ *   every upload gets a timestamp prefix, so uploading a photo twice keeps both copies
+ * - Bulk delete of orphans, and merging a duplicate group: references move to the kept copy
+ *   (media_references_merge in media-cleanup-migration.sql) before the other copies are deleted
+ * The scan downloads every image once, so it only runs when an admin starts it.
+ */
+
+import dbService from './supabase-client.js';
+import adminImageManager from './admin-image-manager.js';
+import { html, safeUrl } from './safe-html.js';
+import { isVariantPath, findVariants } from './responsive-images.js';
+import { getUsage, describeUsage } from './media-usage.js';
+
+// Bits two difference hashes may differ by and still look like the same picture
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+// Downloads in flight while hashing
+const SCAN_CONCURRENCY = 4;
+
+// Formats the browser can decode to pixels for a difference hash; others only match exactly
+const PIXEL_HASH_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'avif'];
+
+// A flat image (one colour) hashes to all zeros, which says nothing about what it shows
+const FLAT_IMAGE_HASH = '0000000000000000';
+
+/**
+ * 64-bit difference hash of a 9x8 thumbnail: one bit per pixel, set when it is brighter than
+ * its right neighbour. Resizing, re-encoding and small edits change only a few bits.
+ * @param {Uint8ClampedArray} rgba - Pixels of the thumbnail
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {string} 16 hex digits
+ */
+function differenceHash(rgba, width = 9, height = 8) {
+    const brightness = index => rgba[index * 4] * 0.299 + rgba[index * 4 + 1] * 0.587 + rgba[index * 4 + 2] * 0.114;
+
+    let hash = '';
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            nibble = (nibble << 1) | (brightness(y * width + x) > brightness(y * width + x + 1) ? 1 : 0);
+            bits++;
+            if (bits === 4) {
+                hash += nibble.toString(16);
+                nibble = 0;
+                bits = 0;
+            }
+        }
+    }
+    return hash;
+}
+
+/**
+ * Number of bits two hex hashes of the same length differ by
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Groups of duplicate files. Files with identical bytes are one set; sets whose difference
+ * hashes are close are joined into a near-duplicate group.
+ * @param {{ sha256: string, dhash: string|null }[]} files - Hashed files
+ * @param {number} [maxDistance]
+ * @returns {{ type: 'exact'|'near', distance: number, files: Object[] }[]} Groups of two or more files
+ */
+function groupDuplicates(files, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+    const byContent = new Map();
+    files.filter(file => file.sha256).forEach(file => {
+        byContent.set(file.sha256, [...(byContent.get(file.sha256) || []), file]);
+    });
+    const sets = [...byContent.values()];
+    const pictureHash = set => (set[0].dhash && set[0].dhash !== FLAT_IMAGE_HASH ? set[0].dhash : null);
+
+    // Union-find over the sets
+    const parent = sets.map((set, index) => index);
+    const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+    for (let i = 0; i < sets.length; i++) {
+        for (let j = i + 1; j < sets.length; j++) {
+            const a = pictureHash(sets[i]);
+            const b = pictureHash(sets[j]);
+            if (a && b && hammingDistance(a, b) <= maxDistance) {
+                parent[root(j)] = root(i);
+            }
+        }
+    }
+
+    const components = new Map();
+    sets.forEach((set, index) => {
+        components.set(root(index), [...(components.get(root(index)) || []), set]);
+    });
+
+    return [...components.values()]
+        .map(component => {
+            const hashes = component.map(pictureHash);
+            let distance = 0;
+            for (let i = 0; i < hashes.length; i++) {
+                for (let j = i + 1; j < hashes.length; j++) {
+                    distance = Math.max(distance, hammingDistance(hashes[i], hashes[j]));
+                }
+            }
+            return { type: component.length === 1 ? 'exact' : 'near', distance, files: component.flat() };
+        })
+        .filter(group => group.files.length > 1);
+}
+
+/**
+ * Files nothing uses: originals without a usage, and variants whose original is gone
+ * @param {{ path: string }[]} files - Every file in the bucket
+ * @param {Map} usageIndex - From buildUsageIndex()
+ * @param {string} bucket
+ * @returns {Object[]} The orphaned files, each with a `reason`
+ */
+function findOrphans(files, usageIndex, bucket) {
+    const paths = files.map(file => file.path);
+    const ownedVariants = new Set(files
+        .filter(file => !isVariantPath(file.path))
+        .flatMap(file => findVariants(file.path, paths, path => path).map(variant => variant.path)));
+
+    return files
+        .filter(file => (isVariantPath(file.path)
+            ? !ownedVariants.has(file.path)
+            : getUsage(usageIndex, bucket, file.path).length === 0))
+        .map(file => ({
+            ...file,
+            reason: isVariantPath(file.path) ? 'Resized copy of a deleted image' : 'Not used anywhere'
+        }));
+}
+
+/**
+ * The copy to keep by default: the one used in most places, then one with resized
+ * variants, then the oldest upload
+ */
+function chooseKeeper(files) {
+    return [...files].sort((a, b) =>
+        b.usage.length - a.usage.length ||
+        b.variants.length - a.variants.length ||
+        String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+    )[0];
+}
+
+function formatSize(bytes) {
+    if (!bytes) return '';
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Run a task for every item with at most `limit` running at once
+ */
+async function forEachLimited(items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            await task(items[next++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * SHA-256 of a file's bytes and, for raster images, its difference hash
+ * @returns {Promise<{ sha256: string, dhash: string|null }>}
+ */
+async function hashFile(url, extension) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Download failed (${response.status})`);
+    }
+    const blob = await response.blob();
+
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    const sha256 = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    let dhash = null;
+    if (PIXEL_HASH_EXTENSIONS.includes(extension)) {
+        try {
+            const bitmap = await createImageBitmap(blob);
+            // Shrink in two steps: one step from thousands of pixels to 9 skips most of them
+            const step = document.createElement('canvas');
+            step.width = 72;
+            step.height = 64;
+            const stepContext = step.getContext('2d');
+            stepContext.imageSmoothingQuality = 'high';
+            stepContext.drawImage(bitmap, 0, 0, step.width, step.height);
+            bitmap.close();
+
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = 9;
+            thumbnail.height = 8;
+            const context = thumbnail.getContext('2d');
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(step, 0, 0, thumbnail.width, thumbnail.height);
+            dhash = differenceHash(context.getImageData(0, 0, thumbnail.width, thumbnail.height).data);
+        } catch (error) {
+            console.warn('⚠️ Could not decode image for near-duplicate matching:', url, error);
+        }
+    }
+
+    return { sha256, dhash };
+}
+
+class MediaCleanup {
+    constructor() {
+        this.dbService = dbService;
+        this.bucketName = adminImageManager.bucket.name;
+        this.modal = null;
+        this.results = null;
+        this.isScanning = false;
+    }
+
+    /**
+     * Open the cleanup window; the scan starts when the admin asks for it
+     */
+    open() {
+        if (!this.dbService.hasPermission('delete')) {
+            alert('Your role is not allowed to delete media.');
+            return;
+        }
+
+        this.close();
+
+        const modal = document.createElement('div');
+        modal.className = 'image-browser-modal';
+        modal.innerHTML = html`
+            <div class="image-browser-content">
+                <div class="image-browser-header">
+                    <h3>🧹 Media Cleanup</h3>
+                    <div style="font-size: 14px; color: #666; margin: 5px 0;">
+                        Find images nothing uses and copies of the same photo in ${this.bucketName}
+                    </div>
+                    <span class="image-browser-close">&times;</span>
+                </div>
+                <div class="image-browser-body">
+                    <div class="bucket-actions" style="margin: 15px 0; padding: 10px; background: #f8f9fa; border-radius: 5px;">
+                        <button id="media-cleanup-scan" class="btn btn-image-manager">🔍 Scan Bucket</button>
+                        <span class="media-cleanup-progress" id="media-cleanup-progress"></span>
+                    </div>
+                    <div id="media-cleanup-results">
+                        <p class="media-cleanup-note">The scan downloads every image once to compare them, which can take a minute for a large bucket.</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.image-browser-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        modal.querySelector('#media-cleanup-scan').addEventListener('click', () => this.scan());
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+    }
+
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    setProgress(text) {
+        const progress = this.modal && this.modal.querySelector('#media-cleanup-progress');
+        if (progress) {
+            progress.textContent = text;
+        }
+    }
+
+    /**
+     * List the bucket, check where each file is used and hash every original
+     */
+    async scan() {
+        if (this.isScanning || !this.modal) return;
+        this.isScanning = true;
+
+        const scanButton = this.modal.querySelector('#media-cleanup-scan');
+        scanButton.disabled = true;
+        this.setProgress('Listing files...');
+
+        try {
+            const [{ files, error }, usageIndex] = await Promise.all([
+                // Every file: a cut-off listing would hide duplicates and orphans
+                this.dbService.listBucketFiles(this.bucketName, '', Infinity),
+                adminImageManager.loadUsageIndex()
+            ]);
+            if (error) throw new Error(error);
+
+            // Without usage every file would look unused
+            if (!usageIndex) {
+                throw new Error('Could not check where files are used, so nothing can be called unused.');
+            }
+
+            // Storage keeps a placeholder file in empty folders
+            const entries = files.filter(file => !file.name.endsWith('.emptyFolderPlaceholder')).map(file => {
+                const path = file.fullPath || file.name;
+                return {
+                    path,
+                    name: path.split('/').pop(),
+                    size: file.metadata?.size,
+                    createdAt: file.created_at
+                };
+            });
+            const paths = entries.map(entry => entry.path);
+            const originals = entries.filter(entry => !isVariantPath(entry.path));
+            originals.forEach(entry => {
+                entry.usage = getUsage(usageIndex, this.bucketName, entry.path);
+                entry.variants = findVariants(entry.path, paths, path => this.dbService.getPublicUrl(this.bucketName, path));
+                entry.publicUrl = this.dbService.getPublicUrl(this.bucketName, entry.path);
+            });
+
+            this.setProgress('Signing downloads...');
+            const { signedUrls, error: signError } = await this.dbService.getSignedUrls(this.bucketName, originals.map(entry => entry.path), 3600);
+            if (signError) throw new Error(signError);
+
+            let done = 0;
+            const unreadable = [];
+            await forEachLimited(originals, SCAN_CONCURRENCY, async entry => {
+                entry.signedUrl = signedUrls[entry.path] || null;
+                try {
+                    if (!entry.signedUrl) throw new Error('No signed URL');
+                    Object.assign(entry, await hashFile(entry.signedUrl, entry.name.toLowerCase().split('.').pop()));
+                } catch (hashError) {
+                    console.warn(`⚠️ Could not hash ${entry.path}:`, hashError);
+                    unreadable.push(entry);
+                }
+                done++;
+                this.setProgress(`Comparing files... ${done}/${originals.length}`);
+            });
+
+            const groups = groupDuplicates(originals).map(group => ({ ...group, keep: chooseKeeper(group.files) }));
+            groups.sort((a, b) => (a.type === b.type ? a.distance - b.distance : a.type === 'exact' ? -1 : 1));
+
+            this.results = {
+                orphans: findOrphans(entries, usageIndex, this.bucketName),
+                groups,
+                unreadable
+            };
+
+            console.log(`🧹 Media scan: ${entries.length} files, ${this.results.orphans.length} unused, ${groups.length} duplicate groups`);
+            this.setProgress(`Scanned ${entries.length} files`);
+            this.renderResults();
+        } catch (error) {
+            console.error('❌ Media scan error:', error);
+            this.setProgress('');
+            this.modal.querySelector('#media-cleanup-results').innerHTML = html`<p style="color: red;">Scan failed: ${error.message}</p>`;
+        } finally {
+            this.isScanning = false;
+            if (this.modal) {
+                scanButton.disabled = false;
+            }
+        }
+    }
+
+    fileHtml(file) {
+        const usage = file.usage
+            ? file.usage.length > 0
+                ? html`<span class="media-usage-badge in-use" title="${file.usage.map(describeUsage).join('\n')}">In use · ${file.usage.length}</span>`
+                : html`<span class="media-usage-badge unused">Unused</span>`
+            : '';
+
+        return html`
+            ${file.signedUrl
+                ? html`<img src="${safeUrl(file.signedUrl)}" alt="${file.name}" class="media-cleanup-thumb" loading="lazy">`
+                : html`<span class="media-cleanup-thumb media-cleanup-thumb-empty">🖼️</span>`}
+            <span class="media-cleanup-file">
+                <span class="media-cleanup-name" title="${file.path}">${file.name}</span>
+                <span class="media-cleanup-meta">${[file.reason, formatSize(file.size), file.createdAt ? new Date(file.createdAt).toLocaleDateString() : ''].filter(Boolean).join(' · ')}</span>
+            </span>
+            ${usage}
+        `;
+    }
+
+    renderResults() {
+        const container = this.modal.querySelector('#media-cleanup-results');
+        const { orphans, groups, unreadable } = this.results;
+        const exactGroups = groups.filter(group => group.type === 'exact');
+
+        container.innerHTML = html`
+            <section class="media-cleanup-section">
+                <h4>Unused files (${orphans.length})</h4>
+                <p class="media-cleanup-note">No listing, team member, page text or page element uses these. Images only used by deleted listings or team members, drafts or page history are listed too.</p>
+                ${orphans.length === 0 ? html`<p class="media-cleanup-note">✅ Nothing to clean up.</p>` : html`
+                    <div class="media-cleanup-actions">
+                        <label><input type="checkbox" id="media-cleanup-select-all"> Select all</label>
+                        <button type="button" class="btn btn-danger" id="media-cleanup-delete">🗑️ Delete Selected</button>
+                    </div>
+                    <ul class="media-cleanup-list">
+                        ${orphans.map((file, index) => html`
+                            <li class="media-cleanup-item">
+                                <label><input type="checkbox" class="media-cleanup-orphan" value="${index}">${this.fileHtml(file)}</label>
+                            </li>
+                        `)}
+                    </ul>
+                `}
+            </section>
+            <section class="media-cleanup-section">
+                <h4>Duplicates (${groups.length})</h4>
+                <p class="media-cleanup-note">Merging keeps the selected copy, moves every listing, team member and page that uses the other copies to it, then deletes the other copies.</p>
+                ${exactGroups.length > 0 ? html`
+                    <div class="media-cleanup-actions">
+                        <button type="button" class="btn btn-image-manager" id="media-cleanup-merge-exact">🔗 Merge All Identical (${exactGroups.length})</button>
+                    </div>
+                ` : ''}
+                ${groups.length === 0 ? html`<p class="media-cleanup-note">✅ No duplicates found.</p>` : ''}
+                ${groups.map((group, groupIndex) => html`
+                    <div class="media-cleanup-group">
+                        <div class="media-cleanup-group-header">
+                            <strong>${group.type === 'exact' ? 'Identical files' : `Look alike (${group.distance} of 64 bits differ)`}</strong>
+                            <button type="button" class="btn btn-image-manager media-cleanup-merge" data-group="${groupIndex}">🔗 Merge Into Kept Copy</button>
+                        </div>
+                        <ul class="media-cleanup-list">
+                            ${group.files.map((file, fileIndex) => html`
+                                <li class="media-cleanup-item">
+                                    <label><input type="radio" name="media-cleanup-keep-${groupIndex}" value="${fileIndex}" ${file === group.keep ? 'checked' : ''}>${this.fileHtml(file)}</label>
+                                </li>
+                            `)}
+                        </ul>
+                    </div>
+                `)}
+            </section>
+            ${unreadable.length > 0 ? html`
+                <p class="media-cleanup-note">⚠️ ${unreadable.length} files could not be downloaded and were not compared: ${unreadable.map(file => file.name).join(', ')}</p>
+            ` : ''}
+        `;
+
+        const selectAll = container.querySelector('#media-cleanup-select-all');
+        if (selectAll) {
+            selectAll.addEventListener('change', () => {
+                container.querySelectorAll('.media-cleanup-orphan').forEach(checkbox => {
+                    checkbox.checked = selectAll.checked;
+                });
+            });
+            container.querySelector('#media-cleanup-delete').addEventListener('click', () => this.deleteSelectedOrphans());
+        }
+
+        container.querySelectorAll('.media-cleanup-merge').forEach(button => {
+            button.addEventListener('click', () => {
+                const group = groups[Number(button.dataset.group)];
+                const checked = container.querySelector(`input[name="media-cleanup-keep-${button.dataset.group}"]:checked`);
+                group.keep = group.files[Number(checked ? checked.value : 0)];
+                this.mergeGroups([group]);
+            });
+        });
+
+        const mergeExactButton = container.querySelector('#media-cleanup-merge-exact');
+        if (mergeExactButton) {
+            mergeExactButton.addEventListener('click', () => this.mergeGroups(exactGroups));
+        }
+    }
+
+    /**
+     * Delete the checked orphans, skipping any that started being used since the scan
+     */
+    async deleteSelectedOrphans() {
+        const selected = [...this.modal.querySelectorAll('.media-cleanup-orphan:checked')]
+            .map(checkbox => this.results.orphans[Number(checkbox.value)]);
+        if (selected.length === 0) {
+            alert('Select the files to delete first.');
+            return;
+        }
+        if (!confirm(`Delete ${selected.length} unused files? This cannot be undone.`)) return;
+
+        // Check again: the site may have changed since the scan
+        const usageIndex = await adminImageManager.loadUsageIndex();
+        if (!usageIndex) {
+            alert('Could not check where the files are used. Nothing was deleted.');
+            return;
+        }
+
+        const stillUsed = selected.filter(file => !isVariantPath(file.path) && getUsage(usageIndex, this.bucketName, file.path).length > 0);
+        const deleted = [];
+        const failed = [];
+        for (const file of selected.filter(candidate => !stillUsed.includes(candidate))) {
+            this.setProgress(`Deleting ${file.name}...`);
+            const { error } = await this.dbService.deleteFromBucket(this.bucketName, file.path);
+            if (error) {
+                failed.push(`${file.name}: ${error}`);
+            } else {
+                deleted.push(file.path);
+            }
+        }
+
+        console.log(`🗑️ Media cleanup deleted ${deleted.length} unused files`);
+        this.removeFromResults(deleted);
+        this.setProgress(`Deleted ${deleted.length} files`);
+        this.renderResults();
+
+        const problems = [
+            ...stillUsed.map(file => `${file.name}: now used by ${getUsage(usageIndex, this.bucketName, file.path).map(describeUsage).join(', ')}`),
+            ...failed
+        ];
+        if (problems.length > 0) {
+            alert(`Some files were not deleted:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+        }
+    }
+
+    /**
+     * Move every reference to the other copies in each group to its kept copy, then delete the other copies
+     * @param {Object[]} groups - Duplicate groups with `keep` set
+     */
+    async mergeGroups(groups) {
+        const copies = groups.reduce((count, group) => count + group.files.length - 1, 0);
+        const message = groups.length === 1
+            ? `Keep "${groups[0].keep.name}", move everything that uses the other ${copies} copies to it and delete them? This cannot be undone.`
+            : `Merge ${groups.length} groups of identical files and delete ${copies} copies? This cannot be undone.`;
+        if (!confirm(message)) return;
+
+        const deleted = [];
+        const failed = [];
+        let changed = 0;
+        for (const group of groups) {
+            const keep = group.keep;
+            const others = group.files.filter(file => file !== keep);
+            this.setProgress(`Merging into ${keep.name}...`);
+
+            const { changed: moved, error } = await this.dbService.mergeMediaReferences({
+                bucketName: this.bucketName,
+                fromPaths: others.map(file => file.path),
+                toPath: keep.path,
+                toUrl: keep.publicUrl,
+                toVariants: keep.variants
+            });
+            if (error) {
+                // Nothing was moved, so deleting the copies would break the pages using them
+                failed.push(`${keep.name}: ${error}`);
+                continue;
+            }
+            changed += moved;
+
+            for (const file of others) {
+                const { error: deleteError } = await this.dbService.deleteFromBucket(this.bucketName, file.path);
+                if (deleteError) {
+                    failed.push(`${file.name}: ${deleteError}`);
+                } else {
+                    deleted.push(file.path);
+                }
+            }
+            keep.usage = [...keep.usage, ...others.flatMap(file => file.usage)];
+        }
+
+        console.log(`🔗 Media cleanup merged ${groups.length} groups: ${changed} references moved, ${deleted.length} copies deleted`);
+        this.removeFromResults(deleted);
+        this.setProgress(`Moved ${changed} references and deleted ${deleted.length} copies`);
+        this.renderResults();
+
+        if (failed.length > 0) {
+            alert(`Some copies were not merged:\n${failed.map(problem => `- ${problem}`).join('\n')}`);
+        }
+    }
+
+    removeFromResults(deletedPaths) {
+        const deleted = new Set(deletedPaths);
+        this.results.orphans = this.results.orphans.filter(file => !deleted.has(file.path));
+        this.results.groups = this.results.groups
+            .map(group => ({ ...group, files: group.files.filter(file => !deleted.has(file.path)) }))
+            .filter(group => group.files.length > 1);
+    }
+}
+
+// Create global instance
+const mediaCleanup = new MediaCleanup();
+
+// Opened from the image management controls (admin-image-manager.js)
+window.mediaCleanup = mediaCleanup;
+
+export {
+    NEAR_DUPLICATE_DISTANCE,
+    differenceHash,
+    hammingDistance,
+    groupDuplicates,
+    findOrphans
+};
+
+export default mediaCleanup;
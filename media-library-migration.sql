@@ -0,0 +1,81 @@
+-- Media Library Migration
+-- Run this script in your Supabase SQL Editor after content-drafts-table.sql (for admin_require_role)
+-- and audit-log-table.sql to store per-file details for the admin media library:
+-- - One media_content row per file (page_name 'media-library', element_id '<bucket>/<path>')
+-- - Library folder, tags and alt text; folders only organise the library, files keep their storage path
+-- Page element rows (logo, hero images) keep bucket_name and file_path empty.
+
+ALTER TABLE media_content ADD COLUMN IF NOT EXISTS bucket_name VARCHAR(100);
+ALTER TABLE media_content ADD COLUMN IF NOT EXISTS file_path TEXT;
+ALTER TABLE media_content ADD COLUMN IF NOT EXISTS folder VARCHAR(255) NOT NULL DEFAULT '';
+ALTER TABLE media_content ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- One row per file (NULLs never conflict, so page element rows are not affected)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_content_asset ON media_content(bucket_name, file_path);
+CREATE INDEX IF NOT EXISTS idx_media_content_tags ON media_content USING GIN (tags);
+
+-- Create or update the library details of one file and audit the change.
+-- Tags are stored trimmed, lower case and without duplicates. Returns the row as saved.
+CREATE OR REPLACE FUNCTION media_assets_save(
+    p_token TEXT,
+    p_bucket TEXT,
+    p_file_path TEXT,
+    p_file_url TEXT,
+    p_file_type TEXT,
+    p_folder TEXT,
+    p_tags TEXT[],
+    p_alt_text TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_before JSONB;
+    v_after JSONB;
+    v_tags TEXT[];
+    v_file_name TEXT := regexp_replace(COALESCE(p_file_path, ''), '^.*/', '');
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    IF COALESCE(p_bucket, '') = '' OR v_file_name = '' OR p_file_path LIKE '%..%' THEN
+        RAISE EXCEPTION 'INVALID_PATH';
+    END IF;
+
+    SELECT COALESCE(array_agg(DISTINCT tag ORDER BY tag), '{}') INTO v_tags
+    FROM (SELECT left(lower(trim(unnest(COALESCE(p_tags, '{}')))), 50) AS tag) t
+    WHERE tag <> '';
+
+    SELECT to_jsonb(m) INTO v_before FROM media_content m WHERE m.bucket_name = p_bucket AND m.file_path = p_file_path;
+
+    INSERT INTO media_content (page_name, element_id, bucket_name, file_path, file_name, file_url, file_type, folder, tags, alt_text, is_active, updated_at)
+    VALUES ('media-library', left(p_bucket || '/' || p_file_path, 255), p_bucket, p_file_path, left(v_file_name, 255),
+            COALESCE(p_file_url, ''), left(COALESCE(NULLIF(p_file_type, ''), 'image'), 50),
+            left(trim(both '/' from COALESCE(p_folder, '')), 255), v_tags, NULLIF(trim(p_alt_text), ''), true, NOW())
+    ON CONFLICT (bucket_name, file_path) DO UPDATE
+    SET folder = EXCLUDED.folder,
+        tags = EXCLUDED.tags,
+        alt_text = EXCLUDED.alt_text,
+        file_url = EXCLUDED.file_url,
+        is_active = true,
+        updated_at = NOW()
+    RETURNING to_jsonb(media_content.*) INTO v_after;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, summary, before_data, after_data)
+    VALUES (v_actor.actor_id, v_actor.actor_email, CASE WHEN v_before IS NULL THEN 'create' ELSE 'update' END, 'media',
+            p_bucket || '/' || p_file_path, 'Updated media details for ' || v_file_name, v_before, v_after);
+
+    RETURN v_after;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION media_assets_save(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT[], TEXT) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Media library installed successfully!' as status;
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'media_content'
+  AND column_name IN ('bucket_name', 'file_path', 'folder', 'tags');
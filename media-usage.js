@@ -0,0 +1,171 @@
+/**
+ * Media Usage
+ * Where the site uses each file in storage, for the media library's "used by" panel including:
+ * - Team member photos and listing primary/gallery photos
+ * - The site logo and default share image
+ * - Page elements in media_content and storage links inside page text (website_content)
+ * References are bucket paths (image_filename, primary_image_filename) or storage URLs
+ * (public or signed), so an index built once answers "who uses this file" for every file.
+ */
+
+// media_content rows describing library files rather than page elements
+const MEDIA_LIBRARY_PAGE = 'media-library';
+
+const DEFAULT_BUCKET = 'wolf-property-images';
+
+const STORAGE_URL_PATTERN = /\/storage\/v1\/object\/(?:public|sign|authenticated)\/([^/?#\s"'<>]+)\/([^?#\s"'<>)]+)/g;
+
+const USAGE_LABELS = {
+    team_member: 'Team member',
+    listing: 'Listing',
+    logo: 'Logo',
+    page_element: 'Page element',
+    page_content: 'Page text'
+};
+
+function mediaKey(bucket, path) {
+    return `${bucket}/${path}`;
+}
+
+function decodePath(path) {
+    try {
+        return decodeURIComponent(path);
+    } catch (error) {
+        return path;
+    }
+}
+
+/**
+ * Storage files linked from a value: every storage URL in it, or the value itself when it is
+ * a bare bucket path
+ * @param {*} value
+ * @param {string} [bucket] - Bucket of bare paths
+ * @returns {{ bucket: string, path: string }[]}
+ */
+function getStorageReferences(value, bucket = DEFAULT_BUCKET) {
+    if (typeof value !== 'string' || !value.trim()) return [];
+
+    const references = Array.from(value.matchAll(STORAGE_URL_PATTERN), match => ({
+        bucket: match[1],
+        path: decodePath(match[2])
+    }));
+    if (references.length > 0) return references;
+
+    // Bare paths have no scheme, spaces or markup
+    const path = value.trim().replace(/^\/+/, '');
+    if (/^[^\s:<>"']+\.[a-z0-9]+$/i.test(path)) {
+        return [{ bucket, path }];
+    }
+    return [];
+}
+
+function parseImageList(value) {
+    let images = value;
+    if (typeof images === 'string') {
+        try {
+            images = JSON.parse(images);
+        } catch (error) {
+            return [];
+        }
+    }
+    return Array.isArray(images) ? images : [];
+}
+
+/**
+ * Usages of every referenced file, keyed by mediaKey(bucket, path)
+ * @param {Object} sources
+ * @param {Object[]} [sources.teamMembers] - Active team_members rows
+ * @param {Object[]} [sources.listings] - Active rental_listings rows
+ * @param {Object[]} [sources.pageMedia] - media_content rows
+ * @param {Object[]} [sources.content] - website_content rows
+ * @param {{ label: string, url: string }[]} [sources.site] - Images hard-coded in the pages (logo, share image)
+ * @returns {Map<string, { type: string, id: string, label: string, field: string, page: string }[]>}
+ */
+function buildUsageIndex({ teamMembers = [], listings = [], pageMedia = [], content = [], site = [] }) {
+    const index = new Map();
+
+    const add = (value, usage) => {
+        getStorageReferences(value).forEach(({ bucket, path }) => {
+            const key = mediaKey(bucket, path);
+            const usages = index.get(key) || [];
+            if (!usages.some(existing => existing.type === usage.type && existing.id === usage.id && existing.field === usage.field)) {
+                usages.push(usage);
+            }
+            index.set(key, usages);
+        });
+    };
+
+    teamMembers.forEach(member => {
+        const usage = { type: 'team_member', id: String(member.id), label: member.name || 'Unnamed', field: 'photo', page: member.page_name || 'about.html' };
+        add(member.image_filename, usage);
+        add(member.image_url, usage);
+    });
+
+    listings.forEach(listing => {
+        const label = listing.title || listing.address || 'Untitled listing';
+        const primary = { type: 'listing', id: String(listing.id), label, field: 'primary photo', page: 'rentals.html' };
+        add(listing.primary_image_filename, primary);
+        add(listing.primary_image_url, primary);
+
+        parseImageList(listing.additional_images).forEach(image => {
+            const gallery = { ...primary, field: 'gallery photo' };
+            if (typeof image === 'string') {
+                add(image, gallery);
+            } else if (image) {
+                add(image.filename, gallery);
+                add(image.url, gallery);
+            }
+        });
+    });
+
+    pageMedia
+        .filter(row => row.page_name !== MEDIA_LIBRARY_PAGE && row.is_active !== false)
+        .forEach(row => {
+            const isLogo = /logo/i.test(row.element_id || '');
+            add(row.file_url, {
+                type: isLogo ? 'logo' : 'page_element',
+                id: String(row.id),
+                label: row.element_id,
+                field: row.alt_text || '',
+                page: row.page_name
+            });
+        });
+
+    content.forEach(row => {
+        add(row.content_text, { type: 'page_content', id: `${row.page_name}/${row.element_id}`, label: row.element_id, field: '', page: row.page_name });
+    });
+
+    site.forEach(item => {
+        add(item.url, { type: 'logo', id: item.label, label: item.label, field: '', page: 'all pages' });
+    });
+
+    return index;
+}
+
+/**
+ * Usages of one file
+ * @param {Map} index - From buildUsageIndex()
+ */
+function getUsage(index, bucket, path) {
+    return index.get(mediaKey(bucket, path)) || [];
+}
+
+/**
+ * One line for a usage, e.g. "Listing: 148 Ammonite Ln (gallery photo)"
+ */
+function describeUsage(usage) {
+    const detail = [usage.field, usage.type === 'page_element' || usage.type === 'page_content' ? usage.page : '']
+        .filter(Boolean)
+        .join(', ');
+    return `${USAGE_LABELS[usage.type] || usage.type}: ${usage.label}${detail ? ` (${detail})` : ''}`;
+}
+
+export {
+    MEDIA_LIBRARY_PAGE,
+    USAGE_LABELS,
+    mediaKey,
+    getStorageReferences,
+    buildUsageIndex,
+    getUsage,
+    describeUsage
+};
@@ -259,12 +259,14 @@ function setupSearchButton() {
     const searchBtn = document.querySelector('.search-btn');
     if (!searchBtn) return;
 
+    searchBtn.setAttribute('aria-haspopup', 'dialog');
     searchBtn.addEventListener('click', (e) => {
         e.preventDefault();
         
-        // Create search overlay or modal
-        // For now, just show an alert
-        alert('Search functionality coming soon!');
+        // The overlay lives in site-search.js (a module, so it may still be loading)
+        if (window.siteSearch) {
+            window.siteSearch.open();
+        }
     });
 }
 
@@ -292,25 +292,16 @@ class OptimizedVersionControlManager {
             // Try to save to different version control tables based on what exists
             let saved = false;
 
-            // Try 1: Save to version_history table (simple schema)
-            try {
-                const { error } = await this.dbService.supabase
-                    .from('version_history')
-                    .insert({
-                        version_number: versionNumber,
-                        page_name: this.currentPage,
-                        description: description,
-                        changes: contentState,
-                        created_by: this.dbService.currentUser?.id,
-                        created_at: new Date().toISOString()
-                    });
-
-                if (!error) {
-                    console.log('✅ Saved version to version_history table');
-                    saved = true;
-                }
-            } catch (versionHistoryError) {
-                console.log('⚠️ version_history table not available, trying other tables...');
+            // Try 1: Save to version_history table (simple schema), written server-side
+            const { error: versionHistoryError } = await this.dbService.saveVersionSnapshot(
+                this.currentPage, versionNumber, description, contentState
+            );
+
+            if (!versionHistoryError) {
+                console.log('✅ Saved version to version_history table');
+                saved = true;
+            } else {
+                console.log('⚠️ Could not save to version_history, trying other tables...', versionHistoryError);
             }
 
             // Try 2: Save to content_versions + content_changes (optimized schema)
@@ -385,7 +376,7 @@ class OptimizedVersionControlManager {
             }
 
             if (!saved) {
-                throw new Error('No available version control table found to save version');
+                throw new Error(versionHistoryError || 'No available version control table found to save version');
             }
 
             console.log(`✅ Version ${versionNumber} saved as checkpoint`);
@@ -468,15 +459,10 @@ class OptimizedVersionControlManager {
             // Second try: simple schema (version_history table with JSONB)
             if (!versionContent) {
                 try {
-                    const { data: historyData, error: historyError } = await this.dbService.supabase
-                        .from('version_history')
-                        .select('changes')
-                        .eq('version_number', versionNumber)
-                        .eq('page_name', this.currentPage)
-                        .single();
+                    const { changes, error: historyError } = await this.dbService.getVersionContent(this.currentPage, versionNumber);
 
-                    if (!historyError && historyData && historyData.changes) {
-                        versionContent = historyData.changes;
+                    if (!historyError && changes) {
+                        versionContent = changes;
                         console.log('✅ Retrieved version content from version_history table');
                     }
                 } catch (historyError) {
@@ -550,160 +536,35 @@ class OptimizedVersionControlManager {
     }
 
     /**
-     * Restore content to database so it persists on page refresh
+     * Restore content to database so it persists on page refresh.
+     * Written server-side by content_version_restore, together with the version's team members.
      */
     async restoreContentToDatabase(versionContent, versionNumber) {
         console.log('💾 Restoring content to database for persistence...');
-        
-        try {
-            let contentItemsCount = 0;
-            
-            // Process each content item individually to handle existing content properly
-            for (const [elementId, content] of Object.entries(versionContent)) {
-                // Skip internal tracking fields and team members data (handled separately)
-                if (elementId.startsWith('_')) continue;
-                
-                try {
-                    contentItemsCount++;
-                    
-                    // First, check if content already exists for this element
-                    const { data: existingContent, error: selectError } = await this.dbService.supabase
-                        .from('website_content')
-                        .select('id')
-                        .eq('page_name', this.currentPage)
-                        .eq('element_id', elementId)
-                        .eq('is_active', true)
-                        .order('updated_at', { ascending: false })
-                        .limit(1);
-
-                    if (selectError) {
-                        console.warn(`Warning checking existing content for ${elementId}:`, selectError);
-                    }
 
-                    if (existingContent && existingContent.length > 0) {
-                        // Update existing content
-                        const { error: updateError } = await this.dbService.supabase
-                            .from('website_content')
-                            .update({
-                                content_text: content,
-                                content_type: 'text',
-                                updated_at: new Date().toISOString(),
-                                version: versionNumber
-                            })
-                            .eq('id', existingContent[0].id);
-
-                        if (updateError) {
-                            console.warn(`Error updating content for ${elementId}:`, updateError);
-                        } else {
-                            console.log(`✅ Restored content for ${elementId} to database`);
-                        }
-                    } else {
-                        // Insert new content
-                        const { error: insertError } = await this.dbService.supabase
-                            .from('website_content')
-                            .insert({
-                                page_name: this.currentPage,
-                                element_id: elementId,
-                                content_text: content,
-                                content_type: 'text',
-                                version: versionNumber,
-                                is_active: true,
-                                created_at: new Date().toISOString(),
-                                updated_at: new Date().toISOString()
-                            });
-
-                        if (insertError) {
-                            console.warn(`Error inserting content for ${elementId}:`, insertError);
-                        } else {
-                            console.log(`✅ Inserted restored content for ${elementId} to database`);
-                        }
-                    }
-                } catch (elementError) {
-                    console.warn(`Error processing content for ${elementId}:`, elementError);
-                }
-            }
+        const content = {};
+        for (const [elementId, value] of Object.entries(versionContent)) {
+            // Skip internal tracking fields and team members data (handled separately)
+            if (elementId.startsWith('_')) continue;
+            content[elementId] = { content: value, content_type: this.dbService.getContentType(this.currentPage, elementId) };
+        }
 
-            // Restore team members if data exists
-            if (versionContent['_team_members_data']) {
-                try {
-                    const teamMembersData = JSON.parse(versionContent['_team_members_data']);
-                    await this.restoreTeamMembersToDatabase(teamMembersData);
-                    console.log(`✅ Restored ${teamMembersData.length} team members`);
-                } catch (teamError) {
-                    console.error('❌ Error restoring team members:', teamError);
-                }
+        let teamMembers = null;
+        if (versionContent['_team_members_data']) {
+            try {
+                teamMembers = JSON.parse(versionContent['_team_members_data']);
+            } catch (teamError) {
+                console.error('❌ Error reading team members from version:', teamError);
             }
+        }
 
-            console.log(`✅ Restored ${contentItemsCount} content items to database`);
-            
-        } catch (error) {
+        const { count, error } = await this.dbService.restoreVersionContent(this.currentPage, versionNumber, content, teamMembers);
+        if (error) {
             console.error('❌ Failed to restore content to database:', error);
-            throw error;
+            throw new Error(error);
         }
-    }
 
-    /**
-     * Restore team members to database
-     */
-    async restoreTeamMembersToDatabase(teamMembersData) {
-        console.log('👥 Restoring team members to database...');
-        
-        try {
-            // First, deactivate all current team members for this page
-            await this.dbService.supabase
-                .from('team_members')
-                .update({ is_active: false })
-                .eq('page_name', this.currentPage);
-                
-            // Then insert/restore the version team members
-            for (const member of teamMembersData) {
-                // Instead of removing ID and creating duplicates, check if member exists by name
-                const { data: existingMember } = await this.dbService.supabase
-                    .from('team_members')
-                    .select('id')
-                    .eq('name', member.name)
-                    .eq('page_name', this.currentPage)
-                    .eq('is_active', false) // Should be inactive from the update above
-                    .single();
-                
-                if (existingMember) {
-                    // Update existing member
-                    const { error } = await this.dbService.supabase
-                        .from('team_members')
-                        .update({
-                            ...member,
-                            id: existingMember.id, // Keep the existing ID
-                            is_active: true,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', existingMember.id);
-                        
-                    if (error) {
-                        console.error('❌ Error updating existing team member:', error);
-                    }
-                } else {
-                    // Create new member (remove the original id to avoid conflicts)
-                    const { id: originalId, ...memberData } = member;
-                    const { error } = await this.dbService.supabase
-                        .from('team_members')
-                        .insert({
-                            ...memberData,
-                            is_active: true,
-                            updated_at: new Date().toISOString()
-                        });
-                        
-                    if (error) {
-                        console.error('❌ Error creating new team member:', error);
-                    }
-                }
-            }
-            
-            console.log('✅ Team members restored successfully');
-            
-        } catch (error) {
-            console.error('❌ Error restoring team members:', error);
-            throw error;
-        }
+        console.log(`✅ Restored ${count} content items${teamMembers ? ` and ${teamMembers.length} team members` : ''} to database`);
     }
 
     /**
@@ -868,12 +729,7 @@ class OptimizedVersionControlManager {
             // Second try: simple version_history table
             if (versions.length === 0) {
                 try {
-                    const { data, error } = await this.dbService.supabase
-                        .from('version_history')
-                        .select('version_number, description, created_at')
-                        .eq('page_name', this.currentPage)
-                        .order('version_number', { ascending: false })
-                        .limit(limit);
+                    const { versions: data, error } = await this.dbService.getVersionHistory(this.currentPage, limit);
 
                     if (!error && data && data.length > 0) {
                         versions = data.map(v => ({
@@ -1090,147 +946,44 @@ class OptimizedVersionControlManager {
 
     async updateDatabaseContent(content) {
         console.log('🔄 Updating database content...');
-        
-        try {
-            // Process each content item individually to handle existing content properly
-            for (const [elementId, value] of Object.entries(content)) {
-                try {
-                    // First, check if content already exists for this element
-                    const { data: existingContent, error: selectError } = await this.dbService.supabase
-                        .from('website_content')
-                        .select('id')
-                        .eq('page_name', this.currentPage)
-                        .eq('element_id', elementId)
-                        .eq('is_active', true)
-                        .order('updated_at', { ascending: false })
-                        .limit(1);
-
-                    if (selectError) {
-                        console.warn(`Warning checking existing content for ${elementId}:`, selectError);
-                    }
 
-                    if (existingContent && existingContent.length > 0) {
-                        // Update existing content
-                        const { error: updateError } = await this.dbService.supabase
-                            .from('website_content')
-                            .update({
-                                content_text: value,
-                                content_type: 'text',
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('id', existingContent[0].id);
-
-                        if (updateError) {
-                            console.warn(`Error updating content for ${elementId}:`, updateError);
-                        }
-                    } else {
-                        // Insert new content
-                        const { error: insertError } = await this.dbService.supabase
-                            .from('website_content')
-                            .insert({
-                                page_name: this.currentPage,
-                                element_id: elementId,
-                                content_text: value,
-                                content_type: 'text',
-                                version: this.currentVersion || 1,
-                                is_active: true,
-                                created_at: new Date().toISOString(),
-                                updated_at: new Date().toISOString()
-                            });
-
-                        if (insertError) {
-                            console.warn(`Error inserting content for ${elementId}:`, insertError);
-                        }
-                    }
-                } catch (elementError) {
-                    console.warn(`Error processing content for ${elementId}:`, elementError);
-                }
-            }
-        } catch (error) {
+        const restored = {};
+        Object.entries(content).forEach(([elementId, value]) => {
+            restored[elementId] = { content: value, content_type: this.dbService.getContentType(this.currentPage, elementId) };
+        });
+
+        const { error } = await this.dbService.restoreVersionContent(this.currentPage, this.currentVersion || 1, restored);
+        if (error) {
             console.warn('Error updating database content:', error);
         }
     }
 
     /**
-     * Apply saved changes to website_content table so they persist on page refresh
+     * Apply saved changes to website_content table so they persist on page refresh.
+     * The rows are written (and audited) server-side by website_content_save.
      */
-    async applyChangesToWebsiteContent(changes) {
+    async applyChangesToWebsiteContent(changes, summary = null) {
         console.log('💾 Applying changes to website_content table for persistence...');
-        
-        try {
-            const processedChanges = changes.filter(change => change.changeType !== 'delete');
-            
-            if (processedChanges.length === 0) {
-                console.log('📝 No content updates to apply');
-                return;
-            }
 
-            // Process each change individually to handle existing content properly
-            for (const change of processedChanges) {
-                try {
-                    // First, check if content already exists for this element
-                    const { data: existingContent, error: selectError } = await this.dbService.supabase
-                        .from('website_content')
-                        .select('id, version')
-                        .eq('page_name', this.currentPage)
-                        .eq('element_id', change.elementId)
-                        .eq('is_active', true)
-                        .order('updated_at', { ascending: false })
-                        .limit(1);
-
-                    if (selectError) {
-                        console.warn(`Warning checking existing content for ${change.elementId}:`, selectError);
-                    }
+        const processedChanges = changes.filter(change => change.changeType !== 'delete');
 
-                    if (existingContent && existingContent.length > 0) {
-                        // Update existing content
-                        const { error: updateError } = await this.dbService.supabase
-                            .from('website_content')
-                            .update({
-                                content_text: change.newValue,
-                                content_type: change.contentType || 'text',
-                                updated_at: new Date().toISOString(),
-                                version: this.currentVersion
-                            })
-                            .eq('id', existingContent[0].id);
-
-                        if (updateError) {
-                            console.error(`❌ Error updating content for ${change.elementId}:`, updateError);
-                        } else {
-                            console.log(`✅ Updated content for ${change.elementId}`);
-                        }
-                    } else {
-                        // Insert new content
-                        const { error: insertError } = await this.dbService.supabase
-                            .from('website_content')
-                            .insert({
-                                page_name: this.currentPage,
-                                element_id: change.elementId,
-                                content_text: change.newValue,
-                                content_type: change.contentType || 'text',
-                                version: this.currentVersion,
-                                is_active: true,
-                                created_at: new Date().toISOString(),
-                                updated_at: new Date().toISOString()
-                            });
-
-                        if (insertError) {
-                            console.error(`❌ Error inserting content for ${change.elementId}:`, insertError);
-                        } else {
-                            console.log(`✅ Inserted new content for ${change.elementId}`);
-                        }
-                    }
-                } catch (elementError) {
-                    console.error(`❌ Error processing change for ${change.elementId}:`, elementError);
-                }
-            }
+        if (processedChanges.length === 0) {
+            console.log('📝 No content updates to apply');
+            return;
+        }
 
-            console.log(`✅ Processed ${processedChanges.length} changes to website_content table`);
-            
-        } catch (error) {
+        const content = {};
+        processedChanges.forEach(change => {
+            content[change.elementId] = { content: change.newValue, content_type: change.contentType || 'text' };
+        });
+
+        const { error } = await this.dbService.saveContentElements(this.currentPage, this.currentVersion, content, summary);
+        if (error) {
             console.error('❌ Failed to apply changes to website_content:', error);
-            throw error;
+            throw new Error(error);
         }
+
+        console.log(`✅ Processed ${processedChanges.length} changes to website_content table`);
     }
 
     /**
@@ -1424,10 +1177,17 @@ class OptimizedVersionControlManager {
         console.log('🗑️ Clearing all versions from database...');
         
         try {
-            let deletedCount = 0;
-            const tables = ['version_history', 'content_versions', 'website_states'];
+            // version_history is cleared (and audited) server-side
+            const { deletedCount: historyCount, error: historyError } = await this.dbService.clearVersionHistory(null);
+            if (historyError) {
+                throw new Error(historyError);
+            }
+            console.log(`✅ Cleared ${historyCount} versions from version_history`);
+
+            let deletedCount = historyCount;
+            const tables = ['content_versions', 'website_states'];
             
-            // Try to clear from all possible version tables
+            // Try to clear from the other possible version tables
             for (const tableName of tables) {
                 try {
                     // First count existing versions
@@ -10,6 +10,7 @@
  */
 
 import optimizedVersionControlManager from './optimized-version-control-manager.js';
+import { escapeHtml } from './safe-html.js';
 
 class OptimizedVersionControlUI {
     constructor() {
@@ -411,7 +412,7 @@ class OptimizedVersionControlUI {
                             ${changeCount > 0 ? `<span class="change-count">${changeCount}</span>` : ''}
                         </div>
                     </div>
-                    <div class="version-description">${version.description || 'No description'}</div>
+                    <div class="version-description">${escapeHtml(version.description || 'No description')}</div>
                     <div class="version-meta">
                         <span class="version-date">${new Date(version.created_at).toLocaleString()}</span>
                         <span class="version-type">${version.version_type}</span>
@@ -725,7 +726,7 @@ class OptimizedVersionControlUI {
         toast.className = `optimized-toast toast-${type}`;
         toast.innerHTML = `
             <div class="toast-content">
-                ${message}
+                ${escapeHtml(message)}
                 <button class="toast-close">&times;</button>
             </div>
         `;
@@ -0,0 +1,339 @@
+/**
+ * Page Templates
+ * Markup shared by the page managers and the static build (build-static.mjs) including:
+ * - Rental listing cards, recently leased cards and the listing detail view
+ * - Team member cards for the about page
+ * - Map links and per-listing page names
+ * Templates only read the row they are given, so the build renders the same markup in Node
+ * that the managers render in the browser.
+ */
+
+import { html, escapeHtml, safeUrl } from './safe-html.js';
+import { richText } from './rich-text.js';
+import { statusBadge, acceptsApplications, getListingStatus } from './listing-status.js';
+import { IMAGE_SIZES, responsiveImageHtml } from './responsive-images.js';
+
+const DEFAULT_LISTING_IMAGE = 'https://images.unsplash.com/photo-1600585154340-be6161a56a0c?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80';
+const TEAM_PLACEHOLDER_IMAGE = 'https://via.placeholder.com/300x300/e0e0e0/999999?text=No+Image';
+
+// Folder of the pre-rendered per-listing pages
+const LISTING_PAGES_DIR = 'listings';
+
+function hasCoordinates(listing) {
+    return Boolean(listing) &&
+        listing.latitude !== null && listing.latitude !== undefined && listing.latitude !== '' &&
+        listing.longitude !== null && listing.longitude !== undefined && listing.longitude !== '' &&
+        !isNaN(parseFloat(listing.latitude)) && !isNaN(parseFloat(listing.longitude));
+}
+
+/**
+ * External maps URL for a listing: its pin when geocoded, an address search otherwise
+ */
+function getMapUrl(listing) {
+    if (hasCoordinates(listing)) {
+        return `https://www.openstreetmap.org/?mlat=${listing.latitude}&mlon=${listing.longitude}#map=17/${listing.latitude}/${listing.longitude}`;
+    }
+
+    const query = [listing.address, listing.city, listing.state, listing.zip_code].filter(Boolean).join(', ');
+    return `https://www.openstreetmap.org/search?query=${encodeURIComponent(query)}`;
+}
+
+/**
+ * Path of a listing's pre-rendered page, e.g. listings/123-oak-st-austin-1a2b3c4d.html.
+ * The id prefix keeps two listings at the same address apart.
+ */
+function getListingPagePath(listing) {
+    const slug = [listing.address, listing.city]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+    const idPart = String(listing.id).replace(/[^a-zA-Z0-9]/g, '').slice(0, 8).toLowerCase();
+    return `${LISTING_PAGES_DIR}/${slug ? `${slug}-` : ''}${idPart}.html`;
+}
+
+/**
+ * features is stored as a JSON array string or a comma/newline separated list
+ */
+function parseFeatures(features) {
+    if (!features) return [];
+    if (Array.isArray(features)) return features.filter(Boolean);
+
+    try {
+        const parsed = JSON.parse(features);
+        if (Array.isArray(parsed)) {
+            return parsed.map(String).filter(Boolean);
+        }
+    } catch (error) {
+        // Not JSON - fall through to list parsing
+    }
+
+    return String(features).split(/[,\n]/).map(feature => feature.trim()).filter(Boolean);
+}
+
+/**
+ * A card in the listings grid
+ * @param {Object} listing - rental_listings row
+ * @param {Object} [options]
+ * @param {boolean} [options.isAdmin] - Show the "Available" badge too
+ * @param {string} [options.pendingBadge] - Pending-change banner markup (admin mode)
+ * @param {string} [options.detailUrl] - "View Details" link
+ */
+function listingCardHtml(listing, { isAdmin = false, pendingBadge = '', detailUrl = getListingPagePath(listing) } = {}) {
+    const imageUrl = safeUrl(listing.primary_image_url || DEFAULT_LISTING_IMAGE, DEFAULT_LISTING_IMAGE);
+    const availableDate = listing.available_date
+        ? new Date(listing.available_date).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', year: '2-digit' })
+        : 'NOW';
+
+    // Every listing field is stored content: html`` escapes it and safeUrl() vets the links
+    return html`
+        <div class="listing-card" data-listing-id="${listing.id}" data-status="${getListingStatus(listing)}">
+            ${pendingBadge}
+            <div class="listing-image ${listing.isNew ? 'pending-new-border' : ''}">
+                ${responsiveImageHtml({ url: imageUrl, variants: listing.primary_image_variants, alt: listing.title }, {
+                    sizes: IMAGE_SIZES.listingCard,
+                    attributes: html`data-listing-id="${listing.id}" loading="lazy" onerror="this.onerror=null;this.src='${DEFAULT_LISTING_IMAGE}';"`
+                })}
+                <div class="listing-badges">
+                    <span class="listing-status" data-listing-id="${listing.id}" data-field="status">${statusBadge(listing, { showAvailable: isAdmin })}</span>
+                    ${listing.is_featured ? html`<span class="featured-badge">Featured</span>` : ''}
+                </div>
+            </div>
+            <div class="listing-content">
+                <div class="listing-header">
+                    <div class="listing-type">RENT</div>
+                    <div class="listing-price" data-listing-id="${listing.id}" data-field="rent_price">$${parseFloat(listing.rent_price || 0).toLocaleString()}</div>
+                </div>
+                <div class="listing-details">
+                    <div class="listing-size">
+                        <span class="sqft" data-listing-id="${listing.id}" data-field="square_feet">${(listing.square_feet || 0).toLocaleString()}</span>
+                        <span class="label">SQUARE FEET</span>
+                    </div>
+                    <div class="listing-specs">
+                        <span class="beds" data-listing-id="${listing.id}" data-field="bedrooms_bathrooms">${listing.bedrooms || 0} bd / ${listing.bathrooms || 0} ba</span>
+                        <span class="label">BED / BATH</span>
+                    </div>
+                    <div class="listing-availability">
+                        <span class="available" data-listing-id="${listing.id}" data-field="available_date">${availableDate}</span>
+                        <span class="label">AVAILABLE</span>
+                    </div>
+                </div>
+                <div class="listing-info">
+                    <h3 class="listing-title" data-listing-id="${listing.id}" data-field="title">${listing.title || ''}</h3>
+                    <p class="listing-address" data-listing-id="${listing.id}" data-field="address">
+                        ${listing.address}, ${listing.city}, ${listing.state} ${listing.zip_code}
+                        <a href="${safeUrl(getMapUrl(listing))}" class="map-link" target="_blank" rel="noopener">📍 Map</a>
+                    </p>
+                    <div class="listing-description">
+                        <p data-listing-id="${listing.id}" data-field="description">${listing.description || ''}</p>
+                    </div>
+                    <div class="listing-features">
+                        <p data-listing-id="${listing.id}" data-field="appliances"><strong>Appliances:</strong> ${listing.appliances || 'Not specified'}</p>
+                        <p data-listing-id="${listing.id}" data-field="pet_policy"><strong>Pet Policy:</strong> ${listing.pet_policy || 'Contact for details'}</p>
+                    </div>
+                    <div class="listing-actions">
+                        <a href="${safeUrl(detailUrl)}" class="btn btn-primary view-details-btn" data-listing-id="${listing.id}">View Details</a>
+                        ${acceptsApplications(listing) ? html`<button class="btn btn-secondary apply-btn" data-listing-id="${listing.id}">Apply Now</button>` : ''}
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * A card in the "Recently Leased" showcase
+ */
+function leasedCardHtml(listing) {
+    return html`
+        <div class="leased-card" data-leased-listing-id="${listing.id}">
+            <div class="leased-card-image">
+                ${responsiveImageHtml({
+                    url: safeUrl(listing.primary_image_url || DEFAULT_LISTING_IMAGE, DEFAULT_LISTING_IMAGE),
+                    variants: listing.primary_image_variants,
+                    alt: listing.title
+                }, { sizes: IMAGE_SIZES.leasedCard, attributes: html`loading="lazy"` })}
+                <div class="listing-badges">${statusBadge(listing)}</div>
+            </div>
+            <div class="leased-card-info">
+                <h3>${listing.title || listing.address || ''}</h3>
+                <p>${[listing.city, listing.state].filter(Boolean).join(', ')}</p>
+                <p class="leased-card-specs">${listing.bedrooms || 0} bd / ${listing.bathrooms || 0} ba · ${(listing.square_feet || 0).toLocaleString()} sq ft</p>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Contents of #listing-detail for one listing. The gallery thumbnails and the virtual tour
+ * are filled in by ListingDetailView after rendering.
+ */
+function listingDetailHtml(listing, { isAdmin = false } = {}) {
+    const id = escapeHtml(listing.id);
+    const availableDate = listing.available_date || 'Available Now';
+    const features = parseFeatures(listing.features);
+
+    return `
+        <div class="container">
+            <a href="rentals.html" class="listing-detail-back">← Back to listings</a>
+            <article class="listing-detail" data-listing-id="${id}">
+                <div class="listing-detail-gallery">
+                    <div class="listing-image listing-detail-hero">
+                        ${responsiveImageHtml({
+                            url: safeUrl(listing.primary_image_url || DEFAULT_LISTING_IMAGE, DEFAULT_LISTING_IMAGE),
+                            variants: listing.primary_image_variants,
+                            alt: listing.title
+                        }, { sizes: IMAGE_SIZES.listingDetail, attributes: html`data-listing-id="${listing.id}" data-gallery-index="0"` })}
+                        <div class="listing-badges">
+                            <span class="listing-status" data-listing-id="${id}" data-field="status">${statusBadge(listing, { showAvailable: isAdmin })}</span>
+                            ${listing.is_featured ? '<span class="featured-badge">Featured</span>' : ''}
+                        </div>
+                    </div>
+                    <div class="listing-detail-thumbs"></div>
+                </div>
+
+                <div class="listing-detail-body">
+                    <div class="listing-detail-main">
+                        <h1 class="listing-title" data-listing-id="${id}" data-field="title">${escapeHtml(listing.title)}</h1>
+                        <p class="listing-address" data-listing-id="${id}" data-field="address">
+                            ${escapeHtml([listing.address, listing.city, listing.state, listing.zip_code].filter(Boolean).join(', '))}
+                            <a href="${escapeHtml(safeUrl(getMapUrl(listing)))}" class="map-link" target="_blank" rel="noopener">📍 Map</a>
+                        </p>
+
+                        <div class="listing-details">
+                            <div class="listing-size">
+                                <span class="sqft" data-listing-id="${id}" data-field="square_feet">${(listing.square_feet || 0).toLocaleString()}</span>
+                                <span class="label">SQUARE FEET</span>
+                            </div>
+                            <div class="listing-specs">
+                                <span class="beds" data-listing-id="${id}" data-field="bedrooms_bathrooms">${escapeHtml(listing.bedrooms || 0)} bd / ${escapeHtml(listing.bathrooms || 0)} ba</span>
+                                <span class="label">BED / BATH</span>
+                            </div>
+                            <div class="listing-availability">
+                                <span class="available" data-listing-id="${id}" data-field="available_date">${escapeHtml(availableDate)}</span>
+                                <span class="label">AVAILABLE</span>
+                            </div>
+                        </div>
+
+                        <section class="listing-detail-section">
+                            <h2>About this home</h2>
+                            <p class="listing-detail-description" data-listing-id="${id}" data-field="description">${escapeHtml(listing.description)}</p>
+                        </section>
+
+                        <section class="listing-detail-section">
+                            <h2>Features</h2>
+                            <ul class="listing-detail-features" data-listing-id="${id}" data-field="features">
+                                ${features.length > 0
+                                    ? features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('')
+                                    : '<li>Contact us for a full feature list</li>'}
+                            </ul>
+                        </section>
+
+                        <section class="listing-detail-section">
+                            <h2>Details</h2>
+                            <dl class="listing-detail-facts">
+                                <dt>Appliances</dt>
+                                <dd data-listing-id="${id}" data-field="appliances">${escapeHtml(listing.appliances || 'Not specified')}</dd>
+                                <dt>Pet Policy</dt>
+                                <dd data-listing-id="${id}" data-field="pet_policy">${escapeHtml(listing.pet_policy || 'Contact for details')}</dd>
+                                <dt>Utilities Included</dt>
+                                <dd data-listing-id="${id}" data-field="utilities_included">${escapeHtml(listing.utilities_included || 'Contact for details')}</dd>
+                                <dt>Parking</dt>
+                                <dd data-listing-id="${id}" data-field="parking_info">${escapeHtml(listing.parking_info || 'Contact for details')}</dd>
+                                ${listing.neighborhood ? `<dt>Neighborhood</dt><dd>${escapeHtml(listing.neighborhood)}</dd>` : ''}
+                                ${listing.property_type ? `<dt>Property Type</dt><dd>${escapeHtml(listing.property_type)}</dd>` : ''}
+                            </dl>
+                        </section>
+
+                        <section class="listing-detail-section listing-detail-tour-section">
+                            <h2>Virtual Tour</h2>
+                            <div class="listing-detail-tour"></div>
+                            <p class="listing-detail-admin-field">
+                                <strong>Tour URL:</strong>
+                                <span data-listing-id="${id}" data-field="virtual_tour_url">${escapeHtml(listing.virtual_tour_url || 'Click to add a tour URL')}</span>
+                            </p>
+                        </section>
+                    </div>
+
+                    <aside class="listing-detail-sidebar">
+                        <div class="listing-type">RENT</div>
+                        <div class="listing-price" data-listing-id="${id}" data-field="rent_price">$${parseFloat(listing.rent_price || 0).toLocaleString()}</div>
+                        <p class="listing-detail-per-month">per month</p>
+                        <div class="listing-actions">
+                            ${acceptsApplications(listing) ? `<button class="btn btn-secondary apply-btn" data-listing-id="${id}">Apply Now</button>` : ''}
+                        </div>
+                        <a href="contact.html" class="listing-detail-contact">Questions? Contact us</a>
+                    </aside>
+                </div>
+            </article>
+        </div>
+    `;
+}
+
+function listingNotFoundHtml() {
+    return `
+        <div class="container">
+            <a href="rentals.html" class="listing-detail-back">← Back to listings</a>
+            <div class="no-listings">
+                <div class="no-listings-content">
+                    <h3>Listing not found</h3>
+                    <p>This property may have been leased or removed. Browse our other available rentals.</p>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * A team member card on the about page
+ * @param {Object} member - team_members row
+ * @param {Object} [options]
+ * @param {string} [options.imageUrl] - Signed URL for photos in the private bucket
+ * @param {Object[]} [options.imageVariants] - Resized variants, with signed URLs when signed
+ * @param {string} [options.pendingBadge] - Pending-change banner markup (admin mode)
+ */
+function teamMemberHtml(member, { imageUrl = member.image_url, imageVariants = member.image_variants, pendingBadge = '' } = {}) {
+    // Names, URLs and bios are stored content: escape text, check URLs, sanitize the rich-text bios
+    return html`
+        <div class="team-member" data-member-id="${member.id}" data-aos="fade-up" data-aos-delay="${(member.sort_order || 0) * 100}">
+            ${pendingBadge}
+            <div class="team-member-image ${member.isNew ? 'pending-new-border' : ''}">
+                ${responsiveImageHtml({ url: safeUrl(imageUrl || TEAM_PLACEHOLDER_IMAGE, TEAM_PLACEHOLDER_IMAGE), variants: imageVariants, alt: member.name }, {
+                    sizes: IMAGE_SIZES.teamMember,
+                    attributes: html`data-member-id="${member.id}" onerror="this.onerror=null;this.src='https://via.placeholder.com/300x300/e0e0e0/999999?text=Load+Error';"`
+                })}
+                <div class="image-overlay"></div>
+            </div>
+            <div class="team-member-info">
+                <h3 data-member-id="${member.id}" data-field="name">${member.name}</h3>
+                <p class="position" data-member-id="${member.id}" data-field="position">${member.position}</p>
+                <div class="team-member-bio">
+                    <p data-member-id="${member.id}" data-field="bio" data-content-type="html">${richText(member.bio)}</p>
+                    ${member.bio_paragraph_2 ? html`<p data-member-id="${member.id}" data-field="bio_paragraph_2" data-content-type="html">${richText(member.bio_paragraph_2)}</p>` : ''}
+                </div>
+                <div class="social-links">
+                    <a href="${safeUrl(member.linkedin_url)}" class="social-link">LinkedIn</a>
+                    <a href="${member.email ? `mailto:${member.email}` : '#'}" class="social-link">Email</a>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+export {
+    DEFAULT_LISTING_IMAGE,
+    TEAM_PLACEHOLDER_IMAGE,
+    LISTING_PAGES_DIR,
+    hasCoordinates,
+    getMapUrl,
+    getListingPagePath,
+    parseFeatures,
+    listingCardHtml,
+    leasedCardHtml,
+    listingDetailHtml,
+    listingNotFoundHtml,
+    teamMemberHtml
+};
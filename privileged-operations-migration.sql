@@ -0,0 +1,455 @@
+-- Privileged Operations for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after admin-auth-migration.sql, audit-log-table.sql
+-- and content-drafts-table.sql, then deploy the admin-api Edge Function (supabase/functions/admin-api)
+-- and remove serviceRoleKey from supabase-config.js. The browser keeps only the anon key:
+-- - team_members, rental_listings, website_content, version_history and media_content get row level
+--   security back: anyone can read (version history only through the token-checked read functions),
+--   nobody writes directly
+-- - Admin saves, removals, version checkpoints and restores go through the token-checked functions below
+-- - Storage uploads, listings, signed URLs and deletes go through the admin-api Edge Function
+
+-- Public read access stays as before; there are no write policies, so anon/authenticated
+-- writes are refused and only the SECURITY DEFINER functions below can change rows
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rental_listings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read team members" ON team_members;
+CREATE POLICY "Anyone can read team members" ON team_members FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can read rental listings" ON rental_listings;
+CREATE POLICY "Anyone can read rental listings" ON rental_listings FOR SELECT USING (true);
+
+REVOKE INSERT, UPDATE, DELETE ON team_members FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON rental_listings FROM anon, authenticated;
+
+-- Page text, version history and page images get the same treatment. The "Admins can ..." policies
+-- from database-setup.sql checked auth.role() = 'authenticated', which the admin session never has.
+ALTER TABLE website_content ENABLE ROW LEVEL SECURITY;
+ALTER TABLE version_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media_content ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can modify website content" ON website_content;
+DROP POLICY IF EXISTS "Admins can access version history" ON version_history;
+DROP POLICY IF EXISTS "Admins can modify media content" ON media_content;
+DROP POLICY IF EXISTS "Anyone can read active website content" ON website_content;
+DROP POLICY IF EXISTS "Anyone can read active media content" ON media_content;
+
+DROP POLICY IF EXISTS "Anyone can read website content" ON website_content;
+CREATE POLICY "Anyone can read website content" ON website_content FOR SELECT USING (true);
+
+-- Version checkpoints hold unpublished text and who saved it, so they have no read policy:
+-- admins list and open them through version_history_list / version_history_get
+DROP POLICY IF EXISTS "Anyone can read version history" ON version_history;
+
+DROP POLICY IF EXISTS "Anyone can read media content" ON media_content;
+CREATE POLICY "Anyone can read media content" ON media_content FOR SELECT USING (true);
+
+REVOKE INSERT, UPDATE, DELETE ON website_content FROM anon, authenticated;
+REVOKE SELECT, INSERT, UPDATE, DELETE ON version_history FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON media_content FROM anon, authenticated;
+
+-- Insert (p_id NULL) or update one team_members / rental_listings row and audit it.
+-- Returns the row as saved.
+CREATE OR REPLACE FUNCTION admin_row_save(p_actor_id UUID, p_actor_email TEXT, p_table TEXT, p_id UUID, p_payload JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_before JSONB;
+    v_after JSONB;
+    v_id UUID;
+    v_entity_type TEXT := CASE p_table WHEN 'team_members' THEN 'team_member' ELSE 'rental_listing' END;
+    v_label TEXT;
+BEGIN
+    IF p_id IS NOT NULL THEN
+        EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE t.id = $1', p_table) INTO v_before USING p_id;
+        IF v_before IS NULL THEN
+            RAISE EXCEPTION 'ROW_NOT_FOUND';
+        END IF;
+    END IF;
+
+    v_id := content_drafts_write_row(p_table, p_id, (p_payload - 'id' - 'created_at') || jsonb_build_object('updated_at', NOW()));
+    EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE t.id = $1', p_table) INTO v_after USING v_id;
+
+    v_label := COALESCE(v_after->>'name', v_after->>'title', v_after->>'address', v_id::TEXT);
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+    VALUES (p_actor_id, p_actor_email, CASE WHEN p_id IS NULL THEN 'create' ELSE 'update' END, v_entity_type, v_id::TEXT,
+            v_after->>'page_name',
+            CASE WHEN p_id IS NULL THEN 'Added ' ELSE 'Updated ' END || replace(v_entity_type, '_', ' ') || ' ' || v_label,
+            v_before, v_after);
+
+    RETURN v_after;
+END;
+$$;
+
+-- Hide one row (rows are soft-deleted with is_active = false) and audit it
+CREATE OR REPLACE FUNCTION admin_row_remove(p_actor_id UUID, p_actor_email TEXT, p_table TEXT, p_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_before JSONB;
+    v_entity_type TEXT := CASE p_table WHEN 'team_members' THEN 'team_member' ELSE 'rental_listing' END;
+BEGIN
+    IF p_table NOT IN ('team_members', 'rental_listings') THEN
+        RAISE EXCEPTION 'UNSUPPORTED_TABLE';
+    END IF;
+
+    EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE t.id = $1', p_table) INTO v_before USING p_id;
+    IF v_before IS NULL THEN
+        RAISE EXCEPTION 'ROW_NOT_FOUND';
+    END IF;
+
+    EXECUTE format('UPDATE %I SET is_active = false, updated_at = NOW() WHERE id = $1', p_table) USING p_id;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+    VALUES (p_actor_id, p_actor_email, 'delete', v_entity_type, p_id::TEXT, v_before->>'page_name',
+            'Removed ' || replace(v_entity_type, '_', ' ') || ' ' || COALESCE(v_before->>'name', v_before->>'title', v_before->>'address', p_id::TEXT),
+            v_before, v_before || jsonb_build_object('is_active', false));
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION team_members_save(p_token TEXT, p_id UUID, p_payload JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+    RETURN admin_row_save(v_actor.actor_id, v_actor.actor_email, 'team_members', p_id, p_payload);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION team_members_remove(p_token TEXT, p_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor']);
+    PERFORM admin_row_remove(v_actor.actor_id, v_actor.actor_email, 'team_members', p_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION rental_listings_save(p_token TEXT, p_id UUID, p_payload JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+    RETURN admin_row_save(v_actor.actor_id, v_actor.actor_email, 'rental_listings', p_id, p_payload);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION rental_listings_remove(p_token TEXT, p_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor']);
+    PERFORM admin_row_remove(v_actor.actor_id, v_actor.actor_email, 'rental_listings', p_id);
+END;
+$$;
+
+-- Write one page element: the newest active row for it is updated, or a row is added.
+-- Returns the text it replaced (NULL for a new element).
+CREATE OR REPLACE FUNCTION website_content_write(p_page_name TEXT, p_element_id TEXT, p_content TEXT, p_content_type TEXT, p_version INTEGER)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_id UUID;
+    v_before TEXT;
+BEGIN
+    SELECT id, content_text INTO v_id, v_before
+    FROM website_content
+    WHERE page_name = p_page_name AND element_id = p_element_id AND is_active = true
+    ORDER BY updated_at DESC
+    LIMIT 1;
+
+    IF v_id IS NOT NULL THEN
+        UPDATE website_content
+        SET content_text = p_content,
+            content_type = COALESCE(p_content_type, 'text'),
+            version = COALESCE(p_version, version),
+            updated_at = NOW()
+        WHERE id = v_id;
+    ELSE
+        INSERT INTO website_content (page_name, element_id, content_text, content_type, version, is_active)
+        VALUES (p_page_name, p_element_id, p_content, COALESCE(p_content_type, 'text'), COALESCE(p_version, 1), true);
+    END IF;
+
+    RETURN v_before;
+END;
+$$;
+
+-- Save edited page elements and audit them as one change.
+-- p_content is {"<element_id>": {"content": "...", "content_type": "text" | "html"}, ...}.
+-- Returns the number of elements written.
+CREATE OR REPLACE FUNCTION website_content_save(p_token TEXT, p_page_name TEXT, p_version INTEGER, p_content JSONB, p_summary TEXT DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_item RECORD;
+    v_before JSONB := '{}'::JSONB;
+    v_after JSONB := '{}'::JSONB;
+    v_count INTEGER := 0;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    FOR v_item IN SELECT key AS element_id, value FROM jsonb_each(COALESCE(p_content, '{}'::JSONB)) LOOP
+        v_before := v_before || jsonb_build_object(v_item.element_id,
+            website_content_write(p_page_name, v_item.element_id, v_item.value->>'content', v_item.value->>'content_type', p_version));
+        v_after := v_after || jsonb_build_object(v_item.element_id, v_item.value->>'content');
+        v_count := v_count + 1;
+    END LOOP;
+
+    IF v_count > 0 THEN
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+        VALUES (v_actor.actor_id, v_actor.actor_email, 'save', 'page_content', p_page_name, p_page_name,
+                COALESCE(p_summary, 'Saved ' || v_count || ' content changes'), v_before, v_after);
+    END IF;
+
+    RETURN v_count;
+END;
+$$;
+
+-- Store a version checkpoint. p_version NULL takes the page's next version number.
+-- Returns the version number stored.
+CREATE OR REPLACE FUNCTION version_history_save(p_token TEXT, p_page_name TEXT, p_version INTEGER, p_description TEXT, p_changes JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_version INTEGER := p_version;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    IF v_version IS NULL THEN
+        SELECT COALESCE(MAX(version_number), 0) + 1 INTO v_version FROM version_history WHERE page_name = p_page_name;
+    END IF;
+
+    INSERT INTO version_history (version_number, description, changes, page_name, created_by)
+    VALUES (v_version, COALESCE(NULLIF(p_description, ''), 'Version ' || v_version), COALESCE(p_changes, '{}'::JSONB),
+            p_page_name, v_actor.actor_id);
+
+    RETURN v_version;
+END;
+$$;
+
+-- Newest version checkpoints of a page, without their content.
+CREATE OR REPLACE FUNCTION version_history_list(p_token TEXT, p_page_name TEXT, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (version_number INTEGER, description TEXT, created_at TIMESTAMP WITH TIME ZONE, created_by_email TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    RETURN QUERY
+    SELECT v.version_number, v.description, v.created_at, u.email::TEXT
+    FROM version_history v
+    LEFT JOIN admin_users u ON u.id = v.created_by
+    WHERE v.page_name = p_page_name
+    ORDER BY v.version_number DESC, v.created_at DESC
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 10), 1), 100);
+END;
+$$;
+
+-- The saved changes of one version checkpoint, or NULL when the page has no such version.
+CREATE OR REPLACE FUNCTION version_history_get(p_token TEXT, p_page_name TEXT, p_version INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_changes JSONB;
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    SELECT changes INTO v_changes
+    FROM version_history
+    WHERE page_name = p_page_name AND version_number = p_version
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    RETURN v_changes;
+END;
+$$;
+
+-- Delete the version checkpoints of one page (p_page_name NULL: every page) and audit it.
+-- Returns the number of versions deleted.
+CREATE OR REPLACE FUNCTION version_history_clear(p_token TEXT, p_page_name TEXT DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_count INTEGER;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor']);
+
+    DELETE FROM version_history WHERE p_page_name IS NULL OR page_name = p_page_name;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary)
+    VALUES (v_actor.actor_id, v_actor.actor_email, 'delete', 'version', 'all', p_page_name,
+            'Cleared version history for ' || COALESCE(p_page_name, 'all pages') || ' (' || v_count || ' deleted)');
+
+    RETURN v_count;
+END;
+$$;
+
+-- Point a page image element (such as the site logo) at a file. The newest active row for the
+-- element is updated, or a row is added. Returns the row as saved.
+CREATE OR REPLACE FUNCTION media_content_save(
+    p_token TEXT,
+    p_page_name TEXT,
+    p_element_id TEXT,
+    p_file_name TEXT,
+    p_file_url TEXT,
+    p_file_type TEXT,
+    p_alt_text TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_before JSONB;
+    v_after JSONB;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    -- Media library rows are saved by media_assets_save
+    IF p_page_name = 'media-library' OR COALESCE(p_file_url, '') = '' THEN
+        RAISE EXCEPTION 'INVALID_PATH';
+    END IF;
+
+    SELECT to_jsonb(m) INTO v_before
+    FROM media_content m
+    WHERE m.page_name = p_page_name AND m.element_id = p_element_id AND m.is_active = true
+    ORDER BY m.updated_at DESC
+    LIMIT 1;
+
+    IF v_before IS NOT NULL THEN
+        UPDATE media_content
+        SET file_name = p_file_name, file_url = p_file_url, file_type = p_file_type,
+            alt_text = p_alt_text, updated_at = NOW()
+        WHERE id = (v_before->>'id')::UUID
+        RETURNING to_jsonb(media_content.*) INTO v_after;
+    ELSE
+        INSERT INTO media_content (page_name, element_id, file_name, file_url, file_type, alt_text, is_active)
+        VALUES (p_page_name, p_element_id, p_file_name, p_file_url, p_file_type, p_alt_text, true)
+        RETURNING to_jsonb(media_content.*) INTO v_after;
+    END IF;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, before_data, after_data)
+    VALUES (v_actor.actor_id, v_actor.actor_email, CASE WHEN v_before IS NULL THEN 'create' ELSE 'update' END, 'media',
+            p_element_id, p_page_name, 'Set ' || p_element_id || ' to ' || p_file_name, v_before, v_after);
+
+    RETURN v_after;
+END;
+$$;
+
+-- Write a restored version back to the live tables.
+-- p_content is {"<element_id>": {"content": "...", "content_type": "text" | "html"}, ...}.
+-- p_team_members (optional) is the version's team list: members not in it are hidden, members
+-- matched by name are brought back with their saved fields, the rest are re-created.
+CREATE OR REPLACE FUNCTION content_version_restore(p_token TEXT, p_page_name TEXT, p_version INTEGER, p_content JSONB, p_team_members JSONB DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_item RECORD;
+    v_member JSONB;
+    v_member_id UUID;
+    v_count INTEGER := 0;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor']);
+
+    FOR v_item IN SELECT key AS element_id, value FROM jsonb_each(COALESCE(p_content, '{}'::JSONB)) LOOP
+        PERFORM website_content_write(p_page_name, v_item.element_id, v_item.value->>'content',
+                                      v_item.value->>'content_type', p_version);
+        v_count := v_count + 1;
+    END LOOP;
+
+    IF p_team_members IS NOT NULL THEN
+        UPDATE team_members SET is_active = false, updated_at = NOW() WHERE page_name = p_page_name;
+
+        FOR v_member IN SELECT value FROM jsonb_array_elements(p_team_members) LOOP
+            SELECT id INTO v_member_id
+            FROM team_members
+            WHERE page_name = p_page_name AND name = v_member->>'name'
+            ORDER BY updated_at DESC
+            LIMIT 1;
+
+            PERFORM content_drafts_write_row('team_members', v_member_id,
+                (v_member - 'id' - 'created_at') || jsonb_build_object('page_name', p_page_name, 'is_active', true, 'updated_at', NOW()));
+        END LOOP;
+    END IF;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, page_name, summary, after_data)
+    VALUES (v_actor.actor_id, v_actor.actor_email, 'restore', 'version', p_version::TEXT, p_page_name,
+            'Restored ' || p_page_name || ' to version ' || p_version,
+            jsonb_build_object('content', p_content, 'team_members', p_team_members));
+
+    RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION admin_row_save(UUID, TEXT, TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION admin_row_remove(UUID, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION website_content_write(TEXT, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION team_members_save(TEXT, UUID, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION team_members_remove(TEXT, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_listings_save(TEXT, UUID, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_listings_remove(TEXT, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION content_version_restore(TEXT, TEXT, INTEGER, JSONB, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION website_content_save(TEXT, TEXT, INTEGER, JSONB, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION version_history_save(TEXT, TEXT, INTEGER, TEXT, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION version_history_clear(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION version_history_list(TEXT, TEXT, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION version_history_get(TEXT, TEXT, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION media_content_save(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Privileged operations installed successfully!' as status;
+SELECT relname, relrowsecurity FROM pg_class WHERE relname IN ('team_members', 'rental_listings', 'website_content', 'version_history', 'media_content');
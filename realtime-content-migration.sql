@@ -0,0 +1,59 @@
+-- Realtime Content Updates for Wolf Property Management
+-- Run this script in your Supabase SQL Editor to push website_content, team_members and
+-- rental_listings changes to visitors (content-sync.js) instead of polling whole pages
+
+-- Every change bumps updated_at so the polling fallback can ask only for rows newer than its watermark
+-- (soft deletes that only set is_active = false included)
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS website_content_set_updated_at ON website_content;
+CREATE TRIGGER website_content_set_updated_at
+    BEFORE UPDATE ON website_content
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+DROP TRIGGER IF EXISTS team_members_set_updated_at ON team_members;
+CREATE TRIGGER team_members_set_updated_at
+    BEFORE UPDATE ON team_members
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+DROP TRIGGER IF EXISTS rental_listings_set_updated_at ON rental_listings;
+CREATE TRIGGER rental_listings_set_updated_at
+    BEFORE UPDATE ON rental_listings
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Indexes for the watermark queries
+CREATE INDEX IF NOT EXISTS idx_website_content_page_updated ON website_content(page_name, updated_at);
+CREATE INDEX IF NOT EXISTS idx_team_members_page_updated ON team_members(page_name, updated_at);
+CREATE INDEX IF NOT EXISTS idx_rental_listings_updated ON rental_listings(updated_at);
+
+-- Publish row changes on the supabase_realtime channel
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+        CREATE PUBLICATION supabase_realtime;
+    END IF;
+
+    FOREACH v_table IN ARRAY ARRAY['website_content', 'team_members', 'rental_listings'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', v_table);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- Verify setup
+SELECT 'Realtime content updates enabled!' as status;
+SELECT tablename FROM pg_publication_tables WHERE pubname = 'supabase_realtime' ORDER BY tablename;
@@ -0,0 +1,632 @@
+/**
+ * Rental Application
+ * Multi-step application form opened from "Apply Now" including:
+ * - Applicant, co-applicants, employment/income, rental history, references, pets, vehicles, consent
+ * - Draft save and resume (draft id + token kept in localStorage, or a resume link)
+ * - Income check against rent_price x the listing's income_multiplier
+ */
+
+import dbService from './supabase-client.js';
+import { APPLICATION_CONFIG } from './supabase-config.js';
+import { escapeHtml } from './safe-html.js';
+import { acceptsApplications } from './listing-status.js';
+
+const DRAFT_STORAGE_PREFIX = 'rental_application_draft_';
+
+// Form steps. Steps with `repeat` collect a list of items.
+const APPLICATION_STEPS = [
+    {
+        key: 'applicant',
+        title: 'Applicant',
+        fields: [
+            { name: 'first_name', label: 'First name', required: true },
+            { name: 'last_name', label: 'Last name', required: true },
+            { name: 'email', label: 'Email', type: 'email', required: true },
+            { name: 'phone', label: 'Phone', type: 'tel', required: true },
+            { name: 'date_of_birth', label: 'Date of birth', type: 'date', required: true },
+            { name: 'current_address', label: 'Current address', required: true, wide: true },
+            { name: 'desired_move_in', label: 'Desired move-in date', type: 'date' }
+        ]
+    },
+    {
+        key: 'co_applicants',
+        title: 'Co-Applicants',
+        repeat: true,
+        itemLabel: 'Co-applicant',
+        description: 'Add every other adult (18+) who will live in the home.',
+        fields: [
+            { name: 'first_name', label: 'First name', required: true },
+            { name: 'last_name', label: 'Last name', required: true },
+            { name: 'email', label: 'Email', type: 'email', required: true },
+            { name: 'phone', label: 'Phone', type: 'tel' },
+            { name: 'relationship', label: 'Relationship to applicant' },
+            { name: 'monthly_income', label: 'Gross monthly income ($)', type: 'number' }
+        ]
+    },
+    {
+        key: 'employment',
+        title: 'Employment & Income',
+        fields: [
+            { name: 'employer', label: 'Employer', required: true },
+            { name: 'job_title', label: 'Job title' },
+            { name: 'employer_phone', label: 'Employer phone', type: 'tel' },
+            { name: 'start_date', label: 'Start date', type: 'date' },
+            { name: 'monthly_income', label: 'Gross monthly income ($)', type: 'number', required: true },
+            { name: 'other_income', label: 'Other monthly income ($)', type: 'number' },
+            { name: 'other_income_source', label: 'Other income source', wide: true }
+        ]
+    },
+    {
+        key: 'rental_history',
+        title: 'Rental History',
+        repeat: true,
+        itemLabel: 'Residence',
+        description: 'List your residences for the past 3 years, most recent first.',
+        fields: [
+            { name: 'address', label: 'Address', required: true, wide: true },
+            { name: 'landlord_name', label: 'Landlord / manager' },
+            { name: 'landlord_phone', label: 'Landlord phone', type: 'tel' },
+            { name: 'monthly_rent', label: 'Monthly rent ($)', type: 'number' },
+            { name: 'move_in', label: 'Move-in date', type: 'date' },
+            { name: 'move_out', label: 'Move-out date', type: 'date' },
+            { name: 'reason_for_leaving', label: 'Reason for leaving', wide: true }
+        ]
+    },
+    {
+        key: 'applicant_references',
+        title: 'References',
+        repeat: true,
+        itemLabel: 'Reference',
+        description: 'Personal or professional references who are not relatives.',
+        fields: [
+            { name: 'name', label: 'Name', required: true },
+            { name: 'relationship', label: 'Relationship' },
+            { name: 'phone', label: 'Phone', type: 'tel', required: true },
+            { name: 'email', label: 'Email', type: 'email' }
+        ]
+    },
+    {
+        key: 'pets',
+        title: 'Pets',
+        repeat: true,
+        itemLabel: 'Pet',
+        description: 'Leave empty if you have no pets.',
+        fields: [
+            { name: 'type', label: 'Type (dog, cat, ...)', required: true },
+            { name: 'breed', label: 'Breed' },
+            { name: 'weight', label: 'Weight (lbs)', type: 'number' },
+            { name: 'age', label: 'Age (years)', type: 'number' }
+        ]
+    },
+    {
+        key: 'vehicles',
+        title: 'Vehicles',
+        repeat: true,
+        itemLabel: 'Vehicle',
+        description: 'Leave empty if you have no vehicles.',
+        fields: [
+            { name: 'make', label: 'Make', required: true },
+            { name: 'model', label: 'Model' },
+            { name: 'year', label: 'Year', type: 'number' },
+            { name: 'color', label: 'Color' },
+            { name: 'license_plate', label: 'License plate' }
+        ]
+    },
+    {
+        key: 'consent',
+        title: 'Review & Consent',
+        fields: [
+            { name: 'background_check', label: 'I authorize Wolf Property Management to obtain credit, background and rental history reports.', type: 'checkbox', required: true, wide: true },
+            { name: 'information_accurate', label: 'I certify that the information in this application is true and complete.', type: 'checkbox', required: true, wide: true },
+            { name: 'signature', label: 'Full legal name (electronic signature)', required: true, wide: true }
+        ]
+    }
+];
+
+class RentalApplicationForm {
+    constructor() {
+        this.isInitialized = false;
+        this.listingProvider = null;
+        this.modal = null;
+        this.listing = null;
+        this.currentStep = 0;
+        this.data = {};
+        this.draft = null; // { id, token }
+        this.isSaving = false;
+    }
+
+    /**
+     * Wire "Apply Now" buttons
+     * @param {Function} listingProvider - (listingId) => listing object or undefined
+     */
+    initialize(listingProvider) {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.listingProvider = listingProvider;
+
+        document.addEventListener('click', (e) => {
+            const applyBtn = e.target.closest('.apply-btn');
+            if (!applyBtn || document.body.classList.contains('admin-mode')) return;
+
+            const source = applyBtn.closest('[data-listing-id]');
+            const listingId = applyBtn.dataset.listingId || (source && source.dataset.listingId);
+            if (!listingId || listingId === 'sample') return;
+
+            e.preventDefault();
+            this.open(listingId);
+        });
+
+        this.isInitialized = true;
+        console.log('📝 Rental application form initialized');
+    }
+
+    /**
+     * Resume a draft from a resume link (?application=<id>&token=<token>)
+     */
+    async resumeFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const applicationId = params.get('application');
+        const token = params.get('token');
+        if (!applicationId || !token) return;
+
+        const { application, error } = await dbService.getRentalApplicationDraft(applicationId, token);
+        if (error || !application) {
+            alert('This application draft could not be found. It may already have been submitted.');
+            return;
+        }
+
+        this.storeDraftReference(application.listing_id, { id: application.id, token });
+        await this.open(application.listing_id);
+    }
+
+    getEmptyData() {
+        const data = {};
+        APPLICATION_STEPS.forEach(step => {
+            data[step.key] = step.repeat ? [] : {};
+        });
+        return data;
+    }
+
+    getStoredDraftReference(listingId) {
+        try {
+            const stored = localStorage.getItem(`${DRAFT_STORAGE_PREFIX}${listingId}`);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    storeDraftReference(listingId, draft) {
+        try {
+            if (draft) {
+                localStorage.setItem(`${DRAFT_STORAGE_PREFIX}${listingId}`, JSON.stringify(draft));
+            } else {
+                localStorage.removeItem(`${DRAFT_STORAGE_PREFIX}${listingId}`);
+            }
+        } catch (error) {
+            console.warn('Could not store application draft reference:', error);
+        }
+    }
+
+    /**
+     * Open the application for a listing, resuming a saved draft when one exists
+     */
+    async open(listingId) {
+        const listing = this.listingProvider ? this.listingProvider(listingId) : null;
+        if (!listing) {
+            console.error(`❌ Cannot open application: listing ${listingId} not found`);
+            return;
+        }
+        if (!acceptsApplications(listing)) {
+            console.warn(`⚠️ Listing ${listingId} is not taking applications`);
+            return;
+        }
+
+        this.listing = listing;
+        this.data = this.getEmptyData();
+        this.currentStep = 0;
+        this.draft = null;
+
+        const storedDraft = this.getStoredDraftReference(listingId);
+        if (storedDraft) {
+            const { application } = await dbService.getRentalApplicationDraft(storedDraft.id, storedDraft.token);
+            if (application) {
+                this.draft = storedDraft;
+                APPLICATION_STEPS.forEach(step => {
+                    if (application[step.key]) {
+                        this.data[step.key] = application[step.key];
+                    }
+                });
+                this.currentStep = Math.min(application.current_step || 0, APPLICATION_STEPS.length - 1);
+                console.log('📝 Resumed application draft:', storedDraft.id);
+            } else {
+                // Draft was submitted or removed
+                this.storeDraftReference(listingId, null);
+            }
+        }
+
+        this.renderModal();
+    }
+
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+            document.body.style.overflow = '';
+        }
+    }
+
+    renderModal() {
+        this.close();
+
+        const modal = document.createElement('div');
+        modal.className = 'application-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.innerHTML = `
+            <div class="application-modal-content">
+                <div class="application-modal-header">
+                    <div>
+                        <h3>Rental Application</h3>
+                        <p class="application-listing">${escapeHtml(this.listing.title || this.listing.address)} · $${parseFloat(this.listing.rent_price || 0).toLocaleString()}/mo</p>
+                    </div>
+                    <button type="button" class="application-modal-close" aria-label="Close application">&times;</button>
+                </div>
+                <ol class="application-steps"></ol>
+                <form class="application-form" novalidate>
+                    <div class="application-step-body"></div>
+                    <div class="application-message" role="alert"></div>
+                    <div class="application-modal-footer">
+                        <button type="button" class="btn btn-secondary application-back-btn">Back</button>
+                        <button type="button" class="btn btn-secondary application-draft-btn">Save Draft</button>
+                        <button type="submit" class="btn btn-primary application-next-btn">Next</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        modal.querySelector('.application-modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        modal.querySelector('.application-back-btn').addEventListener('click', () => this.goToStep(this.currentStep - 1));
+        modal.querySelector('.application-draft-btn').addEventListener('click', () => this.saveDraft());
+        modal.querySelector('.application-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleNext();
+        });
+        modal.querySelector('.application-steps').addEventListener('click', (e) => {
+            const stepItem = e.target.closest('[data-step]');
+            // Only allow jumping back to completed steps
+            if (stepItem && parseInt(stepItem.dataset.step) < this.currentStep) {
+                this.goToStep(parseInt(stepItem.dataset.step));
+            }
+        });
+
+        // Live income check while typing on the employment step
+        modal.querySelector('.application-step-body').addEventListener('input', () => {
+            if (APPLICATION_STEPS[this.currentStep].key !== 'employment') return;
+            this.collectStep();
+            const summary = modal.querySelector('.application-income-summary');
+            if (summary) summary.outerHTML = this.renderIncomeSummary();
+        });
+
+        document.body.appendChild(modal);
+        document.body.style.overflow = 'hidden';
+        this.modal = modal;
+        this.renderStep();
+    }
+
+    renderStep() {
+        const step = APPLICATION_STEPS[this.currentStep];
+        const isLastStep = this.currentStep === APPLICATION_STEPS.length - 1;
+
+        this.modal.querySelector('.application-steps').innerHTML = APPLICATION_STEPS.map((s, index) => `
+            <li data-step="${index}" class="${index === this.currentStep ? 'active' : ''} ${index < this.currentStep ? 'completed' : ''}">${escapeHtml(s.title)}</li>
+        `).join('');
+
+        const body = this.modal.querySelector('.application-step-body');
+        body.innerHTML = `
+            <h4>${escapeHtml(step.title)}</h4>
+            ${step.description ? `<p class="application-step-description">${escapeHtml(step.description)}</p>` : ''}
+            ${step.repeat ? this.renderRepeatStep(step) : `<div class="application-fields">${this.renderFields(step, this.data[step.key])}</div>`}
+            ${step.key === 'employment' ? this.renderIncomeSummary() : ''}
+            ${isLastStep ? this.renderReviewSummary() : ''}
+        `;
+
+        if (step.repeat) {
+            body.querySelector('.application-add-item').addEventListener('click', () => {
+                this.collectStep();
+                this.data[step.key].push({});
+                this.renderStep();
+            });
+            body.querySelectorAll('.application-remove-item').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.collectStep();
+                    this.data[step.key].splice(parseInt(button.dataset.index), 1);
+                    this.renderStep();
+                });
+            });
+        }
+
+        this.modal.querySelector('.application-back-btn').style.visibility = this.currentStep === 0 ? 'hidden' : 'visible';
+        this.modal.querySelector('.application-next-btn').textContent = isLastStep ? 'Submit Application' : 'Next';
+        this.showMessage('');
+
+        const firstInput = body.querySelector('input, select, textarea');
+        if (firstInput) firstInput.focus();
+    }
+
+    renderFields(step, values = {}, index = null) {
+        return step.fields.map(field => {
+            const inputName = index === null ? field.name : `${index}.${field.name}`;
+            const inputId = `application-${step.key}-${inputName.replace('.', '-')}`;
+            const value = values[field.name] ?? '';
+            const required = field.required ? 'required' : '';
+
+            if (field.type === 'checkbox') {
+                return `
+                    <label class="application-field application-checkbox wide">
+                        <input type="checkbox" id="${inputId}" name="${inputName}" ${value ? 'checked' : ''} ${required}>
+                        <span>${escapeHtml(field.label)}</span>
+                    </label>
+                `;
+            }
+
+            return `
+                <div class="application-field ${field.wide ? 'wide' : ''}">
+                    <label for="${inputId}">${escapeHtml(field.label)}${field.required ? ' *' : ''}</label>
+                    <input type="${field.type || 'text'}" id="${inputId}" name="${inputName}" value="${escapeHtml(value)}" ${field.type === 'number' ? 'min="0" step="any"' : ''} ${required}>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderRepeatStep(step) {
+        const items = this.data[step.key];
+        return `
+            ${items.map((item, index) => `
+                <fieldset class="application-repeat-item">
+                    <legend>${escapeHtml(step.itemLabel)} ${index + 1}</legend>
+                    <div class="application-fields">${this.renderFields(step, item, index)}</div>
+                    <button type="button" class="application-remove-item" data-index="${index}">Remove</button>
+                </fieldset>
+            `).join('')}
+            <button type="button" class="application-add-item">+ Add ${escapeHtml(step.itemLabel.toLowerCase())}</button>
+        `;
+    }
+
+    /**
+     * Combined monthly income of the applicant and all co-applicants
+     */
+    getMonthlyIncome() {
+        const number = (value) => parseFloat(value) || 0;
+        const employment = this.data.employment || {};
+        const coApplicantIncome = (this.data.co_applicants || [])
+            .reduce((total, coApplicant) => total + number(coApplicant.monthly_income), 0);
+        return number(employment.monthly_income) + number(employment.other_income) + coApplicantIncome;
+    }
+
+    /**
+     * The listing's income multiplier (rental_listings.income_multiplier), which the server checks against
+     */
+    getIncomeMultiplier() {
+        return parseFloat(this.listing.income_multiplier) || APPLICATION_CONFIG.incomeMultiplier;
+    }
+
+    getRequiredIncome() {
+        return (parseFloat(this.listing.rent_price) || 0) * this.getIncomeMultiplier();
+    }
+
+    meetsIncomeRequirement() {
+        return this.getMonthlyIncome() >= this.getRequiredIncome();
+    }
+
+    renderIncomeSummary() {
+        const income = this.getMonthlyIncome();
+        const required = this.getRequiredIncome();
+        const meets = income >= required;
+        return `
+            <div class="application-income-summary ${meets ? 'meets' : 'short'}">
+                Combined monthly income: <strong>$${income.toLocaleString()}</strong> ·
+                Required (${this.getIncomeMultiplier()}× rent): <strong>$${required.toLocaleString()}</strong>
+            </div>
+        `;
+    }
+
+    renderReviewSummary() {
+        const applicant = this.data.applicant || {};
+        const count = (key) => (this.data[key] || []).length;
+        return `
+            <div class="application-review">
+                <p><strong>Applicant:</strong> ${escapeHtml(`${applicant.first_name || ''} ${applicant.last_name || ''}`.trim() || '—')} (${escapeHtml(applicant.email || 'no email')})</p>
+                <p><strong>Co-applicants:</strong> ${count('co_applicants')} · <strong>Residences:</strong> ${count('rental_history')} · <strong>References:</strong> ${count('applicant_references')} · <strong>Pets:</strong> ${count('pets')} · <strong>Vehicles:</strong> ${count('vehicles')}</p>
+                ${this.renderIncomeSummary()}
+            </div>
+        `;
+    }
+
+    /**
+     * Copy the current step's inputs into this.data
+     */
+    collectStep() {
+        if (!this.modal) return;
+
+        const step = APPLICATION_STEPS[this.currentStep];
+        const inputs = this.modal.querySelectorAll('.application-step-body [name]');
+
+        if (step.repeat) {
+            const items = this.data[step.key].map(() => ({}));
+            inputs.forEach(input => {
+                const [index, name] = input.name.split('.');
+                if (items[index]) {
+                    items[index][name] = input.type === 'checkbox' ? input.checked : input.value.trim();
+                }
+            });
+            this.data[step.key] = items;
+        } else {
+            const values = {};
+            inputs.forEach(input => {
+                values[input.name] = input.type === 'checkbox' ? input.checked : input.value.trim();
+            });
+            this.data[step.key] = values;
+        }
+    }
+
+    /**
+     * Validate the current step's inputs
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateStep() {
+        const step = APPLICATION_STEPS[this.currentStep];
+        const inputs = [...this.modal.querySelectorAll('.application-step-body [name]')];
+
+        const invalid = inputs.find(input => !input.checkValidity());
+        if (invalid) {
+            invalid.focus();
+            const label = invalid.closest('.application-field');
+            const labelText = label ? label.textContent.replace('*', '').trim() : invalid.name;
+            return invalid.type === 'checkbox'
+                ? 'Please accept the required statements to continue.'
+                : `Please check "${labelText}".`;
+        }
+
+        if (step.key === 'employment' && !this.meetsIncomeRequirement()) {
+            return `Combined monthly income must be at least ${this.getIncomeMultiplier()}× the monthly rent ($${this.getRequiredIncome().toLocaleString()}). Add co-applicant or other income if applicable.`;
+        }
+
+        return null;
+    }
+
+    goToStep(index) {
+        if (index < 0 || index >= APPLICATION_STEPS.length) return;
+        this.collectStep();
+        this.currentStep = index;
+        this.renderStep();
+    }
+
+    async handleNext() {
+        this.collectStep();
+
+        const error = this.validateStep();
+        if (error) {
+            this.showMessage(error, 'error');
+            return;
+        }
+
+        if (this.currentStep < APPLICATION_STEPS.length - 1) {
+            this.currentStep++;
+            this.renderStep();
+            return;
+        }
+
+        await this.submit();
+    }
+
+    showMessage(message, type = 'info') {
+        const messageElement = this.modal && this.modal.querySelector('.application-message');
+        if (!messageElement) return;
+        messageElement.className = `application-message ${message ? type : ''}`;
+        messageElement.textContent = message;
+    }
+
+    /**
+     * Build the rental_applications fields from the form data. Status, submission time, rent,
+     * income multiplier and the income check are set server-side (rental_applications_save).
+     */
+    buildApplicationRecord() {
+        const applicant = this.data.applicant || {};
+        const record = {
+            id: this.draft ? this.draft.id : undefined,
+            draft_token: this.draft ? this.draft.token : undefined,
+            listing_id: this.listing.id,
+            current_step: this.currentStep,
+            applicant_name: `${applicant.first_name || ''} ${applicant.last_name || ''}`.trim() || null,
+            applicant_email: applicant.email || null,
+            monthly_income: this.getMonthlyIncome()
+        };
+
+        APPLICATION_STEPS.forEach(step => {
+            record[step.key] = this.data[step.key];
+        });
+
+        return record;
+    }
+
+    getResumeUrl() {
+        const url = new URL('rentals.html', window.location.href);
+        url.searchParams.set('application', this.draft.id);
+        url.searchParams.set('token', this.draft.token);
+        return url.toString();
+    }
+
+    async saveDraft() {
+        if (this.isSaving) return;
+        this.collectStep();
+        this.isSaving = true;
+
+        try {
+            const { application, error } = await dbService.saveRentalApplication(this.buildApplicationRecord());
+            if (error) {
+                throw new Error(error);
+            }
+
+            // The token is only handed out when the draft is first saved
+            this.draft = { id: application.id, token: application.draft_token || this.draft.token };
+            this.storeDraftReference(this.listing.id, this.draft);
+            this.showMessage(`Draft saved. You can finish later on this device, or resume anywhere with this link: ${this.getResumeUrl()}`, 'success');
+        } catch (error) {
+            console.error('❌ Failed to save application draft:', error);
+            this.showMessage(`Could not save your draft: ${error.message}`, 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async submit() {
+        if (this.isSaving) return;
+        this.isSaving = true;
+
+        const submitBtn = this.modal.querySelector('.application-next-btn');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Submitting...';
+
+        try {
+            const { error } = await dbService.saveRentalApplication(this.buildApplicationRecord(), true);
+            if (error) {
+                throw new Error(error);
+            }
+
+            this.storeDraftReference(this.listing.id, null);
+            this.draft = null;
+
+            this.modal.querySelector('.application-form').innerHTML = `
+                <div class="application-success">
+                    <h4>Application submitted!</h4>
+                    <p>Thank you for applying to ${escapeHtml(this.listing.title || this.listing.address)}. Our leasing team will review your application and contact you within 2 business days.</p>
+                    <button type="button" class="btn btn-primary application-done-btn">Done</button>
+                </div>
+            `;
+            this.modal.querySelector('.application-done-btn').addEventListener('click', () => this.close());
+            console.log('✅ Rental application submitted');
+        } catch (error) {
+            console.error('❌ Failed to submit application:', error);
+            this.showMessage(`Could not submit your application: ${error.message}`, 'error');
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Submit Application';
+        } finally {
+            this.isSaving = false;
+        }
+    }
+}
+
+// Create global instance
+const rentalApplicationForm = new RentalApplicationForm();
+
+// Make globally available for debugging and integration
+window.rentalApplicationForm = rentalApplicationForm;
+
+export { APPLICATION_STEPS };
+export default rentalApplicationForm;
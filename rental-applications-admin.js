@@ -0,0 +1,345 @@
+/**
+ * Rental Applications Admin
+ * Applications inbox for the rentals page admin mode including:
+ * - Submissions grouped per property
+ * - Filtering by property and status
+ * - Status workflow (new, screening, approved, denied)
+ */
+
+import dbService from './supabase-client.js';
+import { APPLICATION_CONFIG } from './supabase-config.js';
+import { APPLICATION_STEPS } from './rental-application.js';
+import { escapeHtml } from './safe-html.js';
+
+const STATUS_LABELS = {
+    new: '🆕 New',
+    screening: '🔍 Screening',
+    approved: '✅ Approved',
+    denied: '⛔ Denied'
+};
+
+class RentalApplicationsAdmin {
+    constructor() {
+        this.dbService = dbService;
+        this.isInitialized = false;
+        this.applications = [];
+        this.filters = { listingId: '', status: '' };
+        this.modal = null;
+    }
+
+    /**
+     * Initialize the applications inbox controls
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        // Applications contain applicant personal data; only reviewing roles see the inbox
+        if (!this.dbService.hasPermission('review_applications')) {
+            return;
+        }
+
+        console.log('📥 Initializing Rental Applications Admin...');
+        this.addAdminControls();
+        this.isInitialized = true;
+        await this.refreshNewCount();
+    }
+
+    cleanup() {
+        const controls = document.getElementById('applications-admin-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.closeInbox();
+        this.isInitialized = false;
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('applications-admin-controls')) {
+            return;
+        }
+
+        const controls = document.createElement('div');
+        controls.id = 'applications-admin-controls';
+        controls.className = 'rentals-admin-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>📥 Rental Applications</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    Review submitted applications and move them through screening.
+                </p>
+                <button id="open-applications-inbox-btn" class="btn btn-primary" style="background-color: #3498db;">
+                    📥 Open Applications Inbox <span id="applications-new-count"></span>
+                </button>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        document.getElementById('open-applications-inbox-btn').addEventListener('click', () => {
+            this.showInbox();
+        });
+    }
+
+    async refreshNewCount() {
+        const { applications, error } = await this.dbService.getRentalApplications({ status: 'new' });
+        const countElement = document.getElementById('applications-new-count');
+        if (countElement && !error) {
+            countElement.textContent = applications.length > 0 ? `(${applications.length} new)` : '';
+        }
+    }
+
+    /**
+     * Open the inbox modal
+     */
+    async showInbox() {
+        this.closeInbox();
+
+        const modal = document.createElement('div');
+        modal.className = 'applications-inbox-modal';
+        modal.innerHTML = `
+            <div class="applications-inbox-content">
+                <div class="applications-inbox-header">
+                    <h3>📥 Rental Applications</h3>
+                    <button type="button" class="applications-inbox-close" aria-label="Close inbox">&times;</button>
+                </div>
+                <div class="applications-inbox-filters">
+                    <select id="applications-filter-listing" aria-label="Filter by property">
+                        <option value="">All properties</option>
+                    </select>
+                    <select id="applications-filter-status" aria-label="Filter by status">
+                        <option value="">All statuses</option>
+                        ${APPLICATION_CONFIG.statuses.map(status => `<option value="${status}">${STATUS_LABELS[status] || status}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn-image-manager" id="applications-refresh-btn">🔄 Refresh</button>
+                </div>
+                <div class="applications-inbox-body">
+                    <p>Loading applications...</p>
+                </div>
+            </div>
+        `;
+
+        modal.querySelector('.applications-inbox-close').addEventListener('click', () => this.closeInbox());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeInbox();
+        });
+
+        const listingFilter = modal.querySelector('#applications-filter-listing');
+        const statusFilter = modal.querySelector('#applications-filter-status');
+        listingFilter.addEventListener('change', () => {
+            this.filters.listingId = listingFilter.value;
+            this.loadApplications();
+        });
+        statusFilter.addEventListener('change', () => {
+            this.filters.status = statusFilter.value;
+            this.loadApplications();
+        });
+        modal.querySelector('#applications-refresh-btn').addEventListener('click', () => this.loadApplications());
+
+        // Status changes and detail toggles
+        modal.querySelector('.applications-inbox-body').addEventListener('change', (e) => {
+            if (e.target.classList.contains('application-status-select')) {
+                this.updateStatus(e.target.dataset.applicationId, e.target.value, e.target);
+            }
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+
+        this.populateListingFilter();
+        listingFilter.value = this.filters.listingId;
+        statusFilter.value = this.filters.status;
+
+        await this.loadApplications();
+    }
+
+    closeInbox() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    populateListingFilter() {
+        const select = this.modal && this.modal.querySelector('#applications-filter-listing');
+        const listings = (window.rentalsAdminManager && window.rentalsAdminManager.rentalListings) || [];
+        if (!select) return;
+
+        listings
+            .filter(listing => !listing.isNew)
+            .forEach(listing => {
+                const option = document.createElement('option');
+                option.value = listing.id;
+                option.textContent = listing.title || listing.address;
+                select.appendChild(option);
+            });
+    }
+
+    async loadApplications() {
+        const body = this.modal && this.modal.querySelector('.applications-inbox-body');
+        if (!body) return;
+
+        body.innerHTML = '<p>Loading applications...</p>';
+
+        const { applications, error } = await this.dbService.getRentalApplications(this.filters);
+        if (error) {
+            body.innerHTML = `<p style="color: #e74c3c;">Error loading applications: ${escapeHtml(error)}</p>`;
+            return;
+        }
+
+        this.applications = applications;
+        this.renderApplications(body);
+    }
+
+    /**
+     * Render applications grouped per property
+     */
+    renderApplications(body) {
+        if (this.applications.length === 0) {
+            body.innerHTML = '<p class="applications-empty">No applications match these filters.</p>';
+            return;
+        }
+
+        const groups = new Map();
+        this.applications.forEach(application => {
+            const key = application.listing_id || 'unknown';
+            if (!groups.has(key)) {
+                const listing = application.rental_listings || {};
+                groups.set(key, {
+                    title: listing.title || listing.address || 'Listing no longer available',
+                    applications: []
+                });
+            }
+            groups.get(key).applications.push(application);
+        });
+
+        body.innerHTML = [...groups.values()].map(group => `
+            <section class="applications-group">
+                <h4>${escapeHtml(group.title)} <span class="applications-group-count">${group.applications.length}</span></h4>
+                ${group.applications.map(application => this.renderApplication(application)).join('')}
+            </section>
+        `).join('');
+    }
+
+    renderApplication(application) {
+        const submitted = application.submitted_at ? new Date(application.submitted_at).toLocaleString() : '—';
+        const applicant = application.applicant || {};
+        const income = parseFloat(application.monthly_income || 0).toLocaleString();
+
+        return `
+            <details class="application-item status-${escapeHtml(application.status)}">
+                <summary>
+                    <span class="application-item-name">${escapeHtml(application.applicant_name || 'Unnamed applicant')}</span>
+                    <span class="application-item-meta">${escapeHtml(application.applicant_email || '')} · ${escapeHtml(applicant.phone || '')} · Submitted ${escapeHtml(submitted)}</span>
+                    <span class="application-income-badge ${application.meets_income_requirement ? 'meets' : 'short'}">
+                        $${income}/mo ${application.meets_income_requirement ? '✓' : `< ${escapeHtml(application.income_multiplier)}× rent`}
+                    </span>
+                    <select class="application-status-select" data-application-id="${escapeHtml(application.id)}" aria-label="Application status">
+                        ${APPLICATION_CONFIG.statuses.map(status => `
+                            <option value="${status}" ${status === application.status ? 'selected' : ''}>${STATUS_LABELS[status] || status}</option>
+                        `).join('')}
+                    </select>
+                </summary>
+                <div class="application-item-details">
+                    ${APPLICATION_STEPS.map(step => this.renderSection(step, application[step.key])).join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    renderSection(step, value) {
+        const labelFor = (name) => {
+            const field = step.fields.find(f => f.name === name);
+            return field ? field.label : name;
+        };
+        const renderValues = (values) => Object.entries(values || {})
+            .filter(([, fieldValue]) => fieldValue !== '' && fieldValue !== null && fieldValue !== undefined)
+            .map(([name, fieldValue]) => `<dt>${escapeHtml(labelFor(name))}</dt><dd>${escapeHtml(fieldValue === true ? 'Yes' : fieldValue)}</dd>`)
+            .join('');
+
+        let content;
+        if (step.repeat) {
+            const items = Array.isArray(value) ? value : [];
+            content = items.length === 0
+                ? '<p class="applications-empty">None</p>'
+                : items.map((item, index) => `<dl><dt><strong>${escapeHtml(step.itemLabel)} ${index + 1}</strong></dt><dd></dd>${renderValues(item)}</dl>`).join('');
+        } else {
+            content = `<dl>${renderValues(value)}</dl>`;
+        }
+
+        return `
+            <div class="application-section">
+                <h5>${escapeHtml(step.title)}</h5>
+                ${content}
+            </div>
+        `;
+    }
+
+    async updateStatus(applicationId, status, selectElement) {
+        selectElement.disabled = true;
+        const { error } = await this.dbService.updateRentalApplicationStatus(applicationId, status);
+        selectElement.disabled = false;
+
+        if (error) {
+            alert(`Failed to update application status: ${error}`);
+            const application = this.applications.find(a => a.id === applicationId);
+            if (application) {
+                selectElement.value = application.status;
+            }
+            return;
+        }
+
+        const application = this.applications.find(a => a.id === applicationId);
+        if (application) {
+            const item = selectElement.closest('.application-item');
+            item.classList.remove(`status-${application.status}`);
+            item.classList.add(`status-${status}`);
+            application.status = status;
+        }
+
+        this.refreshNewCount();
+    }
+}
+
+// Create global instance
+const rentalApplicationsAdmin = new RentalApplicationsAdmin();
+
+// Make globally available for debugging and integration
+window.rentalApplicationsAdmin = rentalApplicationsAdmin;
+
+// Auto-initialize when admin logs in
+document.addEventListener('DOMContentLoaded', () => {
+    // Only initialize on rentals page
+    if (!window.location.pathname.includes('rentals.html')) {
+        return;
+    }
+
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    rentalApplicationsAdmin.initialize();
+                } else {
+                    rentalApplicationsAdmin.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        rentalApplicationsAdmin.initialize();
+    }
+});
+
+export default rentalApplicationsAdmin;
@@ -0,0 +1,271 @@
+-- Rental Applications Table for Wolf Property Management
+-- Run this script in your Supabase SQL Editor after content-drafts-table.sql (for admin_require_role)
+-- and audit-log-table.sql to create the rental_applications table used by the "Apply Now"
+-- application flow and the admin applications inbox. Re-running it on an existing table
+-- hashes stored draft tokens and locks the table down.
+
+-- Income required per listing, as a multiple of the rent. The application form shows it and
+-- rental_applications_save checks against it; the browser's own value is never used.
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS income_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 3
+    CHECK (income_multiplier > 0);
+
+CREATE TABLE IF NOT EXISTS rental_applications (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    listing_id UUID REFERENCES rental_listings(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'new', 'screening', 'approved', 'denied')),
+    draft_token_hash VARCHAR(64), -- SHA-256 of the secret the applicant's browser holds to resume a draft
+    current_step INTEGER DEFAULT 0,
+
+    -- Application sections (one JSONB document per form step)
+    applicant JSONB DEFAULT '{}'::jsonb,
+    co_applicants JSONB DEFAULT '[]'::jsonb,
+    employment JSONB DEFAULT '{}'::jsonb,
+    rental_history JSONB DEFAULT '[]'::jsonb,
+    applicant_references JSONB DEFAULT '[]'::jsonb,
+    pets JSONB DEFAULT '[]'::jsonb,
+    vehicles JSONB DEFAULT '[]'::jsonb,
+    consent JSONB DEFAULT '{}'::jsonb,
+
+    -- Denormalized for the inbox
+    applicant_name VARCHAR(255),
+    applicant_email VARCHAR(255),
+    monthly_income DECIMAL(10, 2),
+    rent_price DECIMAL(10, 2), -- Rent at the time of application
+    income_multiplier DECIMAL(4, 2),
+    meets_income_requirement BOOLEAN,
+
+    reviewed_by UUID REFERENCES admin_users(id),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_rental_applications_listing ON rental_applications(listing_id);
+CREATE INDEX IF NOT EXISTS idx_rental_applications_status ON rental_applications(status);
+CREATE INDEX IF NOT EXISTS idx_rental_applications_submitted ON rental_applications(submitted_at);
+
+-- Tables created before draft tokens were hashed: keep only the hash of each token
+ALTER TABLE rental_applications ADD COLUMN IF NOT EXISTS draft_token_hash VARCHAR(64);
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_name = 'rental_applications' AND column_name = 'draft_token') THEN
+        UPDATE rental_applications
+        SET draft_token_hash = encode(digest(draft_token, 'sha256'), 'hex')
+        WHERE draft_token IS NOT NULL AND draft_token_hash IS NULL;
+        ALTER TABLE rental_applications DROP COLUMN draft_token;
+    END IF;
+END;
+$$;
+
+-- Applications hold applicant details (date of birth, income, employer, references):
+-- no direct access, the browser goes through the functions below
+ALTER TABLE rental_applications ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON rental_applications FROM anon, authenticated;
+
+-- Application row without the draft token hash, as returned to the browser
+CREATE OR REPLACE FUNCTION rental_applications_public_row(p_application rental_applications)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT to_jsonb(p_application) - 'draft_token_hash';
+$$;
+
+-- Save an applicant's draft (p_submit false) or submit the application (p_submit true).
+-- A new application (p_id NULL) gets a draft token, returned once and stored only as its hash;
+-- an existing one can only be changed while it is a draft and with its token.
+-- The rent and income multiplier are taken from the listing, not from the browser, and only
+-- listings taking applications (available or application pending) accept them.
+-- Returns { id, status, draft_token } (draft_token only for new applications).
+CREATE OR REPLACE FUNCTION rental_applications_save(
+    p_id UUID,
+    p_draft_token TEXT,
+    p_application JSONB,
+    p_submit BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_token TEXT;
+    v_id UUID;
+    v_listing_id UUID := NULLIF(p_application->>'listing_id', '')::UUID;
+    v_rent DECIMAL(10, 2);
+    v_income DECIMAL(10, 2) := COALESCE(NULLIF(p_application->>'monthly_income', '')::DECIMAL, 0);
+    v_multiplier DECIMAL(4, 2);
+    v_listing_status TEXT;
+    v_status TEXT := CASE WHEN p_submit THEN 'new' ELSE 'draft' END;
+BEGIN
+    -- status comes from rental-listings-status-migration.sql; without it every listing is available
+    SELECT r.rent_price, r.income_multiplier, COALESCE(to_jsonb(r)->>'status', 'available')
+    INTO v_rent, v_multiplier, v_listing_status
+    FROM rental_listings r
+    WHERE r.id = v_listing_id AND r.is_active = true;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'LISTING_NOT_FOUND';
+    END IF;
+    IF v_listing_status NOT IN ('available', 'application_pending') THEN
+        RAISE EXCEPTION 'LISTING_NOT_ACCEPTING_APPLICATIONS';
+    END IF;
+
+    IF p_id IS NULL THEN
+        v_token := encode(gen_random_bytes(24), 'hex');
+
+        INSERT INTO rental_applications (listing_id, status, draft_token_hash, current_step,
+            applicant, co_applicants, employment, rental_history, applicant_references, pets, vehicles, consent,
+            applicant_name, applicant_email, monthly_income, rent_price, income_multiplier, meets_income_requirement,
+            submitted_at)
+        VALUES (v_listing_id, v_status, encode(digest(v_token, 'sha256'), 'hex'),
+            COALESCE(NULLIF(p_application->>'current_step', '')::INTEGER, 0),
+            COALESCE(p_application->'applicant', '{}'::jsonb), COALESCE(p_application->'co_applicants', '[]'::jsonb),
+            COALESCE(p_application->'employment', '{}'::jsonb), COALESCE(p_application->'rental_history', '[]'::jsonb),
+            COALESCE(p_application->'applicant_references', '[]'::jsonb), COALESCE(p_application->'pets', '[]'::jsonb),
+            COALESCE(p_application->'vehicles', '[]'::jsonb), COALESCE(p_application->'consent', '{}'::jsonb),
+            left(NULLIF(trim(p_application->>'applicant_name'), ''), 255), left(NULLIF(trim(p_application->>'applicant_email'), ''), 255),
+            v_income, v_rent, v_multiplier, v_income >= v_rent * v_multiplier,
+            CASE WHEN p_submit THEN NOW() END)
+        RETURNING id INTO v_id;
+    ELSE
+        UPDATE rental_applications
+        SET listing_id = v_listing_id,
+            status = v_status,
+            current_step = COALESCE(NULLIF(p_application->>'current_step', '')::INTEGER, 0),
+            applicant = COALESCE(p_application->'applicant', '{}'::jsonb),
+            co_applicants = COALESCE(p_application->'co_applicants', '[]'::jsonb),
+            employment = COALESCE(p_application->'employment', '{}'::jsonb),
+            rental_history = COALESCE(p_application->'rental_history', '[]'::jsonb),
+            applicant_references = COALESCE(p_application->'applicant_references', '[]'::jsonb),
+            pets = COALESCE(p_application->'pets', '[]'::jsonb),
+            vehicles = COALESCE(p_application->'vehicles', '[]'::jsonb),
+            consent = COALESCE(p_application->'consent', '{}'::jsonb),
+            applicant_name = left(NULLIF(trim(p_application->>'applicant_name'), ''), 255),
+            applicant_email = left(NULLIF(trim(p_application->>'applicant_email'), ''), 255),
+            monthly_income = v_income,
+            rent_price = v_rent,
+            income_multiplier = v_multiplier,
+            meets_income_requirement = v_income >= v_rent * v_multiplier,
+            -- A submitted application can no longer be resumed
+            draft_token_hash = CASE WHEN p_submit THEN NULL ELSE draft_token_hash END,
+            submitted_at = CASE WHEN p_submit THEN NOW() END,
+            updated_at = NOW()
+        WHERE id = p_id
+          AND status = 'draft'
+          AND draft_token_hash = encode(digest(COALESCE(p_draft_token, ''), 'sha256'), 'hex')
+        RETURNING id INTO v_id;
+
+        IF v_id IS NULL THEN
+            RAISE EXCEPTION 'APPLICATION_NOT_FOUND';
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object('id', v_id, 'status', v_status, 'draft_token', v_token);
+END;
+$$;
+
+-- An applicant's own draft, for resuming it
+CREATE OR REPLACE FUNCTION rental_applications_get_draft(p_id UUID, p_draft_token TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_application rental_applications;
+BEGIN
+    SELECT * INTO v_application
+    FROM rental_applications
+    WHERE id = p_id
+      AND status = 'draft'
+      AND draft_token_hash = encode(digest(COALESCE(p_draft_token, ''), 'sha256'), 'hex');
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'APPLICATION_NOT_FOUND';
+    END IF;
+
+    RETURN rental_applications_public_row(v_application);
+END;
+$$;
+
+-- Submitted applications for the admin inbox, newest first, each with its listing's
+-- title, address and rent under rental_listings
+CREATE OR REPLACE FUNCTION rental_applications_list(
+    p_token TEXT,
+    p_status TEXT DEFAULT NULL,
+    p_listing_id UUID DEFAULT NULL
+)
+RETURNS SETOF JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    RETURN QUERY
+    SELECT rental_applications_public_row(a) || jsonb_build_object('rental_listings',
+               CASE WHEN l.id IS NULL THEN NULL
+                    ELSE jsonb_build_object('title', l.title, 'address', l.address, 'rent_price', l.rent_price) END)
+    FROM rental_applications a
+    LEFT JOIN rental_listings l ON l.id = a.listing_id
+    WHERE a.status <> 'draft'
+      AND (p_status IS NULL OR a.status = p_status)
+      AND (p_listing_id IS NULL OR a.listing_id = p_listing_id)
+    ORDER BY a.submitted_at DESC NULLS LAST;
+END;
+$$;
+
+-- Move a submitted application through review and record the change in the audit log
+CREATE OR REPLACE FUNCTION rental_applications_update_status(p_token TEXT, p_id UUID, p_status TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_actor RECORD;
+    v_before rental_applications;
+    v_after rental_applications;
+BEGIN
+    SELECT * INTO v_actor FROM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+
+    -- Drafts belong to the applicant until they submit
+    IF p_status NOT IN ('new', 'screening', 'approved', 'denied') THEN
+        RAISE EXCEPTION 'INVALID_STATUS';
+    END IF;
+
+    SELECT * INTO v_before FROM rental_applications WHERE id = p_id AND status <> 'draft';
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'APPLICATION_NOT_FOUND';
+    END IF;
+
+    UPDATE rental_applications
+    SET status = p_status,
+        reviewed_by = v_actor.actor_id,
+        updated_at = NOW()
+    WHERE id = p_id
+    RETURNING * INTO v_after;
+
+    INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, summary, before_data, after_data)
+    VALUES (v_actor.actor_id, v_actor.actor_email, 'update', 'rental_application', p_id::TEXT,
+            'Application from ' || COALESCE(v_before.applicant_name, 'applicant') || ' marked ' || p_status,
+            jsonb_build_object('status', v_before.status), jsonb_build_object('status', p_status));
+
+    RETURN rental_applications_public_row(v_after);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION rental_applications_public_row(rental_applications) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_applications_save(UUID, TEXT, JSONB, BOOLEAN) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_applications_get_draft(UUID, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_applications_list(TEXT, TEXT, UUID) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_applications_update_status(TEXT, UUID, TEXT) TO anon, authenticated;
+
+-- Verify setup
+SELECT 'Rental applications table created successfully!' as status;
+SELECT relrowsecurity AS rls_enabled FROM pg_class WHERE relname = 'rental_applications';
+SELECT status, COUNT(*) FROM rental_applications GROUP BY status;
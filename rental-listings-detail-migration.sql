@@ -0,0 +1,15 @@
+-- Rental Listings Detail Migration
+-- Run this script in your Supabase SQL Editor to add the listing detail page fields
+-- to an existing (simplified) rental_listings table
+
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS features TEXT; -- JSON array string or comma-separated list
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS utilities_included TEXT;
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS parking_info TEXT;
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS additional_images JSONB DEFAULT '[]'::jsonb; -- [{ "url": ..., "filename": ..., "alt": ... }]
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS virtual_tour_url TEXT;
+
+-- Verify the migration
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'rental_listings'
+  AND column_name IN ('features', 'utilities_included', 'parking_info', 'additional_images', 'virtual_tour_url');
@@ -0,0 +1,9 @@
+-- Rental Listings Map Migration
+-- Run this script in your Supabase SQL Editor to add stored coordinates for the rentals map panel
+
+-- Coordinates are captured when an admin picks or saves an address (never geocoded on page view)
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS latitude DECIMAL(9, 6);
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS longitude DECIMAL(9, 6);
+
+-- Verify the migration
+SELECT COUNT(*) AS total_listings, COUNT(latitude) AS listings_with_coordinates FROM rental_listings;
@@ -0,0 +1,15 @@
+-- Rental Listings Search Migration
+-- Run this script in your Supabase SQL Editor to add the columns used by the
+-- rentals page sort/filter panel to an existing (simplified) rental_listings table
+
+-- Property type for the "Property Type" filter (House, Townhome, Apartment, etc.)
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS property_type VARCHAR(100) DEFAULT 'House';
+
+-- Indexes for the filtered columns
+CREATE INDEX IF NOT EXISTS idx_rental_listings_price ON rental_listings(rent_price);
+CREATE INDEX IF NOT EXISTS idx_rental_listings_bedrooms ON rental_listings(bedrooms);
+CREATE INDEX IF NOT EXISTS idx_rental_listings_city ON rental_listings(city);
+CREATE INDEX IF NOT EXISTS idx_rental_listings_created ON rental_listings(created_at);
+
+-- Verify the migration
+SELECT property_type, COUNT(*) AS listings FROM rental_listings GROUP BY property_type;
@@ -0,0 +1,112 @@
+-- Rental Listings Status Migration
+-- Run this script in your Supabase SQL Editor to add listing lifecycle statuses
+-- (coming soon, available, application pending, leased, off-market) to rental_listings.
+-- Run it after privileged-operations-migration.sql.
+
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS status VARCHAR(30) NOT NULL DEFAULT 'available';
+ALTER TABLE rental_listings ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE rental_listings DROP CONSTRAINT IF EXISTS rental_listings_status_check;
+ALTER TABLE rental_listings ADD CONSTRAINT rental_listings_status_check
+    CHECK (status IN ('coming_soon', 'available', 'application_pending', 'leased', 'off_market'));
+
+CREATE INDEX IF NOT EXISTS idx_rental_listings_status ON rental_listings(status);
+
+-- available_date is a DATE in rentals-database-schema.sql but free text ('8/5/25', 'Now')
+-- in tables created from the admin page; NULL means available now or unreadable
+CREATE OR REPLACE FUNCTION parse_listing_available_date(p_value TEXT)
+RETURNS DATE
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+    p_value := btrim(COALESCE(p_value, ''));
+    IF p_value ~ '^\d{4}-\d{2}-\d{2}' THEN
+        RETURN substring(p_value FROM 1 FOR 10)::DATE;
+    ELSIF p_value ~ '^\d{1,2}/\d{1,2}/\d{4}$' THEN
+        RETURN to_date(p_value, 'MM/DD/YYYY');
+    ELSIF p_value ~ '^\d{1,2}/\d{1,2}/\d{2}$' THEN
+        RETURN to_date(p_value, 'MM/DD/YY');
+    END IF;
+    RETURN NULL;
+EXCEPTION WHEN OTHERS THEN
+    RETURN NULL;
+END;
+$$;
+
+-- Existing listings with a future available date start out as coming soon
+UPDATE rental_listings
+SET status = 'coming_soon'
+WHERE status = 'available' AND parse_listing_available_date(available_date::TEXT) > CURRENT_DATE;
+
+-- Stamp status_changed_at whenever the status changes (drives the "Recently Leased" showcase)
+CREATE OR REPLACE FUNCTION rental_listings_stamp_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rental_listings_status_changed ON rental_listings;
+CREATE TRIGGER rental_listings_status_changed
+    BEFORE INSERT OR UPDATE OF status ON rental_listings
+    FOR EACH ROW EXECUTE FUNCTION rental_listings_stamp_status();
+
+-- Move "coming soon" listings whose available date has arrived to "available". Run by the pg_cron
+-- job below (as the database owner); nobody else may call it directly. Visitors do not need it to
+-- have run: the rentals page already shows such listings as available.
+CREATE OR REPLACE FUNCTION advance_listing_statuses()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_listing RECORD;
+    v_count INTEGER := 0;
+BEGIN
+    FOR v_listing IN
+        UPDATE rental_listings
+        SET status = 'available', updated_at = NOW()
+        WHERE status = 'coming_soon'
+          AND COALESCE(parse_listing_available_date(available_date::TEXT), CURRENT_DATE) <= CURRENT_DATE
+        RETURNING id, title, available_date
+    LOOP
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, summary, before_data, after_data)
+        VALUES (NULL, 'scheduler', 'update', 'rental_listing', v_listing.id::TEXT,
+                'Listing ' || COALESCE(v_listing.title, v_listing.id::TEXT) || ' became available',
+                jsonb_build_object('status', 'coming_soon'),
+                jsonb_build_object('status', 'available', 'available_date', v_listing.available_date::TEXT));
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$;
+
+-- The same for an admin session, which runs it when the rentals admin tools open
+CREATE OR REPLACE FUNCTION rental_listings_advance_statuses(p_token TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM admin_require_role(p_token, ARRAY['owner', 'editor', 'leasing_agent']);
+    RETURN advance_listing_statuses();
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION advance_listing_statuses() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rental_listings_advance_statuses(TEXT) TO anon, authenticated;
+
+-- Scheduled status changes: enable the pg_cron extension (Database > Extensions), then run once
+-- SELECT cron.schedule('advance-listing-statuses', '5 0 * * *', 'SELECT advance_listing_statuses()');
+
+-- Verify the migration
+SELECT status, COUNT(*) AS listings FROM rental_listings GROUP BY status;
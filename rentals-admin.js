@@ -4,12 +4,24 @@
  * - Database-backed rental listing management
  * - Image assignment from bucket to listings
  * - Adding new listings
+ * - Listing statuses (badges, admin status filters, recently leased showcase)
  * - Text editing in admin mode
  * - Saving changes permanently to Supabase
  */
 
 import dbService from './supabase-client.js';
 import adminVersionControlUI from './admin-version-control-ui.js';
+import rentalsSearch from './rentals-search.js';
+import rentalsMap from './rentals-map.js';
+import listingDetailView from './listing-detail.js';
+import rentalApplicationForm from './rental-application.js';
+import draftsPanel from './drafts-panel.js';
+import contentSync from './content-sync.js';
+import { html, trustedHtml } from './safe-html.js';
+import { LISTING_STATUSES, DEFAULT_STATUS, getListingStatus, statusBadge, isPubliclyListed, getRecentlyLeased } from './listing-status.js';
+import { DEFAULT_LISTING_IMAGE, listingCardHtml, leasedCardHtml } from './page-templates.js';
+import { IMAGE_SIZES } from './responsive-images.js';
+import { loadSignedImage, setImageVariants } from './image-pipeline.js';
 
 class RentalsAdminManager {
     constructor() {
@@ -25,6 +37,9 @@ class RentalsAdminManager {
             deleted: new Set()   // deleted listing IDs
         };
         this.hasUnsavedChanges = false;
+        this.renderCounter = 0;
+        this.galleryListenersAdded = false;
+        this.statusFilter = 'all'; // Admin view: 'all' or a LISTING_STATUSES key
     }
 
     /**
@@ -42,6 +57,9 @@ class RentalsAdminManager {
             // Initialize database table if needed
             await this.initializeDatabase();
             
+            // Catch up on "coming soon" listings whose date arrived since the last pg_cron run
+            await this.dbService.advanceListingStatuses();
+
             // Load rental listings from database
             await this.loadRentalListingsFromDatabase();
             
@@ -85,6 +103,10 @@ class RentalsAdminManager {
         });
         
         this.isInitialized = false;
+        this.statusFilter = 'all';
+        
+        // Back to the visitor view (leased and off-market listings hidden)
+        this.renderRentalListings();
         console.log('✅ Rentals Admin Manager cleaned up');
     }
 
@@ -118,10 +140,11 @@ class RentalsAdminManager {
             return;
         }
         
-        // Store both current and original copies
-        this.rentalListings = rentalListings;
-        this.originalRentalListings = JSON.parse(JSON.stringify(rentalListings)); // Deep copy
-        console.log(`✅ Loaded ${rentalListings.length} rental listings from database`);
+        // Store both current and original copies (admins see saved drafts in place of live rows)
+        const rows = draftsPanel.mergeDraftRows('rental_listing', rentalListings);
+        this.rentalListings = rows;
+        this.originalRentalListings = JSON.parse(JSON.stringify(rows)); // Deep copy
+        console.log(`✅ Loaded ${rows.length} rental listings from database`);
         
         // Clear any pending changes
         this.clearPendingChanges();
@@ -130,50 +153,91 @@ class RentalsAdminManager {
         await this.renderRentalListings();
     }
 
+    /**
+     * Apply a rental listing row pushed by content-sync.js (visitors only)
+     */
+    async applyRemoteChange(row) {
+        if (this.hasUnsavedChanges) {
+            return;
+        }
+
+        const index = this.rentalListings.findIndex(listing => String(listing.id) === String(row.id));
+        if (row.is_active === false) {
+            if (index === -1) return;
+            this.rentalListings.splice(index, 1);
+        } else if (index === -1) {
+            this.rentalListings.push(row);
+        } else {
+            this.rentalListings[index] = row;
+        }
+
+        this.rentalListings.sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+        this.originalRentalListings = JSON.parse(JSON.stringify(this.rentalListings)); // Deep copy
+        console.log(`📡 Rental listing updated: ${row.title || row.id}`);
+        await this.renderRentalListings();
+    }
+
     /**
      * Render rental listings in the rentals page
      */
     async renderRentalListings() {
         const listingsContainer = document.getElementById('listings-container');
         const noListingsElement = document.getElementById('no-listings');
+        const noMatchesElement = document.getElementById('no-matching-listings');
         
         if (!listingsContainer) {
             console.error('❌ Listings container not found');
             return;
         }
         
+        // Drop stale renders when filters change while a batch render is in flight
+        const renderId = ++this.renderCounter;
+        
+        // rentals.html?listing=<id> shows a single listing instead of the grid
+        if (listingDetailView.isOpen()) {
+            listingsContainer.querySelectorAll('.listing-card:not([data-listing-id="sample"])').forEach(card => card.remove());
+            this.renderListingDetail(listingDetailView.getListingIdFromUrl());
+            return;
+        }
+        listingDetailView.setVisible(false);
+        
+        // Visitors see listed statuses only; admins see every status, narrowed by the status filter
+        const listedListings = this.getListedListings();
+        this.updateStatusFilters();
+        this.renderRecentlyLeased();
+        
+        // Apply the active sort and filters from the search panel
+        const visibleListings = rentalsSearch.apply(listedListings);
+        rentalsSearch.updateOptions(listedListings);
+        rentalsSearch.updateResultsCount(visibleListings.length, listedListings.length);
+        rentalsMap.setListings(visibleListings);
+        
         // Clear existing listings (except sample)
         const existingListings = listingsContainer.querySelectorAll('.listing-card:not([data-listing-id="sample"])');
         existingListings.forEach(listing => listing.remove());
         
-        if (this.rentalListings.length === 0) {
-            // Show no listings message
-            if (noListingsElement) {
-                noListingsElement.style.display = 'block';
-            }
-            // Hide sample listing
-            const sampleListing = listingsContainer.querySelector('[data-listing-id="sample"]');
-            if (sampleListing) {
-                sampleListing.style.display = 'none';
-            }
-        } else {
-            // Hide no listings message
-            if (noListingsElement) {
-                noListingsElement.style.display = 'none';
-            }
-            // Hide sample listing
-            const sampleListing = listingsContainer.querySelector('[data-listing-id="sample"]');
-            if (sampleListing) {
-                sampleListing.style.display = 'none';
-            }
-            
+        // Hide sample listing
+        const sampleListing = listingsContainer.querySelector('[data-listing-id="sample"]');
+        if (sampleListing) {
+            sampleListing.style.display = 'none';
+        }
+        
+        // Show no listings message only when nothing is listed
+        if (noListingsElement) {
+            noListingsElement.style.display = listedListings.length === 0 ? 'block' : 'none';
+        }
+        if (noMatchesElement) {
+            noMatchesElement.style.display = listedListings.length > 0 && visibleListings.length === 0 ? 'block' : 'none';
+        }
+        
+        if (visibleListings.length > 0) {
             // Use document fragment for efficient DOM manipulation
             const fragment = document.createDocumentFragment();
             
             // Render listings in batches to avoid blocking the UI
             const batchSize = 5;
-            for (let i = 0; i < this.rentalListings.length; i += batchSize) {
-                const batch = this.rentalListings.slice(i, i + batchSize);
+            for (let i = 0; i < visibleListings.length; i += batchSize) {
+                const batch = visibleListings.slice(i, i + batchSize);
                 
                 // Process batch asynchronously
                 const batchElements = await Promise.all(
@@ -184,130 +248,174 @@ class RentalsAdminManager {
                 batchElements.forEach(element => fragment.appendChild(element));
                 
                 // Allow UI to breathe between batches
-                if (i + batchSize < this.rentalListings.length) {
+                if (i + batchSize < visibleListings.length) {
                     await new Promise(resolve => setTimeout(resolve, 0));
                 }
             }
             
+            if (renderId !== this.renderCounter) {
+                return;
+            }
+            
             // Append all elements at once
             listingsContainer.appendChild(fragment);
             
             // Make listings editable if in admin mode
-            if (document.body.classList.contains('admin-mode')) {
+            if (document.body.classList.contains('admin-mode') && this.dbService.hasPermission('edit')) {
                 this.makeAllListingsEditable();
             }
         }
         
-        console.log(`✅ Rendered ${this.rentalListings.length} rental listings`);
+        console.log(`✅ Rendered ${visibleListings.length} of ${this.rentalListings.length} rental listings`);
+    }
+
+    isAdminView() {
+        return document.body.classList.contains('admin-mode');
     }
 
     /**
-     * Create a rental listing HTML element
+     * Listings for the grid before the search panel filters: listed statuses for visitors,
+     * the selected status filter for admins (unsaved listings always stay visible)
      */
-    async createRentalListingElement(listing) {
-        const listingDiv = document.createElement('div');
-        listingDiv.className = 'listing-card';
-        listingDiv.dataset.listingId = listing.id;
+    getListedListings() {
+        if (!this.isAdminView()) {
+            return this.rentalListings.filter(listing => isPubliclyListed(listing));
+        }
+        if (this.statusFilter === 'all') {
+            return this.rentalListings;
+        }
+        return this.rentalListings.filter(listing => listing.isNew || getListingStatus(listing) === this.statusFilter);
+    }
+
+    /**
+     * Refresh the admin status filter buttons (active state and per-status counts)
+     */
+    updateStatusFilters() {
+        const filters = document.getElementById('listing-status-filters');
+        if (!filters) return;
+        
+        filters.querySelectorAll('[data-status-filter]').forEach(button => {
+            const status = button.dataset.statusFilter;
+            const count = status === 'all'
+                ? this.rentalListings.length
+                : this.rentalListings.filter(listing => getListingStatus(listing) === status).length;
+            button.querySelector('.status-filter-count').textContent = count;
+            button.classList.toggle('active', status === this.statusFilter);
+            button.setAttribute('aria-pressed', String(status === this.statusFilter));
+        });
+    }
+
+    setStatusFilter(status) {
+        if (status !== 'all' && !LISTING_STATUSES[status]) return;
+        this.statusFilter = status;
+        this.renderRentalListings();
+    }
+
+    /**
+     * Render the "Recently Leased" showcase below the listings grid
+     */
+    renderRecentlyLeased() {
+        const section = document.getElementById('recently-leased');
+        const container = document.getElementById('recently-leased-container');
+        if (!section || !container) return;
         
-        // Check if listing is marked for deletion
-        const isMarkedForDeletion = this.pendingChanges.deleted.has(listing.id);
-        if (isMarkedForDeletion) {
-            listingDiv.classList.add('pending-deletion');
+        const recentlyLeased = getRecentlyLeased(this.rentalListings);
+        
+        section.hidden = recentlyLeased.length === 0;
+        container.innerHTML = recentlyLeased.map(listing => leasedCardHtml(listing)).join('');
+        
+        recentlyLeased.forEach(listing => {
+            if (listing.primary_image_filename) {
+                const card = container.querySelector(`[data-leased-listing-id="${CSS.escape(String(listing.id))}"]`);
+                this.loadSignedImageUrl(listing.primary_image_filename, card && card.querySelector('img'), listing.primary_image_variants);
+            }
+        });
+    }
+
+    /**
+     * Render the detail view for a single listing
+     */
+    renderListingDetail(listingId) {
+        let listing = this.rentalListings.find(l => String(l.id) === String(listingId));
+        // Leased and off-market listings are only shown to admins
+        if (listing && !this.isAdminView() && !isPubliclyListed(listing)) {
+            listing = null;
+        }
+        const detailElement = listingDetailView.render(listing);
+        if (!detailElement) {
+            console.warn(`⚠️ Listing ${listingId} not found`);
+            return;
         }
         
-        // Use default image initially for faster rendering
-        let imageUrl = listing.primary_image_url || 'https://images.unsplash.com/photo-1600585154340-be6161a56a0c?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80';
+        // Inline editing reuses the same pending-change tracking as the cards
+        if (document.body.classList.contains('admin-mode') && this.dbService.hasPermission('edit')) {
+            this.makeRentalListingEditable(detailElement);
+        }
         
-        // Format available date
-        const availableDate = listing.available_date ? new Date(listing.available_date).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', year: '2-digit' }) : 'NOW';
+        console.log(`✅ Rendered detail view for listing ${listingId}`);
+    }
+
+    /**
+     * Create a rental listing HTML element
+     */
+    async createRentalListingElement(listing) {
+        // Check if listing is marked for deletion
+        const isMarkedForDeletion = this.pendingChanges.deleted.has(listing.id);
         
         // Add pending indicator for new/modified/deleted listings
-        const isPending = listing.isNew || this.pendingChanges.modified.has(listing.id);
         let pendingBadge = '';
         if (listing.isNew) {
-            pendingBadge = '<div class="pending-badge pending-new">NEW LISTING (PENDING)</div>';
+            pendingBadge = html`<div class="pending-badge pending-new">NEW LISTING (PENDING)</div>`;
         } else if (this.pendingChanges.modified.has(listing.id)) {
-            pendingBadge = '<div class="pending-badge pending-modified">MODIFIED (PENDING)</div>';
+            pendingBadge = html`<div class="pending-badge pending-modified">MODIFIED (PENDING)</div>`;
         } else if (isMarkedForDeletion) {
-            pendingBadge = '<div class="pending-badge pending-deleted">DELETED (PENDING)</div>';
+            pendingBadge = html`<div class="pending-badge pending-deleted">DELETED (PENDING)</div>`;
         }
 
-        listingDiv.innerHTML = `
-            ${pendingBadge}
-            <div class="listing-image ${listing.isNew ? 'pending-new-border' : ''}">
-                <img src="${imageUrl}" alt="${listing.title}" data-listing-id="${listing.id}" loading="lazy" onerror="this.onerror=null;this.src='https://images.unsplash.com/photo-1600585154340-be6161a56a0c?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80';">
-                ${listing.is_featured ? '<div class="listing-badges"><span class="featured-badge">Featured</span></div>' : ''}
-            </div>
-            <div class="listing-content">
-                <div class="listing-header">
-                    <div class="listing-type">RENT</div>
-                    <div class="listing-price" data-listing-id="${listing.id}" data-field="rent_price">$${parseFloat(listing.rent_price || 0).toLocaleString()}</div>
-                </div>
-                <div class="listing-details">
-                    <div class="listing-size">
-                        <span class="sqft" data-listing-id="${listing.id}" data-field="square_feet">${(listing.square_feet || 0).toLocaleString()}</span>
-                        <span class="label">SQUARE FEET</span>
-                    </div>
-                    <div class="listing-specs">
-                        <span class="beds" data-listing-id="${listing.id}" data-field="bedrooms_bathrooms">${listing.bedrooms || 0} bd / ${listing.bathrooms || 0} ba</span>
-                        <span class="label">BED / BATH</span>
-                    </div>
-                    <div class="listing-availability">
-                        <span class="available" data-listing-id="${listing.id}" data-field="available_date">${availableDate}</span>
-                        <span class="label">AVAILABLE</span>
-                    </div>
-                </div>
-                <div class="listing-info">
-                    <h3 class="listing-title" data-listing-id="${listing.id}" data-field="title">${listing.title || ''}</h3>
-                    <p class="listing-address" data-listing-id="${listing.id}" data-field="address">
-                        ${listing.address}, ${listing.city}, ${listing.state} ${listing.zip_code} 
-                        <a href="#" class="map-link">📍 Map</a>
-                    </p>
-                    <div class="listing-description">
-                        <p data-listing-id="${listing.id}" data-field="description">${listing.description || ''}</p>
-                    </div>
-                    <div class="listing-features">
-                        <p data-listing-id="${listing.id}" data-field="appliances"><strong>Appliances:</strong> ${listing.appliances || 'Not specified'}</p>
-                        <p data-listing-id="${listing.id}" data-field="pet_policy"><strong>Pet Policy:</strong> ${listing.pet_policy || 'Contact for details'}</p>
-                    </div>
-                    <div class="listing-actions">
-                        <button class="btn btn-primary view-details-btn">View Details</button>
-                        <button class="btn btn-secondary apply-btn">Apply Now</button>
-                    </div>
-                </div>
-            </div>
-        `;
+        // Same markup as the pre-rendered pages (build-static.mjs), with the in-page detail route
+        const template = document.createElement('template');
+        template.innerHTML = listingCardHtml(listing, {
+            isAdmin: this.isAdminView(),
+            pendingBadge,
+            detailUrl: listingDetailView.getDetailUrl(listing.id)
+        }).toString().trim();
+        const listingDiv = template.content.firstElementChild;
         
-        // Add admin delete button if in admin mode
+        if (isMarkedForDeletion) {
+            listingDiv.classList.add('pending-deletion');
+        }
+        
+        // Add admin delete button if in admin mode and the role allows it
         if (document.body.classList.contains('admin-mode')) {
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'delete-listing-btn';
-            deleteBtn.innerHTML = '×';
-            deleteBtn.title = 'Delete Listing';
-            deleteBtn.addEventListener('click', () => this.deleteListing(listing.id));
-            listingDiv.appendChild(deleteBtn);
+            if (this.dbService.hasPermission('delete')) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'delete-listing-btn';
+                deleteBtn.innerHTML = '×';
+                deleteBtn.title = 'Delete Listing';
+                deleteBtn.addEventListener('click', () => this.deleteListing(listing.id));
+                listingDiv.appendChild(deleteBtn);
+            }
             
             // Make the listing editable
-            this.makeRentalListingEditable(listingDiv);
+            if (this.dbService.hasPermission('edit')) {
+                this.makeRentalListingEditable(listingDiv);
+            }
         }
         
         // Asynchronously load signed URL for better performance (non-blocking)
         if (listing.primary_image_filename) {
-            this.loadSignedImageUrl(listing.primary_image_filename, listingDiv.querySelector('img'));
+            this.loadSignedImageUrl(listing.primary_image_filename, listingDiv.querySelector('img'), listing.primary_image_variants);
         }
         
         return listingDiv;
     }
 
     /**
-     * Asynchronously load signed image URL without blocking rendering
+     * Asynchronously load signed image URLs (original and resized variants) without blocking rendering
      */
-    async loadSignedImageUrl(filename, imgElement) {
+    async loadSignedImageUrl(filename, imgElement, variants) {
         try {
-            const signedUrl = await this.dbService.getFileUrl('wolf-property-images', filename, true);
-            if (signedUrl && imgElement) {
-                imgElement.src = signedUrl;
-            }
+            await loadSignedImage(imgElement, filename, variants);
         } catch (error) {
             console.warn(`Could not load signed URL for image: ${filename}`, error);
             // Image will fall back to default URL already set
@@ -368,7 +476,7 @@ class RentalsAdminManager {
         
         // Create appropriate input element based on field type
         let input;
-        if (fieldName === 'description') {
+        if (fieldName === 'description' || fieldName === 'features') {
             input = document.createElement('textarea');
             input.style.minHeight = '100px';
             input.style.resize = 'vertical';
@@ -382,6 +490,13 @@ class RentalsAdminManager {
         } else if (fieldName === 'address') {
             // Create address input with autocomplete
             input = this.createAddressInput(listingId);
+        } else if (fieldName === 'status') {
+            input = document.createElement('select');
+            Object.entries(LISTING_STATUSES).forEach(([status, { label }]) => {
+                input.add(new Option(label, status));
+            });
+            // Picking a status applies it right away
+            input.addEventListener('change', () => input.blur());
         } else {
             input = document.createElement('input');
             input.type = 'text';
@@ -406,7 +521,7 @@ class RentalsAdminManager {
         element.parentNode.insertBefore(input, element.nextSibling);
         input.focus();
         
-        if (input.type !== 'date' && fieldName !== 'address') {
+        if (input.type !== 'date' && fieldName !== 'address' && fieldName !== 'status') {
             input.select();
         }
         
@@ -623,7 +738,9 @@ class RentalsAdminManager {
                     city: address.city,
                     state: address.state,
                     zipCode: address.zipCode,
-                    neighborhood: address.neighborhood || address.city
+                    neighborhood: address.neighborhood || address.city,
+                    latitude: address.latitude,
+                    longitude: address.longitude
                 };
 
                 suggestionsContainer.innerHTML = '';
@@ -661,6 +778,8 @@ class RentalsAdminManager {
             state: state,
             zipCode: zipCode,
             neighborhood: neighborhood,
+            latitude: result.lat ? parseFloat(result.lat) : null,
+            longitude: result.lon ? parseFloat(result.lon) : null,
             display: displayAddress
         };
     }
@@ -699,6 +818,12 @@ class RentalsAdminManager {
                 // but we need to call it again to reflect city/state/zip changes.
                 this.updateDisplayElements(listingId);
             }
+            
+            // Store coordinates once here so the map never geocodes on page view
+            this.updateListingCoordinates(listingId, addressData.latitude, addressData.longitude);
+        } else {
+            // Custom address typed without picking a suggestion - geocode it once
+            this.geocodeListingAddress(listingId);
         }
         
         // Clean up event listeners
@@ -729,6 +854,56 @@ class RentalsAdminManager {
         }
     }
 
+    /**
+     * Geocode a listing's full address and store its coordinates
+     */
+    async geocodeListingAddress(listingId) {
+        const listing = this.rentalListings.find(l => l.id === listingId);
+        if (!listing || !listing.address) return;
+        
+        const query = [listing.address, listing.city, listing.state, listing.zip_code].filter(Boolean).join(', ');
+        
+        try {
+            const response = await fetch(
+                `https://nominatim.openstreetmap.org/search?format=json&limit=1&countrycodes=us&q=${encodeURIComponent(query)}`
+            );
+            
+            if (!response.ok) {
+                throw new Error('Geocoding service unavailable');
+            }
+            
+            const [result] = await response.json();
+            if (result) {
+                this.updateListingCoordinates(listingId, parseFloat(result.lat), parseFloat(result.lon));
+            } else {
+                // Don't keep pointing the pin at the old address
+                this.updateListingCoordinates(listingId, null, null);
+            }
+        } catch (error) {
+            console.warn(`Could not geocode address for listing ${listingId}:`, error);
+            this.updateListingCoordinates(listingId, null, null);
+        }
+    }
+
+    /**
+     * Update a listing's stored coordinates and track the change
+     */
+    updateListingCoordinates(listingId, latitude, longitude) {
+        const listing = this.rentalListings.find(l => l.id === listingId);
+        if (!listing) return;
+        
+        const lat = Number.isFinite(latitude) ? latitude : null;
+        const lng = Number.isFinite(longitude) ? longitude : null;
+        if (listing.latitude === lat && listing.longitude === lng) return;
+        
+        listing.latitude = lat;
+        listing.longitude = lng;
+        this.trackListingChange(listingId, 'latitude', lat);
+        this.trackListingChange(listingId, 'longitude', lng);
+        this.updateDisplayElements(listingId);
+        rentalsMap.renderMarkers();
+    }
+
     /**
      * Parse available date to ISO format for date input
      */
@@ -801,6 +976,8 @@ class RentalsAdminManager {
                 return `${listing.bedrooms || 0} bd / ${listing.bathrooms || 0} ba`;
             case 'available_date':
                 return listing.available_date || '';
+            case 'status':
+                return LISTING_STATUSES[listing.status] ? listing.status : DEFAULT_STATUS;
             default:
                 return listing[fieldName] || displayValue;
         }
@@ -923,7 +1100,13 @@ class RentalsAdminManager {
             if (listing.zip_code) addressParts.push(listing.zip_code);
             
             const addressText = addressParts.join(', ');
-            addressElement.innerHTML = `${addressText} ${mapLinkHtml}`;
+            addressElement.innerHTML = html`${addressText} ${trustedHtml(mapLinkHtml)}`;
+            
+            // Keep the map link pointing at the current address
+            const updatedMapLink = addressElement.querySelector('.map-link');
+            if (updatedMapLink) {
+                updatedMapLink.href = rentalsMap.getExternalMapUrl(listing);
+            }
         }
 
         const availableDateElement = listingElement.querySelector('[data-field="available_date"]');
@@ -945,6 +1128,18 @@ class RentalsAdminManager {
         if (petPolicyElement) {
             petPolicyElement.textContent = listing.pet_policy || 'Contact for details';
         }
+        
+        const statusElement = listingElement.querySelector('[data-field="status"]');
+        if (statusElement) {
+            statusElement.innerHTML = statusBadge(listing, { showAvailable: true });
+            listingElement.dataset.status = getListingStatus(listing);
+            this.updateStatusFilters();
+        }
+        
+        // Detail view fields (features list, utilities, parking, gallery, tour)
+        if (listingElement.classList.contains('listing-detail')) {
+            listingDetailView.updateFields(listingElement, listing);
+        }
     }
 
     /**
@@ -1021,13 +1216,14 @@ class RentalsAdminManager {
         
         // Use the existing image manager if available
         if (window.adminImageManager && typeof window.adminImageManager.showImageBrowser === 'function') {
-            window.adminImageManager.showImageBrowser(({ publicUrl, signedUrl, filename }) => {
+            window.adminImageManager.showImageBrowser(({ publicUrl, signedUrl, filename, variants }) => {
                 console.log('✅ Image selected from global browser:', { publicUrl, signedUrl, filename });
                 this.assignImageToListing(listingId, { 
                     url: publicUrl, 
                     signedUrl: signedUrl, 
                     fileName: filename,
-                    filePath: filename
+                    filePath: filename,
+                    variants: variants || []
                 });
             });
         } else {
@@ -1066,24 +1262,80 @@ class RentalsAdminManager {
         // Update listing with new image
         listing.primary_image_url = imageData.url;
         listing.primary_image_filename = bucketPath; // Save the bucket path, not just filename
+        listing.primary_image_variants = imageData.variants || [];
         
         // Track changes
         this.trackListingChange(listingId, 'primary_image_url', imageData.url);
         this.trackListingChange(listingId, 'primary_image_filename', bucketPath);
+        this.trackListingChange(listingId, 'primary_image_variants', listing.primary_image_variants);
         
         // Update the image display with signed URL for immediate display
         const listingElement = document.querySelector(`[data-listing-id="${listingId}"]`);
         const imageElement = listingElement.querySelector('.listing-image img');
         if (imageElement) {
             imageElement.src = imageData.signedUrl || imageData.url;
+            setImageVariants(imageElement, listing.primary_image_variants, IMAGE_SIZES.listingCard);
+            this.loadSignedImageUrl(bucketPath, imageElement, listing.primary_image_variants);
             console.log('✅ Image display updated');
         }
+        
+        // Refresh the detail gallery thumbnails if open
+        this.updateDisplayElements(listingId);
+    }
+
+    /**
+     * Add a photo to a listing's additional_images gallery
+     */
+    openGalleryImageSelector(listingId) {
+        if (!window.adminImageManager || typeof window.adminImageManager.showImageBrowser !== 'function') {
+            alert('Image manager not available. Please ensure the admin image manager is loaded.');
+            return;
+        }
+        
+        window.adminImageManager.showImageBrowser(({ publicUrl, filename, altText, variants }) => {
+            const listing = this.rentalListings.find(l => l.id === listingId);
+            if (!listing) return;
+            
+            const bucketPath = new URL(publicUrl).pathname.split('/wolf-property-images/')[1];
+            const images = listingDetailView.parseAdditionalImages(listing.additional_images);
+            images.push({ url: publicUrl, filename: bucketPath, alt: altText || filename, variants: variants || [] });
+            
+            this.updateAdditionalImages(listingId, images);
+        });
+    }
+
+    /**
+     * Remove a photo from a listing's additional_images gallery
+     * @param {number} galleryIndex - Index in the gallery (0 is the primary image)
+     */
+    removeGalleryImage(listingId, galleryIndex) {
+        const listing = this.rentalListings.find(l => l.id === listingId);
+        if (!listing || galleryIndex < 1) return;
+        
+        const images = listingDetailView.parseAdditionalImages(listing.additional_images);
+        images.splice(galleryIndex - 1, 1);
+        
+        this.updateAdditionalImages(listingId, images);
+    }
+
+    updateAdditionalImages(listingId, images) {
+        const listing = this.rentalListings.find(l => l.id === listingId);
+        if (!listing) return;
+        
+        listing.additional_images = images;
+        this.trackListingChange(listingId, 'additional_images', images);
+        this.updateDisplayElements(listingId);
     }
 
     /**
      * Add new rental listing
      */
     async addRentalListing() {
+        if (!this.dbService.hasPermission('edit')) {
+            alert(this.dbService.checkPermission('edit'));
+            return;
+        }
+        
         console.log('➕ Adding new rental listing (pending)');
         
         try {
@@ -1115,10 +1367,14 @@ class RentalsAdminManager {
                 })(),
                 primary_image_url: 'https://images.unsplash.com/photo-1600585154340-be6161a56a0c?ixlib=rb-4.0.3&auto=format&fit=crop&w=800&q=80',
                 primary_image_filename: null,
+                primary_image_variants: [],
                 neighborhood: '',
+                latitude: null,
+                longitude: null,
                 sort_order: this.rentalListings.length + 1,
                 is_active: true,
                 is_featured: false,
+                status: 'coming_soon', // Available in 30 days
                 isNew: true // Mark as new for UI purposes
             };
             
@@ -1171,10 +1427,78 @@ class RentalsAdminManager {
         }
     }
 
+    /**
+     * Stage imported rows as pending changes (listings-import.js). Nothing is written until
+     * the admin saves them as drafts and publishes, like changes made on the cards.
+     * @param {Object[]} creates - New listing rows
+     * @param {Array<{id: string, changes: Object}>} updates - Changed fields of existing listings
+     */
+    async stageImportedListings(creates, updates) {
+        if (!this.dbService.hasPermission('edit')) {
+            throw new Error(this.dbService.checkPermission('edit'));
+        }
+
+        const batchId = Date.now();
+        creates.forEach((row, index) => {
+            const newListing = {
+                state: 'TX',
+                primary_image_url: DEFAULT_LISTING_IMAGE,
+                primary_image_filename: null,
+                primary_image_variants: [],
+                sort_order: this.rentalListings.length + 1,
+                is_featured: false,
+                ...row,
+                id: `temp_${batchId}_${index}`,
+                is_active: true,
+                isNew: true
+            };
+            this.pendingChanges.added.push(newListing);
+            this.rentalListings.push(newListing);
+
+            if (adminVersionControlUI && adminVersionControlUI.isReady()) {
+                adminVersionControlUI.getVersionManager().trackChange(
+                    `rental_listing_${newListing.id}`,
+                    null,
+                    JSON.stringify(newListing),
+                    'create',
+                    {
+                        action: 'import',
+                        listingTitle: newListing.title,
+                        page: 'rentals.html',
+                        contentType: 'rental_listing',
+                        timestamp: new Date().toISOString()
+                    }
+                );
+            }
+        });
+
+        updates.forEach(({ id, changes }) => {
+            const listing = this.rentalListings.find(l => String(l.id) === String(id));
+            if (!listing) return;
+            Object.entries(changes).forEach(([fieldName, value]) => {
+                listing[fieldName] = value;
+                this.trackListingChange(listing.id, fieldName, value);
+            });
+        });
+
+        if (creates.length > 0) {
+            this.hasUnsavedChanges = true;
+            this.updateSaveButton();
+        }
+
+        await this.renderRentalListings();
+        console.log(`📥 Staged ${creates.length} new and ${updates.length} updated listings from import`);
+    }
+
     /**
      * Delete listing
      */
     deleteListing(listingId) {
+        if (!this.dbService.hasPermission('delete')) {
+            alert(this.dbService.checkPermission('delete'));
+            return;
+        }
+        
         console.log(`🗑️ Marking listing ${listingId} for deletion`);
         
         const listing = this.rentalListings.find(l => l.id === listingId);
@@ -1315,6 +1639,7 @@ class RentalsAdminManager {
             return;
         }
 
+        const canEdit = this.dbService.hasPermission('edit');
         const rentalsControls = document.createElement('div');
         rentalsControls.id = 'rentals-admin-controls';
         rentalsControls.className = 'rentals-admin-controls';
@@ -1322,12 +1647,22 @@ class RentalsAdminManager {
             <div class="rentals-admin-section">
                 <h4>🏠 Rental Listings Management</h4>
                 <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
-                    Click on listing images to assign from bucket. Click text to edit. Changes are held until you save.
+                    ${canEdit
+                        ? 'Click on listing images to assign from bucket. Click text to edit. Changes are held until you save.'
+                        : 'Your role has read-only access to rental listings.'}
                 </p>
+                ${canEdit ? `
                 <div class="rentals-admin-buttons">
                     <button id="add-rental-listing-btn" class="btn btn-primary" style="background-color: #27ae60; margin-right: 10px;">
                         ➕ Add Rental Listing
                     </button>
+                </div>` : ''}
+                <div id="listing-status-filters" class="listing-status-filters" role="group" aria-label="Filter listings by status">
+                    ${[['all', 'All'], ...Object.entries(LISTING_STATUSES).map(([status, { label }]) => [status, label])].map(([status, label]) => `
+                        <button type="button" class="status-filter-btn" data-status-filter="${status}" aria-pressed="false">
+                            ${label} <span class="status-filter-count"></span>
+                        </button>
+                    `).join('')}
                 </div>
                 <div id="rentals-changes-status" style="margin-top: 10px; font-size: 12px; color: rgba(255, 255, 255, 0.6);">
                     Changes are saved with version history for easy reverting
@@ -1335,7 +1670,16 @@ class RentalsAdminManager {
             </div>
         `;
 
+        rentalsControls.addEventListener('click', (e) => {
+            const filterBtn = e.target.closest('[data-status-filter]');
+            if (filterBtn) {
+                e.preventDefault();
+                this.setStatusFilter(filterBtn.dataset.statusFilter);
+            }
+        });
+
         adminControls.appendChild(rentalsControls);
+        this.updateStatusFilters();
     }
 
     /**
@@ -1350,8 +1694,31 @@ class RentalsAdminManager {
             }
         });
 
+        // Detail view gallery controls (only registered once across admin sessions)
+        if (!this.galleryListenersAdded) {
+            document.addEventListener('click', (e) => {
+                if (!document.body.classList.contains('admin-mode') || !this.dbService.hasPermission('edit')) return;
+                
+                const removeBtn = e.target.closest('.remove-gallery-image-btn');
+                if (removeBtn) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const detail = removeBtn.closest('.listing-detail');
+                    this.removeGalleryImage(detail.dataset.listingId, parseInt(removeBtn.dataset.galleryIndex));
+                    return;
+                }
+                
+                const addBtn = e.target.closest('.add-gallery-image-btn');
+                if (addBtn) {
+                    e.preventDefault();
+                    this.openGalleryImageSelector(addBtn.dataset.listingId);
+                }
+            });
+            this.galleryListenersAdded = true;
+        }
+
         // Handle clicking on "Add New Listing" pseudo-element
-        if (document.body.classList.contains('admin-mode')) {
+        if (document.body.classList.contains('admin-mode') && this.dbService.hasPermission('edit')) {
             const rentalListingsSection = document.querySelector('.rental-listings');
             if (rentalListingsSection) {
                 rentalListingsSection.addEventListener('click', (e) => {
@@ -1463,6 +1830,11 @@ class RentalsAdminManager {
      * Show sample listing for regular users (no database calls)
      */
     showSampleListing() {
+        // Pre-rendered pages (build-static.mjs) already show the real listings
+        if (document.documentElement.dataset.prerendered) {
+            return;
+        }
+        
         const listingsContainer = document.getElementById('listings-container');
         const noListingsElement = document.getElementById('no-listings');
         const sampleListing = listingsContainer.querySelector('[data-listing-id="sample"]');
@@ -1487,8 +1859,8 @@ window.rentalsAdminManager = rentalsAdminManager;
 
 // Auto-initialize when admin logs in
 document.addEventListener('DOMContentLoaded', () => {
-    // Only initialize on rentals page
-    if (!window.location.pathname.includes('rentals.html')) {
+    // Only initialize on rentals page (pre-rendered listing pages are rentals pages too)
+    if (!window.location.pathname.includes('rentals.html') && !document.body.dataset.listingPage) {
         return;
     }
 
@@ -1522,9 +1894,25 @@ document.addEventListener('DOMContentLoaded', () => {
     // Show sample listing for regular users
     rentalsAdminManager.showSampleListing();
     
+    // Sort/filter state comes from the URL; re-render whenever it changes
+    rentalsSearch.initialize();
+    rentalsSearch.onChange(() => rentalsAdminManager.renderRentalListings());
+    rentalsMap.initialize();
+    listingDetailView.initialize();
+    listingDetailView.onChange(() => rentalsAdminManager.renderRentalListings());
+    rentalApplicationForm.initialize((listingId) => 
+        rentalsAdminManager.rentalListings.find(l => String(l.id) === String(listingId))
+    );
+    
     // Also load rental listings from database on page load (for non-admin users) - matching about page pattern
-    rentalsAdminManager.loadRentalListingsFromDatabase();
+    rentalsAdminManager.loadRentalListingsFromDatabase()
+        .then(() => rentalApplicationForm.resumeFromUrl());
     
+    // Changed listings are pushed instead of reloading the whole list
+    contentSync.onChange('rental_listings', null, (row) => {
+        rentalsAdminManager.applyRemoteChange(row);
+    });
+
     // Prevent accidental loss of unsaved changes
     window.addEventListener('beforeunload', (e) => {
         if (rentalsAdminManager.hasUnsavedChanges) {
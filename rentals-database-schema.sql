@@ -34,6 +34,8 @@ CREATE TABLE IF NOT EXISTS rental_listings (
     sort_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
     is_featured BOOLEAN DEFAULT false,
+    status VARCHAR(30) NOT NULL DEFAULT 'available', -- See rental-listings-status-migration.sql
+    status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -47,8 +49,11 @@ CREATE INDEX IF NOT EXISTS idx_rental_listings_city ON rental_listings(city);
 CREATE INDEX IF NOT EXISTS idx_rental_listings_sort ON rental_listings(sort_order);
 CREATE INDEX IF NOT EXISTS idx_rental_listings_available ON rental_listings(available_date);
 
--- Disable RLS for initial setup (matching other tables)
-ALTER TABLE rental_listings DISABLE ROW LEVEL SECURITY;
+-- Row level security: anyone can read; writes go through the token-checked functions
+-- in privileged-operations-migration.sql
+ALTER TABLE rental_listings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anyone can read rental listings" ON rental_listings;
+CREATE POLICY "Anyone can read rental listings" ON rental_listings FOR SELECT USING (true);
 
 -- Insert sample rental listings based on the user's image examples
 INSERT INTO rental_listings (
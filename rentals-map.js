@@ -0,0 +1,319 @@
+/**
+ * Rentals Map
+ * Map panel for the rentals page including:
+ * - Pins for every listing matching the active filters (from stored coordinates)
+ * - Pin <-> card hover highlighting
+ * - "📍 Map" links on listing cards focusing their pin
+ * Leaflet is loaded lazily the first time the map is opened.
+ */
+
+import { MAP_CONFIG } from './supabase-config.js';
+import { getMapUrl, hasCoordinates } from './page-templates.js';
+
+const LEAFLET_VERSION = '1.9.4';
+const LEAFLET_CSS_URL = `https://unpkg.com/leaflet@${LEAFLET_VERSION}/dist/leaflet.css`;
+const LEAFLET_JS_URL = `https://unpkg.com/leaflet@${LEAFLET_VERSION}/dist/leaflet-src.esm.js`;
+
+class RentalsMap {
+    constructor() {
+        this.isInitialized = false;
+        this.isOpen = false;
+        this.L = null;
+        this.map = null;
+        this.markerLayer = null;
+        this.markers = new Map(); // listingId -> marker
+        this.listings = [];
+        this.activeListingId = null;
+        // window.MAP_CONFIG lets test pages swap the tile source without editing the config file
+        this.config = { ...MAP_CONFIG, ...(window.MAP_CONFIG || {}) };
+    }
+
+    /**
+     * Wire up the SHOW MAP button, card hover sync and map links
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        const showMapBtn = document.getElementById('show-map-btn');
+        if (showMapBtn) {
+            showMapBtn.setAttribute('aria-controls', 'map-panel');
+            showMapBtn.setAttribute('aria-expanded', 'false');
+            showMapBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggle();
+            });
+        }
+
+        const listingsContainer = document.getElementById('listings-container');
+        if (listingsContainer) {
+            // Card hover highlights the matching pin
+            listingsContainer.addEventListener('mouseover', (e) => {
+                const card = e.target.closest('.listing-card[data-listing-id]');
+                if (card && card.dataset.listingId !== this.activeListingId) {
+                    this.highlightListing(card.dataset.listingId, { fromCard: true });
+                }
+            });
+
+            listingsContainer.addEventListener('mouseleave', () => {
+                this.highlightListing(null);
+            });
+
+            // Card "📍 Map" links open the map focused on that listing
+            listingsContainer.addEventListener('click', (e) => {
+                const mapLink = e.target.closest('.map-link');
+                if (!mapLink) return;
+
+                const card = mapLink.closest('.listing-card[data-listing-id]');
+                const listing = card && this.listings.find(l => String(l.id) === card.dataset.listingId);
+                if (!listing || !this.hasCoordinates(listing)) {
+                    // No stored coordinates - let the external maps link open instead
+                    return;
+                }
+
+                e.preventDefault();
+                e.stopPropagation();
+                this.focusListing(listing.id);
+            }, true);
+        }
+
+        this.isInitialized = true;
+        console.log('🗺️ Rentals map initialized');
+    }
+
+    /**
+     * Build the external maps URL used as the card link's href
+     */
+    getExternalMapUrl(listing) {
+        return getMapUrl(listing);
+    }
+
+    hasCoordinates(listing) {
+        return hasCoordinates(listing);
+    }
+
+    /**
+     * Update the listings shown on the map (called after every filtered render)
+     */
+    setListings(listings) {
+        this.listings = listings;
+        if (this.map) {
+            this.renderMarkers();
+        }
+    }
+
+    async toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            await this.open();
+        }
+    }
+
+    async open() {
+        const panel = document.getElementById('map-panel');
+        if (!panel) return;
+
+        panel.hidden = false;
+        this.isOpen = true;
+        this.updateButton();
+
+        try {
+            await this.ensureMap();
+            // Leaflet needs a size recalculation once the panel is visible
+            this.map.invalidateSize();
+            this.renderMarkers();
+        } catch (error) {
+            console.error('❌ Failed to load map:', error);
+            const mapStatus = document.getElementById('map-status');
+            if (mapStatus) {
+                mapStatus.textContent = 'The map could not be loaded. Please try again later.';
+            }
+        }
+    }
+
+    close() {
+        const panel = document.getElementById('map-panel');
+        if (panel) {
+            panel.hidden = true;
+        }
+        this.isOpen = false;
+        this.updateButton();
+    }
+
+    updateButton() {
+        const showMapBtn = document.getElementById('show-map-btn');
+        if (!showMapBtn) return;
+
+        showMapBtn.setAttribute('aria-expanded', String(this.isOpen));
+        showMapBtn.classList.toggle('active', this.isOpen);
+        const label = [...showMapBtn.childNodes].find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+        if (label) {
+            label.textContent = this.isOpen ? ' HIDE MAP ' : ' SHOW MAP ';
+        }
+    }
+
+    /**
+     * Load Leaflet and create the map on first use
+     */
+    async ensureMap() {
+        if (this.map) return;
+
+        if (!document.querySelector(`link[href="${LEAFLET_CSS_URL}"]`)) {
+            const stylesheet = document.createElement('link');
+            stylesheet.rel = 'stylesheet';
+            stylesheet.href = LEAFLET_CSS_URL;
+            document.head.appendChild(stylesheet);
+        }
+
+        this.L = await import(LEAFLET_JS_URL);
+        const L = this.L;
+
+        this.map = L.map('rentals-map', { scrollWheelZoom: false })
+            .setView(this.config.defaultCenter, this.config.defaultZoom);
+
+        L.tileLayer(this.config.tileUrl, {
+            attribution: this.config.attribution,
+            maxZoom: this.config.maxZoom
+        }).addTo(this.map);
+
+        this.markerLayer = L.layerGroup().addTo(this.map);
+    }
+
+    createPinIcon(listing, isActive) {
+        const price = `$${parseFloat(listing.rent_price || 0).toLocaleString()}`;
+        return this.L.divIcon({
+            className: `map-pin${isActive ? ' active' : ''}`,
+            html: `<span>${price}</span>`,
+            iconSize: null,
+            iconAnchor: [0, 0]
+        });
+    }
+
+    /**
+     * Draw one pin per listing with coordinates and fit the view to them
+     */
+    renderMarkers() {
+        if (!this.map) return;
+        const L = this.L;
+
+        this.markerLayer.clearLayers();
+        this.markers.clear();
+
+        const mappable = this.listings.filter(listing => this.hasCoordinates(listing));
+
+        mappable.forEach(listing => {
+            const marker = L.marker(
+                [parseFloat(listing.latitude), parseFloat(listing.longitude)],
+                { icon: this.createPinIcon(listing, false), title: listing.title || listing.address, riseOnHover: true }
+            );
+
+            const popup = document.createElement('div');
+            popup.className = 'map-popup';
+            const title = document.createElement('strong');
+            title.textContent = listing.title || listing.address || '';
+            const details = document.createElement('div');
+            details.textContent = `$${parseFloat(listing.rent_price || 0).toLocaleString()} · ${listing.bedrooms || 0} bd / ${listing.bathrooms || 0} ba`;
+            popup.append(title, details);
+            marker.bindPopup(popup);
+
+            // Pin hover highlights the matching card
+            marker.on('mouseover', () => this.highlightListing(listing.id, { fromPin: true }));
+            marker.on('mouseout', () => this.highlightListing(null));
+            marker.on('click', () => this.scrollToCard(listing.id));
+
+            marker.addTo(this.markerLayer);
+            this.markers.set(String(listing.id), marker);
+        });
+
+        if (mappable.length > 0) {
+            const bounds = L.latLngBounds(mappable.map(listing => [parseFloat(listing.latitude), parseFloat(listing.longitude)]));
+            this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 15 });
+        } else {
+            this.map.setView(this.config.defaultCenter, this.config.defaultZoom);
+        }
+
+        this.updateStatus(mappable.length);
+    }
+
+    updateStatus(mappedCount) {
+        const mapStatus = document.getElementById('map-status');
+        if (!mapStatus) return;
+
+        const missing = this.listings.length - mappedCount;
+        if (this.listings.length === 0) {
+            mapStatus.textContent = 'No listings match the current filters.';
+        } else if (missing > 0) {
+            mapStatus.textContent = `${missing} listing${missing === 1 ? '' : 's'} without a map location ${missing === 1 ? 'is' : 'are'} not shown.`;
+        } else {
+            mapStatus.textContent = '';
+        }
+    }
+
+    /**
+     * Highlight a listing's card and pin (null clears the highlight)
+     */
+    highlightListing(listingId, { fromPin = false } = {}) {
+        const id = listingId === null ? null : String(listingId);
+        if (id === this.activeListingId) return;
+
+        if (this.activeListingId) {
+            const previousCard = document.querySelector(`.listing-card[data-listing-id="${CSS.escape(this.activeListingId)}"]`);
+            if (previousCard) {
+                previousCard.classList.remove('map-highlight');
+            }
+            this.setMarkerActive(this.activeListingId, false);
+        }
+
+        this.activeListingId = id;
+        if (!id) return;
+
+        const card = document.querySelector(`.listing-card[data-listing-id="${CSS.escape(id)}"]`);
+        if (card && fromPin) {
+            card.classList.add('map-highlight');
+        }
+        this.setMarkerActive(id, true);
+    }
+
+    setMarkerActive(listingId, isActive) {
+        const marker = this.markers.get(listingId);
+        const listing = this.listings.find(l => String(l.id) === listingId);
+        if (!marker || !listing) return;
+
+        marker.setIcon(this.createPinIcon(listing, isActive));
+        marker.setZIndexOffset(isActive ? 1000 : 0);
+    }
+
+    /**
+     * Open the map and center it on one listing
+     */
+    async focusListing(listingId) {
+        if (!this.isOpen) {
+            await this.open();
+        }
+
+        const marker = this.markers.get(String(listingId));
+        if (!marker) return;
+
+        document.getElementById('map-panel').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.map.setView(marker.getLatLng(), 15);
+        marker.openPopup();
+        this.highlightListing(listingId);
+    }
+
+    scrollToCard(listingId) {
+        const card = document.querySelector(`.listing-card[data-listing-id="${CSS.escape(String(listingId))}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+}
+
+// Create global instance
+const rentalsMap = new RentalsMap();
+
+// Make globally available for debugging and integration
+window.rentalsMap = rentalsMap;
+
+export default rentalsMap;
@@ -0,0 +1,457 @@
+/**
+ * Rentals Search
+ * Client-side query layer for the rentals page including:
+ * - Sorting through the SORT BY dropdown
+ * - Filter panel (rent range, beds/baths, property type, city, pets, available by)
+ * - Query state mirrored in the URL so a filtered view can be shared or bookmarked
+ */
+
+import { parseAvailableDate } from './listing-status.js';
+
+// URL query parameter -> state key
+const QUERY_PARAMS = {
+    sort: 'sort',
+    min_rent: 'minRent',
+    max_rent: 'maxRent',
+    beds: 'minBeds',
+    baths: 'minBaths',
+    type: 'propertyType',
+    city: 'city',
+    pets: 'pets',
+    available_by: 'availableBy'
+};
+
+const DEFAULT_SORT = 'most-recent';
+
+const NO_PETS_PATTERN = /no pets|pets not allowed|no animals/i;
+
+class RentalsSearch {
+    constructor() {
+        this.isInitialized = false;
+        this.state = this.getDefaultState();
+        this.listeners = [];
+        this.inputDebounceTimer = null;
+    }
+
+    /**
+     * Default (unfiltered) query state
+     */
+    getDefaultState() {
+        return {
+            sort: DEFAULT_SORT,
+            minRent: '',
+            maxRent: '',
+            minBeds: '',
+            minBaths: '',
+            propertyType: '',
+            city: '',
+            pets: '',
+            availableBy: ''
+        };
+    }
+
+    /**
+     * Initialize the search controls and load state from the URL
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        this.state = this.readStateFromUrl();
+        this.bindControls();
+        this.syncControls();
+
+        // Keep state in step with back/forward navigation
+        window.addEventListener('popstate', () => {
+            this.state = this.readStateFromUrl();
+            this.syncControls();
+            this.notifyListeners();
+        });
+
+        this.isInitialized = true;
+        console.log('🔎 Rentals search initialized:', this.state);
+    }
+
+    /**
+     * Register a callback fired whenever the query state changes
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this.state);
+            } catch (error) {
+                console.error('❌ Rentals search listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Read query state from the current URL
+     */
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const state = this.getDefaultState();
+
+        Object.entries(QUERY_PARAMS).forEach(([param, key]) => {
+            const value = params.get(param);
+            if (value !== null && value !== '') {
+                state[key] = value;
+            }
+        });
+
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect && ![...sortSelect.options].some(option => option.value === state.sort)) {
+            state.sort = DEFAULT_SORT;
+        }
+
+        return state;
+    }
+
+    /**
+     * Write query state to the URL, leaving unrelated parameters untouched
+     */
+    writeStateToUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        Object.entries(QUERY_PARAMS).forEach(([param, key]) => {
+            const value = this.state[key];
+            const isDefault = key === 'sort' ? value === DEFAULT_SORT : value === '';
+            if (isDefault) {
+                params.delete(param);
+            } else {
+                params.set(param, value);
+            }
+        });
+
+        const query = params.toString();
+        const newUrl = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', newUrl);
+    }
+
+    /**
+     * Merge a partial state update, sync the URL and notify listeners
+     */
+    setState(partialState) {
+        this.state = { ...this.state, ...partialState };
+        this.writeStateToUrl();
+        this.syncControls();
+        this.notifyListeners();
+    }
+
+    /**
+     * Reset all filters (the current sort is kept)
+     */
+    clearFilters() {
+        this.setState({ ...this.getDefaultState(), sort: this.state.sort });
+    }
+
+    /**
+     * Number of active filters (sort excluded)
+     */
+    getActiveFilterCount() {
+        return Object.entries(this.state)
+            .filter(([key, value]) => key !== 'sort' && value !== '')
+            .length;
+    }
+
+    /**
+     * Apply the current filters and sort to a list of listings
+     * @param {Array} listings - Rental listings as returned by dbService.getRentalListings()
+     * @returns {Array} New array of matching listings in display order
+     */
+    apply(listings) {
+        // Unsaved listings stay visible so admins don't lose track of them
+        const matching = listings.filter(listing => listing.isNew || this.matchesFilters(listing));
+        return matching.sort((a, b) => this.compareListings(a, b));
+    }
+
+    /**
+     * Check a single listing against the active filters
+     */
+    matchesFilters(listing) {
+        const { minRent, maxRent, minBeds, minBaths, propertyType, city, pets, availableBy } = this.state;
+        const rent = parseFloat(listing.rent_price) || 0;
+
+        if (minRent !== '' && rent < parseFloat(minRent)) return false;
+        if (maxRent !== '' && rent > parseFloat(maxRent)) return false;
+        if (minBeds !== '' && (parseFloat(listing.bedrooms) || 0) < parseFloat(minBeds)) return false;
+        if (minBaths !== '' && (parseFloat(listing.bathrooms) || 0) < parseFloat(minBaths)) return false;
+
+        if (propertyType !== '' && this.normalize(listing.property_type) !== this.normalize(propertyType)) {
+            return false;
+        }
+
+        if (city !== '' && this.normalize(listing.city) !== this.normalize(city)) {
+            return false;
+        }
+
+        if (pets !== '' && !this.matchesPetPolicy(listing.pet_policy, pets)) {
+            return false;
+        }
+
+        if (availableBy !== '') {
+            const availableDate = this.parseAvailableDate(listing.available_date);
+            const byDate = this.parseAvailableDate(availableBy);
+            // Listings without a date are available now
+            if (availableDate && byDate && availableDate > byDate) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Match the free-text pet policy against a pets filter value (any, cats, dogs)
+     */
+    matchesPetPolicy(petPolicy, pets) {
+        const policy = (petPolicy || '').toLowerCase();
+        if (!policy || NO_PETS_PATTERN.test(policy)) {
+            return false;
+        }
+
+        switch (pets) {
+            case 'cats':
+                return /\bcats?\b/.test(policy);
+            case 'dogs':
+                return /\bdogs?\b/.test(policy);
+            default:
+                return /\b(cats?|dogs?|pets?)\b/.test(policy);
+        }
+    }
+
+    /**
+     * Comparator for the current sort option
+     */
+    compareListings(a, b) {
+        const number = (value) => parseFloat(value) || 0;
+        let result = 0;
+
+        switch (this.state.sort) {
+            case 'price-low':
+                result = number(a.rent_price) - number(b.rent_price);
+                break;
+            case 'price-high':
+                result = number(b.rent_price) - number(a.rent_price);
+                break;
+            case 'bedrooms':
+                result = number(b.bedrooms) - number(a.bedrooms);
+                break;
+            case 'sqft':
+                result = number(b.square_feet) - number(a.square_feet);
+                break;
+            case 'most-recent':
+            default:
+                result = this.getTimestamp(b.created_at) - this.getTimestamp(a.created_at);
+                break;
+        }
+
+        // Fall back to the admin-defined order
+        return result || number(a.sort_order) - number(b.sort_order);
+    }
+
+    getTimestamp(value) {
+        const time = value ? new Date(value).getTime() : NaN;
+        // Unsaved listings have no created_at yet; treat them as newest
+        return isNaN(time) ? Date.now() : time;
+    }
+
+    /**
+     * Parse stored available dates ('8/5/25', '2025-08-05', 'Now') into a local Date
+     * @returns {Date|null} null when the listing is available now or the value is unparseable
+     */
+    parseAvailableDate(value) {
+        return parseAvailableDate(value);
+    }
+
+    normalize(value) {
+        return (value || '').toString().trim().toLowerCase();
+    }
+
+    /**
+     * Populate the property type and city dropdowns from the loaded listings
+     */
+    updateOptions(listings) {
+        this.populateSelect('filter-type', listings.map(listing => listing.property_type), this.state.propertyType);
+        this.populateSelect('filter-city', listings.map(listing => listing.city), this.state.city);
+    }
+
+    populateSelect(selectId, values, selectedValue) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const unique = [...new Set(values.filter(value => value && value.trim()).map(value => value.trim()))].sort();
+
+        // Keep a value coming from a shared URL even if no listing has it
+        if (selectedValue && !unique.some(value => this.normalize(value) === this.normalize(selectedValue))) {
+            unique.push(selectedValue);
+        }
+
+        const anyOption = select.querySelector('option[value=""]');
+        select.innerHTML = '';
+        if (anyOption) {
+            select.appendChild(anyOption);
+        }
+
+        unique.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+
+        const match = unique.find(value => this.normalize(value) === this.normalize(selectedValue));
+        select.value = match || '';
+    }
+
+    /**
+     * Show how many listings match the current query
+     */
+    updateResultsCount(shown, total) {
+        const resultsCount = document.getElementById('listings-results-count');
+        if (resultsCount) {
+            resultsCount.textContent = shown === total
+                ? `Showing all ${total} listing${total === 1 ? '' : 's'}`
+                : `Showing ${shown} of ${total} listing${total === 1 ? '' : 's'}`;
+        }
+    }
+
+    /**
+     * Wire up the sort dropdown, filter button and filter panel
+     */
+    bindControls() {
+        const sortSelect = document.getElementById('sort-select');
+        const filterBtn = document.getElementById('filter-btn');
+        const filterPanel = document.getElementById('filter-panel');
+        const clearBtn = document.getElementById('clear-filters-btn');
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                this.setState({ sort: sortSelect.value });
+            });
+        }
+
+        if (filterBtn && filterPanel) {
+            filterBtn.setAttribute('aria-controls', 'filter-panel');
+            filterBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.toggleFilterPanel();
+            });
+        }
+
+        if (filterPanel) {
+            filterPanel.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.setState(this.readFilterPanel());
+            });
+
+            filterPanel.addEventListener('change', () => {
+                clearTimeout(this.inputDebounceTimer);
+                this.setState(this.readFilterPanel());
+            });
+
+            // Debounce typing in the rent range inputs
+            filterPanel.addEventListener('input', (e) => {
+                if (e.target.type !== 'number') return;
+                clearTimeout(this.inputDebounceTimer);
+                this.inputDebounceTimer = setTimeout(() => {
+                    this.setState(this.readFilterPanel());
+                }, 400);
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.clearFilters();
+            });
+        }
+
+        document.addEventListener('click', (e) => {
+            if (e.target && e.target.id === 'no-matches-clear-btn') {
+                e.preventDefault();
+                this.clearFilters();
+            }
+        });
+    }
+
+    /**
+     * Read filter values from the panel form (input names match URL parameters)
+     */
+    readFilterPanel() {
+        const filterPanel = document.getElementById('filter-panel');
+        const partialState = {};
+        if (!filterPanel) return partialState;
+
+        Object.entries(QUERY_PARAMS).forEach(([param, key]) => {
+            const field = filterPanel.elements.namedItem(param);
+            if (field) {
+                partialState[key] = field.value.trim();
+            }
+        });
+
+        return partialState;
+    }
+
+    /**
+     * Reflect the current state in the controls
+     */
+    syncControls() {
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.value = this.state.sort;
+        }
+
+        const filterPanel = document.getElementById('filter-panel');
+        if (filterPanel) {
+            Object.entries(QUERY_PARAMS).forEach(([param, key]) => {
+                const field = filterPanel.elements.namedItem(param);
+                if (field && field !== document.activeElement) {
+                    field.value = this.state[key];
+                }
+            });
+        }
+
+        const filterBtn = document.getElementById('filter-btn');
+        if (filterBtn) {
+            const activeCount = this.getActiveFilterCount();
+            let badge = filterBtn.querySelector('.filter-count');
+            if (activeCount > 0) {
+                if (!badge) {
+                    badge = document.createElement('span');
+                    badge.className = 'filter-count';
+                    filterBtn.appendChild(badge);
+                }
+                badge.textContent = activeCount;
+            } else if (badge) {
+                badge.remove();
+            }
+            filterBtn.classList.toggle('active', activeCount > 0);
+        }
+    }
+
+    toggleFilterPanel(forceOpen) {
+        const filterPanel = document.getElementById('filter-panel');
+        const filterBtn = document.getElementById('filter-btn');
+        if (!filterPanel) return;
+
+        const open = typeof forceOpen === 'boolean' ? forceOpen : filterPanel.hidden;
+        filterPanel.hidden = !open;
+        if (filterBtn) {
+            filterBtn.setAttribute('aria-expanded', String(open));
+        }
+    }
+}
+
+// Create global instance
+const rentalsSearch = new RentalsSearch();
+
+// Make globally available for debugging and integration
+window.rentalsSearch = rentalsSearch;
+
+export default rentalsSearch;
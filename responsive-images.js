@@ -0,0 +1,156 @@
+/**
+ * Responsive Images
+ * Variant naming and srcset markup shared by the page templates and the upload pipeline including:
+ * - Where an upload's resized copies live: images/photo.jpg -> images/_variants/photo-960w.webp
+ * - Finding an image's variants in a bucket listing
+ * - <picture> markup with AVIF/WebP sources, sized srcsets for Unsplash stock photos and `sizes` per layout
+ * Browser-only work (resizing, uploading, signing) is in image-pipeline.js.
+ */
+
+import { html, isSafeUrl } from './safe-html.js';
+
+// Widths generated for every upload (never wider than the original)
+const IMAGE_WIDTHS = [480, 960, 1600];
+
+// Variant formats in order of preference; <source> elements are emitted in this order
+const IMAGE_FORMATS = {
+    'image/avif': 'avif',
+    'image/webp': 'webp'
+};
+
+const VARIANTS_FOLDER = '_variants';
+
+// How wide each layout shows its image, for the browser to pick a srcset candidate
+const IMAGE_SIZES = {
+    listingCard: '(max-width: 600px) 100vw, (max-width: 1024px) 50vw, 400px',
+    leasedCard: '(max-width: 600px) 100vw, 300px',
+    listingDetail: '(max-width: 900px) 100vw, 66vw',
+    thumbnail: '120px',
+    teamMember: '(max-width: 600px) 100vw, 350px'
+};
+
+/**
+ * Bucket path of a variant. Keep in sync with variantPath() in supabase/functions/admin-api.
+ * @param {string} originalPath - e.g. 'images/2025-01-01T00-00-00-000Z-photo.jpg'
+ * @param {number} width
+ * @param {string} type - 'image/webp' or 'image/avif'
+ */
+function getVariantPath(originalPath, width, type) {
+    const slash = originalPath.lastIndexOf('/');
+    const folder = slash > -1 ? `${originalPath.slice(0, slash)}/` : '';
+    const baseName = originalPath.slice(slash + 1).replace(/\.[^.]+$/, '');
+    return `${folder}${VARIANTS_FOLDER}/${baseName}-${width}w.${IMAGE_FORMATS[type]}`;
+}
+
+function isVariantPath(path) {
+    return String(path || '').split('/').includes(VARIANTS_FOLDER);
+}
+
+/**
+ * Variants of an original among the paths of a bucket listing
+ * @param {string} originalPath
+ * @param {string[]} paths - Every file path in the bucket
+ * @param {function(string): string} urlFor - Public URL of a path
+ * @returns {{ path: string, url: string, width: number, type: string }[]}
+ */
+function findVariants(originalPath, paths, urlFor) {
+    const candidates = new Set(paths);
+    const variants = [];
+
+    IMAGE_WIDTHS.forEach(width => {
+        Object.keys(IMAGE_FORMATS).forEach(type => {
+            const path = getVariantPath(originalPath, width, type);
+            if (candidates.has(path)) {
+                variants.push({ path, url: urlFor(path), width, type });
+            }
+        });
+    });
+
+    return variants;
+}
+
+/**
+ * Stored variants: a JSONB array, or its JSON text from an import or draft
+ */
+function parseImageVariants(value) {
+    let variants = value;
+    if (typeof variants === 'string') {
+        try {
+            variants = JSON.parse(variants);
+        } catch (error) {
+            variants = [];
+        }
+    }
+    if (!Array.isArray(variants)) return [];
+
+    return variants.filter(variant => variant && isSafeUrl(variant.url) && IMAGE_FORMATS[variant.type] && Number(variant.width) > 0);
+}
+
+/**
+ * Sized candidates for Unsplash stock photos, which resize on request (w=) and serve
+ * WebP/AVIF to browsers that accept them (auto=format). Other URLs have no srcset.
+ */
+function stockImageSrcset(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return '';
+    }
+    if (parsed.hostname !== 'images.unsplash.com') return '';
+
+    parsed.searchParams.set('auto', 'format');
+    return IMAGE_WIDTHS.map(width => {
+        parsed.searchParams.set('w', String(width));
+        return `${parsed.toString()} ${width}w`;
+    }).join(', ');
+}
+
+/**
+ * srcset for one variant format
+ * @param {Object[]} variants - From parseImageVariants()
+ * @param {string} type
+ * @param {function(Object): string} [urlFor] - e.g. a signed URL for the variant's path
+ */
+function variantSrcset(variants, type, urlFor = variant => variant.url) {
+    return variants
+        .filter(variant => variant.type === type)
+        .sort((a, b) => a.width - b.width)
+        .map(variant => `${urlFor(variant)} ${variant.width}w`)
+        .join(', ');
+}
+
+/**
+ * A <picture> for a stored image: AVIF/WebP sources when the upload has variants, a sized
+ * srcset for stock photos, and the original as the <img> every browser can fall back to
+ * @param {Object} image
+ * @param {string} image.url - Original image URL (already vetted with safeUrl())
+ * @param {*} [image.variants] - Stored variants (primary_image_variants, image_variants, ...)
+ * @param {string} image.alt
+ * @param {Object} options
+ * @param {string} options.sizes - One of IMAGE_SIZES
+ * @param {SafeHtml|string} [options.attributes] - Extra <img> attributes, built with html``
+ */
+function responsiveImageHtml({ url, variants, alt }, { sizes, attributes = '' }) {
+    const stored = parseImageVariants(variants);
+    const sources = Object.keys(IMAGE_FORMATS)
+        .map(type => ({ type, srcset: variantSrcset(stored, type) }))
+        .filter(source => source.srcset);
+    const srcset = sources.length === 0 ? stockImageSrcset(url) : '';
+
+    return html`<picture class="responsive-image">${sources.map(source => html`<source type="${source.type}" srcset="${source.srcset}" sizes="${sizes}">`)}<img src="${url}"${srcset ? html` srcset="${srcset}" sizes="${sizes}"` : ''} alt="${alt}" ${attributes}></picture>`;
+}
+
+export {
+    IMAGE_WIDTHS,
+    IMAGE_FORMATS,
+    IMAGE_SIZES,
+    VARIANTS_FOLDER,
+    getVariantPath,
+    isVariantPath,
+    findVariants,
+    parseImageVariants,
+    stockImageSrcset,
+    variantSrcset,
+    responsiveImageHtml
+};
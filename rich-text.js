@@ -0,0 +1,235 @@
+/**
+ * Rich Text
+ * Lightweight formatting for page content and team bios including:
+ * - An allow-list HTML sanitizer applied on save and again on render
+ * - A floating toolbar (bold, italic, link, lists, heading) for contenteditable elements
+ * - Helpers to render stored content by content_type ('text' or 'html')
+ */
+
+import { isSafeUrl, trustedHtml } from './safe-html.js';
+
+// Tags kept as-is (without attributes, except a safe href on links)
+const ALLOWED_TAGS = ['b', 'strong', 'i', 'em', 'a', 'ul', 'ol', 'li', 'h3', 'h4', 'p', 'br'];
+
+// Tags dropped together with everything inside them; any other tag is unwrapped to its text
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math',
+    'form', 'input', 'textarea', 'select', 'button', 'link', 'meta', 'title', 'head'];
+
+// Blocks browsers insert for new lines in contenteditable; they become line breaks
+const LINE_BREAK_TAGS = ['div'];
+
+function cleanNode(node, output) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return [output.createTextNode(node.textContent)];
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return []; // Comments, processing instructions
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.includes(tag)) {
+        return [];
+    }
+
+    const children = Array.from(node.childNodes).flatMap(child => cleanNode(child, output));
+
+    if (!ALLOWED_TAGS.includes(tag)) {
+        if (LINE_BREAK_TAGS.includes(tag) && node.previousSibling) {
+            children.unshift(output.createElement('br'));
+        }
+        return children;
+    }
+
+    const clean = output.createElement(tag);
+    if (tag === 'a') {
+        const href = (node.getAttribute('href') || '').trim();
+        if (!href || !isSafeUrl(href)) {
+            return children; // Keep the link text, lose the link
+        }
+        clean.setAttribute('href', href);
+        if (/^https?:/i.test(href)) {
+            clean.setAttribute('target', '_blank');
+            clean.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+    children.forEach(child => clean.appendChild(child));
+    return [clean];
+}
+
+/**
+ * Reduce HTML to the allowed formatting tags. Elements are rebuilt rather than copied,
+ * so no attribute (event handler, style, class) survives except a checked href.
+ * @param {string} html
+ * @returns {string} sanitized HTML
+ */
+function sanitizeHtml(html) {
+    // Parsed in an inert document: nothing in it runs or loads
+    const source = document.implementation.createHTMLDocument('');
+    const body = source.body;
+    body.innerHTML = String(html ?? '');
+
+    const container = source.createElement('div');
+    Array.from(body.childNodes)
+        .flatMap(child => cleanNode(child, source))
+        .forEach(child => container.appendChild(child));
+
+    return container.innerHTML.trim();
+}
+
+/**
+ * Sanitized rich text as safe markup for html`` templates
+ */
+function richText(html) {
+    return trustedHtml(sanitizeHtml(html));
+}
+
+/**
+ * Plain text of stored HTML, for search indexes, previews and length checks
+ */
+function htmlToText(html) {
+    const source = document.implementation.createHTMLDocument('');
+    source.body.innerHTML = sanitizeHtml(html).replace(/<br>|<\/(p|li|h3|h4)>/g, '$& ');
+    return source.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Show stored content in an element: sanitized markup for 'html' rows, plain text otherwise
+ */
+function setElementContent(element, content, contentType = 'text') {
+    if (contentType === 'html') {
+        element.innerHTML = sanitizeHtml(content);
+    } else {
+        element.textContent = content;
+    }
+}
+
+/**
+ * Content as stored for an element: sanitized markup for rich elements, trimmed text otherwise
+ */
+function getElementContent(element) {
+    return isRichTextElement(element) ? sanitizeHtml(element.innerHTML) : element.textContent.trim();
+}
+
+function isRichTextElement(element) {
+    return element.dataset.contentType === 'html';
+}
+
+const TOOLBAR_BUTTONS = [
+    { command: 'bold', label: '<b>B</b>', title: 'Bold' },
+    { command: 'italic', label: '<i>I</i>', title: 'Italic' },
+    { command: 'createLink', label: '🔗', title: 'Add link' },
+    { command: 'unlink', label: '<s>🔗</s>', title: 'Remove link' },
+    { command: 'insertUnorderedList', label: '• List', title: 'Bulleted list' },
+    { command: 'insertOrderedList', label: '1. List', title: 'Numbered list' },
+    { command: 'formatBlock', value: 'h4', label: 'H', title: 'Heading' },
+    { command: 'removeFormat', label: '⌫', title: 'Clear formatting' }
+];
+
+class RichTextToolbar {
+    constructor() {
+        this.toolbar = null;
+        this.target = null;
+        this.isPrompting = false;
+    }
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'rich-text-toolbar';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Text formatting');
+        toolbar.innerHTML = TOOLBAR_BUTTONS.map((button, index) => `
+            <button type="button" data-index="${index}" title="${button.title}" aria-label="${button.title}">${button.label}</button>
+        `).join('');
+
+        // Keep focus (and the selection) in the element being edited
+        toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) {
+                this.runCommand(TOOLBAR_BUTTONS[button.dataset.index]);
+            }
+        });
+
+        document.body.appendChild(toolbar);
+        return toolbar;
+    }
+
+    /**
+     * Show the toolbar above an element that is in contenteditable mode
+     */
+    show(element) {
+        if (!this.toolbar) {
+            this.toolbar = this.createToolbar();
+        }
+        this.target = element;
+        this.toolbar.style.display = 'flex';
+        this.position();
+    }
+
+    hide() {
+        if (this.toolbar) {
+            this.toolbar.style.display = 'none';
+        }
+        this.target = null;
+    }
+
+    position() {
+        if (!this.toolbar || !this.target) return;
+        const rect = this.target.getBoundingClientRect();
+        const top = rect.top + window.scrollY - this.toolbar.offsetHeight - 8;
+        this.toolbar.style.top = `${Math.max(top, window.scrollY + 8)}px`;
+        this.toolbar.style.left = `${rect.left + window.scrollX}px`;
+    }
+
+    /**
+     * Whether focus moving to this node stays within the editing UI
+     */
+    contains(node) {
+        return this.isPrompting || Boolean(this.toolbar && node && this.toolbar.contains(node));
+    }
+
+    runCommand({ command, value = null }) {
+        if (!this.target) return;
+
+        if (command === 'createLink') {
+            const selection = window.getSelection();
+            const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+
+            this.isPrompting = true;
+            const href = prompt('Link address (https://..., mailto:... or a page such as contact.html):', 'https://');
+            this.isPrompting = false;
+
+            this.target.focus();
+            if (range) {
+                selection.removeAllRanges();
+                selection.addRange(range);
+            }
+
+            if (!href || href === 'https://') return;
+            if (!isSafeUrl(href.trim())) {
+                alert('Only web, email and phone links are allowed.');
+                return;
+            }
+            value = href.trim();
+        }
+
+        // Toggle headings back to a paragraph
+        if (command === 'formatBlock' && document.queryCommandValue('formatBlock').toLowerCase() === value) {
+            value = 'p';
+        }
+
+        document.execCommand(command, false, value);
+        this.position();
+    }
+}
+
+// Create global instance
+const richTextToolbar = new RichTextToolbar();
+
+// Make globally available for debugging and integration
+window.richTextToolbar = richTextToolbar;
+
+window.addEventListener('resize', () => richTextToolbar.position());
+
+export { sanitizeHtml, richText, htmlToText, setElementContent, getElementContent, isRichTextElement };
+export default richTextToolbar;
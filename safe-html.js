@@ -0,0 +1,83 @@
+/**
+ * Safe HTML
+ * Shared templating for markup built from database or visitor content including:
+ * - html`...` tagged templates that escape every interpolated value unless it is already safe markup
+ * - escapeHtml() for the few places that still build strings by hand
+ * - safeUrl() for href / src values: web, email, phone and relative URLs only
+ *
+ * Rich text that is allowed to keep formatting goes through sanitizeHtml() in rich-text.js
+ * (richText() there returns it as safe markup).
+ */
+
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#|\?|\.)/i;
+
+/**
+ * Markup that has already been escaped or sanitized. Interpolating one into html`` keeps it as-is.
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape text for use in element content and quoted attribute values
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether a URL is safe to put in an href or src: no javascript:, data: or other schemes
+ */
+function isSafeUrl(value) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\nscript:")
+    const normalized = String(value ?? '').replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (!normalized) return false;
+    return SAFE_URL.test(normalized) || !/^[^/?#]*:/.test(normalized);
+}
+
+/**
+ * The URL itself when it is safe, otherwise the fallback. Escaping still happens in html``.
+ */
+function safeUrl(value, fallback = '#') {
+    return isSafeUrl(value) ? String(value).trim() : fallback;
+}
+
+/**
+ * Mark trusted markup (a constant in the code, never stored content) as safe
+ */
+function trustedHtml(markup) {
+    return new SafeHtml(String(markup ?? ''));
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<p>${name}</p>` escapes name; nested html`` results and arrays of them
+ * are inserted as markup. Assign the result to innerHTML directly.
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+export { html, escapeHtml, safeUrl, isSafeUrl, trustedHtml, SafeHtml };
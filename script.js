@@ -6,6 +6,18 @@ import dbService from './supabase-client.js';
 // Import new version control system
 import adminVersionControlUI from './admin-version-control-ui.js';
 
+// Import realtime content updates
+import contentSync from './content-sync.js';
+
+// Import stable content keys
+import { annotateContentKeys, legacyElementId } from './content-keys.js';
+
+// Import rich-text editing
+import richTextToolbar, { sanitizeHtml, setElementContent, getElementContent, isRichTextElement } from './rich-text.js';
+
+// Import page metadata (title, description, social tags, structured data)
+import pageMeta, { isSeoKey } from './seo.js';
+
 // Make objects globally available for debugging
 window.adminVersionControlUI = adminVersionControlUI;
 window.dbService = dbService;
@@ -15,11 +27,15 @@ let isAdminLoggedIn = false;
 let hasUnsavedChanges = false;
 let originalContent = {};
 let pendingLogoChange = null; // Track pending logo changes
+let sessionExpiryTimer = null; // Auto-logout when the admin session expires
 
 // Make logo functions globally available
 window.saveLogoChanges = saveLogoChanges;
 window.hasPendingLogoChanges = () => pendingLogoChange !== null;
 
+// Let the drafts panel show staged text through the same element matching and originals
+window.setEditableContent = setEditableContent;
+
 // Get current page name
 const currentPage = window.location.pathname.split('/').pop() || 'index.html';
 
@@ -69,7 +85,13 @@ document.addEventListener('DOMContentLoaded', () => {
         observer.observe(element);
     });
 
-    // Load content from Supabase
+    // Mark mapped elements with their stable content keys before any content is matched to them
+    annotateContentKeys(document, currentPage);
+
+    // Page defaults and business structured data; pre-rendered listing pages are rentals.html views
+    pageMeta.initialize(document.body.dataset.listingPage ? 'rentals.html' : currentPage);
+
+    // Load content from Supabase (scheduled drafts are published by pg_cron, see content-drafts-table.sql)
     loadContentFromDatabase();
 
     // Admin System Initialization
@@ -79,23 +101,13 @@ document.addEventListener('DOMContentLoaded', () => {
     setupContentRefresh();
 });
 
-// Set up content refresh to ensure we always have the latest content from Supabase
+// Keep content current: changed rows are pushed by content-sync.js instead of re-fetching the page
 function setupContentRefresh() {
-    // Refresh content when page becomes visible (user switches back to tab)
-    document.addEventListener('visibilitychange', () => {
-        if (!document.hidden && !isAdminLoggedIn) {
-            console.log('Page became visible, refreshing content from database...');
-            loadContentFromDatabase();
-        }
+    contentSync.onChange('website_content', { column: 'page_name', value: currentPage }, (row) => {
+        if (row.is_active === false || row.content_text === null) return;
+        console.log(`📡 Content updated: ${row.element_id}`);
+        setEditableContent(row.element_id, row.content_text, row.content_type);
     });
-    
-    // Refresh content every 30 seconds if not in admin mode
-    setInterval(() => {
-        if (!isAdminLoggedIn) {
-            console.log('Periodic content refresh from database...');
-            loadContentFromDatabase();
-        }
-    }, 30000); // 30 seconds
 }
 
 // Test database connection (non-blocking background test)
@@ -149,6 +161,8 @@ async function testAdminLogin() {
 }
 
 // Database Functions
+// On pages pre-rendered by build-static.mjs the keyed rows are already in the HTML; loading them
+// again is a no-op for the visitor and picks up edits made after the build and legacy-ID rows
 async function loadContentFromDatabase() {
     try {
         console.log('🔄 Loading content from Supabase database...');
@@ -173,8 +187,8 @@ async function loadContentFromDatabase() {
         
         console.log(`📚 Found ${contentData.length} content items in database:`, contentData);
         
-        // Clear existing data attributes to allow fresh matching
-        document.querySelectorAll('[data-editable-id]').forEach(el => {
+        // Clear existing data attributes to allow fresh matching (content keys stay put)
+        document.querySelectorAll('[data-editable-id]:not([data-content-key])').forEach(el => {
             el.removeAttribute('data-editable-id');
         });
         
@@ -190,22 +204,36 @@ async function loadContentFromDatabase() {
         console.log(`🎯 Processing ${Object.keys(latestContent).length} unique content items...`);
         
         let appliedCount = 0;
+        const appliedElements = new Set();
         Object.values(latestContent).forEach(contentItem => {
             const elementId = contentItem.element_id;
             const newContent = contentItem.content_text;
             
+            // Search and social metadata goes into the head, not an element
+            if (isSeoKey(elementId)) {
+                pageMeta.setOverride(elementId, newContent);
+                appliedCount++;
+                console.log(`✅ Applied page metadata: ${elementId}`);
+                return;
+            }
+            
             // Find the matching element
             const element = findElementByContent(newContent, elementId);
             
-            if (element) {
-                // Apply the content
-                element.textContent = newContent;
+            // Rows are newest first, so a row saved under a legacy ID doesn't override the keyed row
+            if (element && appliedElements.has(element)) {
+                console.log(`⏭️ Skipping older row for already applied element: ${elementId}`);
+            } else if (element) {
+                // Apply the content (rich-text rows are sanitized again on render)
+                setElementContent(element, newContent, contentItem.content_type);
                 
-                // Set the data attribute for future reference
-                element.setAttribute('data-editable-id', elementId);
+                // Set the data attribute for future reference (keyed elements keep their key)
+                const editableId = element.dataset.contentKey || elementId;
+                element.setAttribute('data-editable-id', editableId);
                 
                 // Store for editing system
-                originalContent[elementId] = newContent;
+                originalContent[editableId] = getElementContent(element);
+                appliedElements.add(element);
                 
                 appliedCount++;
                 console.log(`✅ Applied: ${elementId} -> "${newContent}" to:`, element.tagName + (element.className ? '.' + element.className.split(' ').join('.') : ''));
@@ -271,11 +299,36 @@ async function loadContentFromDatabase() {
         }
         
         console.log('✅ Content and media loaded successfully from database');
+        document.dispatchEvent(new CustomEvent('contentLoaded', { detail: { page: currentPage } }));
     } catch (error) {
         console.error('💥 Error loading content from database:', error);
     }
 }
 
+/**
+ * Show text for an element without saving it (used for draft content)
+ * @param {string} contentType - 'html' for rich-text content, 'text' otherwise
+ * @returns {Element|null} the updated element (null for seo-* metadata, which goes into the head)
+ */
+function setEditableContent(elementId, text, contentType = 'text') {
+    if (isSeoKey(elementId)) {
+        pageMeta.setOverride(elementId, text);
+        return null;
+    }
+
+    const element = findElementByContent(text, elementId);
+    if (!element) {
+        console.warn(`⚠️ Could not find element for draft: ${elementId}`);
+        return null;
+    }
+
+    const editableId = element.dataset.contentKey || elementId;
+    setElementContent(element, text, contentType);
+    element.setAttribute('data-editable-id', editableId);
+    originalContent[editableId] = getElementContent(element);
+    return element;
+}
+
 // Version control functions removed - replaced by new VersionControlManager
 
 function findElementsBySelector(elementId) {
@@ -432,7 +485,9 @@ async function loginAdmin() {
     
     // Show admin controls
     document.getElementById('admin-controls').style.display = 'block';
+    showAdminRole();
     document.body.classList.add('admin-mode');
+    scheduleSessionExpiry();
     
     // Initialize optimized version control system
     try {
@@ -444,18 +499,52 @@ async function loginAdmin() {
         alert('Warning: Version control system failed to initialize. Some features may not work properly.');
     }
     
-    // Make text content editable
-    makeContentEditable();
-    
-    // Make logo editable
-    makeLogoEditable();
+    // Viewers get admin mode without any edit controls
+    if (dbService.hasPermission('edit')) {
+        // Make text content editable
+        makeContentEditable();
+        
+        // Make logo editable
+        makeLogoEditable();
+    }
     
     console.log('Admin logged in successfully');
 }
 
-async function logoutAdmin() {
+/**
+ * Show the signed-in user's role next to the admin mode label
+ */
+function showAdminRole() {
+    const user = dbService.getCurrentUser();
+    const label = document.querySelector('.admin-controls-header span');
+    if (!label) return;
+    
+    label.textContent = user && user.role
+        ? `Admin Mode · ${user.role.replace('_', ' ')}`
+        : 'Admin Mode';
+    document.body.dataset.adminRole = user && user.role ? user.role : '';
+}
+
+/**
+ * Log out automatically when the server-issued session expires
+ */
+function scheduleSessionExpiry() {
+    clearTimeout(sessionExpiryTimer);
+    
+    const user = dbService.getCurrentUser();
+    if (!user || !user.expiresAt) return;
+    
+    const remaining = Math.max(new Date(user.expiresAt).getTime() - Date.now(), 0);
+    sessionExpiryTimer = setTimeout(async () => {
+        console.warn('⏰ Admin session expired');
+        await logoutAdmin(true);
+        alert('Your admin session has expired. Please log in again.');
+    }, remaining);
+}
+
+async function logoutAdmin(sessionExpired = false) {
     // Check for unsaved changes
-    if (adminVersionControlUI.isReady() && adminVersionControlUI.getVersionManager().hasChanges()) {
+    if (!sessionExpired && adminVersionControlUI.isReady() && adminVersionControlUI.getVersionManager().hasChanges()) {
         const hasChanges = window.confirm(
             'You have unsaved changes that will be lost if you logout.\n\n' +
             'Click "OK" to logout without saving, or "Cancel" to stay and save your changes.'
@@ -467,6 +556,7 @@ async function logoutAdmin() {
     
     await dbService.signOut();
     isAdminLoggedIn = false;
+    clearTimeout(sessionExpiryTimer);
     
     // Clean up version control system
     if (adminVersionControlUI.isReady()) {
@@ -476,6 +566,7 @@ async function logoutAdmin() {
     // Hide admin controls
     document.getElementById('admin-controls').style.display = 'none';
     document.body.classList.remove('admin-mode');
+    showAdminRole();
     
     // Remove editable functionality
     removeEditableContent();
@@ -484,14 +575,19 @@ async function logoutAdmin() {
     hasUnsavedChanges = false;
     originalContent = {};
     
+    // Replace draft text with live content (realtime changes are not applied in admin mode)
+    loadContentFromDatabase();
+    
     console.log('Admin logged out');
 }
 
 // Version control UI functions removed - replaced by new VersionControlManager
 
 function makeContentEditable() {
-    // Select text elements that should be editable
+    // Select text elements that should be editable: everything keyed from CONTENT_MAPPING,
+    // plus elements that predate the mapping and still use text-derived IDs
     const editableSelectors = [
+        '[data-content-key]',
         '.hero h1',
         '.hero h2', 
         '.hero p',
@@ -527,7 +623,8 @@ function makeContentEditable() {
     editableSelectors.forEach(selector => {
         const elements = document.querySelectorAll(selector);
         elements.forEach(element => {
-            if (element.textContent.trim()) {
+            // Team member fields are edited by about-admin.js and saved to team_members
+            if (element.textContent.trim() && !element.dataset.memberId) {
                 makeElementEditable(element);
             }
         });
@@ -546,7 +643,7 @@ function makeElementEditable(element) {
     }
     
     // Store original content
-    originalContent[elementId] = element.textContent.trim();
+    originalContent[elementId] = getElementContent(element);
     
     // Add editable class
     element.classList.add('editable-text');
@@ -558,18 +655,24 @@ function makeElementEditable(element) {
 }
 
 function handleElementClick(e) {
-    if (!isAdminLoggedIn) return;
+    if (!isAdminLoggedIn || document.body.classList.contains('preview-as-visitor')) return;
     
     e.preventDefault();
     e.stopPropagation();
     
-    const element = e.target;
-    if (!element.classList.contains('editable-text')) return;
+    // The editable element itself, not bold text or a link inside rich content
+    const element = e.currentTarget;
+    if (!element.classList.contains('editable-text') || element.classList.contains('editing')) return;
     
     startEditing(element);
 }
 
 function startEditing(element) {
+    if (isRichTextElement(element)) {
+        startRichEditing(element);
+        return;
+    }
+
     const originalText = element.textContent;
     const elementId = element.getAttribute('data-editable-id');
     
@@ -613,13 +716,57 @@ function startEditing(element) {
     });
 }
 
+/**
+ * Edit rich-text content in place with the formatting toolbar.
+ * Enter adds lines and list items; Escape cancels; clicking elsewhere saves.
+ */
+function startRichEditing(element) {
+    const elementId = element.getAttribute('data-editable-id');
+
+    element.contentEditable = 'true';
+    element.classList.add('editing', 'rich-text-editing');
+    element.focus();
+    richTextToolbar.show(element);
+
+    const finish = (save) => {
+        element.removeEventListener('focusout', handleFocusOut);
+        element.removeEventListener('keydown', handleKeydown);
+        richTextToolbar.hide();
+        element.contentEditable = 'false';
+        element.classList.remove('rich-text-editing');
+
+        if (save) {
+            saveEdit(element, element.innerHTML, elementId);
+        } else {
+            cancelEdit(element, originalContent[elementId], elementId);
+        }
+    };
+
+    const handleFocusOut = (e) => {
+        if (richTextToolbar.contains(e.relatedTarget)) return;
+        finish(true);
+    };
+
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+    };
+
+    element.addEventListener('focusout', handleFocusOut);
+    element.addEventListener('keydown', handleKeydown);
+}
+
 function saveEdit(element, newText, elementId) {
-    const trimmedNewText = newText.trim();
+    const contentType = isRichTextElement(element) ? 'html' : 'text';
+    // Rich text is sanitized before it is compared, shown or saved
+    const trimmedNewText = contentType === 'html' ? sanitizeHtml(newText) : newText.trim();
     const originalText = originalContent[elementId] || '';
     
     if (trimmedNewText !== originalText) {
         // Update the element content
-        element.textContent = trimmedNewText;
+        setElementContent(element, trimmedNewText, contentType);
         
         // Track modification in optimized version control system
         if (adminVersionControlUI.isReady()) {
@@ -630,7 +777,7 @@ function saveEdit(element, newText, elementId) {
                 {
                     page: currentPage,
                     elementType: element.tagName.toLowerCase(),
-                    contentType: 'text'
+                    contentType
                 }
             );
         }
@@ -642,14 +789,14 @@ function saveEdit(element, newText, elementId) {
         console.log(`📝 Content changed: ${elementId} -> "${trimmedNewText}"`);
     } else {
         // Revert to original content
-        element.textContent = originalText;
+        setElementContent(element, originalText, contentType);
     }
     
     element.classList.remove('editing');
 }
 
 function cancelEdit(element, originalText, elementId) {
-    element.innerHTML = originalContent[elementId];
+    setElementContent(element, originalContent[elementId], isRichTextElement(element) ? 'html' : 'text');
     element.classList.remove('editing');
 }
 
@@ -658,40 +805,23 @@ function removeEditableContent() {
     editableElements.forEach(element => {
         element.classList.remove('editable-text', 'editing');
         element.removeEventListener('click', handleElementClick);
-        element.removeAttribute('data-editable-id');
+        if (!element.dataset.contentKey) {
+            element.removeAttribute('data-editable-id');
+        }
     });
 }
 
 function generateElementId(element) {
-    // Create a more reliable ID based on text content + position
-    const text = element.textContent.trim().substring(0, 20).toLowerCase();
-    const tagName = element.tagName.toLowerCase();
-    const classList = Array.from(element.classList).join('-');
-    
-    // Create a unique signature
-    let signature = `${tagName}`;
-    if (classList) signature += `-${classList}`;
-    if (text) signature += `-${text.replace(/[^a-zA-Z0-9]/g, '')}`;
-    
-    // Add position info for uniqueness
-    const parent = element.parentElement;
-    if (parent) {
-        const siblings = Array.from(parent.children).filter(child => 
-            child.tagName === element.tagName && 
-            child.classList.toString() === element.classList.toString()
-        );
-        const index = siblings.indexOf(element);
-        if (index > 0) signature += `-${index}`;
-    }
-    
-    return `editable-${signature}`.replace(/[^a-zA-Z0-9-]/g, '');
+    // Keyed elements keep the same ID however their text is edited
+    return element.dataset.contentKey || legacyElementId(element);
 }
 
 function findElementByContent(content, elementId) {
     console.log(`🔍 Looking for element: ${elementId} with content: "${content}"`);
     
-    // First try to find by existing data attribute
-    let element = document.querySelector(`[data-editable-id="${elementId}"]`);
+    // First try the stable content key, then an existing data attribute
+    let element = document.querySelector(`[data-content-key="${elementId}"]`) ||
+        document.querySelector(`[data-editable-id="${elementId}"]`);
     if (element) {
         console.log(`✅ Found by data attribute:`, element);
         return element;
@@ -765,8 +895,9 @@ function findElementByContent(content, elementId) {
             
             const elText = el.textContent.trim().toLowerCase();
             
-            // Skip if already has a data attribute (already processed)
-            if (el.hasAttribute('data-editable-id')) continue;
+            // Skip if already has a data attribute (already processed). Keyed elements always
+            // have one, but rows saved under their old text-derived ID may still match them.
+            if (el.hasAttribute('data-editable-id') && !el.hasAttribute('data-content-key')) continue;
             
             // Exact content match
             if (elText === cleanContent) {
@@ -853,7 +984,7 @@ function revertChanges() {
     Object.keys(originalContent).forEach(elementId => {
         const element = document.querySelector(`[data-editable-id="${elementId}"]`);
         if (element) {
-            element.innerHTML = originalContent[elementId];
+            setElementContent(element, originalContent[elementId], isRichTextElement(element) ? 'html' : 'text');
         }
     });
     
@@ -913,8 +1044,9 @@ function importChanges() {
                         Object.keys(data.changes).forEach(elementId => {
                             const element = document.querySelector(`[data-editable-id="${elementId}"]`);
                             if (element) {
-                                element.innerHTML = data.changes[elementId];
-                                originalContent[elementId] = data.changes[elementId];
+                                // Imported files are untrusted: rich elements are sanitized, others get plain text
+                                setElementContent(element, String(data.changes[elementId] ?? ''), isRichTextElement(element) ? 'html' : 'text');
+                                originalContent[elementId] = getElementContent(element);
                             }
                         });
                         
@@ -967,7 +1099,7 @@ function handleLogoClick(e) {
     e.preventDefault();
     e.stopPropagation();
     
-    if (!isAdminLoggedIn) return;
+    if (!isAdminLoggedIn || document.body.classList.contains('preview-as-visitor')) return;
     
     console.log('📷 Logo clicked - opening image browser...');
     
@@ -1103,44 +1235,21 @@ async function saveLogoChanges() {
         
         console.log('🔍 Existing logo records found:', existingLogo);
         
-        let saveResult;
-        if (existingLogo && existingLogo.length > 0) {
-            // Update existing record using its current page_name
-            const currentRecord = existingLogo[0];
-            console.log(`📝 Updating existing logo record with page_name: ${currentRecord.page_name}`);
-            
-            saveResult = await dbService.supabase
-                .from('media_content')
-                .update({
-                    file_name: pendingLogoChange.file_name,
-                    file_url: pendingLogoChange.file_url,
-                    file_type: pendingLogoChange.file_type,
-                    alt_text: pendingLogoChange.alt_text,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', currentRecord.id);
-        } else {
-            // Insert new record with 'global' page_name
-            console.log('➕ Creating new logo record with page_name: global');
-            
-            saveResult = await dbService.supabase
-                .from('media_content')
-                .insert({
-                    page_name: 'global',
-                    element_id: 'wolf-logo',
-                    file_name: pendingLogoChange.file_name,
-                    file_url: pendingLogoChange.file_url,
-                    file_type: pendingLogoChange.file_type,
-                    alt_text: pendingLogoChange.alt_text,
-                    is_active: true,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                });
-        }
-        
-        if (saveResult.error) {
-            console.error('❌ Error saving logo to database:', saveResult.error);
-            throw saveResult.error;
+        // Keep the page_name an existing logo record uses; a new one goes under 'global'
+        const pageName = existingLogo && existingLogo.length > 0 ? existingLogo[0].page_name : 'global';
+        console.log(`📝 Saving logo record with page_name: ${pageName}`);
+
+        // Written (and audited) server-side
+        const { error: saveError } = await dbService.saveMediaElement(pageName, 'wolf-logo', {
+            fileName: pendingLogoChange.file_name,
+            fileUrl: pendingLogoChange.file_url,
+            fileType: pendingLogoChange.file_type,
+            altText: pendingLogoChange.alt_text
+        });
+
+        if (saveError) {
+            console.error('❌ Error saving logo to database:', saveError);
+            throw new Error(saveError);
         }
         
         console.log('✅ Logo saved to database successfully');
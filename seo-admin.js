@@ -0,0 +1,202 @@
+/**
+ * SEO Admin
+ * Search and social settings for the current page including:
+ * - Title, description and share image overrides (blank uses the SEO_CONFIG default)
+ * - Search result preview and description length count
+ * Changes are staged like text edits, so they are saved as drafts and published with the page.
+ */
+
+import dbService from './supabase-client.js';
+import adminVersionControlUI from './admin-version-control-ui.js';
+import { SEO_CONFIG } from './supabase-config.js';
+import pageMeta, { SEO_KEYS, resolvePageMeta } from './seo.js';
+import { escapeHtml } from './safe-html.js';
+
+// Search engines cut titles and descriptions around these lengths
+const TITLE_LENGTH = 60;
+const DESCRIPTION_LENGTH = 160;
+
+class SeoAdmin {
+    constructor() {
+        this.dbService = dbService;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Add the settings to the admin controls of pages that have SEO defaults
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.dbService.hasPermission('edit') || !SEO_CONFIG.pages[pageMeta.pageName] || document.body.dataset.listingPage) {
+            return;
+        }
+
+        console.log('🔎 Initializing SEO Admin...');
+        this.addAdminControls();
+        this.isInitialized = true;
+    }
+
+    cleanup() {
+        const controls = document.getElementById('seo-admin-controls');
+        if (controls) {
+            controls.remove();
+        }
+        this.isInitialized = false;
+    }
+
+    addAdminControls() {
+        const adminControls = document.querySelector('.admin-controls-content');
+        if (!adminControls || document.getElementById('seo-admin-controls')) {
+            return;
+        }
+
+        const defaults = resolvePageMeta(pageMeta.pageName);
+        const overrides = pageMeta.overrides;
+        const controls = document.createElement('div');
+        controls.id = 'seo-admin-controls';
+        controls.className = 'seo-admin-controls';
+        controls.innerHTML = `
+            <div class="rentals-admin-section">
+                <h4>🔎 Search &amp; Social</h4>
+                <p style="color: rgba(255, 255, 255, 0.8); font-size: 14px; margin: 0 0 15px 0;">
+                    How ${escapeHtml(pageMeta.pageName)} appears in search results and when shared. Leave a field blank to use the default.
+                </p>
+                <label class="seo-admin-field">
+                    <span>Title <small id="seo-title-count"></small></span>
+                    <input type="text" id="seo-title-input" value="${escapeHtml(overrides[SEO_KEYS.title] || '')}" placeholder="${escapeHtml(defaults.title)}">
+                </label>
+                <label class="seo-admin-field">
+                    <span>Description <small id="seo-description-count"></small></span>
+                    <textarea id="seo-description-input" rows="3" placeholder="${escapeHtml(defaults.description)}">${escapeHtml(overrides[SEO_KEYS.description] || '')}</textarea>
+                </label>
+                <label class="seo-admin-field">
+                    <span>Share image URL</span>
+                    <input type="url" id="seo-image-input" value="${escapeHtml(overrides[SEO_KEYS.image] || '')}" placeholder="${escapeHtml(defaults.image)}">
+                </label>
+                <div class="seo-admin-preview" id="seo-admin-preview"></div>
+                <button id="stage-seo-changes-btn" class="btn btn-primary" style="background-color: #8e44ad;">
+                    🔎 Stage Changes
+                </button>
+                <div id="seo-admin-status" class="seo-admin-status"></div>
+            </div>
+        `;
+
+        adminControls.appendChild(controls);
+
+        controls.querySelectorAll('input, textarea').forEach(field => {
+            field.addEventListener('input', () => this.updatePreview());
+        });
+        document.getElementById('stage-seo-changes-btn').addEventListener('click', () => this.stageChanges());
+        this.updatePreview();
+    }
+
+    /**
+     * Field values keyed by their website_content element ID
+     */
+    getFieldValues() {
+        return {
+            [SEO_KEYS.title]: document.getElementById('seo-title-input').value.trim(),
+            [SEO_KEYS.description]: document.getElementById('seo-description-input').value.replace(/\s+/g, ' ').trim(),
+            [SEO_KEYS.image]: document.getElementById('seo-image-input').value.trim()
+        };
+    }
+
+    /**
+     * Show the page as a search result would, with the title and description lengths
+     */
+    updatePreview() {
+        const values = this.getFieldValues();
+        const meta = resolvePageMeta(pageMeta.pageName, values);
+
+        this.setCount('seo-title-count', (values[SEO_KEYS.title] || meta.title).length, TITLE_LENGTH);
+        this.setCount('seo-description-count', (values[SEO_KEYS.description] || meta.description).length, DESCRIPTION_LENGTH);
+
+        document.getElementById('seo-admin-preview').innerHTML = `
+            <div class="seo-preview-url">${escapeHtml(meta.url)}</div>
+            <div class="seo-preview-title">${escapeHtml(meta.title)}</div>
+            <div class="seo-preview-description">${escapeHtml(meta.description)}</div>
+        `;
+    }
+
+    setCount(elementId, length, limit) {
+        const element = document.getElementById(elementId);
+        element.textContent = `${length}/${limit}`;
+        element.classList.toggle('over-limit', length > limit);
+    }
+
+    /**
+     * Track changed fields as pending content changes and show them in the head right away
+     */
+    stageChanges() {
+        const status = document.getElementById('seo-admin-status');
+        const values = this.getFieldValues();
+
+        // Social sites fetch the image themselves, so it needs a full link
+        if (values[SEO_KEYS.image] && !/^https?:\/\/\S+$/i.test(values[SEO_KEYS.image])) {
+            status.textContent = '❌ The share image must be an http(s) link.';
+            return;
+        }
+
+        if (!adminVersionControlUI.isReady()) {
+            status.textContent = '❌ Version control is still loading. Try again in a moment.';
+            return;
+        }
+
+        const changed = Object.entries(values).filter(([key, value]) => value !== (pageMeta.overrides[key] || ''));
+        if (changed.length === 0) {
+            status.textContent = 'No changes to stage.';
+            return;
+        }
+
+        changed.forEach(([key, value]) => {
+            adminVersionControlUI.trackContentChange(key, pageMeta.overrides[key] || '', value, {
+                page: pageMeta.pageName,
+                elementType: 'meta',
+                contentType: 'text'
+            });
+            pageMeta.setOverride(key, value);
+        });
+
+        console.log(`🔎 Staged ${changed.length} metadata changes for ${pageMeta.pageName}`);
+        status.textContent = `✅ ${changed.length} change${changed.length === 1 ? '' : 's'} staged. Save your changes to create a draft.`;
+    }
+}
+
+// Create global instance
+const seoAdmin = new SeoAdmin();
+
+// Make globally available for debugging and integration
+window.seoAdmin = seoAdmin;
+
+// Auto-initialize when admin logs in
+document.addEventListener('DOMContentLoaded', () => {
+    const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+            if (mutation.type === 'attributes' &&
+                mutation.attributeName === 'class' &&
+                mutation.target === document.body) {
+
+                if (document.body.classList.contains('admin-mode')) {
+                    seoAdmin.initialize();
+                } else {
+                    seoAdmin.cleanup();
+                }
+            }
+        });
+    });
+
+    observer.observe(document.body, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    // Initialize immediately if already in admin mode
+    if (document.body.classList.contains('admin-mode')) {
+        seoAdmin.initialize();
+    }
+});
+
+export default seoAdmin;
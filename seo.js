@@ -0,0 +1,389 @@
+/**
+ * SEO
+ * Search and social metadata shared by the pages and the static build (build-static.mjs) including:
+ * - Per-page title, description and share image: SEO_CONFIG defaults, overridden by the
+ *   page's 'seo-title', 'seo-description' and 'seo-image' rows in website_content
+ * - Canonical URL, Open Graph and Twitter card tags
+ * - schema.org JSON-LD: LocalBusiness for the company, RealEstateListing for each rental
+ * - sitemap.xml and robots.txt for the static build
+ * The PageMeta singleton keeps the live page's head in sync while admins edit and listings open.
+ */
+
+import { SEO_CONFIG } from './supabase-config.js';
+import { safeUrl, escapeHtml } from './safe-html.js';
+import { getListingStatus } from './listing-status.js';
+import { getListingPagePath, hasCoordinates, parseFeatures } from './page-templates.js';
+
+// website_content element IDs of the admin-editable metadata
+const SEO_KEYS = {
+    title: 'seo-title',
+    description: 'seo-description',
+    image: 'seo-image'
+};
+
+// Search engines show roughly this many characters of a description
+const DESCRIPTION_LENGTH = 160;
+
+const LISTING_AVAILABILITY = {
+    available: 'https://schema.org/InStock',
+    coming_soon: 'https://schema.org/PreOrder',
+    application_pending: 'https://schema.org/LimitedAvailability'
+};
+
+function isSeoKey(elementId) {
+    return Object.values(SEO_KEYS).includes(elementId);
+}
+
+function getSiteUrl(siteUrl = SEO_CONFIG.siteUrl) {
+    return String(siteUrl || '').replace(/\/+$/, '');
+}
+
+/**
+ * Public URL of a page; the home page is the site root
+ */
+function getPageUrl(pageName, siteUrl = SEO_CONFIG.siteUrl) {
+    return `${getSiteUrl(siteUrl)}/${pageName === 'index.html' ? '' : pageName}`;
+}
+
+/**
+ * Public URL of a listing's pre-rendered page
+ */
+function getListingUrl(listing, siteUrl = SEO_CONFIG.siteUrl) {
+    return `${getSiteUrl(siteUrl)}/${getListingPagePath(listing)}`;
+}
+
+/**
+ * Shorten text to a description length at a word boundary
+ */
+function truncateText(text, maxLength = DESCRIPTION_LENGTH) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+
+    const cut = clean.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+}
+
+/**
+ * Metadata for a page: admin overrides first, then the SEO_CONFIG defaults
+ * @param {string} pageName - e.g. 'index.html'
+ * @param {Object} [overrides] - element_id -> content_text for the page's seo-* rows
+ * @param {string} [siteUrl]
+ * @returns {{ title: string, description: string, image: string, url: string, type: string }}
+ */
+function resolvePageMeta(pageName, overrides = {}, siteUrl = SEO_CONFIG.siteUrl) {
+    const defaults = SEO_CONFIG.pages[pageName] || {};
+    const override = (key) => String(overrides[SEO_KEYS[key]] || '').trim();
+
+    return {
+        title: override('title') || defaults.title || SEO_CONFIG.siteName,
+        description: truncateText(override('description') || defaults.description || ''),
+        image: safeUrl(override('image') || defaults.image || SEO_CONFIG.defaultImage, SEO_CONFIG.defaultImage),
+        url: getPageUrl(pageName, siteUrl),
+        type: 'website'
+    };
+}
+
+/**
+ * One-line summary of a listing, e.g. "3 bd / 2 ba home for rent in Georgetown, TX - $1,850/month"
+ */
+function listingSummary(listing) {
+    const place = [listing.city, listing.state].filter(Boolean).join(', ');
+    const parts = [
+        `${listing.bedrooms || 0} bd / ${listing.bathrooms || 0} ba ${String(listing.property_type || 'home').toLowerCase()} for rent`,
+        place ? ` in ${place}` : '',
+        listing.rent_price ? ` - $${Number(listing.rent_price).toLocaleString('en-US')}/month` : ''
+    ];
+    return parts.join('');
+}
+
+/**
+ * Metadata for a listing's detail view
+ * @param {Object} listing - rental_listings row
+ * @param {Object} [options]
+ * @param {string} [options.url] - Canonical URL (defaults to the pre-rendered listing page)
+ * @param {string} [options.siteUrl]
+ */
+function resolveListingMeta(listing, { siteUrl = SEO_CONFIG.siteUrl, url = getListingUrl(listing, siteUrl) } = {}) {
+    return {
+        title: `${listing.title || 'Listing'} - ${SEO_CONFIG.siteName}`,
+        description: truncateText([`${listingSummary(listing)}.`, listing.description].filter(Boolean).join(' ')),
+        image: safeUrl(listing.primary_image_url || SEO_CONFIG.defaultImage, SEO_CONFIG.defaultImage),
+        url,
+        type: 'website'
+    };
+}
+
+/**
+ * Find or create a head element by one identifying attribute
+ */
+function upsertHeadElement(document, tagName, attribute, value) {
+    let element = document.head.querySelector(`${tagName}[${attribute}="${value}"]`);
+    if (!element) {
+        element = document.createElement(tagName);
+        element.setAttribute(attribute, value);
+        document.head.appendChild(element);
+    }
+    return element;
+}
+
+/**
+ * Write title, description, canonical URL, Open Graph and Twitter card tags into a document
+ * @param {Document} document - The live document, or a page parsed by the build
+ * @param {Object} meta - From resolvePageMeta() / resolveListingMeta()
+ */
+function applyPageMeta(document, meta) {
+    document.title = meta.title;
+
+    const tags = [
+        ['name', 'description', meta.description],
+        ['property', 'og:type', meta.type || 'website'],
+        ['property', 'og:site_name', SEO_CONFIG.siteName],
+        ['property', 'og:title', meta.title],
+        ['property', 'og:description', meta.description],
+        ['property', 'og:url', meta.url],
+        ['property', 'og:image', meta.image],
+        ['name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', meta.title],
+        ['name', 'twitter:description', meta.description],
+        ['name', 'twitter:image', meta.image]
+    ];
+
+    tags.forEach(([attribute, key, value]) => {
+        if (value) {
+            upsertHeadElement(document, 'meta', attribute, key).setAttribute('content', value);
+        } else {
+            document.head.querySelector(`meta[${attribute}="${key}"]`)?.remove();
+        }
+    });
+
+    upsertHeadElement(document, 'link', 'rel', 'canonical').setAttribute('href', meta.url);
+}
+
+/**
+ * Add, replace or (with null data) remove a JSON-LD block in the document head
+ * @param {string} id - Identifies the block, e.g. 'business' or 'listing'
+ */
+function setJsonLd(document, id, data) {
+    let script = document.head.querySelector(`script[type="application/ld+json"][data-json-ld="${id}"]`);
+    if (!data) {
+        script?.remove();
+        return;
+    }
+
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.dataset.jsonLd = id;
+        document.head.appendChild(script);
+    }
+    // Escape "<" so stored text can't close the script element
+    script.textContent = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * LocalBusiness structured data from the contact details in SEO_CONFIG.business
+ */
+function businessJsonLd(siteUrl = SEO_CONFIG.siteUrl) {
+    const { business } = SEO_CONFIG;
+    const site = getSiteUrl(siteUrl);
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'LocalBusiness',
+        '@id': `${site}/#organization`,
+        name: SEO_CONFIG.siteName,
+        url: `${site}/`,
+        logo: SEO_CONFIG.defaultImage,
+        image: SEO_CONFIG.defaultImage,
+        telephone: business.telephone,
+        email: business.email,
+        address: { '@type': 'PostalAddress', ...business.address },
+        geo: { '@type': 'GeoCoordinates', ...business.geo },
+        openingHoursSpecification: business.openingHours.map(({ days, opens, closes }) => ({
+            '@type': 'OpeningHoursSpecification',
+            dayOfWeek: days,
+            opens,
+            closes
+        }))
+    };
+}
+
+/**
+ * RealEstateListing structured data for a rental, describing the home as a Residence
+ * @param {Object} listing - rental_listings row
+ * @param {Object} [options]
+ * @param {string} [options.url] - The listing's canonical URL
+ * @param {string} [options.siteUrl]
+ */
+function listingJsonLd(listing, { siteUrl = SEO_CONFIG.siteUrl, url = getListingUrl(listing, siteUrl) } = {}) {
+    const meta = resolveListingMeta(listing, { siteUrl, url });
+    const address = {
+        '@type': 'PostalAddress',
+        streetAddress: listing.address || undefined,
+        addressLocality: listing.city || undefined,
+        addressRegion: listing.state || undefined,
+        postalCode: listing.zip_code || undefined,
+        addressCountry: 'US'
+    };
+
+    const accommodation = {
+        '@type': 'Accommodation',
+        numberOfBedrooms: Number(listing.bedrooms) || undefined,
+        numberOfBathroomsTotal: Number(listing.bathrooms) || undefined,
+        floorSize: listing.square_feet
+            ? { '@type': 'QuantitativeValue', value: Number(listing.square_feet), unitCode: 'FTK' }
+            : undefined,
+        petsAllowed: listing.pet_policy || undefined,
+        amenityFeature: parseFeatures(listing.features).map(feature => ({
+            '@type': 'LocationFeatureSpecification',
+            name: feature,
+            value: true
+        }))
+    };
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'RealEstateListing',
+        '@id': `${url}#listing`,
+        url,
+        name: listing.title || listingSummary(listing),
+        description: listing.description || listingSummary(listing),
+        image: meta.image,
+        datePosted: listing.created_at ? String(listing.created_at).slice(0, 10) : undefined,
+        offers: {
+            '@type': 'Offer',
+            businessFunction: 'http://purl.org/goodrelations/v1#LeaseOut',
+            price: Number(listing.rent_price) || undefined,
+            priceCurrency: 'USD',
+            priceSpecification: {
+                '@type': 'UnitPriceSpecification',
+                price: Number(listing.rent_price) || undefined,
+                priceCurrency: 'USD',
+                unitCode: 'MON'
+            },
+            availability: LISTING_AVAILABILITY[getListingStatus(listing)] || undefined,
+            availabilityStarts: listing.available_date ? String(listing.available_date).slice(0, 10) : undefined,
+            offeredBy: { '@id': `${getSiteUrl(siteUrl)}/#organization` }
+        },
+        mainEntity: {
+            '@type': 'Residence',
+            name: [listing.address, listing.city].filter(Boolean).join(', ') || undefined,
+            address,
+            geo: hasCoordinates(listing)
+                ? { '@type': 'GeoCoordinates', latitude: parseFloat(listing.latitude), longitude: parseFloat(listing.longitude) }
+                : undefined,
+            containsPlace: accommodation
+        }
+    };
+}
+
+/**
+ * sitemap.xml for the given URLs
+ * @param {{ url: string, lastModified?: string }[]} entries
+ */
+function sitemapXml(entries) {
+    const urls = entries.map(({ url, lastModified }) => [
+        '  <url>',
+        `    <loc>${escapeHtml(url)}</loc>`,
+        lastModified ? `    <lastmod>${escapeHtml(String(lastModified).slice(0, 10))}</lastmod>` : '',
+        '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function robotsTxt(siteUrl = SEO_CONFIG.siteUrl) {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        '',
+        `Sitemap: ${getSiteUrl(siteUrl)}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Head metadata of the live page. Page overrides arrive from website_content (and from the
+ * admin panel while editing); an open listing detail view takes precedence over the page.
+ */
+class PageMeta {
+    constructor() {
+        this.pageName = null;
+        this.overrides = {};
+        this.listingMeta = null;
+    }
+
+    /**
+     * Write the page defaults and the business structured data
+     * @param {string} pageName - e.g. 'index.html'
+     */
+    initialize(pageName) {
+        this.pageName = pageName;
+        setJsonLd(document, 'business', businessJsonLd());
+        this.render();
+    }
+
+    /**
+     * Apply an seo-* content row (loaded, pushed by realtime or staged by an admin)
+     */
+    setOverride(elementId, text) {
+        this.overrides[elementId] = text || '';
+        this.render();
+    }
+
+    /**
+     * Current metadata of the page itself, ignoring any open listing
+     */
+    getPageMeta() {
+        return resolvePageMeta(this.pageName, this.overrides);
+    }
+
+    /**
+     * Switch the head to a listing while its detail view is open (null restores the page)
+     * @param {Object|null} listing - rental_listings row
+     * @param {string} [url] - Canonical URL of the detail view
+     */
+    setListing(listing, url) {
+        this.listingMeta = listing ? resolveListingMeta(listing, { url }) : null;
+        setJsonLd(document, 'listing', listing ? listingJsonLd(listing, { url }) : null);
+        this.render();
+    }
+
+    render() {
+        if (this.listingMeta) {
+            applyPageMeta(document, this.listingMeta);
+        } else if (this.pageName) {
+            applyPageMeta(document, this.getPageMeta());
+        }
+    }
+}
+
+// Create global instance
+const pageMeta = new PageMeta();
+
+// Make globally available for debugging and integration
+window.pageMeta = pageMeta;
+
+export {
+    SEO_KEYS,
+    isSeoKey,
+    getPageUrl,
+    getListingUrl,
+    truncateText,
+    resolvePageMeta,
+    resolveListingMeta,
+    applyPageMeta,
+    setJsonLd,
+    businessJsonLd,
+    listingJsonLd,
+    sitemapXml,
+    robotsTxt
+};
+export default pageMeta;
@@ -6,14 +6,19 @@
  * This script sets up the Supabase database with all necessary tables,
  * policies, and initial data.
  * 
- * Usage: node setup-database.js
+ * Usage: SUPABASE_SERVICE_ROLE_KEY=... node setup-database.js
  */
 
 import { createClient } from '@supabase/supabase-js';
 import { SUPABASE_CONFIG, DATABASE_SCHEMAS, RLS_POLICIES, DEFAULT_ADMIN, CONTENT_MAPPING } from './supabase-config.js';
 
 // Initialize Supabase client with service role key for admin operations
-const supabase = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.serviceRoleKey);
+// (from the environment; it is not part of the browser config)
+if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Set SUPABASE_SERVICE_ROLE_KEY to run the setup script');
+    process.exit(1);
+}
+const supabase = createClient(SUPABASE_CONFIG.url, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
 async function setupDatabase() {
     console.log('🚀 Setting up Wolf Property Management Database...\n');
@@ -114,8 +119,9 @@ async function createDefaultAdmin() {
             .from('admin_users')
             .insert({
                 email: DEFAULT_ADMIN.email,
-                password_hash: DEFAULT_ADMIN.password, // In production, hash this
-                is_active: DEFAULT_ADMIN.isActive
+                password_hash: DEFAULT_ADMIN.password, // Hashed by admin-auth-migration.sql
+                is_active: DEFAULT_ADMIN.isActive,
+                role: DEFAULT_ADMIN.role
             });
 
         if (error) throw error;
@@ -123,6 +129,7 @@ async function createDefaultAdmin() {
         console.log('   ✅ Created default admin user');
         console.log(`   📧 Email: ${DEFAULT_ADMIN.email}`);
         console.log(`   🔑 Password: ${DEFAULT_ADMIN.password}`);
+        console.log('   ⚠️  Run admin-auth-migration.sql to hash the password before logging in');
         
     } catch (error) {
         console.log('   ⚠️  Could not create default admin:', error.message);
@@ -0,0 +1,514 @@
+/**
+ * Site Search
+ * Search overlay behind the header search button including:
+ * - An index of page text (website_content for every page in CONTENT_MAPPING), team members and active listings
+ * - Typo-tolerant ranking (exact > prefix > substring > small edit distance)
+ * - Keyboard navigation (↑ / ↓ / Enter / Esc, "/" to open)
+ * - Deep links to the matching section (#content=<id>), member (#member=<id>) or listing (?listing=<id>)
+ */
+
+import dbService from './supabase-client.js';
+import listingDetailView from './listing-detail.js';
+import { CONTENT_MAPPING } from './supabase-config.js';
+import { htmlToText } from './rich-text.js';
+import { escapeHtml } from './safe-html.js';
+import { isPubliclyListed } from './listing-status.js';
+import { isSeoKey } from './seo.js';
+
+const PAGE_LABELS = {
+    'index.html': 'Home',
+    'about.html': 'About',
+    'rentals.html': 'Rentals',
+    'contact.html': 'Contact'
+};
+
+const TYPE_LABELS = {
+    content: '📄',
+    member: '👤',
+    listing: '🏠'
+};
+
+const MAX_RESULTS = 20;
+const HIGHLIGHT_MS = 2500;
+const TARGET_WAIT_MS = 5000; // Team members and listings render after their own database load
+
+/**
+ * Lowercase, strip accents and punctuation
+ */
+function normalize(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function tokenize(text) {
+    const normalized = normalize(text);
+    return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps), giving up above maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How well one query word matches one indexed word (0 = no match)
+ */
+function scoreToken(queryToken, token) {
+    if (token === queryToken) return 1;
+    if (token.startsWith(queryToken)) return 0.8;
+    if (queryToken.length >= 3 && token.includes(queryToken)) return 0.5;
+
+    // Short words must match exactly; longer ones tolerate one or two typos
+    const maxEdits = queryToken.length >= 8 ? 2 : (queryToken.length >= 4 ? 1 : 0);
+    if (maxEdits === 0) return 0;
+
+    const distance = Math.min(
+        editDistance(queryToken, token, maxEdits),
+        // Typo inside a word that is still being typed
+        token.length > queryToken.length ? editDistance(queryToken, token.slice(0, queryToken.length), maxEdits) + 0.5 : Infinity
+    );
+    return distance <= maxEdits ? 0.6 - 0.2 * (distance - 1) : 0;
+}
+
+/**
+ * Every query word has to match somewhere; title fields weigh more than body text
+ * @returns {Object} { score, field } - field is the best matching field, used for the snippet
+ */
+function scoreDocument(queryTokens, doc) {
+    let total = 0;
+    let bestField = null;
+    let bestFieldScore = 0;
+
+    for (const queryToken of queryTokens) {
+        let best = 0;
+        for (const field of doc.fields) {
+            for (const token of field.tokens) {
+                const score = scoreToken(queryToken, token) * field.weight;
+                if (score > best) {
+                    best = score;
+                }
+                if (score > bestFieldScore) {
+                    bestFieldScore = score;
+                    bestField = field;
+                }
+            }
+        }
+        if (best === 0) {
+            return { score: 0, field: null };
+        }
+        total += best;
+    }
+
+    return { score: total, field: bestField };
+}
+
+/**
+ * Short excerpt of a field around the first query word it contains
+ */
+function makeSnippet(text, queryTokens, length = 120) {
+    const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    if (value.length <= length) return value;
+
+    const lower = normalize(value);
+    const hit = queryTokens
+        .map(token => lower.indexOf(token))
+        .filter(index => index >= 0)
+        .sort((a, b) => a - b)[0] || 0;
+    const start = Math.max(0, Math.min(hit - 30, value.length - length));
+    return `${start > 0 ? '…' : ''}${value.slice(start, start + length).trim()}${start + length < value.length ? '…' : ''}`;
+}
+
+class SiteSearch {
+    constructor() {
+        this.dbService = dbService;
+        this.currentPage = window.location.pathname.split('/').pop() || 'index.html';
+        this.documents = null;
+        this.indexPromise = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.overlay = null;
+        this.input = null;
+        this.resultsList = null;
+        this.previousFocus = null;
+        this.inputTimer = null;
+    }
+
+    /**
+     * Load everything searchable once per page view
+     */
+    loadIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = this.buildIndex().then(documents => {
+                this.documents = documents;
+                return documents;
+            });
+        }
+        return this.indexPromise;
+    }
+
+    async buildIndex() {
+        console.log('🔍 Building site search index...');
+        const field = (text, weight) => ({ text: String(text ?? ''), tokens: tokenize(text), weight });
+
+        const [contentResult, teamResult, listingResult] = await Promise.all([
+            this.dbService.supabase
+                .from('website_content')
+                .select('page_name, element_id, content_text, content_type, updated_at')
+                .in('page_name', Object.keys(CONTENT_MAPPING))
+                .eq('is_active', true),
+            this.dbService.getTeamMembers('about.html'),
+            this.dbService.getRentalListings()
+        ]);
+
+        const documents = [];
+
+        if (contentResult.error) {
+            console.error('❌ Search could not load page content:', contentResult.error);
+        } else {
+            // Keep the latest row per element, as loadContentFromDatabase does
+            const latest = new Map();
+            (contentResult.data || []).forEach(item => {
+                const key = `${item.page_name}:${item.element_id}`;
+                const existing = latest.get(key);
+                if (!existing || new Date(item.updated_at) > new Date(existing.updated_at)) {
+                    latest.set(key, item);
+                }
+            });
+
+            latest.forEach(item => {
+                // Page metadata isn't on the page to link to
+                if (isSeoKey(item.element_id)) return;
+
+                // Search the words of rich-text rows, not their markup
+                const text = item.content_type === 'html' ? htmlToText(item.content_text) : item.content_text;
+                if (!text || !text.trim()) return;
+                const pageLabel = PAGE_LABELS[item.page_name] || item.page_name;
+                const isHeading = /title|name|heading/.test(item.element_id);
+                documents.push({
+                    type: 'content',
+                    title: makeSnippet(text, [], 70),
+                    subtitle: pageLabel,
+                    url: `${item.page_name}#content=${encodeURIComponent(item.element_id)}`,
+                    fields: [
+                        field(text, isHeading ? 1.5 : 1),
+                        field(pageLabel, 0.5)
+                    ]
+                });
+            });
+        }
+
+        if (teamResult.error) {
+            console.error('❌ Search could not load team members:', teamResult.error);
+        } else {
+            teamResult.teamMembers.forEach(member => {
+                documents.push({
+                    type: 'member',
+                    title: member.name,
+                    subtitle: member.position || 'Team',
+                    url: `about.html#member=${encodeURIComponent(member.id)}`,
+                    fields: [
+                        field(member.name, 2),
+                        field(member.position, 1.5),
+                        field([member.bio, member.bio_paragraph_2].filter(Boolean).map(htmlToText).join(' '), 1)
+                    ]
+                });
+            });
+        }
+
+        if (listingResult.error) {
+            console.error('❌ Search could not load rental listings:', listingResult.error);
+        } else {
+            listingResult.rentalListings.filter(listing => isPubliclyListed(listing)).forEach(listing => {
+                const place = [listing.address, listing.city].filter(Boolean).join(', ');
+                documents.push({
+                    type: 'listing',
+                    title: listing.title || listing.address || 'Rental listing',
+                    subtitle: [place, listing.neighborhood].filter(Boolean).join(' · ') || 'Rentals',
+                    url: `rentals.html?listing=${encodeURIComponent(listing.id)}`,
+                    fields: [
+                        field(listing.title, 2),
+                        field(listing.address, 1.5),
+                        field(listing.city, 1.5),
+                        field(listing.neighborhood, 1.5),
+                        field(listingDetailView.parseFeatures(listing.features).join(', '), 1)
+                    ]
+                });
+            });
+        }
+
+        console.log(`✅ Search index ready (${documents.length} entries)`);
+        return documents;
+    }
+
+    /**
+     * Rank indexed entries for a query
+     */
+    search(query) {
+        const queryTokens = tokenize(query);
+        if (queryTokens.length === 0 || !this.documents) {
+            return [];
+        }
+
+        return this.documents
+            .map(doc => {
+                const { score, field } = scoreDocument(queryTokens, doc);
+                return { doc, score, snippet: field ? makeSnippet(field.text, queryTokens) : '' };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+            .slice(0, MAX_RESULTS);
+    }
+
+    open() {
+        if (this.overlay) {
+            this.input.focus();
+            return;
+        }
+
+        this.previousFocus = document.activeElement;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'site-search-overlay';
+        overlay.innerHTML = `
+            <div class="site-search-dialog" role="dialog" aria-modal="true" aria-label="Search the site">
+                <div class="site-search-header">
+                    <input type="search" class="site-search-input" placeholder="Search pages, team and rentals..."
+                           role="combobox" aria-expanded="false" aria-controls="site-search-results"
+                           aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                    <button type="button" class="site-search-close" aria-label="Close search">&times;</button>
+                </div>
+                <ul id="site-search-results" class="site-search-results" role="listbox"></ul>
+                <p class="site-search-status" aria-live="polite">Loading search index...</p>
+            </div>
+        `;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+        overlay.querySelector('.site-search-close').addEventListener('click', () => this.close());
+
+        this.input = overlay.querySelector('.site-search-input');
+        this.resultsList = overlay.querySelector('.site-search-results');
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.inputTimer);
+            this.inputTimer = setTimeout(() => this.updateResults(), 120);
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.resultsList.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[data-result-index]');
+            if (item) this.setActive(parseInt(item.dataset.resultIndex));
+        });
+
+        document.body.appendChild(overlay);
+        document.body.style.overflow = 'hidden';
+        this.overlay = overlay;
+        this.input.focus();
+
+        this.loadIndex().then(() => this.updateResults());
+    }
+
+    close() {
+        if (!this.overlay) return;
+
+        clearTimeout(this.inputTimer);
+        this.overlay.remove();
+        this.overlay = null;
+        this.input = null;
+        this.resultsList = null;
+        this.results = [];
+        this.activeIndex = -1;
+        document.body.style.overflow = '';
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+    }
+
+    updateResults() {
+        if (!this.overlay) return;
+
+        const status = this.overlay.querySelector('.site-search-status');
+        const query = this.input.value.trim();
+        this.results = this.search(query);
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+
+        this.resultsList.innerHTML = this.results.map((result, index) => `
+            <li id="site-search-result-${index}" class="site-search-result" role="option" data-result-index="${index}" aria-selected="false">
+                <a href="${escapeHtml(result.doc.url)}" tabindex="-1">
+                    <span class="site-search-type" aria-hidden="true">${TYPE_LABELS[result.doc.type]}</span>
+                    <span class="site-search-text">
+                        <strong>${escapeHtml(result.doc.title)}</strong>
+                        <small>${escapeHtml(result.doc.subtitle)}</small>
+                        ${result.snippet && result.snippet !== result.doc.title ? `<span class="site-search-snippet">${escapeHtml(result.snippet)}</span>` : ''}
+                    </span>
+                </a>
+            </li>
+        `).join('');
+
+        this.resultsList.querySelectorAll('a').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.navigate(link.getAttribute('href'));
+            });
+        });
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        if (!this.documents) {
+            status.textContent = 'Loading search index...';
+        } else if (!query) {
+            status.textContent = 'Type to search pages, team members and rentals.';
+        } else {
+            status.textContent = this.results.length === 0
+                ? `No results for "${query}".`
+                : `${this.results.length} result${this.results.length === 1 ? '' : 's'}`;
+        }
+
+        this.setActive(this.activeIndex);
+    }
+
+    setActive(index) {
+        if (!this.resultsList) return;
+
+        this.activeIndex = index;
+        this.resultsList.querySelectorAll('.site-search-result').forEach((item, i) => {
+            const isActive = i === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        if (index >= 0) {
+            this.input.setAttribute('aria-activedescendant', `site-search-result-${index}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            this.setActive((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            this.setActive((this.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = this.results[this.activeIndex];
+            if (result) {
+                this.navigate(result.doc.url);
+            }
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Go to a result; same-page links only change the hash so nothing reloads
+     */
+    navigate(url) {
+        const target = new URL(url, window.location.href);
+        const targetPage = target.pathname.split('/').pop() || 'index.html';
+        this.close();
+
+        if (targetPage === this.currentPage && target.search === window.location.search && target.hash) {
+            if (window.location.hash === target.hash) {
+                this.revealTarget();
+            } else {
+                window.location.hash = target.hash;
+            }
+            return;
+        }
+
+        window.location.href = target.href;
+    }
+
+    /**
+     * Scroll to and highlight the element named in #content=<id> or #member=<id>
+     */
+    async revealTarget() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const contentId = params.get('content');
+        const memberId = params.get('member');
+        if (!contentId && !memberId) return;
+
+        const findTarget = () => {
+            if (memberId) {
+                return document.querySelector(`.team-member[data-member-id="${CSS.escape(memberId)}"]`);
+            }
+            const mapping = (CONTENT_MAPPING[this.currentPage] || {})[contentId];
+            return document.querySelector(`[data-editable-id="${CSS.escape(contentId)}"]`) ||
+                (mapping ? document.querySelector(mapping.selector) : null);
+        };
+
+        // Content and team members are applied after their database loads finish
+        let element = findTarget();
+        const deadline = Date.now() + TARGET_WAIT_MS;
+        while (!element && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 250));
+            element = findTarget();
+        }
+
+        if (!element) {
+            console.warn(`⚠️ Search target not found on this page: ${window.location.hash}`);
+            return;
+        }
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('site-search-highlight');
+        setTimeout(() => element.classList.remove('site-search-highlight'), HIGHLIGHT_MS);
+    }
+}
+
+// Create global instance
+const siteSearch = new SiteSearch();
+
+// Make globally available for the header search button (modern-navigation.js) and debugging
+window.siteSearch = siteSearch;
+
+document.addEventListener('DOMContentLoaded', () => {
+    siteSearch.revealTarget();
+});
+
+window.addEventListener('hashchange', () => siteSearch.revealTarget());
+
+// "/" opens search unless the user is typing somewhere
+document.addEventListener('keydown', (e) => {
+    const target = e.target;
+    const isTyping = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    if (e.key === '/' && !isTyping && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        siteSearch.open();
+    }
+});
+
+export default siteSearch;
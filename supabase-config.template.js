@@ -5,8 +5,10 @@
 const SUPABASE_CONFIG = {
     // Get these from your Supabase Dashboard > Settings > API
     url: 'https://YOUR_PROJECT_ID.supabase.co',
-    anonKey: 'YOUR_ANON_KEY_HERE',
-    serviceRoleKey: 'YOUR_SERVICE_ROLE_KEY_HERE' // Keep this secret!
+    anonKey: 'YOUR_ANON_KEY_HERE'
+    
+    // The service role key is never shipped to the browser: it lives only in the admin-api
+    // Edge Function and in Node scripts (SUPABASE_SERVICE_ROLE_KEY environment variable)
     
     // Note: Database connection URLs are not needed for frontend operations
     // The Supabase client handles all database connections automatically
@@ -22,7 +24,8 @@ const DATABASE_SCHEMAS = {
             password_hash VARCHAR(255) NOT NULL,
             created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
             last_login TIMESTAMP WITH TIME ZONE,
-            is_active BOOLEAN DEFAULT true
+            is_active BOOLEAN DEFAULT true,
+            role VARCHAR(20) NOT NULL DEFAULT 'viewer'
         );
     `,
     
@@ -126,7 +129,8 @@ const RLS_POLICIES = {
 // Default admin user (you should change this password)
 const DEFAULT_ADMIN = {
     email: 'admin@wolfpm.com',
-    password: 'admin123', // This will be hashed before storage
+    password: 'admin123', // Hashed with bcrypt by admin-auth-migration.sql
+    role: 'owner',
     isActive: true
 };
 
@@ -140,7 +144,8 @@ const CONTENT_MAPPING = {
         
         // Find Your Edge Section
         'find-your-edge-title': { selector: '.find-your-edge h2', type: 'text' },
-        'find-your-edge-content': { selector: '.find-your-edge p', type: 'text' },
+        'find-your-edge-content': { selector: '.find-your-edge p', type: 'html' },
+        'find-your-edge-content-2': { selector: '.find-your-edge p:nth-of-type(2)', type: 'html' },
         
         // Neighborhood Spotlights
         'neighborhood-title': { selector: '.neighborhood-spotlights h2', type: 'text' },
@@ -154,11 +159,11 @@ const CONTENT_MAPPING = {
         // Services Section
         'services-title': { selector: '.services h2', type: 'text' },
         'residential-title': { selector: '.service-card:nth-child(1) h3', type: 'text' },
-        'residential-description': { selector: '.service-card:nth-child(1) p', type: 'text' },
+        'residential-description': { selector: '.service-card:nth-child(1) p', type: 'html' },
         'commercial-title': { selector: '.service-card:nth-child(2) h3', type: 'text' },
-        'commercial-description': { selector: '.service-card:nth-child(2) p', type: 'text' },
+        'commercial-description': { selector: '.service-card:nth-child(2) p', type: 'html' },
         'hoa-title': { selector: '.service-card:nth-child(3) h3', type: 'text' },
-        'hoa-description': { selector: '.service-card:nth-child(3) p', type: 'text' },
+        'hoa-description': { selector: '.service-card:nth-child(3) p', type: 'html' },
         
         // Service Categories
         'categories-title': { selector: '.service-categories h2', type: 'text' },
@@ -199,7 +204,16 @@ const CONTENT_MAPPING = {
         
         // Company Story
         'about-company-title': { selector: '.about-company h2', type: 'text' },
-        'about-company-content': { selector: '.about-content p', type: 'text' },
+        'about-company-content': { selector: '.about-content p', type: 'html' },
+        'about-company-content-2': { selector: '.about-content p:nth-of-type(2)', type: 'html' },
+        
+        // Values
+        'value-excellence-title': { selector: '.value-card:nth-child(1) h3', type: 'text' },
+        'value-excellence-description': { selector: '.value-card:nth-child(1) p', type: 'html' },
+        'value-expertise-title': { selector: '.value-card:nth-child(2) h3', type: 'text' },
+        'value-expertise-description': { selector: '.value-card:nth-child(2) p', type: 'html' },
+        'value-focus-title': { selector: '.value-card:nth-child(3) h3', type: 'text' },
+        'value-focus-description': { selector: '.value-card:nth-child(3) p', type: 'html' },
         
         // Team Section
         'team-title': { selector: '.team-members h2', type: 'text' },
@@ -220,7 +234,7 @@ const CONTENT_MAPPING = {
         
         // Call to Action
         'cta-title': { selector: '.cta-section h2', type: 'text' },
-        'cta-description': { selector: '.cta-section p', type: 'text' },
+        'cta-description': { selector: '.cta-section p', type: 'html' },
         
         // Footer
         'footer-company': { selector: '.footer-info h3', type: 'text' },
@@ -230,4 +244,85 @@ const CONTENT_MAPPING = {
     }
 };
 
-export { SUPABASE_CONFIG, DATABASE_SCHEMAS, RLS_POLICIES, DEFAULT_ADMIN, CONTENT_MAPPING }; 
\ No newline at end of file
+// Search and social metadata. Admins can override each page's title, description and share image
+// (stored in website_content under the page's 'seo-title', 'seo-description' and 'seo-image' keys);
+// these are the defaults. siteUrl is the public address used for canonical URLs and sitemap.xml.
+const SEO_CONFIG = {
+    siteUrl: 'https://www.wolfpropmgmt.com',
+    siteName: 'Wolf Property Management',
+    defaultImage: 'https://srpspzgemnfxkqalgjmz.supabase.co/storage/v1/object/public/wolf-property-images/images/wolf-logo.png',
+    pages: {
+        'index.html': {
+            title: 'Wolf Property Management',
+            description: 'Residential, commercial and HOA property management in Georgetown and the greater Austin area.'
+        },
+        'about.html': {
+            title: 'About Us - Wolf Property Management',
+            description: 'Meet the Wolf Property Management team and learn how we care for owners, tenants and associations.'
+        },
+        'rentals.html': {
+            title: 'Available Rentals - Wolf Property Management',
+            description: 'Browse homes for rent in Georgetown and the greater Austin area, with photos, pricing and online applications.'
+        },
+        'contact.html': {
+            title: 'Contact - Wolf Property Management',
+            description: 'Call, email or visit Wolf Property Management at 200 Riverbend Dr, Georgetown, TX.'
+        }
+    },
+    // Contact details for the LocalBusiness structured data (as shown on contact.html)
+    business: {
+        telephone: '+1-512-868-2093',
+        email: 'Office@WolfPropMgmt.com',
+        address: {
+            streetAddress: '200 Riverbend Dr',
+            addressLocality: 'Georgetown',
+            addressRegion: 'TX',
+            postalCode: '78628',
+            addressCountry: 'US'
+        },
+        geo: { latitude: 30.634409, longitude: -97.694205 },
+        openingHours: [
+            { days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday'], opens: '08:00', closes: '17:00' }
+        ]
+    }
+};
+
+// Map configuration for the rentals map panel
+// Point tileUrl at a local tile server (e.g. 'http://localhost:8080/{z}/{x}/{y}.png') for offline testing
+const MAP_CONFIG = {
+    tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19,
+    defaultCenter: [30.6327, -97.6779], // Georgetown, TX
+    defaultZoom: 10
+};
+
+// Rental application settings
+const APPLICATION_CONFIG = {
+    // Combined monthly income must be at least rent_price x the listing's income_multiplier;
+    // this is only the fallback for listings loaded without that column
+    incomeMultiplier: 3,
+    statuses: ['new', 'screening', 'approved', 'denied']
+};
+
+// Contact form inquiries (leads-table.sql enforces the same types and statuses)
+const LEAD_CONFIG = {
+    inquiryTypes: {
+        owner: 'Property owner - management services',
+        tenant: 'Tenant question',
+        hoa: 'HOA board',
+        commercial: 'Commercial property'
+    },
+    statuses: ['new', 'contacted', 'in_progress', 'converted', 'closed']
+};
+
+// Admin roles and the actions each one may perform
+// (session lifetime is enforced by admin_sign_in in admin-auth-migration.sql)
+const ROLE_PERMISSIONS = {
+    owner: ['edit', 'save', 'publish', 'restore', 'delete', 'review_applications', 'manage_leads', 'manage_users', 'view_audit_log', 'migrate_content'],
+    editor: ['edit', 'save', 'publish', 'restore', 'delete', 'review_applications', 'manage_leads'],
+    leasing_agent: ['edit', 'save', 'review_applications', 'manage_leads'],
+    viewer: []
+};
+
+export { SUPABASE_CONFIG, DATABASE_SCHEMAS, RLS_POLICIES, DEFAULT_ADMIN, CONTENT_MAPPING, SEO_CONFIG, MAP_CONFIG, APPLICATION_CONFIG, LEAD_CONFIG, ROLE_PERMISSIONS }; 
\ No newline at end of file
@@ -0,0 +1,334 @@
+/**
+ * Admin API (Supabase Edge Function)
+ * Storage work that needs the service role key, which now only exists here:
+ * - upload: store a file and its media library row (multipart form: bucket, subfolder, file, altText,
+ *   folder, pageName), or a resized copy of an uploaded image (multipart form: bucket, variantOf, width, file)
+ * - list: every file in a bucket, recursively
+ * - sign: signed URLs for private files, valid for a day at most (visitors may sign only the images under
+ *   PUBLIC_SIGN_PREFIXES, which the public pages use)
+ * - delete: remove a file, its resized copies and its media library row
+ *
+ * Every request carries the admin session token in the x-admin-session header; it is checked
+ * with admin_validate_session and the role against the same permissions as ROLE_PERMISSIONS.
+ *
+ * Deploy: npx supabase functions deploy admin-api
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are provided by the Edge runtime.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-admin-session',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Keep in sync with ROLE_PERMISSIONS in supabase-config.js
+const ROLE_PERMISSIONS: Record<string, string[]> = {
+    owner: ['edit', 'delete'],
+    editor: ['edit', 'delete'],
+    leasing_agent: ['edit'],
+    viewer: []
+};
+
+const BUCKETS = ['wolf-property-images', 'figures', 'website-media'];
+
+// Images on the public pages live under images/ in this private bucket; visitors get short-lived URLs
+// for those and nothing else. Admin uploads to the bucket go to UPLOAD_FOLDERS so they can be shown.
+const PUBLIC_SIGN_BUCKETS = ['wolf-property-images'];
+const PUBLIC_SIGN_PREFIXES = ['images/'];
+const UPLOAD_FOLDERS: Record<string, string> = { 'wolf-property-images': 'images' };
+
+// Pages sign their images again on every load, so no signed URL needs to outlive a day
+const MAX_SIGNED_URL_SECONDS = 24 * 60 * 60;
+
+// Resized copies made by the upload pipeline (IMAGE_FORMATS / IMAGE_WIDTHS in responsive-images.js)
+const VARIANT_TYPES: Record<string, string> = { 'image/avif': 'avif', 'image/webp': 'webp' };
+const VARIANTS_FOLDER = '_variants';
+const MAX_VARIANT_WIDTH = 4096;
+
+class ApiError extends Error {
+    status: number;
+
+    constructor(code: string, status = 400) {
+        super(code);
+        this.status = status;
+    }
+}
+
+function json(body: unknown, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * The signed-in admin for the request's session token, or null without a token
+ */
+async function getActor(req: Request) {
+    const token = req.headers.get('x-admin-session');
+    if (!token) return null;
+
+    const { data, error } = await supabase.rpc('admin_validate_session', { p_token: token });
+    if (error) throw error;
+
+    const session = Array.isArray(data) ? data[0] : data;
+    if (!session) throw new ApiError('SESSION_EXPIRED', 401);
+    return session;
+}
+
+function requirePermission(actor: { role: string } | null, action: string) {
+    if (!actor) throw new ApiError('SESSION_EXPIRED', 401);
+    if (!(ROLE_PERMISSIONS[actor.role] || []).includes(action)) {
+        throw new ApiError('PERMISSION_DENIED', 403);
+    }
+}
+
+function requireBucket(bucket: unknown) {
+    if (typeof bucket !== 'string' || !BUCKETS.includes(bucket)) {
+        throw new ApiError('UNKNOWN_BUCKET');
+    }
+    return bucket;
+}
+
+function cleanPath(path: unknown) {
+    const value = String(path ?? '').replace(/^\/+|\/+$/g, '');
+    if (value.split('/').some(part => part === '..')) {
+        throw new ApiError('INVALID_PATH');
+    }
+    return value;
+}
+
+/**
+ * Where a resized copy of an image lives: images/photo.jpg -> images/_variants/photo-960w.webp
+ * Keep in sync with getVariantPath() in responsive-images.js
+ */
+function variantPath(originalPath: string, width: number, type: string) {
+    const slash = originalPath.lastIndexOf('/');
+    const folder = slash > -1 ? `${originalPath.slice(0, slash)}/` : '';
+    const baseName = originalPath.slice(slash + 1).replace(/\.[^.]+$/, '');
+    return `${folder}${VARIANTS_FOLDER}/${baseName}-${width}w.${VARIANT_TYPES[type]}`;
+}
+
+async function writeAudit(actor: { id: string; email: string }, entry: Record<string, unknown>) {
+    const { error } = await supabase.from('audit_log').insert({
+        actor_id: actor.id,
+        actor_email: actor.email,
+        entity_type: 'media',
+        ...entry
+    });
+    if (error) console.warn('Could not write audit log entry:', error.message);
+}
+
+/**
+ * Keep the media library row (media-library-migration.sql) in step with storage.
+ * Storage is the source of truth, so a failure is logged and does not fail the request.
+ */
+async function writeMediaAsset(row: Record<string, unknown>) {
+    const { error } = await supabase.from('media_content').upsert({
+        page_name: 'media-library',
+        element_id: `${row.bucket_name}/${row.file_path}`.slice(0, 255),
+        is_active: true,
+        updated_at: new Date().toISOString(),
+        ...row
+    }, { onConflict: 'bucket_name,file_path' });
+    if (error) console.warn('Could not write media library row:', error.message);
+}
+
+async function removeMediaAsset(bucket: string, filePath: string) {
+    const { error } = await supabase.from('media_content').delete().eq('bucket_name', bucket).eq('file_path', filePath);
+    if (error) console.warn('Could not remove media library row:', error.message);
+}
+
+async function upload(req: Request, actor: any) {
+    requirePermission(actor, 'edit');
+
+    const form = await req.formData();
+    const bucket = requireBucket(form.get('bucket'));
+    const requestedFolder = cleanPath(form.get('subfolder'));
+    const uploadFolder = UPLOAD_FOLDERS[bucket];
+    const subfolder = uploadFolder && requestedFolder !== uploadFolder && !requestedFolder.startsWith(`${uploadFolder}/`)
+        ? [uploadFolder, requestedFolder].filter(Boolean).join('/')
+        : requestedFolder;
+    const file = form.get('file');
+    if (!(file instanceof File)) throw new ApiError('FILE_REQUIRED');
+
+    if (form.get('variantOf')) {
+        return uploadVariant(bucket, form, file);
+    }
+
+    // Same naming as before: timestamp plus the name without spaces or special characters
+    const sanitizedFileName = file.name
+        .replace(/\s+/g, '-')
+        .replace(/[^a-zA-Z0-9.-]/g, '')
+        .toLowerCase();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `${timestamp}-${sanitizedFileName}`;
+    const filePath = subfolder ? `${subfolder}/${fileName}` : fileName;
+
+    const { error } = await supabase.storage.from(bucket).upload(filePath, file, {
+        cacheControl: '3600',
+        contentType: file.type || undefined,
+        upsert: false
+    });
+    if (error) throw error;
+
+    const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(filePath);
+
+    await writeMediaAsset({
+        bucket_name: bucket,
+        file_path: filePath,
+        file_name: fileName.slice(0, 255),
+        file_url: urlData.publicUrl,
+        file_type: (file.type || 'application/octet-stream').slice(0, 50),
+        folder: cleanPath(form.get('folder') || requestedFolder).slice(0, 255),
+        alt_text: form.get('altText') || null
+    });
+
+    await writeAudit(actor, {
+        action: 'upload',
+        entity_id: `${bucket}/${filePath}`,
+        page_name: form.get('pageName') || null,
+        summary: `Uploaded ${file.name}`,
+        after_data: { bucketName: bucket, filePath, originalFileName: file.name, size: file.size, type: file.type, altText: form.get('altText') || '' }
+    });
+
+    return { url: urlData.publicUrl, fileName, filePath, bucketName: bucket, originalFileName: file.name };
+}
+
+/**
+ * Store a resized copy next to its original. Not audited: it is part of the original's upload.
+ */
+async function uploadVariant(bucket: string, form: FormData, file: File) {
+    const originalPath = cleanPath(form.get('variantOf'));
+    const width = Number(form.get('width'));
+    if (!originalPath || originalPath.split('/').includes(VARIANTS_FOLDER)) throw new ApiError('INVALID_PATH');
+    if (!VARIANT_TYPES[file.type]) throw new ApiError('INVALID_VARIANT_TYPE');
+    if (!Number.isInteger(width) || width <= 0 || width > MAX_VARIANT_WIDTH) throw new ApiError('INVALID_VARIANT_WIDTH');
+
+    const filePath = variantPath(originalPath, width, file.type);
+    const { error } = await supabase.storage.from(bucket).upload(filePath, file, {
+        cacheControl: '31536000',
+        contentType: file.type,
+        upsert: true
+    });
+    if (error) throw error;
+
+    const { data: urlData } = supabase.storage.from(bucket).getPublicUrl(filePath);
+    return { url: urlData.publicUrl, filePath, bucketName: bucket, width, type: file.type };
+}
+
+async function list(body: any, actor: any) {
+    requirePermission(actor, 'edit');
+    const bucket = requireBucket(body.bucket);
+
+    const listFolder = async (folder: string): Promise<any[]> => {
+        const { data, error } = await supabase.storage.from(bucket).list(folder, {
+            limit: 1000,
+            offset: 0,
+            sortBy: { column: 'created_at', order: 'desc' }
+        });
+        if (error) throw error;
+
+        let files: any[] = [];
+        for (const item of data || []) {
+            const fullPath = folder ? `${folder}/${item.name}` : item.name;
+            if (item.id === null) {
+                files = files.concat(await listFolder(fullPath));
+            } else {
+                files.push({ ...item, fullPath });
+            }
+        }
+        return files;
+    };
+
+    return { files: await listFolder(cleanPath(body.path)) };
+}
+
+async function sign(body: any, actor: any) {
+    const bucket = requireBucket(body.bucket);
+    const paths: string[] = (Array.isArray(body.paths) ? body.paths : [body.path]).map(cleanPath).filter(Boolean);
+    const expiresIn = Math.min(Math.max(Math.floor(Number(body.expiresIn)) || 3600, 60), MAX_SIGNED_URL_SECONDS);
+
+    const isAdmin = actor && (ROLE_PERMISSIONS[actor.role] || []).includes('edit');
+    if (!isAdmin) {
+        if (!PUBLIC_SIGN_BUCKETS.includes(bucket)) throw new ApiError('PERMISSION_DENIED', 403);
+        if (!paths.every(path => PUBLIC_SIGN_PREFIXES.some(prefix => path.startsWith(prefix)))) {
+            throw new ApiError('PERMISSION_DENIED', 403);
+        }
+    }
+
+    if (paths.length === 0) return { signedUrls: [] };
+
+    const { data, error } = await supabase.storage.from(bucket).createSignedUrls(paths, expiresIn);
+    if (error) throw error;
+
+    return { signedUrls: data.map(item => ({ path: item.path, signedUrl: item.signedUrl, error: item.error })) };
+}
+
+async function remove(body: any, actor: any) {
+    requirePermission(actor, 'delete');
+    const bucket = requireBucket(body.bucket);
+    const filePath = cleanPath(body.path);
+    if (!filePath) throw new ApiError('INVALID_PATH');
+
+    // Resized copies go with the original
+    const slash = filePath.lastIndexOf('/');
+    const variantsFolder = `${slash > -1 ? filePath.slice(0, slash + 1) : ''}${VARIANTS_FOLDER}`;
+    const baseName = filePath.slice(slash + 1).replace(/\.[^.]+$/, '');
+    const { data: variants } = await supabase.storage.from(bucket).list(variantsFolder, { search: `${baseName}-` });
+    const variantPaths = (variants || [])
+        .filter(item => item.name.startsWith(`${baseName}-`) && /^\d+w\.(avif|webp)$/.test(item.name.slice(baseName.length + 1)))
+        .map(item => `${variantsFolder}/${item.name}`);
+
+    const { error } = await supabase.storage.from(bucket).remove([filePath, ...variantPaths]);
+    if (error) throw error;
+
+    await removeMediaAsset(bucket, filePath);
+
+    await writeAudit(actor, {
+        action: 'delete',
+        entity_id: `${bucket}/${filePath}`,
+        page_name: body.pageName || null,
+        summary: `Deleted ${filePath.split('/').pop()}`,
+        before_data: { bucketName: bucket, filePath }
+    });
+
+    return { success: true };
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: CORS_HEADERS });
+    }
+    if (req.method !== 'POST') {
+        return json({ error: 'METHOD_NOT_ALLOWED' }, 405);
+    }
+
+    try {
+        const actor = await getActor(req);
+
+        if ((req.headers.get('content-type') || '').startsWith('multipart/form-data')) {
+            return json(await upload(req, actor));
+        }
+
+        const body = await req.json();
+        switch (body.action) {
+            case 'list':
+                return json(await list(body, actor));
+            case 'sign':
+                return json(await sign(body, actor));
+            case 'delete':
+                return json(await remove(body, actor));
+            default:
+                throw new ApiError('UNKNOWN_ACTION');
+        }
+    } catch (error) {
+        const status = error instanceof ApiError ? error.status : 500;
+        console.error('admin-api error:', error);
+        return json({ error: (error as Error).message || String(error) }, status);
+    }
+});
@@ -0,0 +1,464 @@
+/**
+ * Listing Feeds (Supabase Edge Function)
+ * Syndication feeds of the publicly listed rental_listings rows including:
+ * - listings.xml: rental listing feed in the Zillow Rental Network (HotPads) layout for listing portals
+ * - rss.xml: RSS 2.0 with the primary photo as enclosure and the others as media:content
+ * - feed.json: JSON Feed 1.1 with a _rental extension carrying the structured listing fields
+ *
+ * POST { action: 'regenerate' } rebuilds all three and stores them in the public website-media
+ * bucket under feeds/. It is called by the rental_listings triggers in listing-feeds-migration.sql
+ * (x-feed-secret header) and by the admin panel (x-admin-session header with 'edit' permission).
+ * GET ?format=zillow|rss|json builds a feed on the fly.
+ *
+ * Deploy: npx supabase functions deploy listing-feeds --no-verify-jwt
+ * Secrets: SITE_URL (e.g. https://www.example.com, used for listing links) and FEED_SECRET
+ * (same value as listing_feed_settings.feed_secret). SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY
+ * are provided by the Edge runtime.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+const SITE_URL = (Deno.env.get('SITE_URL') || '').replace(/\/+$/, '');
+const FEED_SECRET = Deno.env.get('FEED_SECRET') || '';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-admin-session',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+// Keep in sync with ROLE_PERMISSIONS in supabase-config.js
+const ROLE_PERMISSIONS: Record<string, string[]> = {
+    owner: ['edit'],
+    editor: ['edit'],
+    leasing_agent: ['edit'],
+    viewer: []
+};
+
+// Keep in sync with PUBLIC_STATUSES in listing-status.js
+const PUBLIC_STATUSES = ['coming_soon', 'available', 'application_pending'];
+
+const COMPANY = {
+    name: 'Wolf Property Management',
+    phone: '512-868-2093',
+    email: 'info@wolfpm.com'
+};
+
+const FEED_BUCKET = 'website-media';
+const FEED_FOLDER = 'feeds';
+const IMAGE_BUCKET = 'wolf-property-images';
+
+// Photos live in a private bucket; feeds carry signed links that outlast the daily rebuild
+const FEED_IMAGE_URL_SECONDS = 365 * 24 * 60 * 60;
+
+const FEEDS: Record<string, { fileName: string; contentType: string; build: (listings: any[]) => string }> = {
+    zillow: { fileName: 'listings.xml', contentType: 'application/xml; charset=utf-8', build: buildZillowFeed },
+    rss: { fileName: 'rss.xml', contentType: 'application/rss+xml; charset=utf-8', build: buildRssFeed },
+    json: { fileName: 'feed.json', contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+class ApiError extends Error {
+    status: number;
+
+    constructor(code: string, status = 400) {
+        super(code);
+        this.status = status;
+    }
+}
+
+function json(body: unknown, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+function escapeXml(value: unknown) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * <name>value</name>, or nothing when the value is empty
+ */
+function tag(name: string, value: unknown, attributes = '') {
+    if (value === null || value === undefined || value === '') return '';
+    return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Stored available dates ('8/5/25', '2025-08-05', 'Now') as YYYY-MM-DD, or null for "now"
+ */
+function parseAvailableDate(value: unknown) {
+    const text = String(value ?? '').trim();
+    if (!text || /now/i.test(text)) return null;
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const mmddyy = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (mmddyy) {
+        const year = mmddyy[3].length === 2 ? `20${mmddyy[3]}` : mmddyy[3];
+        return `${year}-${mmddyy[1].padStart(2, '0')}-${mmddyy[2].padStart(2, '0')}`;
+    }
+    return null;
+}
+
+/**
+ * Same rule as getListingStatus() in listing-status.js: "coming soon" with an arrived date is available
+ */
+function getListingStatus(listing: any) {
+    const status = listing.status || 'available';
+    if (status === 'coming_soon') {
+        const availableDate = parseAvailableDate(listing.available_date);
+        if (!availableDate || availableDate <= new Date().toISOString().slice(0, 10)) {
+            return 'available';
+        }
+    }
+    return status;
+}
+
+function parseList(value: unknown): string[] {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).filter(Boolean);
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            return parseList(JSON.parse(text));
+        } catch (error) {
+            // Fall through to the comma-separated form
+        }
+    }
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseAdditionalImages(value: unknown): any[] {
+    let images = value;
+    if (typeof images === 'string') {
+        try {
+            images = JSON.parse(images);
+        } catch (error) {
+            images = [];
+        }
+    }
+    if (!Array.isArray(images)) return [];
+    return images
+        .map(image => (typeof image === 'string' ? { url: image } : image))
+        .filter(image => image && (image.url || image.filename));
+}
+
+/**
+ * Pet policy flags for the portal tags (same wording checks as the rentals pets filter)
+ */
+function getPetFlags(petPolicy: unknown) {
+    const policy = String(petPolicy ?? '').toLowerCase();
+    if (!policy || /no pets|pets not allowed|no animals/.test(policy)) {
+        return { cats: false, dogs: false };
+    }
+    const anyPets = /\bpets?\b/.test(policy) && !/\b(cats?|dogs?)\b/.test(policy);
+    return {
+        cats: anyPets || /\bcats?\b/.test(policy),
+        dogs: anyPets || /\bdogs?\b/.test(policy)
+    };
+}
+
+function listingUrl(listing: any) {
+    return `${SITE_URL}/rentals.html?listing=${encodeURIComponent(listing.id)}`;
+}
+
+function listingContact(listing: any) {
+    let contact = listing.contact_info || {};
+    if (typeof contact === 'string') {
+        try {
+            contact = JSON.parse(contact);
+        } catch (error) {
+            contact = {};
+        }
+    }
+    return {
+        name: contact.name || COMPANY.name,
+        phone: contact.phone || COMPANY.phone,
+        email: contact.email || COMPANY.email
+    };
+}
+
+function listingSummary(listing: any) {
+    const parts = [
+        listing.rent_price ? `$${Number(listing.rent_price).toLocaleString('en-US')}/month` : '',
+        listing.bedrooms !== null && listing.bedrooms !== undefined ? `${listing.bedrooms} bed` : '',
+        listing.bathrooms !== null && listing.bathrooms !== undefined ? `${listing.bathrooms} bath` : '',
+        listing.square_feet ? `${Number(listing.square_feet).toLocaleString('en-US')} sq ft` : ''
+    ].filter(Boolean);
+    const availableDate = parseAvailableDate(listing.available_date);
+    return [
+        parts.join(' · '),
+        `Available: ${availableDate || 'Now'}`,
+        `Pet Policy: ${listing.pet_policy || 'Contact for details'}`,
+        listing.description || ''
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Publicly listed rows with their photo URLs resolved (signed when stored in the private bucket)
+ */
+async function loadListings() {
+    const { data, error } = await supabase
+        .from('rental_listings')
+        .select('*')
+        .eq('is_active', true)
+        .order('sort_order', { ascending: true });
+    if (error) throw error;
+
+    const listings = (data || []).filter(listing => PUBLIC_STATUSES.includes(getListingStatus(listing)));
+
+    const photosByListing = listings.map(listing => [
+        { url: listing.primary_image_url, filename: listing.primary_image_filename, alt: listing.title },
+        ...parseAdditionalImages(listing.additional_images)
+    ].filter(photo => photo.url || photo.filename));
+
+    const paths = [...new Set(photosByListing.flat().map(photo => photo.filename).filter(Boolean))];
+    const signedUrls = new Map<string, string>();
+    if (paths.length > 0) {
+        const { data: signed, error: signError } = await supabase.storage
+            .from(IMAGE_BUCKET)
+            .createSignedUrls(paths, FEED_IMAGE_URL_SECONDS);
+        if (signError) throw signError;
+        (signed || []).forEach(item => {
+            if (item.signedUrl && item.path) signedUrls.set(item.path, item.signedUrl);
+        });
+    }
+
+    return listings.map((listing, index) => ({
+        ...listing,
+        feedStatus: getListingStatus(listing),
+        photos: photosByListing[index]
+            .map(photo => ({ url: (photo.filename && signedUrls.get(photo.filename)) || photo.url, caption: photo.alt || '' }))
+            .filter(photo => /^https:\/\//.test(photo.url || ''))
+    }));
+}
+
+function buildZillowFeed(listings: any[]) {
+    const items = listings.map(listing => {
+        const contact = listingContact(listing);
+        const pets = getPetFlags(listing.pet_policy);
+        const bathrooms = Number(listing.bathrooms) || 0;
+        const amenities = [...parseList(listing.features), ...parseList(listing.amenities)];
+
+        return [
+            `<Listing id="${escapeXml(listing.id)}" type="RENTAL" companyId="${escapeXml(COMPANY.name)}" propertyType="${escapeXml(String(listing.property_type || 'House').toUpperCase())}">`,
+            tag('name', listing.title),
+            tag('street', listing.address, ' hide="false"'),
+            tag('city', listing.city),
+            tag('state', listing.state),
+            tag('zip', listing.zip_code),
+            tag('country', 'US'),
+            tag('latitude', listing.latitude),
+            tag('longitude', listing.longitude),
+            tag('lastUpdated', new Date(listing.updated_at || listing.created_at || Date.now()).toISOString()),
+            tag('contactName', contact.name),
+            tag('contactEmail', contact.email),
+            tag('contactPhone', contact.phone),
+            tag('previewMessage', listing.title),
+            tag('description', listingSummary(listing)),
+            tag('website', listingUrl(listing)),
+            tag('virtualTourUrl', listing.virtual_tour_url),
+            ...amenities.map(amenity => `<ListingTag type="PROPERTY_AMENITY">${tag('tag', amenity)}</ListingTag>`),
+            `<ListingTag type="CATS_ALLOWED">${tag('tag', String(pets.cats))}</ListingTag>`,
+            `<ListingTag type="DOGS_ALLOWED">${tag('tag', String(pets.dogs))}</ListingTag>`,
+            `<ListingTag type="PET_POLICY">${tag('tag', listing.pet_policy || 'Contact for details')}</ListingTag>`,
+            ...listing.photos.map((photo: any) => `<ListingPhoto source="${escapeXml(photo.url)}">${tag('caption', photo.caption)}</ListingPhoto>`),
+            tag('price', listing.rent_price),
+            tag('pricingFrequency', 'MONTHLY'),
+            tag('deposit', listing.deposit_amount),
+            tag('numBedrooms', listing.bedrooms),
+            tag('numFullBaths', Math.floor(bathrooms)),
+            tag('numHalfBaths', bathrooms % 1 >= 0.5 ? 1 : 0),
+            tag('squareFeet', listing.square_feet),
+            tag('dateAvailable', parseAvailableDate(listing.available_date) || new Date().toISOString().slice(0, 10)),
+            tag('leaseTerm', listing.lease_term)
+        ].filter(Boolean).join('\n    ') + '\n  </Listing>';
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<hotPadsItems version="2.1">',
+        ...items.map(item => `  ${item}`),
+        '</hotPadsItems>',
+        ''
+    ].join('\n');
+}
+
+function buildRssFeed(listings: any[]) {
+    const items = listings.map(listing => {
+        const [primaryPhoto, ...otherPhotos] = listing.photos;
+        return [
+            '<item>',
+            tag('title', `${listing.title} - $${Number(listing.rent_price || 0).toLocaleString('en-US')}/month`),
+            tag('link', listingUrl(listing)),
+            tag('guid', listing.id, ' isPermaLink="false"'),
+            tag('pubDate', new Date(listing.created_at || Date.now()).toUTCString()),
+            tag('category', listing.feedStatus),
+            tag('description', listingSummary(listing)),
+            primaryPhoto ? `<enclosure url="${escapeXml(primaryPhoto.url)}" length="0" type="image/jpeg"/>` : '',
+            ...otherPhotos.map((photo: any) => `<media:content url="${escapeXml(photo.url)}" medium="image"/>`)
+        ].filter(Boolean).join('\n      ') + '\n    </item>';
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    ${tag('title', `${COMPANY.name} - Available Rentals`)}`,
+        `    ${tag('link', `${SITE_URL}/rentals.html`)}`,
+        `    <atom:link href="${escapeXml(getFeedUrl('rss'))}" rel="self" type="application/rss+xml"/>`,
+        `    ${tag('description', `Rental homes currently listed by ${COMPANY.name}`)}`,
+        `    ${tag('lastBuildDate', new Date().toUTCString())}`,
+        ...items.map(item => `    ${item}`),
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function buildJsonFeed(listings: any[]) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: `${COMPANY.name} - Available Rentals`,
+        home_page_url: `${SITE_URL}/rentals.html`,
+        feed_url: getFeedUrl('json'),
+        items: listings.map(listing => ({
+            id: String(listing.id),
+            url: listingUrl(listing),
+            title: listing.title,
+            content_text: listingSummary(listing),
+            image: listing.photos[0]?.url,
+            date_published: listing.created_at ? new Date(listing.created_at).toISOString() : undefined,
+            date_modified: listing.updated_at ? new Date(listing.updated_at).toISOString() : undefined,
+            tags: [listing.feedStatus, listing.property_type].filter(Boolean),
+            _rental: {
+                status: listing.feedStatus,
+                address: listing.address,
+                city: listing.city,
+                state: listing.state,
+                zip_code: listing.zip_code,
+                latitude: listing.latitude,
+                longitude: listing.longitude,
+                property_type: listing.property_type,
+                rent_price: listing.rent_price,
+                deposit_amount: listing.deposit_amount,
+                bedrooms: listing.bedrooms,
+                bathrooms: listing.bathrooms,
+                square_feet: listing.square_feet,
+                available_date: parseAvailableDate(listing.available_date),
+                pet_policy: listing.pet_policy || null,
+                pets: getPetFlags(listing.pet_policy),
+                lease_term: listing.lease_term,
+                virtual_tour_url: listing.virtual_tour_url || null,
+                contact: listingContact(listing),
+                photos: listing.photos
+            }
+        }))
+    }, null, 2);
+}
+
+function getFeedUrl(format: string) {
+    const { data } = supabase.storage.from(FEED_BUCKET).getPublicUrl(`${FEED_FOLDER}/${FEEDS[format].fileName}`);
+    return data.publicUrl;
+}
+
+/**
+ * Trigger calls carry the shared secret; admin panel calls a session with 'edit' permission
+ */
+async function authorizeRegenerate(req: Request) {
+    const secret = req.headers.get('x-feed-secret');
+    if (secret) {
+        if (!FEED_SECRET || secret !== FEED_SECRET) throw new ApiError('PERMISSION_DENIED', 403);
+        return { id: null, email: 'scheduler' };
+    }
+
+    const token = req.headers.get('x-admin-session');
+    if (!token) throw new ApiError('SESSION_EXPIRED', 401);
+
+    const { data, error } = await supabase.rpc('admin_validate_session', { p_token: token });
+    if (error) throw error;
+
+    const session = Array.isArray(data) ? data[0] : data;
+    if (!session) throw new ApiError('SESSION_EXPIRED', 401);
+    if (!(ROLE_PERMISSIONS[session.role] || []).includes('edit')) throw new ApiError('PERMISSION_DENIED', 403);
+    return session;
+}
+
+async function regenerate(actor: { id: string | null; email: string }) {
+    const listings = await loadListings();
+    const feeds: Record<string, string> = {};
+
+    for (const [format, feed] of Object.entries(FEEDS)) {
+        const { error } = await supabase.storage
+            .from(FEED_BUCKET)
+            .upload(`${FEED_FOLDER}/${feed.fileName}`, new Blob([feed.build(listings)], { type: feed.contentType }), {
+                cacheControl: '300',
+                contentType: feed.contentType,
+                upsert: true
+            });
+        if (error) throw error;
+        feeds[format] = getFeedUrl(format);
+    }
+
+    // Trigger runs follow a listing save that is already in the audit log; only manual runs are recorded
+    if (!actor.id) return { listings: listings.length, feeds };
+
+    const { error: auditError } = await supabase.from('audit_log').insert({
+        actor_id: actor.id,
+        actor_email: actor.email,
+        action: 'update',
+        entity_type: 'listing_feeds',
+        entity_id: FEED_FOLDER,
+        summary: `Regenerated listing feeds (${listings.length} listings)`,
+        after_data: { listings: listings.length, feeds }
+    });
+    if (auditError) console.warn('Could not write audit log entry:', auditError.message);
+
+    return { listings: listings.length, feeds };
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: CORS_HEADERS });
+    }
+
+    try {
+        if (!SITE_URL) throw new ApiError('SITE_URL_NOT_SET', 500);
+
+        if (req.method === 'GET') {
+            const format = new URL(req.url).searchParams.get('format') || 'zillow';
+            const feed = FEEDS[format];
+            if (!feed) throw new ApiError('UNKNOWN_FORMAT');
+
+            return new Response(feed.build(await loadListings()), {
+                headers: { ...CORS_HEADERS, 'Content-Type': feed.contentType, 'Cache-Control': 'public, max-age=300' }
+            });
+        }
+
+        if (req.method !== 'POST') {
+            return json({ error: 'METHOD_NOT_ALLOWED' }, 405);
+        }
+
+        const actor = await authorizeRegenerate(req);
+        const body = await req.json().catch(() => ({}));
+        if ((body.action || 'regenerate') !== 'regenerate') throw new ApiError('UNKNOWN_ACTION');
+
+        return json(await regenerate(actor));
+    } catch (error) {
+        const status = error instanceof ApiError ? error.status : 500;
+        console.error('listing-feeds error:', error);
+        return json({ error: (error as Error).message || String(error) }, status);
+    }
+});
@@ -33,8 +33,11 @@ CREATE INDEX IF NOT EXISTS idx_team_members_active ON team_members(is_active);
 CREATE INDEX IF NOT EXISTS idx_team_members_page ON team_members(page_name);
 CREATE INDEX IF NOT EXISTS idx_team_members_sort ON team_members(sort_order);
 
--- Disable RLS for initial setup (matching other tables)
-ALTER TABLE team_members DISABLE ROW LEVEL SECURITY;
+-- Row level security: anyone can read; writes go through the token-checked functions
+-- in privileged-operations-migration.sql
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anyone can read team members" ON team_members;
+CREATE POLICY "Anyone can read team members" ON team_members FOR SELECT USING (true);
 
 -- Insert existing team members from about.html (if they don't exist)
 INSERT INTO team_members (name, position, bio, bio_paragraph_2, image_url, image_filename, linkedin_url, email, sort_order, is_active, page_name) 
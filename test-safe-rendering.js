@@ -0,0 +1,237 @@
+/**
+ * Test Safe Rendering
+ * Feeds hostile strings through every renderer that builds markup from stored content
+ * and checks that nothing executable or attribute-breaking reaches the page.
+ *
+ * Usage (browser console): await testSafeRendering()
+ * Listing and team member cards are checked on rentals.html / about.html, where their managers load.
+ */
+
+import { html, escapeHtml, safeUrl } from './safe-html.js';
+import { sanitizeHtml, richText, htmlToText } from './rich-text.js';
+import leadsAdmin from './leads-admin.js';
+import draftsPanel from './drafts-panel.js';
+import auditLogViewer from './audit-log-viewer.js';
+import adminVersionControlUI from './admin-version-control-ui.js';
+
+console.log('🧪 Test Safe Rendering loaded');
+
+// Each payload flips window.__unsafeRenderFired if it ever runs
+const HOSTILE_STRINGS = [
+    '<script>window.__unsafeRenderFired = true</script>',
+    '<img src=x onerror="window.__unsafeRenderFired = true">',
+    '"><svg onload="window.__unsafeRenderFired = true">',
+    '\' onmouseover=\'window.__unsafeRenderFired = true\' x=\'',
+    '<a href="javascript:window.__unsafeRenderFired = true">click</a>',
+    '<iframe src="javascript:window.__unsafeRenderFired = true"></iframe>',
+    '</p></div><style>body { display: none }</style>'
+];
+
+const HOSTILE_URLS = [
+    'javascript:window.__unsafeRenderFired = true',
+    ' JaVaScRiPt:window.__unsafeRenderFired = true',
+    'java\nscript:window.__unsafeRenderFired = true',
+    'data:text/html,<script>window.__unsafeRenderFired = true</script>',
+    '" onerror="window.__unsafeRenderFired = true'
+];
+
+/**
+ * Problems found in rendered markup: executable tags, event handlers, script URLs
+ */
+function findProblems(markup) {
+    // Parsed into an inert template: nothing in it runs or loads
+    const template = document.createElement('template');
+    template.innerHTML = String(markup);
+    const problems = [];
+
+    template.content.querySelectorAll('script, style, iframe, object, embed, svg').forEach(element => {
+        problems.push(`<${element.tagName.toLowerCase()}> element`);
+    });
+
+    template.content.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            // Inline handlers written by the renderers themselves are fixed strings, not stored content
+            if (name.startsWith('on') && attribute.value.includes('__unsafeRenderFired')) {
+                problems.push(`${name} handler on <${element.tagName.toLowerCase()}>`);
+            }
+            if (['href', 'src', 'action'].includes(name) && !isHarmlessUrl(attribute.value)) {
+                problems.push(`${name}="${attribute.value}" on <${element.tagName.toLowerCase()}>`);
+            }
+        });
+    });
+
+    return problems;
+}
+
+function isHarmlessUrl(value) {
+    return !/^(javascript|data|vbscript):/i.test(value.replace(/[\u0000- \u007f-\u009f]/g, ''));
+}
+
+const results = [];
+
+function check(name, markup) {
+    const problems = findProblems(markup);
+    results.push({ renderer: name, passed: problems.length === 0, problems: problems.join('; ') });
+    if (problems.length === 0) {
+        console.log(`✅ ${name}`);
+    } else {
+        console.error(`❌ ${name}: ${problems.join('; ')}`);
+    }
+}
+
+function testTemplates() {
+    console.log('🔍 Testing html`` / escapeHtml / safeUrl...');
+    HOSTILE_STRINGS.forEach((value, index) => {
+        check(`html\`\` text #${index + 1}`, html`<p title="${value}">${value}</p>`);
+        check(`escapeHtml attribute #${index + 1}`, `<p data-x="${escapeHtml(value)}">${escapeHtml(value)}</p>`);
+    });
+    HOSTILE_URLS.forEach((value, index) => {
+        check(`safeUrl #${index + 1}`, html`<a href="${safeUrl(value)}">link</a><img src="${safeUrl(value)}">`);
+    });
+}
+
+function testRichText() {
+    console.log('🔍 Testing sanitizeHtml / richText / htmlToText...');
+    HOSTILE_STRINGS.forEach((value, index) => {
+        check(`sanitizeHtml #${index + 1}`, sanitizeHtml(`<p>Intro ${value} <b>bold</b></p>`));
+        check(`richText #${index + 1}`, html`<div>${richText(value)}</div>`);
+        check(`htmlToText #${index + 1}`, html`<p>${htmlToText(value)}</p>`);
+    });
+    HOSTILE_URLS.forEach((value, index) => {
+        check(`sanitizeHtml link #${index + 1}`, sanitizeHtml(`<a href="${value.replace(/"/g, '&quot;')}">link</a>`));
+    });
+}
+
+async function testListingCards() {
+    const rentalsAdmin = window.rentalsAdminManager;
+    if (!rentalsAdmin) {
+        console.log('ℹ️ Listing cards: open rentals.html to test createRentalListingElement');
+        return;
+    }
+
+    console.log('🔍 Testing rental listing cards...');
+    for (const [index, value] of HOSTILE_STRINGS.entries()) {
+        const element = await rentalsAdmin.createRentalListingElement({
+            id: `hostile-${index}`,
+            title: value,
+            address: value,
+            city: value,
+            state: value,
+            zip_code: value,
+            description: value,
+            appliances: value,
+            pet_policy: value,
+            rent_price: value,
+            square_feet: 0,
+            primary_image_url: HOSTILE_URLS[index % HOSTILE_URLS.length]
+        });
+        check(`createRentalListingElement #${index + 1}`, element.outerHTML);
+    }
+}
+
+async function testTeamMemberCards() {
+    const aboutAdmin = window.aboutAdminManager;
+    if (!aboutAdmin) {
+        console.log('ℹ️ Team member cards: open about.html to test createTeamMemberElement');
+        return;
+    }
+
+    console.log('🔍 Testing team member cards...');
+    for (const [index, value] of HOSTILE_STRINGS.entries()) {
+        const element = await aboutAdmin.createTeamMemberElement({
+            id: `hostile-${index}`,
+            name: value,
+            position: value,
+            bio: value,
+            bio_paragraph_2: value,
+            email: value,
+            linkedin_url: HOSTILE_URLS[index % HOSTILE_URLS.length],
+            image_url: HOSTILE_URLS[index % HOSTILE_URLS.length],
+            image_filename: null
+        });
+        check(`createTeamMemberElement #${index + 1}`, element.outerHTML);
+    }
+}
+
+function testAdminPanels() {
+    console.log('🔍 Testing admin panel rows...');
+    const now = new Date().toISOString();
+
+    HOSTILE_STRINGS.forEach((value, index) => {
+        check(`leadsAdmin.renderLead #${index + 1}`, leadsAdmin.renderLead({
+            id: value,
+            name: value,
+            email: value,
+            phone: value,
+            message: value,
+            status: value,
+            inquiry_type: value,
+            assigned_name: value,
+            follow_up_date: value,
+            created_at: now
+        }, now.slice(0, 10)));
+
+        check(`draftsPanel.renderDraft #${index + 1}`, draftsPanel.renderDraft({
+            id: value,
+            entity_type: 'page_content',
+            entity_id: value,
+            label: value,
+            status: 'draft',
+            operation: value,
+            payload: { content: value, content_type: 'html' },
+            created_by_email: value,
+            updated_at: now
+        }));
+
+        check(`auditLogViewer.renderEntry #${index + 1}`, auditLogViewer.renderEntry({
+            actor_email: value,
+            action: value,
+            entity_type: value,
+            entity_id: value,
+            summary: value,
+            page_name: value,
+            before_data: { value },
+            after_data: null,
+            created_at: now
+        }));
+
+        // Toasts show error text from the database and the server
+        adminVersionControlUI.showErrorMessage(`Save failed: ${value}`);
+        const toasts = document.querySelectorAll('.optimized-toast');
+        const toast = toasts[toasts.length - 1];
+        check(`adminVersionControlUI.showToast #${index + 1}`, toast.outerHTML);
+        toast.remove();
+    });
+}
+
+/**
+ * Run every renderer check and print a summary table
+ */
+window.testSafeRendering = async function() {
+    console.log('🛡️ Testing renderers with hostile content...');
+    results.length = 0;
+    window.__unsafeRenderFired = false;
+
+    testTemplates();
+    testRichText();
+    testAdminPanels();
+    await testListingCards();
+    await testTeamMemberCards();
+
+    // Give any handler that slipped through (e.g. a failing image) a chance to run
+    await new Promise(resolve => setTimeout(resolve, 500));
+    if (window.__unsafeRenderFired) {
+        results.push({ renderer: 'payload execution', passed: false, problems: 'a hostile payload ran' });
+        console.error('❌ A hostile payload executed during the test');
+    }
+
+    const failed = results.filter(result => !result.passed);
+    console.table(failed.length > 0 ? failed : results);
+    console.log(failed.length === 0
+        ? `✅ All ${results.length} renderer checks passed`
+        : `❌ ${failed.length} of ${results.length} renderer checks failed`);
+    return { passed: results.length - failed.length, failed: failed.length, results: [...results] };
+};
+
+console.log('💡 To test renderers against hostile content, use: await testSafeRendering()');
@@ -10,6 +10,8 @@
  */
 
 import dbService from './supabase-client.js';
+import { diffContentStates, parseSnapshotRows } from './version-diff.js';
+import { setElementContent } from './rich-text.js';
 
 class OptimizedVersionControlManager {
     constructor() {
@@ -192,7 +194,10 @@ class OptimizedVersionControlManager {
             // Apply content changes if any
             if (hasContentChanges) {
                 console.log('✅ Applying content changes to database...');
-                await this.applyChangesToWebsiteContent(contentChanges);
+                await this.applyChangesToWebsiteContent(
+                    contentChanges,
+                    `Saved ${contentChanges.length} content changes (checkpoint v${versionNumber})`
+                );
                 totalChanges += contentChanges.length;
             }
             
@@ -253,6 +258,169 @@ class OptimizedVersionControlManager {
         }
     }
 
+    /**
+     * Save pending content, team member and rental listing changes as drafts.
+     * Nothing reaches the live tables until the drafts are published.
+     */
+    async saveDrafts(pendingTeamChanges = null, pendingRentalChanges = null) {
+        console.log('📝 Saving changes as drafts...');
+
+        try {
+            const pendingData = sessionStorage.getItem('versionControl_pendingChanges');
+            const contentChanges = pendingData ? (JSON.parse(pendingData).changes || []) : [];
+
+            // Existing drafts are the base for further edits to the same row
+            const { drafts, error: draftsError } = await this.dbService.getDrafts(this.currentPage);
+            if (draftsError) {
+                throw new Error(draftsError);
+            }
+            const openDrafts = new Map(drafts
+                .filter(draft => draft.status === 'draft' || draft.status === 'scheduled')
+                .map(draft => [`${draft.entity_type}:${draft.entity_id}`, draft]));
+
+            const failures = [];
+            let savedCount = 0;
+            const save = async (draft) => {
+                const { error } = await this.dbService.saveDraft({ pageName: this.currentPage, ...draft });
+                if (error) {
+                    failures.push(`${draft.label || draft.entityId}: ${error}`);
+                } else {
+                    savedCount++;
+                }
+            };
+
+            // Later changes to the same element win
+            const latestContent = new Map(contentChanges.map(change => [change.elementId, change]));
+            for (const [elementId, change] of latestContent) {
+                await save({
+                    entityType: 'page_content',
+                    entityId: elementId,
+                    label: elementId,
+                    payload: { content: change.newValue, content_type: change.contentType || 'text' }
+                });
+            }
+
+            if (pendingTeamChanges) {
+                await this.saveRowDrafts('team_member', 'team_members', pendingTeamChanges, openDrafts, save, row => row.name);
+            }
+            if (pendingRentalChanges) {
+                await this.saveRowDrafts('rental_listing', 'rental_listings', pendingRentalChanges, openDrafts, save, row => row.title || row.address);
+            }
+
+            sessionStorage.removeItem('versionControl_pendingChanges');
+            this.pendingChanges = [];
+            this.hasUnsavedChanges = false;
+
+            await this.dbService.logAuditEvent({
+                action: 'save',
+                entityType: 'draft',
+                entityId: this.currentPage,
+                pageName: this.currentPage,
+                summary: `Saved ${savedCount} change${savedCount === 1 ? '' : 's'} as drafts`
+            });
+
+            this.triggerEvent('draftsSaved', { count: savedCount });
+            console.log(`✅ Saved ${savedCount} drafts${failures.length > 0 ? ` (${failures.length} failed)` : ''}`);
+
+            return {
+                success: failures.length === 0,
+                count: savedCount,
+                error: failures.length > 0 ? `Some drafts could not be saved: ${failures.join('; ')}` : null
+            };
+        } catch (error) {
+            console.error('❌ Failed to save drafts:', error);
+            this.triggerEvent('saveError', { error: error.message });
+            return { success: false, count: 0, error: error.message };
+        }
+    }
+
+    /**
+     * Turn { added, modified, deleted } pending row changes into drafts holding the full row
+     */
+    async saveRowDrafts(entityType, tableName, pendingChanges, openDrafts, save, labelOf) {
+        const stripUiFields = ({ isNew, isPending, hasChanges, ...row }) => row;
+        const getBaseRow = async (id) => {
+            const draft = openDrafts.get(`${entityType}:${id}`);
+            if (draft && draft.payload) {
+                return draft.payload;
+            }
+            const { data } = await this.dbService.supabase
+                .from(tableName)
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+            return data;
+        };
+
+        for (const row of pendingChanges.added || []) {
+            const payload = stripUiFields(row);
+            await save({ entityType, entityId: row.id, label: labelOf(payload), payload });
+        }
+
+        const modifiedEntries = pendingChanges.modified instanceof Map
+            ? Array.from(pendingChanges.modified.entries())
+            : Object.entries(pendingChanges.modified || {});
+        for (const [id, changes] of modifiedEntries) {
+            const baseRow = await getBaseRow(id);
+            if (!baseRow) {
+                console.warn(`⚠️ ${entityType} ${id} not found, skipping draft`);
+                continue;
+            }
+            const payload = stripUiFields({ ...baseRow, ...changes });
+            await save({ entityType, entityId: id, label: labelOf(payload), payload });
+        }
+
+        for (const id of pendingChanges.deleted || []) {
+            const draft = openDrafts.get(`${entityType}:${id}`);
+            if (String(id).startsWith('temp_')) {
+                // Never went live: dropping the draft is enough
+                if (draft) {
+                    await this.dbService.discardDrafts([draft.id]);
+                }
+                continue;
+            }
+            const baseRow = await getBaseRow(id);
+            await save({ entityType, entityId: id, operation: 'delete', label: baseRow ? labelOf(baseRow) : id });
+        }
+    }
+
+    /**
+     * Publish drafts now. The live state is saved as a version checkpoint first so a publish can be rolled back.
+     */
+    async publishDrafts(draftIds, description = '') {
+        const permissionError = this.dbService.checkPermission('publish');
+        if (permissionError) {
+            return { success: false, error: permissionError };
+        }
+        if (!draftIds || draftIds.length === 0) {
+            return { success: false, error: 'No drafts selected' };
+        }
+
+        console.log(`🚀 Publishing ${draftIds.length} drafts...`);
+
+        try {
+            const currentContentState = await this.captureCurrentContentState();
+            const versionNumber = await this.getNextVersionNumber();
+            const versionDescription = description || `Before publishing ${draftIds.length} draft${draftIds.length === 1 ? '' : 's'}`;
+            await this.saveContentStateAsVersion(currentContentState, versionNumber, versionDescription);
+
+            const { count, error } = await this.dbService.publishDrafts(draftIds);
+            if (error) {
+                throw new Error(error);
+            }
+
+            this.currentVersion = versionNumber;
+            this.triggerEvent('versionSaved', { version: versionNumber, description: versionDescription, changeCount: count });
+            this.triggerEvent('draftsPublished', { version: versionNumber, count });
+
+            console.log(`✅ Published ${count} drafts; v${versionNumber} holds the previous live state`);
+            return { success: true, version: versionNumber, count };
+        } catch (error) {
+            console.error('❌ Failed to publish drafts:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Legacy save method - redirects to GitHub-style save
      */
@@ -312,6 +480,17 @@ class OptimizedVersionControlManager {
                 console.warn('⚠️ Error capturing team members:', teamError);
             }
 
+            // Rental listings live on the rentals page; captured so versions can be compared
+            if (this.currentPage === 'rentals.html') {
+                const { rentalListings, error: rentalError } = await this.dbService.getRentalListings();
+                if (!rentalError && rentalListings.length > 0) {
+                    contentState['_rental_listings_data'] = JSON.stringify(rentalListings);
+                    console.log(`✅ Captured ${rentalListings.length} rental listings`);
+                } else if (rentalError) {
+                    console.warn('⚠️ Could not capture rental listings:', rentalError);
+                }
+            }
+
             console.log(`✅ Captured current state with ${Object.keys(contentState).length} elements`);
             return contentState;
             
@@ -331,25 +510,16 @@ class OptimizedVersionControlManager {
             // Try to save to different version control tables based on what exists
             let saved = false;
 
-            // Try 1: Save to version_history table (simple schema)
-            try {
-                const { error } = await this.dbService.supabase
-                    .from('version_history')
-                    .insert({
-                        version_number: versionNumber,
-                        page_name: this.currentPage,
-                        description: description,
-                        changes: contentState,
-                        created_by: this.dbService.currentUser?.id,
-                        created_at: new Date().toISOString()
-                    });
+            // Try 1: Save to version_history table (simple schema), written server-side
+            const { error: versionHistoryError } = await this.dbService.saveVersionSnapshot(
+                this.currentPage, versionNumber, description, contentState
+            );
 
-                if (!error) {
-                    console.log('✅ Saved version to version_history table');
-                    saved = true;
-                }
-            } catch (versionHistoryError) {
-                console.log('⚠️ version_history table not available, trying other tables...');
+            if (!versionHistoryError) {
+                console.log('✅ Saved version to version_history table');
+                saved = true;
+            } else {
+                console.log('⚠️ Could not save to version_history, trying other tables...', versionHistoryError);
             }
 
             // Try 2: Save to content_versions + content_changes (optimized schema)
@@ -381,7 +551,7 @@ class OptimizedVersionControlManager {
                             change_type: 'snapshot',
                             old_value: null,
                             new_value: content,
-                            content_type: 'text',
+                            content_type: this.dbService.getContentType(this.currentPage, elementId),
                             metadata: { snapshot: true }
                         }));
 
@@ -424,7 +594,7 @@ class OptimizedVersionControlManager {
             }
 
             if (!saved) {
-                throw new Error('No available version control table found to save version');
+                throw new Error(versionHistoryError || 'No available version control table found to save version');
             }
 
             console.log(`✅ Version ${versionNumber} saved as checkpoint`);
@@ -471,76 +641,7 @@ class OptimizedVersionControlManager {
             // **PROPER VERSION RESTORATION**: Get actual version data and restore it
             console.log(`🔄 Restoring to version ${versionNumber} with actual content...`);
             
-            // Try to get version data from different possible tables
-            let versionContent = null;
-            
-            // First try: optimized schema (content_changes table)
-            try {
-                const { data: versionData, error: versionError } = await this.dbService.supabase
-                    .from('content_versions')
-                    .select('id')
-                    .eq('version_number', versionNumber)
-                    .eq('page_name', this.currentPage)
-                    .single();
-
-                if (!versionError && versionData) {
-                    // Get changes for this version
-                    const { data: changesData, error: changesError } = await this.dbService.supabase
-                        .from('content_changes')
-                        .select('element_id, new_value, change_type')
-                        .eq('version_id', versionData.id);
-
-                    if (!changesError && changesData) {
-                        versionContent = {};
-                        changesData.forEach(change => {
-                            if (change.change_type !== 'delete' && change.new_value) {
-                                versionContent[change.element_id] = change.new_value;
-                            }
-                        });
-                        console.log('✅ Retrieved version content from optimized schema');
-                    }
-                }
-            } catch (optimizedError) {
-                console.log('⚠️ Optimized schema not available, trying simple schema...');
-            }
-
-            // Second try: simple schema (version_history table with JSONB)
-            if (!versionContent) {
-                try {
-                    const { data: historyData, error: historyError } = await this.dbService.supabase
-                        .from('version_history')
-                        .select('changes')
-                        .eq('version_number', versionNumber)
-                        .eq('page_name', this.currentPage)
-                        .single();
-
-                    if (!historyError && historyData && historyData.changes) {
-                        versionContent = historyData.changes;
-                        console.log('✅ Retrieved version content from version_history table');
-                    }
-                } catch (historyError) {
-                    console.log('⚠️ Version history table not available...');
-                }
-            }
-
-            // Third try: website_states table (if exists)
-            if (!versionContent) {
-                try {
-                    const { data: statesData, error: statesError } = await this.dbService.supabase
-                .from('website_states')
-                .select('complete_state')
-                .eq('version_number', versionNumber)
-                        .eq('page_context', this.currentPage)
-                .single();
-
-                    if (!statesError && statesData && statesData.complete_state) {
-                        versionContent = statesData.complete_state;
-                        console.log('✅ Retrieved version content from website_states table');
-                    }
-                } catch (statesError) {
-                    console.log('⚠️ Website states table not available...');
-                }
-            }
+            const versionContent = await this.getVersionContent(versionNumber);
 
             if (!versionContent || Object.keys(versionContent).length === 0) {
                 throw new Error(`No content found for version ${versionNumber}. The version may not exist or contain no changes.`);
@@ -574,6 +675,8 @@ class OptimizedVersionControlManager {
             const restoreTime = Date.now() - startTime;
             console.log(`✅ Version ${versionNumber} restored successfully in ${restoreTime}ms`);
 
+            // content_version_restore already recorded the restore in the audit log
+
             this.triggerEvent('versionRestored', { 
                 version: versionNumber, 
                 restoreTime 
@@ -595,160 +698,272 @@ class OptimizedVersionControlManager {
     }
 
     /**
-     * Restore content to database so it persists on page refresh
+     * Restore only the selected elements, team members and rental listings from a version.
+     * The state before the restore is saved as a new version so the partial restore can be undone.
+     * @param {Object} selection - { content: [elementId], team_member: [id], rental_listing: [id] }
      */
-    async restoreContentToDatabase(versionContent, versionNumber) {
-        console.log('💾 Restoring content to database for persistence...');
-        
+    async restoreSelected(versionNumber, selection) {
+        const permissionError = this.dbService.checkPermission('restore');
+        if (permissionError) {
+            return { success: false, error: permissionError };
+        }
+
+        const contentIds = selection.content || [];
+        const teamIds = selection.team_member || [];
+        const rentalIds = selection.rental_listing || [];
+        const selectedCount = contentIds.length + teamIds.length + rentalIds.length;
+        if (selectedCount === 0) {
+            return { success: false, error: 'Nothing selected to restore' };
+        }
+
+        console.log(`🎯 Restoring ${selectedCount} selected items from version ${versionNumber}...`);
+
         try {
-            let contentItemsCount = 0;
-            
-            // Process each content item individually to handle existing content properly
-            for (const [elementId, content] of Object.entries(versionContent)) {
-                // Skip internal tracking fields and team members data (handled separately)
-                if (elementId.startsWith('_')) continue;
-                
-                try {
-                    contentItemsCount++;
-                    
-                    // First, check if content already exists for this element
-                    const { data: existingContent, error: selectError } = await this.dbService.supabase
-                        .from('website_content')
-                        .select('id')
-                        .eq('page_name', this.currentPage)
-                        .eq('element_id', elementId)
-                        .eq('is_active', true)
-                        .order('updated_at', { ascending: false })
-                        .limit(1);
-
-                    if (selectError) {
-                        console.warn(`Warning checking existing content for ${elementId}:`, selectError);
-                    }
+            const versionContent = await this.getVersionContent(versionNumber);
+            if (!versionContent) {
+                throw new Error(`No content found for version ${versionNumber}`);
+            }
 
-                    if (existingContent && existingContent.length > 0) {
-                        // Update existing content
-                        const { error: updateError } = await this.dbService.supabase
-                            .from('website_content')
-                            .update({
-                                content_text: content,
-                                content_type: 'text',
-                                updated_at: new Date().toISOString(),
-                                version: versionNumber
-                            })
-                            .eq('id', existingContent[0].id);
-
-                        if (updateError) {
-                            console.warn(`Error updating content for ${elementId}:`, updateError);
-                        } else {
-                            console.log(`✅ Restored content for ${elementId} to database`);
-                        }
-                    } else {
-                        // Insert new content
-                        const { error: insertError } = await this.dbService.supabase
-                            .from('website_content')
-                            .insert({
-                                page_name: this.currentPage,
-                                element_id: elementId,
-                                content_text: content,
-                                content_type: 'text',
-                                version: versionNumber,
-                                is_active: true,
-                                created_at: new Date().toISOString(),
-                                updated_at: new Date().toISOString()
-                            });
-
-                        if (insertError) {
-                            console.warn(`Error inserting content for ${elementId}:`, insertError);
-                        } else {
-                            console.log(`✅ Inserted restored content for ${elementId} to database`);
-                        }
-                    }
-                } catch (elementError) {
-                    console.warn(`Error processing content for ${elementId}:`, elementError);
+            // Checkpoint the current state first (GitHub-style: the new version is the "before" state)
+            const currentContentState = await this.captureCurrentContentState();
+            const checkpointVersion = await this.getNextVersionNumber();
+            const description = `Before partial restore of ${selectedCount} item${selectedCount === 1 ? '' : 's'} from v${versionNumber}`;
+            await this.saveContentStateAsVersion(currentContentState, checkpointVersion, description);
+
+            const failures = [];
+
+            // Page content
+            const partialContent = {};
+            contentIds.forEach(elementId => {
+                if (Object.prototype.hasOwnProperty.call(versionContent, elementId)) {
+                    partialContent[elementId] = versionContent[elementId];
                 }
+            });
+            if (Object.keys(partialContent).length > 0) {
+                await this.restoreContentToDatabase(partialContent, versionNumber);
+                await this.applyContentToPage(partialContent);
             }
 
-            // Restore team members if data exists
-            if (versionContent['_team_members_data']) {
-                try {
-                    const teamMembersData = JSON.parse(versionContent['_team_members_data']);
-                    await this.restoreTeamMembersToDatabase(teamMembersData);
-                    console.log(`✅ Restored ${teamMembersData.length} team members`);
-                } catch (teamError) {
-                    console.error('❌ Error restoring team members:', teamError);
+            // Rows missing from the version were added later, so restoring them means removing them
+            const restoreRows = async (ids, rows, save, remove) => {
+                const rowsById = new Map(rows.map(row => [String(row.id), row]));
+                for (const id of ids) {
+                    const row = rowsById.get(String(id));
+                    const { error } = row ? await save(row) : await remove(id);
+                    if (error) {
+                        failures.push(`${id}: ${error}`);
+                    }
                 }
+            };
+
+            await restoreRows(
+                teamIds,
+                parseSnapshotRows(versionContent['_team_members_data']),
+                (row) => this.dbService.saveTeamMember(row),
+                (id) => this.dbService.deleteTeamMember(id)
+            );
+            await restoreRows(
+                rentalIds,
+                parseSnapshotRows(versionContent['_rental_listings_data']),
+                (row) => this.dbService.saveRentalListing(row),
+                (id) => this.dbService.deleteRentalListing(id)
+            );
+
+            // Re-render the sections whose rows changed
+            if (teamIds.length > 0 && window.aboutAdminManager) {
+                await window.aboutAdminManager.loadTeamMembersFromDatabase();
+            }
+            if (rentalIds.length > 0 && window.rentalsAdminManager) {
+                await window.rentalsAdminManager.loadRentalListingsFromDatabase();
             }
 
-            console.log(`✅ Restored ${contentItemsCount} content items to database`);
-            
+            this.currentVersion = checkpointVersion;
+
+            await this.dbService.logAuditEvent({
+                action: 'restore',
+                entityType: 'version',
+                entityId: versionNumber,
+                pageName: this.currentPage,
+                summary: `Partially restored ${selectedCount} items from v${versionNumber} (undo by restoring v${checkpointVersion})`,
+                after: { content: contentIds, team_member: teamIds, rental_listing: rentalIds, failures }
+            });
+
+            this.triggerEvent('versionSaved', {
+                version: checkpointVersion,
+                description,
+                changeCount: selectedCount - failures.length
+            });
+
+            console.log(`✅ Partial restore from v${versionNumber} done; v${checkpointVersion} holds the previous state`);
+            return {
+                success: failures.length === 0,
+                version: checkpointVersion,
+                restoredCount: selectedCount - failures.length,
+                error: failures.length > 0 ? `Some items could not be restored: ${failures.join('; ')}` : null
+            };
         } catch (error) {
-            console.error('❌ Failed to restore content to database:', error);
-            throw error;
+            console.error('❌ Partial restore failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Compare two versions, or a version against the live state when toVersion is null
+     * @returns {Object} { fromLabel, toLabel, groups } - see diffContentStates
+     */
+    async compareVersions(fromVersion, toVersion = null) {
+        console.log(`🔍 Comparing v${fromVersion} with ${toVersion === null ? 'live' : `v${toVersion}`}...`);
+
+        try {
+            const [fromState, toState] = await Promise.all([
+                this.getVersionContent(fromVersion),
+                toVersion === null ? this.captureCurrentContentState() : this.getVersionContent(toVersion)
+            ]);
+
+            if (!fromState) {
+                throw new Error(`No content found for version ${fromVersion}`);
+            }
+            if (!toState) {
+                throw new Error(`No content found for version ${toVersion}`);
+            }
+
+            return {
+                fromLabel: `v${fromVersion}`,
+                toLabel: toVersion === null ? 'Live' : `v${toVersion}`,
+                groups: diffContentStates(fromState, toState, this.currentPage),
+                error: null
+            };
+        } catch (error) {
+            console.error('❌ Failed to compare versions:', error);
+            return { groups: [], error: error.message };
         }
     }
 
     /**
-     * Restore team members to database
+     * Load the content snapshot stored for a version (element id -> content)
      */
-    async restoreTeamMembersToDatabase(teamMembersData) {
-        console.log('👥 Restoring team members to database...');
+    async getVersionContent(versionNumber) {
+        // Try the different possible version tables
+        let versionContent = null;
         
+        // First try: optimized schema (content_changes table)
         try {
-            // First, deactivate all current team members for this page
-            await this.dbService.supabase
-                .from('team_members')
-                .update({ is_active: false })
-                .eq('page_name', this.currentPage);
-                
-            // Then insert/restore the version team members
-            for (const member of teamMembersData) {
-                // Instead of removing ID and creating duplicates, check if member exists by name
-                const { data: existingMember } = await this.dbService.supabase
-                    .from('team_members')
-                    .select('id')
-                    .eq('name', member.name)
-                    .eq('page_name', this.currentPage)
-                    .eq('is_active', false) // Should be inactive from the update above
+            const { data: versionData, error: versionError } = await this.dbService.supabase
+                .from('content_versions')
+                .select('id')
+                .eq('version_number', versionNumber)
+                .eq('page_name', this.currentPage)
+                .single();
+
+            if (!versionError && versionData) {
+                // Get changes for this version
+                const { data: changesData, error: changesError } = await this.dbService.supabase
+                    .from('content_changes')
+                    .select('element_id, new_value, change_type')
+                    .eq('version_id', versionData.id);
+
+                if (!changesError && changesData) {
+                    versionContent = {};
+                    changesData.forEach(change => {
+                        if (change.change_type !== 'delete' && change.new_value) {
+                            versionContent[change.element_id] = change.new_value;
+                        }
+                    });
+                    console.log('✅ Retrieved version content from optimized schema');
+                }
+            }
+        } catch (optimizedError) {
+            console.log('⚠️ Optimized schema not available, trying simple schema...');
+        }
+
+        // Second try: simple schema (version_history table with JSONB)
+        if (!versionContent) {
+            try {
+                const { changes, error: historyError } = await this.dbService.getVersionContent(this.currentPage, versionNumber);
+
+                if (!historyError && changes) {
+                    versionContent = changes;
+                    console.log('✅ Retrieved version content from version_history table');
+                }
+            } catch (historyError) {
+                console.log('⚠️ Version history table not available...');
+            }
+        }
+
+        // Third try: website_states table (if exists)
+        if (!versionContent) {
+            try {
+                const { data: statesData, error: statesError } = await this.dbService.supabase
+                    .from('website_states')
+                    .select('complete_state')
+                    .eq('version_number', versionNumber)
+                    .eq('page_context', this.currentPage)
                     .single();
-                
-                if (existingMember) {
-                    // Update existing member
-                    const { error } = await this.dbService.supabase
-                        .from('team_members')
-                        .update({
-                            ...member,
-                            id: existingMember.id, // Keep the existing ID
-                            is_active: true,
-                            updated_at: new Date().toISOString()
-                        })
-                        .eq('id', existingMember.id);
-                        
-                    if (error) {
-                        console.error('❌ Error updating existing team member:', error);
-                    }
-                } else {
-                    // Create new member (remove the original id to avoid conflicts)
-                    const { id: originalId, ...memberData } = member;
-                    const { error } = await this.dbService.supabase
-                        .from('team_members')
-                        .insert({
-                            ...memberData,
-                            is_active: true,
-                            updated_at: new Date().toISOString()
-                        });
-                        
-                    if (error) {
-                        console.error('❌ Error creating new team member:', error);
-                    }
+
+                if (!statesError && statesData && statesData.complete_state) {
+                    versionContent = statesData.complete_state;
+                    console.log('✅ Retrieved version content from website_states table');
                 }
+            } catch (statesError) {
+                console.log('⚠️ Website states table not available...');
             }
-            
-            console.log('✅ Team members restored successfully');
-            
-        } catch (error) {
-            console.error('❌ Error restoring team members:', error);
-            throw error;
         }
+
+        return versionContent ? await this.translateLegacyElementIds(versionContent) : versionContent;
+    }
+
+    /**
+     * Versions saved before content keys store text-derived element IDs; map them to the
+     * keys the page uses now. A key saved in the same version wins over its legacy alias.
+     */
+    async translateLegacyElementIds(versionContent) {
+        const { aliases } = await this.dbService.getContentKeyAliases(this.currentPage);
+        if (Object.keys(aliases).length === 0) {
+            return versionContent;
+        }
+
+        const translated = {};
+        Object.entries(versionContent).forEach(([elementId, content]) => {
+            const contentKey = aliases[elementId];
+            if (!contentKey) {
+                translated[elementId] = content;
+            } else if (!(contentKey in versionContent)) {
+                translated[contentKey] = content;
+            }
+        });
+        return translated;
+    }
+
+    /**
+     * Restore content to database so it persists on page refresh.
+     * Written server-side by content_version_restore, together with the version's team members.
+     */
+    async restoreContentToDatabase(versionContent, versionNumber) {
+        console.log('💾 Restoring content to database for persistence...');
+
+        const content = {};
+        for (const [elementId, value] of Object.entries(versionContent)) {
+            // Skip internal tracking fields and team members data (handled separately)
+            if (elementId.startsWith('_')) continue;
+            content[elementId] = { content: value, content_type: this.dbService.getContentType(this.currentPage, elementId) };
+        }
+
+        let teamMembers = null;
+        if (versionContent['_team_members_data']) {
+            try {
+                teamMembers = JSON.parse(versionContent['_team_members_data']);
+            } catch (teamError) {
+                console.error('❌ Error reading team members from version:', teamError);
+            }
+        }
+
+        const { count, error } = await this.dbService.restoreVersionContent(this.currentPage, versionNumber, content, teamMembers);
+        if (error) {
+            console.error('❌ Failed to restore content to database:', error);
+            throw new Error(error);
+        }
+
+        console.log(`✅ Restored ${count} content items${teamMembers ? ` and ${teamMembers.length} team members` : ''} to database`);
     }
 
     /**
@@ -811,7 +1026,7 @@ class OptimizedVersionControlManager {
                         if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
                             element.value = content;
                         } else {
-                            element.textContent = content;
+                            setElementContent(element, content, this.dbService.getContentType(this.currentPage, elementId));
                         }
                         
                         // Set the data attribute for future reference
@@ -911,12 +1126,7 @@ class OptimizedVersionControlManager {
             // Second try: simple version_history table
             if (versions.length === 0) {
                 try {
-                    const { data, error } = await this.dbService.supabase
-                        .from('version_history')
-                        .select('version_number, description, created_at')
-                        .eq('page_name', this.currentPage)
-                        .order('version_number', { ascending: false })
-                        .limit(limit);
+                    const { versions: data, error } = await this.dbService.getVersionHistory(this.currentPage, limit);
 
                     if (!error && data && data.length > 0) {
                         versions = data.map(v => ({
@@ -1119,7 +1329,7 @@ class OptimizedVersionControlManager {
                 if (element.tagName === 'IMG') {
                     element.src = value;
                 } else {
-                    element.textContent = value;
+                    setElementContent(element, value, this.dbService.getContentType(this.currentPage, elementId));
                 }
             }
         });
@@ -1133,147 +1343,44 @@ class OptimizedVersionControlManager {
 
     async updateDatabaseContent(content) {
         console.log('🔄 Updating database content...');
-        
-        try {
-            // Process each content item individually to handle existing content properly
-            for (const [elementId, value] of Object.entries(content)) {
-                try {
-                    // First, check if content already exists for this element
-                    const { data: existingContent, error: selectError } = await this.dbService.supabase
-                        .from('website_content')
-                        .select('id')
-                        .eq('page_name', this.currentPage)
-                        .eq('element_id', elementId)
-                        .eq('is_active', true)
-                        .order('updated_at', { ascending: false })
-                        .limit(1);
-
-                    if (selectError) {
-                        console.warn(`Warning checking existing content for ${elementId}:`, selectError);
-                    }
 
-                    if (existingContent && existingContent.length > 0) {
-                        // Update existing content
-                        const { error: updateError } = await this.dbService.supabase
-                            .from('website_content')
-                            .update({
-                                content_text: value,
-                                content_type: 'text',
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('id', existingContent[0].id);
-
-                        if (updateError) {
-                            console.warn(`Error updating content for ${elementId}:`, updateError);
-                        }
-            } else {
-                        // Insert new content
-                        const { error: insertError } = await this.dbService.supabase
-                            .from('website_content')
-                            .insert({
-                                page_name: this.currentPage,
-                                element_id: elementId,
-                                content_text: value,
-                                content_type: 'text',
-                                version: this.currentVersion || 1,
-                                is_active: true,
-                                created_at: new Date().toISOString(),
-                                updated_at: new Date().toISOString()
-                            });
-
-                        if (insertError) {
-                            console.warn(`Error inserting content for ${elementId}:`, insertError);
-                        }
-                    }
-                } catch (elementError) {
-                    console.warn(`Error processing content for ${elementId}:`, elementError);
-                }
-            }
-        } catch (error) {
+        const restored = {};
+        Object.entries(content).forEach(([elementId, value]) => {
+            restored[elementId] = { content: value, content_type: this.dbService.getContentType(this.currentPage, elementId) };
+        });
+
+        const { error } = await this.dbService.restoreVersionContent(this.currentPage, this.currentVersion || 1, restored);
+        if (error) {
             console.warn('Error updating database content:', error);
         }
     }
 
     /**
-     * Apply saved changes to website_content table so they persist on page refresh
+     * Apply saved changes to website_content table so they persist on page refresh.
+     * The rows are written (and audited) server-side by website_content_save.
      */
-    async applyChangesToWebsiteContent(changes) {
+    async applyChangesToWebsiteContent(changes, summary = null) {
         console.log('💾 Applying changes to website_content table for persistence...');
-        
-        try {
-            const processedChanges = changes.filter(change => change.changeType !== 'delete');
-            
-            if (processedChanges.length === 0) {
-                console.log('📝 No content updates to apply');
-                return;
-            }
 
-            // Process each change individually to handle existing content properly
-            for (const change of processedChanges) {
-                try {
-                    // First, check if content already exists for this element
-                    const { data: existingContent, error: selectError } = await this.dbService.supabase
-                        .from('website_content')
-                        .select('id, version')
-                        .eq('page_name', this.currentPage)
-                        .eq('element_id', change.elementId)
-                        .eq('is_active', true)
-                        .order('updated_at', { ascending: false })
-                        .limit(1);
-
-                    if (selectError) {
-                        console.warn(`Warning checking existing content for ${change.elementId}:`, selectError);
-                    }
+        const processedChanges = changes.filter(change => change.changeType !== 'delete');
 
-                    if (existingContent && existingContent.length > 0) {
-                        // Update existing content
-                        const { error: updateError } = await this.dbService.supabase
-                            .from('website_content')
-                            .update({
-                                content_text: change.newValue,
-                                content_type: change.contentType || 'text',
-                                updated_at: new Date().toISOString(),
-                                version: this.currentVersion
-                            })
-                            .eq('id', existingContent[0].id);
-
-                        if (updateError) {
-                            console.error(`❌ Error updating content for ${change.elementId}:`, updateError);
-                        } else {
-                            console.log(`✅ Updated content for ${change.elementId}`);
-                        }
-                    } else {
-                        // Insert new content
-                        const { error: insertError } = await this.dbService.supabase
-                            .from('website_content')
-                            .insert({
-                                page_name: this.currentPage,
-                                element_id: change.elementId,
-                                content_text: change.newValue,
-                                content_type: change.contentType || 'text',
-                                version: this.currentVersion,
-                                is_active: true,
-                                created_at: new Date().toISOString(),
-                                updated_at: new Date().toISOString()
-                            });
-
-                        if (insertError) {
-                            console.error(`❌ Error inserting content for ${change.elementId}:`, insertError);
-                        } else {
-                            console.log(`✅ Inserted new content for ${change.elementId}`);
-                        }
-                    }
-                } catch (elementError) {
-                    console.error(`❌ Error processing change for ${change.elementId}:`, elementError);
-                }
-            }
+        if (processedChanges.length === 0) {
+            console.log('📝 No content updates to apply');
+            return;
+        }
 
-            console.log(`✅ Processed ${processedChanges.length} changes to website_content table`);
-            
-        } catch (error) {
+        const content = {};
+        processedChanges.forEach(change => {
+            content[change.elementId] = { content: change.newValue, content_type: change.contentType || 'text' };
+        });
+
+        const { error } = await this.dbService.saveContentElements(this.currentPage, this.currentVersion, content, summary);
+        if (error) {
             console.error('❌ Failed to apply changes to website_content:', error);
-            throw error;
+            throw new Error(error);
         }
+
+        console.log(`✅ Processed ${processedChanges.length} changes to website_content table`);
     }
 
     /**
@@ -1503,10 +1610,18 @@ class OptimizedVersionControlManager {
         console.log('🗑️ Clearing all versions from database...');
         
         try {
-            let deletedCount = 0;
-            const tables = ['version_history', 'content_versions', 'website_states'];
+            // version_history is cleared (and audited) server-side
+            const { deletedCount: historyCount, error: historyError } = await this.dbService.clearVersionHistory(null);
+            if (historyError) {
+                throw new Error(historyError);
+            }
+            console.log(`✅ Cleared ${historyCount} versions from version_history`);
+
+            let deletedCount = historyCount;
+            let legacyCount = 0;
+            const tables = ['content_versions', 'website_states'];
             
-            // Try to clear from all possible version tables
+            // Try to clear from the other possible version tables
             for (const tableName of tables) {
                 try {
                     // First count existing versions
@@ -1525,6 +1640,7 @@ class OptimizedVersionControlManager {
                             
                         if (!deleteError) {
                             deletedCount += tableCount;
+                            legacyCount += tableCount;
                             console.log(`✅ Cleared ${tableCount} versions from ${tableName}`);
                         } else {
                             console.warn(`⚠️ Error clearing ${tableName}:`, deleteError);
@@ -1544,6 +1660,16 @@ class OptimizedVersionControlManager {
             
             console.log(`✅ Cleared ${deletedCount} total versions from all tables`);
             
+            if (legacyCount > 0) {
+                await this.dbService.logAuditEvent({
+                    action: 'delete',
+                    entityType: 'version',
+                    entityId: 'all',
+                    pageName: this.currentPage,
+                    summary: `Cleared ${legacyCount} versions from content_versions and website_states`
+                });
+            }
+            
             return {
                 success: true,
                 deletedCount: deletedCount
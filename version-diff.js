@@ -0,0 +1,206 @@
+/**
+ * Version Diff
+ * Word-level comparison of two content snapshots as stored by
+ * saveContentStateAsVersion / captureCurrentContentState:
+ * - website_content elements (element id -> text)
+ * - team members (_team_members_data)
+ * - rental listings (_rental_listings_data)
+ */
+
+// Snapshot keys that hold JSON arrays of rows instead of element text
+const ENTITY_KEYS = {
+    _team_members_data: {
+        type: 'team_member',
+        entity: 'Team members',
+        label: (row) => row.name || row.id
+    },
+    _rental_listings_data: {
+        type: 'rental_listing',
+        entity: 'Rental listings',
+        label: (row) => row.title || row.address || row.id
+    }
+};
+
+// Row columns that change on every save and would only add noise
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'page_name', 'is_active'];
+
+// Above this many token pairs the texts are shown as a whole replacement
+const MAX_DIFF_CELLS = 250000;
+
+function tokenize(text) {
+    return String(text ?? '').split(/(\s+)/).filter(token => token !== '');
+}
+
+function fieldToText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Rows stored under a snapshot entity key (JSON string or array)
+ */
+export function parseSnapshotRows(json) {
+    if (!json) return [];
+    try {
+        const rows = typeof json === 'string' ? JSON.parse(json) : json;
+        return Array.isArray(rows) ? rows : [];
+    } catch (error) {
+        console.warn('⚠️ Could not parse snapshot rows:', error);
+        return [];
+    }
+}
+
+/**
+ * Word-level diff of two strings
+ * @returns {Array} parts - [{ type: 'equal' | 'insert' | 'delete', text }]
+ */
+export function diffWords(oldText, newText) {
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+
+    // Common prefix and suffix keep the LCS table small for typical edits
+    let prefix = 0;
+    while (prefix < oldTokens.length && prefix < newTokens.length && oldTokens[prefix] === newTokens[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldTokens.length - prefix && suffix < newTokens.length - prefix &&
+           oldTokens[oldTokens.length - 1 - suffix] === newTokens[newTokens.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldTokens.slice(prefix, oldTokens.length - suffix);
+    const newMiddle = newTokens.slice(prefix, newTokens.length - suffix);
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else if (text) {
+            parts.push({ type, text });
+        }
+    };
+
+    push('equal', oldTokens.slice(0, prefix).join(''));
+
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        push('delete', oldMiddle.join(''));
+        push('insert', newMiddle.join(''));
+    } else {
+        // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+        const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1));
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length && j < newMiddle.length) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                push('equal', oldMiddle[i++]);
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('delete', oldMiddle[i++]);
+            } else {
+                push('insert', newMiddle[j++]);
+            }
+        }
+        push('delete', oldMiddle.slice(i).join(''));
+        push('insert', newMiddle.slice(j).join(''));
+    }
+
+    push('equal', oldTokens.slice(oldTokens.length - suffix).join(''));
+    return parts;
+}
+
+function diffRows(oldRows, newRows, label) {
+    const oldById = new Map(oldRows.map(row => [String(row.id), row]));
+    const newById = new Map(newRows.map(row => [String(row.id), row]));
+    const ids = [...new Set([...oldById.keys(), ...newById.keys()])];
+    const items = [];
+
+    ids.forEach(id => {
+        const oldRow = oldById.get(id);
+        const newRow = newById.get(id);
+        const fieldNames = [...new Set([...Object.keys(oldRow || {}), ...Object.keys(newRow || {})])]
+            .filter(name => !IGNORED_FIELDS.includes(name));
+
+        const fields = fieldNames
+            .map(name => {
+                const oldText = oldRow ? fieldToText(oldRow[name]) : '';
+                const newText = newRow ? fieldToText(newRow[name]) : '';
+                return oldText === newText ? null : { name, parts: diffWords(oldText, newText) };
+            })
+            .filter(Boolean);
+
+        if (fields.length > 0) {
+            items.push({
+                key: id,
+                label: label(newRow || oldRow),
+                status: !oldRow ? 'added' : (!newRow ? 'removed' : 'changed'),
+                fields
+            });
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Compare two snapshots and return only what differs, grouped by page and entity
+ * @returns {Array} groups - [{ page, type, entity, note?, items: [{ key, label, status, fields: [{ name, parts }] }] }]
+ */
+export function diffContentStates(fromState, toState, pageName) {
+    const groups = [];
+    const contentItems = [];
+    const elementIds = [...new Set([...Object.keys(fromState || {}), ...Object.keys(toState || {})])]
+        .filter(elementId => !elementId.startsWith('_'))
+        .sort();
+
+    elementIds.forEach(elementId => {
+        const inFrom = Object.prototype.hasOwnProperty.call(fromState, elementId);
+        const inTo = Object.prototype.hasOwnProperty.call(toState, elementId);
+        const oldText = inFrom ? fieldToText(fromState[elementId]) : '';
+        const newText = inTo ? fieldToText(toState[elementId]) : '';
+
+        if (oldText !== newText) {
+            contentItems.push({
+                key: elementId,
+                label: elementId,
+                status: !inFrom ? 'added' : (!inTo ? 'removed' : 'changed'),
+                fields: [{ name: 'content', parts: diffWords(oldText, newText) }]
+            });
+        }
+    });
+
+    if (contentItems.length > 0) {
+        groups.push({ page: pageName, type: 'content', entity: 'Page content', items: contentItems });
+    }
+
+    Object.entries(ENTITY_KEYS).forEach(([stateKey, config]) => {
+        const inFrom = Boolean(fromState[stateKey]);
+        const inTo = Boolean(toState[stateKey]);
+        if (inFrom !== inTo) {
+            // Older snapshots predate rental capture; don't report every row as added/removed
+            groups.push({
+                page: pageName,
+                type: config.type,
+                entity: config.entity,
+                items: [],
+                note: `${config.entity} were only recorded in one of the compared snapshots.`
+            });
+            return;
+        }
+
+        const items = diffRows(parseSnapshotRows(fromState[stateKey]), parseSnapshotRows(toState[stateKey]), config.label);
+        if (items.length > 0) {
+            groups.push({ page: pageName, type: config.type, entity: config.entity, items });
+        }
+    });
+
+    return groups;
+}